@@ -34,26 +34,50 @@ expression
     |   swordWorldPowerRoll                             # SwordWorldPowerRollExpr
     |   e1=expression
         '[' (e2=expression)? ':' (e3=expression)? ']'   # BoundedExpr
-    |   targetNumberAndRaiseStep ':' e1=expression      # TargetNumberAndRaiseStepExpr
-    |   v=VAR ':=' e1=expression                        # AssignExpr
     |   e1=expression op=('*'|'/'|'%') e2=expression    # InfixExpr1
     |   g0=INT '--' g1=INT                              # GygaxRangeRollExpr
     |   e1=expression op=('+'|'-') e2=expression        # InfixExpr2
     |   op=('+'|'-') e1=expression                      # PrefixExpr
+    |   targetNumberAndRaiseStep ':' e1=expression      # TargetNumberAndRaiseStepExpr
+    // Comparisons are worth 1 when true and 0 when false: (d6>3)+(d6>3) counts the dice above 3
+    |   e1=expression op=('>'|'<'|'>='|'<='|'==') e2=expression
+                                                        # ComparisonExpr
+    |   e1=expression '?' b1=conditionalBranch ':' b2=conditionalBranch
+                                                        # ConditionalExpr
+    |   v=VAR ':=' e1=expression                        # AssignExpr
     |   t=term                                          # TermExpr
     ;
 
+// Branch of a conditional: a label ("hit") or an expression
+conditionalBranch
+    :   label=STRING
+    |   e=expression
+    ;
+
 genericRoll
-    :   (t1=term)? ('d'|'D') (t2=dieFacetsTerm) (excl='!')? genericRollSuffix?
+    :   (t1=term)? ('d'|'D') (t2=dieFacetsTerm) explodeModifier? genericRollSuffix?
+    ;
+
+// Exploding dice: '!' (acing), '!!' (compound) or '!p' (penetrating),
+// on the maximum face or on a compare point: d10!>8, d6!!=5, d4!p<2
+explodeModifier
+    :   op=('!'|'!!'|'!p'|'!P') (cop=('>'|'<'|'=') ct=term)?
     ;
 
 dieFacetsTerm: term | '%';
 
 genericRollSuffix
     :   op=('k'|'K'|'kl'|'KL'|'adv'|'dis') (n=term)?    # RollAndKeepSuffix
+    // Drop the lowest or highest dice (4d6dl, 4d6dh1), or both ends to keep the middle (5d6dl1dh1)
+    |   op=('dl'|'DL'|'dh'|'DH') (n=term)?
+        (op2=('dl'|'DL'|'dh'|'DH') (n2=term)?)?         # RollAndDropSuffix
     |   sop=('s'|'S') sn=term (fop=('f'|'F') fn=term)?  # SuccessOrFailSuffix1
     |   fop=('f'|'F') fn=term sop=('s'|'S') sn=term     # SuccessOrFailSuffix2
     |   targetNumberAndRaiseStep                        # TargetNumberAndRaiseStepSuffix
+    // Rerolls: 'ro' rerolls once (ro1, ro<2), 'r' until the compare point is missed (r=1, r<2).
+    // A bare 'r' followed by a number stays the raise step
+    |   rop=('ro'|'RO') (cop=('>'|'<'|'='))? rt=term    # RerollSuffix
+    |   rop=('r'|'R') cop=('>'|'<'|'=') rt=term         # RerollSuffix
     ;
 
 savageWorldsRoll
@@ -106,9 +130,14 @@ term
     :   i=INT                                       # IntTerm
     |   v=VAR                                       # VarTerm
     |   '(' (comment=STRING)? e=expression ')'      # ExprTerm
+    |   fn=FUNCTION expression (',' expression)* ')'  # FunctionTerm
     ;
 
 INT: [0-9]+;
+// Built-in functions, evaluated by the function registry of the evaluator.
+// The name is only a function when an opening parenthesis follows it (max(2d6, 2d6)),
+// so the words are not reserved elsewhere
+FUNCTION: ('min'|'max'|'abs'|'floor'|'ceil'|'round') [ \t]* '(';
 STRING: '"' StringChar* '"';
 WS: [ \t\n\r] -> skip;
 FLAG: '--'[a-zA-Z]+;
@@ -0,0 +1,117 @@
+/**
+ * Append-only audit log for rolls
+ * Every audited roll is written as one JSON line, chained to the previous entry
+ * by a SHA-256 hash so that edited or removed entries can be detected
+ */
+
+import { appendFileSync, existsSync, mkdirSync, readFileSync } from 'fs';
+import { dirname } from 'path';
+import { createHash } from 'crypto';
+
+const GENESIS_HASH = '0'.repeat(64);
+const ROLL_ID_LENGTH = 10;
+
+/**
+ * Hash an entry body chained to the previous entry hash
+ * Internal helper - not exported, used by RollAuditLog
+ * @param {string} prevHash - Hash of the previous entry
+ * @param {object} body - Entry without its id and hash
+ * @returns {string} - Hex SHA-256 digest
+ */
+function hashEntry(prevHash, body) {
+  return createHash('sha256').update(prevHash).update(JSON.stringify(body)).digest('hex');
+}
+
+/**
+ * Split an entry into its hashed body (everything but id and hash)
+ * Internal helper - not exported, used by RollAuditLog
+ * @param {object} entry - Stored entry
+ * @returns {object} - Entry body
+ */
+function entryBody(entry) {
+  const { id, hash, ...body } = entry;
+  return body;
+}
+
+/**
+ * Roll audit log backed by a JSONL file
+ */
+export class RollAuditLog {
+  /**
+   * @param {string} filePath - Path of the JSONL log file (created on first write)
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.lastHash = null; // Loaded lazily from the end of the file
+  }
+
+  /**
+   * Read all entries of the log, oldest first
+   * @returns {Array<object>} - Parsed entries
+   */
+  readEntries() {
+    if (!existsSync(this.filePath)) return [];
+    return readFileSync(this.filePath, 'utf8')
+      .split('\n')
+      .filter(line => line.trim().length > 0)
+      .map(line => JSON.parse(line));
+  }
+
+  /**
+   * Record a roll and return the stored entry (including its roll ID)
+   * @param {object} record - Roll details
+   * @param {string} record.kind - Roll kind ('roll', 'wild', 'damage', 'initiative', 'round')
+   * @param {string} record.expression - Expression or description of the roll
+   * @param {object} record.replay - Everything needed to re-derive the roll (seed, RNG state, options)
+   * @param {object} record.user - {id, tag} of the user who rolled
+   * @param {string|null} record.guildId - Guild the roll was made in
+   * @param {string|null} record.channelId - Channel the roll was made in
+   * @param {*} record.result - Full result tree of the roll
+   * @returns {object} - Stored entry
+   */
+  record({ kind, expression, replay, user, guildId = null, channelId = null, result }) {
+    if (this.lastHash === null) {
+      const entries = this.readEntries();
+      this.lastHash = entries.length > 0 ? entries[entries.length - 1].hash : GENESIS_HASH;
+    }
+
+    const body = {
+      timestamp: new Date().toISOString(),
+      kind,
+      expression,
+      replay,
+      user,
+      guildId,
+      channelId,
+      result: JSON.parse(JSON.stringify(result)),
+      prevHash: this.lastHash
+    };
+    const hash = hashEntry(this.lastHash, body);
+    const entry = { id: hash.slice(0, ROLL_ID_LENGTH), ...body, hash };
+
+    mkdirSync(dirname(this.filePath), { recursive: true });
+    appendFileSync(this.filePath, JSON.stringify(entry) + '\n');
+    this.lastHash = hash;
+
+    return entry;
+  }
+
+  /**
+   * Find an entry by roll ID and check its integrity
+   * @param {string} rollId - Roll ID shown to the players
+   * @returns {object|null} - {entry, intact} or null when the ID is unknown
+   */
+  find(rollId) {
+    const entries = this.readEntries();
+    const index = entries.findIndex(entry => entry.id === rollId);
+    if (index === -1) return null;
+
+    const entry = entries[index];
+    const expectedPrev = index > 0 ? entries[index - 1].hash : GENESIS_HASH;
+    const intact = entry.prevHash === expectedPrev &&
+      entry.id === entry.hash.slice(0, ROLL_ID_LENGTH) &&
+      hashEntry(entry.prevHash, entryBody(entry)) === entry.hash;
+
+    return { entry, intact };
+  }
+}
@@ -2,28 +2,65 @@
  * Discord commands for dice rolling functionality
  */
 
-import { MessageFlags } from 'discord.js';
+import { ActionRowBuilder, AttachmentBuilder, ButtonBuilder, ButtonStyle, MessageFlags, PermissionFlagsBits } from 'discord.js';
 import { rollWithWildDie, calculateRaises, createWildResultFromR2 } from '../dice/savageWorldsDice.js';
-import { evaluateExpression } from '../r2Evaluator.js';
-import { InitiativeTracker } from '../dice/initiativeSystem.js';
+import { rollDamageAgainstToughness } from '../dice/savageWorldsDamage.js';
+import { evaluateExpression, SavageWildRollResult } from '../r2Evaluator.js';
+import { InitiativeTracker, EDGES, parseEdges } from '../dice/initiativeSystem.js';
+import { BennyTracker } from '../dice/bennySystem.js';
+import { SeededRandomSource, generateSeed } from '../dice/randomSource.js';
+import { normalizeVariableName } from '../variables/variableStore.js';
+import { DEFAULT_MAX_ACES } from '../dice/regularDice.js';
+import { renderCardImage } from '../discordUI/cardImages.js';
 import {
   createWildDieEmbed,
+  createDamageEmbed,
   createErrorEmbed,
   createCombinedRollEmbed,
-  createEmbedForResult
+  createEmbedForResult,
+  createRollVerificationEmbed,
+  createVariableListEmbed,
+  createBennyEmbed,
+  applyRollId
 } from '../discordUI/embedBuilder.js';
 
+// Roll audit log (set at startup, rolls are not audited while it is null)
+let rollAuditLog = null;
+
+// Variable store (set at startup, variables only live for one roll while it is null)
+let variableStore = null;
+
+// Game state store (set at startup, fights and Bennies only live in memory while it is null)
+let stateStore = null;
+
+// Most explosions of one die in /roll expressions (set at startup)
+let maxAces = DEFAULT_MAX_ACES;
+
+// Last /roll or /wild of each user, so a Benny can reroll it
+const lastRolls = new Map(); // guildId:userId -> {kind, expression, wild, total, criticalFailure}
+
 //**************************************************
 // Helper Functions
 //**************************************************
 
 /**
  * Normalize expression by reordering modifiers to parser-friendly format
- * Handles: s10+5r2t5 -> s10r2t5+5, 3d6!+5k2 -> 3d6!k2+5, 3xs8+2r3t5 -> 3xs8r3t5+2
+ * Handles: s10+5r2t5 -> s10r2t5+5, 3d6!+5k2 -> 3d6!k2+5, 4d6+1dl -> 4d6dl+1, 3xs8+2r3t5 -> 3xs8r3t5+2
  * @param {string} expression - Original dice expression
  * @returns {string} Normalized expression
  */
-function normalizeExpression(expression) {
+export function normalizeExpression(expression) {
+  // Expressions using variables (s@fighting+@mod) are already written in parser order
+  if (expression.includes('@')) {
+    return expression;
+  }
+
+  // So are comparisons, conditionals (2d6 >= 8 ? "hit" : "miss") and parentheses (2d6+max(d6, d6));
+  // a '<' or '>' right after an explosion (d10!>8) or a reroll (r<2, ro<2) is a compare point, not a comparison
+  if (/[?(]|[<>=]=|(?<![!pPrRoO])[<>]/.test(expression)) {
+    return expression;
+  }
+
   // Check for Nx prefix (multiple rolls)
   const repeatMatch = expression.match(/^(\d+[xX])(.*)/);
   let repeatPrefix = '';
@@ -56,26 +93,32 @@ function normalizeExpression(expression) {
   }
 
   // For generic rolls (d notation)
-  // Extract: base roll, explosion (!), keep (k/kl/adv/dis), target/raise, modifiers
-  const genericMatch = rollExpression.match(/^(\d*[dD]\d+%?)(!)?(.*)$/);
+  // Extract: base roll, explosion (!, !!, !p with an optional compare point), keep (k/kl/adv/dis), target/raise, modifiers
+  const genericMatch = rollExpression.match(/^(\d*[dD]\d+%?)((?:!!|![pP]|!)(?:[<>=]\d+)?)?(.*)$/);
   if (genericMatch) {
     const baseRoll = genericMatch[1]; // e.g., "3d6"
-    const explosion = genericMatch[2] || ''; // "!" or ""
+    const explosion = genericMatch[2] || ''; // e.g. "!", "!!" or "!p>5"
     const rest = genericMatch[3]; // everything after explosion
 
     // Extract modifier types (keep can have optional number: k, k2, kl, kl3, adv, dis)
     const keepMatch = rest.match(/([kK][lL]?|adv|dis)(\d*)/i);
+    // Drops can be combined to keep the middle dice: dl1dh1
+    const dropMatch = rest.match(/([dD][lLhH]\d*)([dD][lLhH]\d*)?/);
+    // Rerolls need 'ro' or a compare point (r<2), a bare r2 is the raise step
+    const rerollMatch = rest.match(/([rR][oO][<>=]?|[rR][<>=])(\d+)/);
     const targetMatch = rest.match(/[tT](\d+)/);
     const raiseMatch = rest.match(/[rR](\d+)/);
     const modifierMatch = rest.match(/([+-]\d+)/);
 
-    // Rebuild: repeat + base + explosion + keep + target + raise + modifier
+    // Rebuild: repeat + base + explosion + reroll + keep/drop + target + raise + modifier
     let normalized = repeatPrefix + baseRoll + explosion;
+    if (rerollMatch) normalized += rerollMatch[1].toLowerCase() + rerollMatch[2];
     if (keepMatch) {
       // Normalize keep operation (kl, kL, KL -> kl; k, K -> k)
       const keepOp = keepMatch[1].toLowerCase();
       normalized += keepOp + (keepMatch[2] || '');
     }
+    if (dropMatch) normalized += dropMatch[1].toLowerCase() + (dropMatch[2] || '').toLowerCase();
     if (targetMatch) normalized += 't' + targetMatch[1];
     if (raiseMatch) normalized += 'r' + raiseMatch[1];
     if (modifierMatch) normalized += modifierMatch[1];
@@ -104,28 +147,140 @@ function parseRollModifiers(expression) {
   };
 }
 
+// Short edge names for the initiative order
+const EDGE_ABBREVIATIONS = {
+  quick: 'Q',
+  levelHeaded: 'LH',
+  improvedLevelHeaded: 'ILH',
+  hesitant: 'Hes',
+  tactician: 'T',
+  masterTactician: 'MT'
+};
+
+/**
+ * Names of the edges a character has
+ * @param {Object} edges - Normalized edges
+ * @returns {Array<string>} Edge names
+ */
+function listEdgeNames(edges) {
+  return Object.keys(EDGES).filter(key => edges[key]).map(key => EDGES[key]);
+}
+
 /**
  * Format edge text (full description)
- * @param {Object} edges - Edges object
+ * @param {Object} edges - Normalized edges
  * @returns {string} Formatted edge text
  */
 function formatEdgeText(edges) {
-  if (edges.improved_level_headed) return ' (Improved Level Headed)';
-  if (edges.level_headed) return ' (Level Headed)';
-  if (edges.quick) return ' (Quick)';
-  return '';
+  const names = listEdgeNames(edges);
+  return names.length > 0 ? ` (${names.join(', ')})` : '';
 }
 
 /**
  * Format edge abbreviation
- * @param {Object} edges - Edges object
+ * @param {Object} edges - Normalized edges
  * @returns {string} Abbreviated edge text
  */
 function formatEdgeAbbrev(edges) {
-  if (edges.improvedLevelHeaded) return ' (ILH)';
-  if (edges.levelHeaded) return ' (LH)';
-  if (edges.quick) return ' (Q)';
-  return '';
+  const names = Object.keys(EDGE_ABBREVIATIONS).filter(key => edges[key]).map(key => EDGE_ABBREVIATIONS[key]);
+  return names.length > 0 ? ` (${names.join(', ')})` : '';
+}
+
+/**
+ * Parse the characters of /initiative deal, with optional players, per-character edges and groups of Extras
+ * e.g. "Grog @Alice [Quick, Level Headed], Valeria, Goblins x6" -> Grog played by Alice with Quick and Level Headed,
+ * Valeria, and one card for a group of 6 goblins. A bracketed name is a group too: "[Wolves] x3", "[Ogre]" (one member)
+ * @param {string} input - Comma-separated character names (Discord turns @Alice into <@id>)
+ * @returns {Array} Character names, or {name, edges, owner, group} for characters with edges, a player or a group size
+ */
+function parseCharacterList(input) {
+  // Commas inside brackets separate edges, not characters
+  const parts = input.match(/(?:\[[^\]]*\]|[^,[])+/g) ?? [];
+
+  return parts.map(part => {
+    const mention = part.match(/<@!?(\d+)>/);
+    const match = part.replace(/<@!?\d+>/, '')
+      .match(/^\s*(?:\[([^\]]*)\]\s*(?:x(\d+))?|([^[\]]+?))\s*(?:\[([^\]]*)\])?\s*$/i);
+    if (!match) {
+      throw new Error(`Invalid character "${part.trim()}". Use names like \`Grog [Quick], Valeria, Goblins x6\``);
+    }
+
+    let name = (match[1] ?? match[3]).trim();
+    let size = match[2];
+    const countMatch = name.match(/^(.+?)\s+x(\d+)$/i);
+    if (countMatch && size === undefined) {
+      name = countMatch[1];
+      size = countMatch[2];
+    }
+
+    let group = null;
+    if (size !== undefined) {
+      group = parseInt(size, 10);
+    } else if (match[1] !== undefined) {
+      group = 1;
+    }
+
+    if (!mention && match[4] === undefined && group === null) {
+      return name;
+    }
+    return {
+      name,
+      edges: match[4] !== undefined ? parseEdges(match[4]) : null,
+      owner: mention ? mention[1] : null,
+      group
+    };
+  }).filter(character => (typeof character === 'string' ? character : character.name) !== '');
+}
+
+/**
+ * Audit replay data of dealt characters, so replays deal the same groups
+ * @param {Array} results - Results from InitiativeTracker.dealCards()
+ * @returns {Array} [{name, edges, members}] (members only for groups)
+ */
+function describeDealtCharacters(results) {
+  return results.map(r => ({ name: r.name, edges: r.edges, ...(r.members ? { members: r.members } : {}) }));
+}
+
+//**************************************************
+// Roll Audit
+//**************************************************
+
+/**
+ * Set the audit log used to record rolls
+ * @param {RollAuditLog|null} auditLog - Audit log instance (null disables auditing)
+ */
+export function setRollAuditLog(auditLog) {
+  rollAuditLog = auditLog;
+}
+
+/**
+ * Record a roll in the audit log
+ * @param {Object} interaction - Discord interaction that triggered the roll
+ * @param {string} kind - Roll kind ('roll', 'wild', 'damage', 'initiative', 'round')
+ * @param {string} expression - Expression or description of the roll
+ * @param {Object} replay - Everything needed to re-derive the roll
+ * @param {*} result - Full result tree of the roll
+ * @returns {string|null} Roll ID, or null when auditing is disabled
+ */
+function auditRoll(interaction, kind, expression, replay, result) {
+  if (!rollAuditLog) return null;
+
+  try {
+    const entry = rollAuditLog.record({
+      kind,
+      expression,
+      replay,
+      user: { id: interaction.user.id, tag: interaction.user.tag },
+      guildId: interaction.guildId,
+      channelId: interaction.channelId,
+      result
+    });
+    return entry.id;
+  } catch (error) {
+    // A failing log must never block the roll itself
+    console.error('Error writing roll audit log:', error.message);
+    return null;
+  }
 }
 
 //**************************************************
@@ -177,14 +332,16 @@ function evaluateSavageExpression(expression, result) {
 
 /**
  * Evaluate a single roll expression and return structured result
+ * @param {string} expression - Dice expression
+ * @param {Object} options - Evaluation options passed to evaluateExpression (rng, variables, onAssign)
  */
-function evaluateRoll(expression) {
+function evaluateRoll(expression, options) {
   try {
     // Normalize expression to parser-friendly order
     const normalized = normalizeExpression(expression);
 
     // Use ANTLR4 parser for all expressions
-    const result = evaluateExpression(normalized);
+    const result = evaluateExpression(normalized, options);
 
     // Savage Worlds roll result (use normalized for parsing, original for display)
     const swResult = evaluateSavageExpression(normalized, result);
@@ -224,34 +381,152 @@ async function sendInteractionResponse(interaction, embed, isFirst) {
 }
 
 /**
- * Process roll groups - unified handler for single and multiple rolls
+ * Split a /roll input into roll groups and detect the split flag
+ * @param {string} expression - Raw /roll input (e.g., "3d6 / 4d8 /split")
+ * @returns {Object} {groups, splitMode}
  */
-async function rollExpressionRouter(interaction, groups, splitMode) {
+function splitRollGroups(expression) {
+  // Check for split flags at the end: /split, /s, / s, / split
+  const splitPattern = /\/\s*(split|s)\s*$/i;
+  const splitMode = splitPattern.test(expression);
+  const cleanExpression = expression.replace(splitPattern, '').trim();
+
+  // Split expression into groups by "/" separator (a "/" inside parentheses divides: floor(@str/2))
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (const char of cleanExpression) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    if (char === '/' && depth <= 0) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+  const groups = parts.map(group => group.trim()).filter(group => group.length > 0);
 
-  // Evaluate all groups in parallel (works for 1 or many)
-  const results = await Promise.all(
-    groups.map(group => evaluateRoll(group))
-  );
+  return { groups, splitMode };
+}
+
+/**
+ * Evaluate all roll groups in order with a shared random source and variables
+ * @param {Array<string>} groups - Roll group expressions
+ * @param {Object} options - Evaluation options passed to evaluateExpression (rng, variables, onAssign)
+ * @returns {Array<Object>} Roll results
+ */
+function evaluateRollGroups(groups, options) {
+  return groups.map(group => evaluateRoll(group, options));
+}
 
+/**
+ * Build the embeds for evaluated roll groups
+ * @param {Array<Object>} results - Roll results
+ * @param {boolean} combine - Combine several groups into one embed
+ * @returns {Array<EmbedBuilder>}
+ */
+function createRollGroupEmbeds(results, combine) {
   // Single result - use specific embed type
   if (results.length === 1) {
-    const embed = createEmbedForResult(results[0]);
-    await interaction.reply({ embeds: [embed] });
+    return [createEmbedForResult(results[0])];
+  }
 
   // Multiple results - use combined embed with total
-  } else if (!splitMode) {
+  if (combine) {
     const overallTotal = results.reduce((sum, result) => sum + result.total, 0);
-    const embed = createCombinedRollEmbed(results, overallTotal);
-    await interaction.reply({ embeds: [embed] });
+    return [createCombinedRollEmbed(results, overallTotal)];
+  }
+
+  // Separate embed for each result
+  return results.map(result => createEmbedForResult(result));
+}
+
+/**
+ * Remember the last roll of a user (for Benny rerolls)
+ * @param {Object} interaction - Discord interaction that triggered the roll
+ * @param {Object} lastRoll - {kind, expression, wild, total, criticalFailure}
+ */
+function rememberLastRoll(interaction, lastRoll) {
+  lastRolls.set(`${interaction.guildId}:${interaction.user.id}`, lastRoll);
+}
+
+/**
+ * Set the most explosions of one die in /roll expressions, /wild and /damage rolls
+ * @param {number} cap - Ace cap (1 to 1000)
+ */
+export function setMaxAces(cap) {
+  if (!Number.isInteger(cap) || cap < 1 || cap > 1000) {
+    throw new Error(`The ace cap must be a whole number from 1 to 1000, got ${cap}`);
+  }
+  maxAces = cap;
+}
+
+/**
+ * Evaluate, audit and remember a /roll expression
+ * @param {Object} interaction - Discord interaction
+ * @param {string} expression - Raw /roll input
+ * @param {Object} options - {remember, assign}: remember false keeps the user's last roll for Benny rerolls,
+ *   assign false rolls assignments (@hp := 2d6+10) without storing them (both default true)
+ * @returns {Object} {results, embeds, total}
+ */
+function performRoll(interaction, expression, { remember = true, assign = true } = {}) {
+  const { groups, splitMode } = splitRollGroups(expression);
+
+  // Every /roll gets its own seed so it can be replayed from the audit log
+  const seed = generateSeed();
+  const context = getVariableContext(interaction);
+  const variables = variableStore ? variableStore.resolve(context) : new Map();
+  const replay = { seed, variables: Object.fromEntries(variables), maxAces };
+
+  // Assignments (@hp := 2d6+10) are stored once every group has been evaluated
+  const assignments = new Map();
+  const results = evaluateRollGroups(groups, {
+    rng: new SeededRandomSource(seed),
+    maxAces,
+    variables,
+    onAssign: (name, value) => assignments.set(name, value)
+  });
+  if (variableStore && assign) {
+    assignments.forEach((value, name) => variableStore.assign(context, name, value));
+  }
+
+  const rollId = auditRoll(interaction, 'roll', expression, replay, results);
+
+  const embeds = createRollGroupEmbeds(results, !splitMode)
+    .map(embed => applyRollId(embed, rollId));
+
+  const total = results.reduce((sum, result) => sum + result.total, 0);
+  if (remember) {
+    rememberLastRoll(interaction, {
+      kind: 'roll',
+      expression,
+      total,
+      criticalFailure: results.some(result => result.result?.criticalFailure === true)
+    });
+  }
+
+  return { results, embeds, total };
+}
+
+/**
+ * Process roll groups - unified handler for single and multiple rolls
+ */
+async function rollExpressionRouter(interaction, expression) {
+  const { embeds } = performRoll(interaction, expression);
+
+  // Single or combined message
+  if (embeds.length === 1) {
+    await interaction.reply({ embeds });
 
   // Send separate messages for each result
   } else {
-    for (let i = 0; i < results.length; i++) {
-      const embed = createEmbedForResult(results[i]);
-      await sendInteractionResponse(interaction, embed, i === 0);
+    for (let i = 0; i < embeds.length; i++) {
+      await sendInteractionResponse(interaction, embeds[i], i === 0);
 
       // Add small delay between messages to ensure ordering
-      if (i < results.length - 1) {
+      if (i < embeds.length - 1) {
         await new Promise(resolve => setTimeout(resolve, 100));
       }
     }
@@ -263,18 +538,20 @@ async function rollExpressionRouter(interaction, groups, splitMode) {
  */
 export async function cmd_roll(interaction) {
   const expression = interaction.options.getString('dice');
+  const verifyId = interaction.options.getString('verify');
 
   try {
-    // Check for split flags at the end: /split, /s, / s, / split
-    const splitPattern = /\/\s*(split|s)\s*$/i;
-    const hasSplitFlag = splitPattern.test(expression);
-    const cleanExpression = expression.replace(splitPattern, '').trim();
+    if (verifyId) {
+      await verifyAuditedRoll(interaction, verifyId.trim());
+      return;
+    }
 
-    // Split expression into groups by "/" separator
-    const groups = cleanExpression.split('/').map(group => group.trim()).filter(group => group.length > 0);
+    if (!expression) {
+      throw new Error('Please provide a dice expression (e.g., `/roll dice:2d6+3`)');
+    }
 
     // Process all groups with unified handler
-    await rollExpressionRouter(interaction, groups, hasSplitFlag);
+    await rollExpressionRouter(interaction, expression);
 
   } catch (error) {
     const embed = createErrorEmbed(error.message);
@@ -282,22 +559,63 @@ export async function cmd_roll(interaction) {
   }
 }
 
+/**
+ * Roll the /wild command dice and calculate raises
+ * @param {number} traitDie - Trait die size
+ * @param {number} modifier - Modifier to add
+ * @param {number} targetNumber - Target number
+ * @param {number} raiseInterval - Points needed per raise
+ * @param {Object} rng - Random source for the roll
+ * @param {number} aceCap - Most explosions of one die
+ * @returns {SavageWildRollResult} Wild die result with raises
+ */
+function rollWildCommand(traitDie, modifier, targetNumber, raiseInterval, rng, aceCap) {
+  const roll = rollWithWildDie(traitDie, modifier, 6, rng, aceCap);
+  const raises = calculateRaises(roll.total, targetNumber, raiseInterval, roll.criticalFailure);
+  return new SavageWildRollResult(
+    roll.total, roll.traitRoll, roll.wildRoll, roll.usedDie, modifier, targetNumber, raiseInterval, raises, roll.criticalFailure
+  );
+}
+
+/**
+ * Roll, audit and remember a /wild roll
+ * @param {Object} interaction - Discord interaction
+ * @param {Object} wild - {traitDie, modifier, targetNumber, raiseInterval}
+ * @returns {Object} {result, embed, total}
+ */
+function performWildRoll(interaction, wild) {
+  const { traitDie, modifier, targetNumber, raiseInterval } = wild;
+  const seed = generateSeed();
+  const result = rollWildCommand(traitDie, modifier, targetNumber, raiseInterval, new SeededRandomSource(seed), maxAces);
+
+  const expression = `d${traitDie}${modifier !== 0 ? (modifier > 0 ? '+' : '') + modifier : ''}`;
+  const rollId = auditRoll(interaction, 'wild', expression, { seed, ...wild, maxAces }, result);
+  const embed = applyRollId(createWildDieEmbed(expression, result, targetNumber, raiseInterval), rollId);
+
+  rememberLastRoll(interaction, {
+    kind: 'wild',
+    expression,
+    wild,
+    total: result.value,
+    criticalFailure: result.criticalFailure
+  });
+
+  return { result, embed, total: result.value };
+}
+
 /**
  * Wild dice roll (Savage Worlds) - explicit wild die command
  */
 export async function cmd_wild(interaction) {
-  const traitDie = interaction.options.getInteger('trait');
-  const modifier = interaction.options.getInteger('modifier') || 0;
-  const targetNumber = interaction.options.getInteger('target') || 4;
-  const raiseInterval = interaction.options.getInteger('raise') || 4;
+  const wild = {
+    traitDie: interaction.options.getInteger('trait'),
+    modifier: interaction.options.getInteger('modifier') || 0,
+    targetNumber: interaction.options.getInteger('target') || 4,
+    raiseInterval: interaction.options.getInteger('raise') || 4
+  };
 
   try {
-    const result = rollWithWildDie(traitDie, modifier);
-    result.raises = calculateRaises(result.total, targetNumber, raiseInterval);
-
-    const expression = `d${traitDie}${modifier !== 0 ? (modifier > 0 ? '+' : '') + modifier : ''}`;
-    const embed = createWildDieEmbed(expression, result, targetNumber, raiseInterval);
-
+    const { embed } = performWildRoll(interaction, wild);
     await interaction.reply({ embeds: [embed] });
   } catch (error) {
     const embed = createErrorEmbed(error.message);
@@ -305,98 +623,161 @@ export async function cmd_wild(interaction) {
   }
 }
 
-//**************************************************
-// Fight / Initiative
-//**************************************************
+/**
+ * Damage roll against Toughness (Savage Worlds) - every damage die aces
+ */
+export async function cmd_damage(interaction) {
+  const expression = interaction.options.getString('dice');
+  const target = {
+    toughness: interaction.options.getInteger('toughness'),
+    armor: interaction.options.getInteger('armor') || 0,
+    ap: interaction.options.getInteger('ap') || 0,
+    heavyWeapon: interaction.options.getBoolean('heavy_weapon') || false,
+    heavyArmor: interaction.options.getBoolean('heavy_armor') || false
+  };
 
-// Game state managers
-const initiativeTrackers = new Map(); // guildId -> InitiativeTracker
+  try {
+    const seed = generateSeed();
+    const result = rollDamageAgainstToughness(expression, target, new SeededRandomSource(seed), maxAces);
 
-// Helper to get or create initiative tracker
-function getInitiativeTracker(guildId) {
-  if (!initiativeTrackers.has(guildId)) {
-    initiativeTrackers.set(guildId, new InitiativeTracker());
+    const rollId = auditRoll(interaction, 'damage', expression, { seed, target, maxAces }, result);
+    const embed = applyRollId(createDamageEmbed(expression, result), rollId);
+
+    await interaction.reply({ embeds: [embed] });
+  } catch (error) {
+    const embed = createErrorEmbed(error.message);
+    await interaction.reply({ embeds: [embed], flags: [MessageFlags.Ephemeral] });
   }
-  return initiativeTrackers.get(guildId);
 }
 
-
 /**
- * Start fight command
+ * Replay an audited roll from its logged seed / RNG state
+ * @param {Object} entry - Audit log entry
+ * @returns {Object} {result, embeds} re-derived result and its embeds
  */
-export async function cmd_fight_start(interaction) {
-  const tracker = getInitiativeTracker(interaction.guildId);
-
-  if (tracker.isFightActive()) {
-    await interaction.reply({
-      content: '⚔️ Fight already in progress! Use `/fight end` to end it first.',
-      flags: [MessageFlags.Ephemeral]
+function replayAuditedRoll(entry) {
+  const { replay } = entry;
+
+  if (entry.kind === 'roll') {
+    const { groups } = splitRollGroups(entry.expression);
+    const results = evaluateRollGroups(groups, {
+      rng: new SeededRandomSource(replay.seed),
+      variables: new Map(Object.entries(replay.variables ?? {})),
+      maxAces: replay.maxAces ?? DEFAULT_MAX_ACES
     });
-    return;
+    return { result: results, embeds: createRollGroupEmbeds(results, true) };
   }
 
-  tracker.start();
-  await interaction.reply('⚔️ **Fight started!** Use `/initiative deal` to deal cards.');
-}
+  if (entry.kind === 'wild') {
+    const result = rollWildCommand(
+      replay.traitDie, replay.modifier, replay.targetNumber, replay.raiseInterval, new SeededRandomSource(replay.seed),
+      replay.maxAces ?? DEFAULT_MAX_ACES
+    );
+    return {
+      result,
+      embeds: [createWildDieEmbed(entry.expression, result, replay.targetNumber, replay.raiseInterval)]
+    };
+  }
 
-/**
- * End fight command
- */
-export async function cmd_fight_end(interaction) {
-  const tracker = getInitiativeTracker(interaction.guildId);
+  if (entry.kind === 'damage') {
+    const result = rollDamageAgainstToughness(
+      entry.expression, replay.target, new SeededRandomSource(replay.seed), replay.maxAces ?? DEFAULT_MAX_ACES
+    );
+    return { result, embeds: [createDamageEmbed(entry.expression, result)] };
+  }
 
-  if (!tracker.isFightActive()) {
-    await interaction.reply({
-      content: '❌ No active fight.',
-      flags: [MessageFlags.Ephemeral]
-    });
-    return;
+  if (entry.kind === 'initiative') {
+    if (!replay.dealState.rng) {
+      throw new Error('This deal was not made with a seeded deck and cannot be replayed.');
+    }
+    const tracker = new InitiativeTracker();
+    tracker.start();
+    tracker.restoreDealState(replay.dealState, SeededRandomSource.fromState(replay.dealState.rng));
+    // Older entries logged characterNames with one edges object for everyone
+    const results = replay.characters
+      ? tracker.dealCards(replay.characters)
+      : tracker.dealCards(replay.characterNames, replay.edges);
+    return { result: results, embeds: [createInitiativeDealEmbed(results)] };
   }
 
-  tracker.end();
-  await interaction.reply('✅ **Fight ended.**');
+  if (entry.kind === 'round') {
+    if (!replay.dealState.rng) {
+      throw new Error('This round was not dealt with a seeded deck and cannot be replayed.');
+    }
+    const tracker = new InitiativeTracker();
+    tracker.start();
+    tracker.restoreDealState(replay.dealState, SeededRandomSource.fromState(replay.dealState.rng));
+    tracker.restoreRoster(replay.roster);
+    tracker.round = replay.round - 1;
+    const roundResult = tracker.newRound();
+    return {
+      result: roundResult.results,
+      embeds: [createInitiativeRoundEmbed('', roundResult, tracker.getInitiativeOrder())]
+    };
+  }
+
+  throw new Error(`Unknown roll kind: ${entry.kind}`);
 }
 
 /**
- * Deal initiative cards
+ * Verify an audited roll - re-derive it and compare with the logged result
+ * @param {Object} interaction - Discord interaction
+ * @param {string} rollId - Roll ID to verify
  */
-export async function cmd_initiative_deal(interaction) {
-  const tracker = getInitiativeTracker(interaction.guildId);
-  const charactersInput = interaction.options.getString('characters');
-  const quick = interaction.options.getBoolean('quick') || false;
-  const levelHeaded = interaction.options.getBoolean('level_headed') || false;
-  const improvedLevelHeaded = interaction.options.getBoolean('improved_level_headed') || false;
+async function verifyAuditedRoll(interaction, rollId) {
+  const found = rollAuditLog ? rollAuditLog.find(rollId) : null;
 
-  try {
-    if (!tracker.isFightActive()) {
-      await interaction.reply({
-        content: '❌ No active fight. Use `/fight start` first.',
-        flags: [MessageFlags.Ephemeral]
-      });
-      return;
-    }
+  // Rolls can only be verified from the server they were made in
+  if (!found || found.entry.guildId !== interaction.guildId) {
+    throw new Error(`No roll found with ID \`${rollId}\``);
+  }
 
-    const characterNames = charactersInput.split(',').map(name => name.trim());
-    const edges = { quick, level_headed: levelHeaded, improved_level_headed: improvedLevelHeaded };
+  const { entry, intact } = found;
+  const { result, embeds } = replayAuditedRoll(entry);
+  const matches = JSON.stringify(result) === JSON.stringify(entry.result);
 
-    const results = tracker.dealCards(characterNames, edges);
+  await interaction.reply({ embeds: [createRollVerificationEmbed(entry, intact, matches), ...embeds] });
+}
 
-    const embed = {
-      color: 0x0099ff,
-      title: '🎴 Initiative Cards Dealt',
-      description: results.map(r => {
-        const edgeText = formatEdgeText(r.edges);
-        let cardText = `**${r.name}${edgeText}:** ${r.card.display}`;
+//**************************************************
+// Variables
+//**************************************************
 
-        if (r.droppedCards.length > 0) {
-          cardText += `\n  ↳ _Dropped: ${r.droppedCards.map(c => c.display).join(', ')}_`;
-        }
+/**
+ * Set the store used to persist roll variables
+ * @param {VariableStore|null} store - Variable store instance (null keeps variables for a single roll)
+ */
+export function setVariableStore(store) {
+  variableStore = store;
+}
 
-        return cardText;
-      }).join('\n\n')
-    };
+/**
+ * Variable context (who and where) of an interaction
+ * @param {Object} interaction - Discord interaction
+ * @returns {Object} {guildId, channelId, userId}
+ */
+function getVariableContext(interaction) {
+  return { guildId: interaction.guildId, channelId: interaction.channelId, userId: interaction.user.id };
+}
 
-    await interaction.reply({ embeds: [embed] });
+// Helper to get the variable store or fail with a user-facing message
+function requireVariableStore() {
+  if (!variableStore) {
+    throw new Error('Variables are not available on this bot.');
+  }
+  return variableStore;
+}
+
+/**
+ * List the caller's variables
+ */
+export async function cmd_var_list(interaction) {
+  try {
+    const store = requireVariableStore();
+    const context = getVariableContext(interaction);
+    const embed = createVariableListEmbed(store.list(context), store.getActiveCampaign(context));
+
+    await interaction.reply({ embeds: [embed], flags: [MessageFlags.Ephemeral] });
   } catch (error) {
     const embed = createErrorEmbed(error.message);
     await interaction.reply({ embeds: [embed], flags: [MessageFlags.Ephemeral] });
@@ -404,74 +785,994 @@ export async function cmd_initiative_deal(interaction) {
 }
 
 /**
- * Show initiative order
+ * Set a variable - the value can be a number or any expression (e.g. 2d6+10, @fighting+2)
  */
-export async function cmd_initiative_show(interaction) {
-  const tracker = getInitiativeTracker(interaction.guildId);
+export async function cmd_var_set(interaction) {
+  const name = interaction.options.getString('name');
+  const valueExpression = interaction.options.getString('value');
+  const scope = interaction.options.getString('scope') || 'user';
+  const campaign = interaction.options.getString('campaign');
 
-  if (!tracker.isFightActive()) {
+  try {
+    const store = requireVariableStore();
+    const context = getVariableContext(interaction);
+    const bareName = normalizeVariableName(name);
+    const { value } = evaluateExpression(valueExpression, { variables: store.resolve(context) });
+
+    store.set(context, bareName, value, scope, campaign);
     await interaction.reply({
-      content: '❌ No active fight.',
+      content: `✅ \`@${bareName}\` = **${value}** (${scope})`,
       flags: [MessageFlags.Ephemeral]
     });
-    return;
+  } catch (error) {
+    const embed = createErrorEmbed(error.message);
+    await interaction.reply({ embeds: [embed], flags: [MessageFlags.Ephemeral] });
   }
+}
 
-  const order = tracker.getInitiativeOrder();
+/**
+ * Delete a variable
+ */
+export async function cmd_var_delete(interaction) {
+  const name = interaction.options.getString('name');
+  const scope = interaction.options.getString('scope') || 'user';
+  const campaign = interaction.options.getString('campaign');
 
-  if (order.length === 0) {
-    await interaction.reply({
-      content: '📋 No cards dealt yet. Use `/initiative deal` first.',
-      flags: [MessageFlags.Ephemeral]
-    });
-    return;
+  try {
+    const store = requireVariableStore();
+    const bareName = normalizeVariableName(name);
+
+    if (!store.delete(getVariableContext(interaction), bareName, scope, campaign)) {
+      throw new Error(`No variable \`@${bareName}\` in the ${scope} scope`);
+    }
+    await interaction.reply({ content: `🗑️ Deleted \`@${bareName}\` (${scope})`, flags: [MessageFlags.Ephemeral] });
+  } catch (error) {
+    const embed = createErrorEmbed(error.message);
+    await interaction.reply({ embeds: [embed], flags: [MessageFlags.Ephemeral] });
   }
+}
 
-  const embed = {
-    color: 0x00ff00,
-    title: `⚔️ Initiative Order - Round ${tracker.getCurrentRound()}`,
-    description: order.map((char, index) => {
-      const edgeText = formatEdgeAbbrev(char.edges);
-      return `**${index + 1}.** ${char.name}${edgeText} - ${char.card.display}`;
-    }).join('\n')
-  };
+/**
+ * Select the campaign whose variables are used in rolls (no campaign leaves it)
+ */
+export async function cmd_var_use(interaction) {
+  const campaign = interaction.options.getString('campaign');
+
+  try {
+    const store = requireVariableStore();
+    const active = store.setActiveCampaign(getVariableContext(interaction), campaign);
+    const content = active
+      ? `📜 Now using campaign **${active}** variables`
+      : '📜 No campaign selected - only server and channel variables are used';
+
+    await interaction.reply({ content, flags: [MessageFlags.Ephemeral] });
+  } catch (error) {
+    const embed = createErrorEmbed(error.message);
+    await interaction.reply({ embeds: [embed], flags: [MessageFlags.Ephemeral] });
+  }
+}
+
+//**************************************************
+// Game State
+//**************************************************
+
+// Game state managers (cached from the state store)
+const bennyTrackers = new Map(); // guildId -> BennyTracker
+const initiativeTrackers = new Map(); // fight key -> InitiativeTracker
 
-  await interaction.reply({ embeds: [embed] });
+/**
+ * Set the store used to persist game state (initiative trackers, Bennies)
+ * @param {Object|null} store - State store such as FileStateStore (null keeps game state in memory only)
+ */
+export function setStateStore(store) {
+  stateStore = store;
+  bennyTrackers.clear();
+  initiativeTrackers.clear();
 }
 
 /**
- * Start new round
+ * Load a tracker from the state store
+ * @param {string} key - State key
+ * @param {Function} restore - Builds the tracker from its saved state
+ * @param {Function} create - Builds a new tracker when nothing is saved
+ * @returns {Object} Tracker
  */
-export async function cmd_initiative_round(interaction) {
-  const tracker = getInitiativeTracker(interaction.guildId);
+function loadTracker(key, restore, create) {
+  const saved = stateStore ? stateStore.get(key) : null;
+  return saved ? restore(saved) : create();
+}
 
-  if (!tracker.isFightActive()) {
-    await interaction.reply({
-      content: '❌ No active fight.',
-      flags: [MessageFlags.Ephemeral]
-    });
-    return;
+/**
+ * Save a tracker after it changed
+ * @param {string} key - State key
+ * @param {Object} tracker - Tracker with a toJSON() method
+ */
+function saveTracker(key, tracker) {
+  if (stateStore) {
+    stateStore.set(key, tracker.toJSON());
   }
+}
 
-  tracker.newRound();
-  await interaction.reply(`🔄 **Round ${tracker.getCurrentRound()} started!**`);
+//**************************************************
+// Bennies
+//**************************************************
+
+// Helper to get or create benny tracker
+function getBennyTracker(guildId) {
+  if (!bennyTrackers.has(guildId)) {
+    bennyTrackers.set(guildId, loadTracker(`bennies:${guildId}`, BennyTracker.fromJSON, () => new BennyTracker()));
+  }
+  return bennyTrackers.get(guildId);
 }
 
 /**
- * Help command for dice rolling
+ * Check that the user runs the game (Manage Server permission) before a GM-only action
+ * Internal helper - not exported, used by the Benny commands and the turn commands
+ * @param {Object} interaction - Discord interaction
+ * @param {string} action - What the user tried to do (e.g. 'give Bennies')
  */
-export async function cmd_roll_help(interaction) {
-  const embed = {
-    color: 0x0099ff,
-    title: '🎲 Dice Rolling Guide',
-    description: 'Complete guide to rolling dice with this bot',
-    fields: [
-      {
+function requireGm(interaction, action) {
+  if (!interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) {
+    throw new Error(`Only the GM (Manage Server permission) can ${action}.`);
+  }
+}
+
+/**
+ * Give Bennies to a player or to the GM pool (GM only)
+ */
+export async function cmd_benny_give(interaction) {
+  const player = interaction.options.getUser('player');
+  const toGm = interaction.options.getBoolean('gm') || false;
+  const amount = interaction.options.getInteger('amount') || 1;
+
+  try {
+    requireGm(interaction, 'give Bennies');
+    if (!player && !toGm) {
+      throw new Error('Pick a `player` or set `gm:true` to give to the GM pool');
+    }
+
+    const tracker = getBennyTracker(interaction.guildId);
+    const count = tracker.give(toGm ? null : player.id, amount);
+    saveTracker(`bennies:${interaction.guildId}`, tracker);
+    const recipient = toGm ? 'the GM' : `<@${player.id}>`;
+
+    await interaction.reply(`🟡 ${recipient} got ${amount} Benn${amount > 1 ? 'ies' : 'y'} (now **${count}**)`);
+  } catch (error) {
+    const embed = createErrorEmbed(error.message);
+    await interaction.reply({ embeds: [embed], flags: [MessageFlags.Ephemeral] });
+  }
+}
+
+/**
+ * Spend a Benny - optionally reroll the user's last /roll or /wild and keep the better total
+ * Spending from the GM pool is GM only
+ */
+export async function cmd_benny_spend(interaction) {
+  const fromGm = interaction.options.getBoolean('gm') || false;
+  const reroll = interaction.options.getBoolean('reroll') || false;
+
+  try {
+    if (fromGm) {
+      requireGm(interaction, 'spend from the GM pool');
+    }
+
+    const lastRoll = lastRolls.get(`${interaction.guildId}:${interaction.user.id}`);
+    if (reroll && !lastRoll) {
+      throw new Error('Nothing to reroll yet. Use `/roll` or `/wild` first.');
+    }
+    if (reroll && lastRoll.criticalFailure) {
+      throw new Error('A Critical Failure cannot be rerolled with a Benny.');
+    }
+
+    const tracker = getBennyTracker(interaction.guildId);
+    const remaining = tracker.spend(fromGm ? null : interaction.user.id);
+    saveTracker(`bennies:${interaction.guildId}`, tracker);
+    const spender = fromGm ? 'The GM' : `<@${interaction.user.id}>`;
+    const spentText = `🟡 ${spender} spent a Benny (**${remaining}** left)`;
+
+    if (!reroll) {
+      await interaction.reply(spentText);
+      return;
+    }
+
+    // The reroll replaces the last roll only if it is better.
+    // It never stores its assignments: rerolling @hp := 2d6+10 must not change the stored @hp
+    const rerolled = lastRoll.kind === 'wild'
+      ? performWildRoll(interaction, lastRoll.wild)
+      : performRoll(interaction, lastRoll.expression, { assign: false });
+    const embeds = rerolled.embeds ?? [rerolled.embed];
+    const improved = rerolled.total > lastRoll.total;
+    if (!improved) {
+      rememberLastRoll(interaction, lastRoll);
+    }
+
+    const keptText = improved
+      ? `keeping the reroll **${rerolled.total}** (was ${lastRoll.total})`
+      : `keeping the original **${lastRoll.total}** (rerolled ${rerolled.total})`;
+
+    await interaction.reply({ content: `${spentText} to reroll \`${lastRoll.expression}\`, ${keptText}`, embeds });
+  } catch (error) {
+    const embed = createErrorEmbed(error.message);
+    await interaction.reply({ embeds: [embed], flags: [MessageFlags.Ephemeral] });
+  }
+}
+
+/**
+ * Show the Benny pools
+ */
+export async function cmd_benny_show(interaction) {
+  const tracker = getBennyTracker(interaction.guildId);
+  await interaction.reply({ embeds: [createBennyEmbed(tracker.getPools())] });
+}
+
+/**
+ * New session - every player back to the starting Bennies, the GM gets one per player (GM only)
+ */
+export async function cmd_benny_reset(interaction) {
+  try {
+    requireGm(interaction, 'reset the Bennies');
+
+    const tracker = getBennyTracker(interaction.guildId);
+    tracker.reset();
+    saveTracker(`bennies:${interaction.guildId}`, tracker);
+    await interaction.reply({ content: '🔄 **Bennies reset** for a new session', embeds: [createBennyEmbed(tracker.getPools())] });
+  } catch (error) {
+    const embed = createErrorEmbed(error.message);
+    await interaction.reply({ embeds: [embed], flags: [MessageFlags.Ephemeral] });
+  }
+}
+
+//**************************************************
+// Fight / Initiative
+//**************************************************
+
+/**
+ * Named encounter of an interaction
+ * @param {Object} interaction - Discord interaction
+ * @returns {string|null} Encounter name, or null for the channel's own fight
+ */
+function getEncounterName(interaction) {
+  // Turn buttons carry the encounter in their custom ID (initiative:next:<encounter>)
+  const encounter = interaction.isButton?.()
+    ? interaction.customId.split(':').slice(2).join(':')
+    : interaction.options.getString('encounter');
+  return encounter?.trim() || null;
+}
+
+/**
+ * Key of the fight an interaction belongs to
+ * Each channel (or thread) has its own fight; a named encounter is shared by every channel of the server
+ * @param {Object} interaction - Discord interaction
+ * @returns {string} Fight key
+ */
+function getFightKey(interaction) {
+  const encounter = getEncounterName(interaction);
+  return encounter
+    ? `${interaction.guildId}:encounter:${encounter.toLowerCase()}`
+    : `${interaction.guildId}:${interaction.channelId}`;
+}
+
+/**
+ * Fight name for replies
+ * Internal helper - not exported, used by the fight and initiative commands
+ * @param {Object} interaction - Discord interaction
+ * @returns {string} " - <encounter>" for named encounters, empty otherwise
+ */
+function formatFightName(interaction) {
+  const encounter = getEncounterName(interaction);
+  return encounter ? ` - ${encounter}` : '';
+}
+
+// Helper to get or create initiative tracker
+function getInitiativeTracker(fightKey) {
+  if (!initiativeTrackers.has(fightKey)) {
+    // Seeded so that every deal can be replayed from the audit log
+    initiativeTrackers.set(fightKey, loadTracker(
+      `initiative:${fightKey}`,
+      InitiativeTracker.fromJSON,
+      () => new InitiativeTracker(new SeededRandomSource(generateSeed()))
+    ));
+  }
+  return initiativeTrackers.get(fightKey);
+}
+
+
+/**
+ * Start fight command
+ */
+export async function cmd_fight_start(interaction) {
+  const fightKey = getFightKey(interaction);
+  const tracker = getInitiativeTracker(fightKey);
+
+  if (tracker.isFightActive()) {
+    await interaction.reply({
+      content: '⚔️ Fight already in progress! Use `/fight end` to end it first.',
+      flags: [MessageFlags.Ephemeral]
+    });
+    return;
+  }
+
+  tracker.start();
+  saveTracker(`initiative:${fightKey}`, tracker);
+  await interaction.reply(`⚔️ **Fight started${formatFightName(interaction)}!** Use \`/initiative deal\` to deal cards.`);
+}
+
+/**
+ * End fight command
+ */
+export async function cmd_fight_end(interaction) {
+  const fightKey = getFightKey(interaction);
+  const tracker = getInitiativeTracker(fightKey);
+
+  if (!tracker.isFightActive()) {
+    await interaction.reply({
+      content: '❌ No active fight.',
+      flags: [MessageFlags.Ephemeral]
+    });
+    return;
+  }
+
+  tracker.end();
+  saveTracker(`initiative:${fightKey}`, tracker);
+  await interaction.reply(`✅ **Fight ended${formatFightName(interaction)}.**`);
+}
+
+/**
+ * Build the embed listing dealt initiative cards
+ * @param {Array} results - Results from InitiativeTracker.dealCards()
+ * @returns {Object} Embed data
+ */
+function createInitiativeDealEmbed(results) {
+  return {
+    color: 0x0099ff,
+    title: '🎴 Initiative Cards Dealt',
+    description: results.map(r => {
+      const edgeText = formatEdgeText(r.edges);
+      const countText = r.members ? ` ×${r.members.length}` : '';
+      let cardText = `**${r.name}${countText}${edgeText}:** ${r.card.display}`;
+
+      if (r.droppedCards.length > 0) {
+        cardText += `\n  ↳ _Dropped: ${r.droppedCards.map(c => c.display).join(', ')}_`;
+      }
+      if (r.tacticianCards?.length > 0) {
+        cardText += `\n  ↳ _Tactician: ${r.tacticianCards.map(c => c.display).join(', ')}_`;
+      }
+
+      return cardText;
+    }).join('\n\n')
+  };
+}
+
+/**
+ * Format the wounds of a character or group member
+ * @param {number} wounds - Wounds
+ * @returns {string} Wound text (empty without wounds)
+ */
+function formatWounds(wounds) {
+  return wounds > 0 ? ` 🩸${wounds}` : '';
+}
+
+/**
+ * Format the initiative order, one numbered line per character
+ * @param {Array} order - Characters from InitiativeTracker.getInitiativeOrder()
+ * @param {string|null} currentName - Character whose turn it is (marked with ▶️)
+ * @returns {string} Formatted order
+ */
+function formatInitiativeOrder(order, currentName = null) {
+  return order.map((char, index) => {
+    const countText = char.members ? ` ×${char.members.length}` : '';
+    const nameText = `${char.name}${countText}${formatEdgeAbbrev(char.edges)}${formatWounds(char.wounds)}`;
+    const membersText = char.members
+      ? `\n  ↳ _${char.members.map(member => `${member.name}${formatWounds(member.wounds)}`).join(', ')}_`
+      : '';
+    if (char.onHold) {
+      return `✋ ${nameText} - _On Hold_${membersText}`;
+    }
+
+    const jokerText = char.card.isJoker ? ' - _+2 to Trait and damage rolls_' : '';
+    let placementText = '';
+    if (char.placement) {
+      placementText = char.placement.before
+        ? ` - ⚡ _interrupts ${char.placement.target}_`
+        : ` - _acts after ${char.placement.target}_`;
+    }
+    const tacticianText = char.tacticianCards?.length > 0
+      ? `\n  ↳ _Tactician: ${char.tacticianCards.map(c => c.display).join(', ')}_`
+      : '';
+    const turnMarker = char.name === currentName ? '▶️ ' : '';
+    return `${turnMarker}**${index + 1}.** ${nameText} - ${char.card.display}${jokerText}${placementText}${membersText}${tacticianText}`;
+  }).join('\n');
+}
+
+/**
+ * Attach an image of the dealt cards, in the given order, to an embed
+ * @param {Object} embed - Embed data (its image is set)
+ * @param {Array} order - Characters with their card: InitiativeTracker.getInitiativeOrder() or dealCards() results
+ * @returns {Array} Files to send with the embed (empty when no card was dealt)
+ */
+function attachCardImage(embed, order) {
+  const cards = order.map(char => char.card).filter(Boolean);
+  if (cards.length === 0) {
+    return [];
+  }
+
+  embed.image = { url: 'attachment://initiative.png' };
+  return [new AttachmentBuilder(renderCardImage(cards), { name: 'initiative.png' })];
+}
+
+/**
+ * Build the embed announcing a new round and its initiative order
+ * @param {string} fightName - Fight name from formatFightName()
+ * @param {Object} roundResult - Result of InitiativeTracker.newRound()
+ * @param {Array} order - Characters from InitiativeTracker.getInitiativeOrder()
+ * @returns {Object} Embed data
+ */
+function createInitiativeRoundEmbed(fightName, roundResult, order) {
+  const lines = [];
+  if (roundResult.reshuffled) {
+    lines.push('🃏 A Joker was dealt last round - **the deck has been reshuffled**.');
+  }
+  lines.push(order.length > 0
+    ? formatInitiativeOrder(order)
+    : '📋 No characters yet. Use `/initiative deal` to deal cards.');
+
+  return {
+    color: 0x0099ff,
+    title: `🔄 Round ${roundResult.round} started${fightName}!`,
+    description: lines.join('\n\n')
+  };
+}
+
+/**
+ * Deal initiative cards
+ */
+export async function cmd_initiative_deal(interaction) {
+  const fightKey = getFightKey(interaction);
+  const tracker = getInitiativeTracker(fightKey);
+  const charactersInput = interaction.options.getString('characters');
+  const quick = interaction.options.getBoolean('quick') || false;
+  const levelHeaded = interaction.options.getBoolean('level_headed') || false;
+  const improvedLevelHeaded = interaction.options.getBoolean('improved_level_headed') || false;
+
+  try {
+    if (!tracker.isFightActive()) {
+      await interaction.reply({
+        content: '❌ No active fight. Use `/fight start` first.',
+        flags: [MessageFlags.Ephemeral]
+      });
+      return;
+    }
+
+    const characters = parseCharacterList(charactersInput);
+    if (characters.length === 0) {
+      throw new Error('Please provide at least one character name');
+    }
+
+    // Deal options apply to every listed character, otherwise characters keep their roster edges
+    const edges = quick || levelHeaded || improvedLevelHeaded
+      ? { quick, level_headed: levelHeaded, improved_level_headed: improvedLevelHeaded }
+      : null;
+
+    const dealState = tracker.getDealState();
+    const results = tracker.dealCards(characters, edges);
+    saveTracker(`initiative:${fightKey}`, tracker);
+    const rollId = auditRoll(interaction, 'initiative', results.map(r => r.name).join(', '), {
+      dealState, characters: describeDealtCharacters(results)
+    }, results);
+
+    const embed = createInitiativeDealEmbed(results);
+    if (rollId) embed.footer = { text: `🆔 ${rollId}` };
+    const files = attachCardImage(embed, results);
+
+    await interaction.reply({ embeds: [embed], files });
+  } catch (error) {
+    const embed = createErrorEmbed(error.message);
+    await interaction.reply({ embeds: [embed], flags: [MessageFlags.Ephemeral] });
+  }
+}
+
+/**
+ * Add characters to a fight in progress (reinforcements)
+ */
+export async function cmd_initiative_add(interaction) {
+  const fightKey = getFightKey(interaction);
+  const tracker = getInitiativeTracker(fightKey);
+  const charactersInput = interaction.options.getString('characters');
+
+  try {
+    if (!tracker.isFightActive()) {
+      throw new Error('No active fight. Use `/fight start` first.');
+    }
+
+    const characters = parseCharacterList(charactersInput);
+    if (characters.length === 0) {
+      throw new Error('Please provide at least one character name');
+    }
+
+    const dealState = tracker.getDealState();
+    const results = tracker.addCharacters(characters);
+    saveTracker(`initiative:${fightKey}`, tracker);
+    const rollId = auditRoll(interaction, 'initiative', results.map(r => r.name).join(', '), {
+      dealState, characters: describeDealtCharacters(results)
+    }, results);
+
+    const embed = createInitiativeDealEmbed(results);
+    embed.title = '➕ Characters Joined the Fight';
+    if (rollId) embed.footer = { text: `🆔 ${rollId}` };
+    const files = attachCardImage(embed, results);
+
+    await interaction.reply({ embeds: [embed], files });
+  } catch (error) {
+    const embed = createErrorEmbed(error.message);
+    await interaction.reply({ embeds: [embed], flags: [MessageFlags.Ephemeral] });
+  }
+}
+
+/**
+ * Describe what happened to the card of a removed character
+ * Internal helper - not exported, used by cmd_initiative_remove and cmd_initiative_kill
+ * @param {Object} removed - Result of InitiativeTracker.removeCharacter()
+ * @returns {string} Card text (empty when nothing was discarded)
+ */
+function formatRemovedCard(removed) {
+  if (removed.group && removed.membersLeft > 0) {
+    return ` _(${removed.group}: ${removed.membersLeft} left)_`;
+  }
+  const cardText = removed.card ? `${removed.card.display} discarded` : '';
+  if (removed.group) {
+    return ` _(${removed.group} ${cardText ? `is out of the fight, ${cardText}` : 'is out of the fight'})_`;
+  }
+  return cardText ? ` _(${cardText})_` : '';
+}
+
+/**
+ * Remove a character from a fight, discarding their card
+ */
+export async function cmd_initiative_remove(interaction) {
+  const fightKey = getFightKey(interaction);
+  const tracker = getInitiativeTracker(fightKey);
+  const name = interaction.options.getString('name').trim();
+
+  try {
+    if (!tracker.isFightActive()) {
+      throw new Error('No active fight. Use `/fight start` first.');
+    }
+
+    const removed = tracker.removeCharacter(name);
+    saveTracker(`initiative:${fightKey}`, tracker);
+    await interaction.reply(`🚪 **${name}** leaves the fight${formatRemovedCard(removed)}`);
+  } catch (error) {
+    const embed = createErrorEmbed(error.message);
+    await interaction.reply({ embeds: [embed], flags: [MessageFlags.Ephemeral] });
+  }
+}
+
+/**
+ * Kill a character: removed from the fight and listed as fallen
+ */
+export async function cmd_initiative_kill(interaction) {
+  const fightKey = getFightKey(interaction);
+  const tracker = getInitiativeTracker(fightKey);
+  const name = interaction.options.getString('name').trim();
+
+  try {
+    if (!tracker.isFightActive()) {
+      throw new Error('No active fight. Use `/fight start` first.');
+    }
+
+    const removed = tracker.killCharacter(name);
+    saveTracker(`initiative:${fightKey}`, tracker);
+    await interaction.reply(`💀 **${name}** is killed${formatRemovedCard(removed)}`);
+  } catch (error) {
+    const embed = createErrorEmbed(error.message);
+    await interaction.reply({ embeds: [embed], flags: [MessageFlags.Ephemeral] });
+  }
+}
+
+/**
+ * Wound (or heal) a character or a member of a group
+ */
+export async function cmd_initiative_wound(interaction) {
+  const fightKey = getFightKey(interaction);
+  const tracker = getInitiativeTracker(fightKey);
+  const name = interaction.options.getString('name').trim();
+  const amount = interaction.options.getInteger('wounds') ?? 1;
+
+  try {
+    if (!tracker.isFightActive()) {
+      throw new Error('No active fight. Use `/fight start` first.');
+    }
+
+    const wounds = tracker.wound(name, amount);
+    saveTracker(`initiative:${fightKey}`, tracker);
+
+    const woundText = wounds === 0 ? 'no wounds' : `${wounds} wound${wounds === 1 ? '' : 's'}`;
+    await interaction.reply(`🩸 **${name}** now has ${woundText}`);
+  } catch (error) {
+    const embed = createErrorEmbed(error.message);
+    await interaction.reply({ embeds: [embed], flags: [MessageFlags.Ephemeral] });
+  }
+}
+
+/**
+ * Rename a character, keeping their card and place in the order
+ */
+export async function cmd_initiative_rename(interaction) {
+  const fightKey = getFightKey(interaction);
+  const tracker = getInitiativeTracker(fightKey);
+  const name = interaction.options.getString('name').trim();
+  const newName = interaction.options.getString('new_name').trim();
+
+  try {
+    if (!tracker.isFightActive()) {
+      throw new Error('No active fight. Use `/fight start` first.');
+    }
+
+    tracker.renameCharacter(name, newName);
+    saveTracker(`initiative:${fightKey}`, tracker);
+    await interaction.reply(`✏️ **${name}** is now **${newName}**`);
+  } catch (error) {
+    const embed = createErrorEmbed(error.message);
+    await interaction.reply({ embeds: [embed], flags: [MessageFlags.Ephemeral] });
+  }
+}
+
+/**
+ * Set the edges of a character for the next deals
+ */
+export async function cmd_initiative_edges(interaction) {
+  const fightKey = getFightKey(interaction);
+  const tracker = getInitiativeTracker(fightKey);
+  const name = interaction.options.getString('character').trim();
+  const edgesInput = interaction.options.getString('edges').trim();
+
+  try {
+    if (!tracker.isFightActive()) {
+      throw new Error('No active fight. Use `/fight start` first.');
+    }
+
+    const edges = tracker.setCharacterEdges(name, /^none$/i.test(edgesInput) ? {} : parseEdges(edgesInput));
+    saveTracker(`initiative:${fightKey}`, tracker);
+
+    const names = listEdgeNames(edges);
+    await interaction.reply(names.length > 0
+      ? `🃏 **${name}** is now dealt with ${names.join(', ')}`
+      : `🃏 **${name}** is now dealt without edges`);
+  } catch (error) {
+    const embed = createErrorEmbed(error.message);
+    await interaction.reply({ embeds: [embed], flags: [MessageFlags.Ephemeral] });
+  }
+}
+
+/**
+ * Hand a Tactician card to an ally
+ */
+export async function cmd_initiative_hand(interaction) {
+  const fightKey = getFightKey(interaction);
+  const tracker = getInitiativeTracker(fightKey);
+  const tacticianName = interaction.options.getString('tactician').trim();
+  const allyName = interaction.options.getString('ally').trim();
+
+  try {
+    if (!tracker.isFightActive()) {
+      throw new Error('No active fight. Use `/fight start` first.');
+    }
+
+    const { card, replacedCard } = tracker.handCard(tacticianName, allyName);
+    saveTracker(`initiative:${fightKey}`, tracker);
+
+    await interaction.reply(
+      `🎴 **${tacticianName}** hands ${card.display} to **${allyName}** _(instead of ${replacedCard.display})_`
+    );
+  } catch (error) {
+    const embed = createErrorEmbed(error.message);
+    await interaction.reply({ embeds: [embed], flags: [MessageFlags.Ephemeral] });
+  }
+}
+
+/**
+ * Put a character on Hold
+ */
+export async function cmd_initiative_hold(interaction) {
+  const fightKey = getFightKey(interaction);
+  const tracker = getInitiativeTracker(fightKey);
+  const name = interaction.options.getString('name').trim();
+
+  try {
+    if (!tracker.isFightActive()) {
+      throw new Error('No active fight. Use `/fight start` first.');
+    }
+
+    tracker.hold(name);
+    saveTracker(`initiative:${fightKey}`, tracker);
+    await interaction.reply(`✋ **${name}** is on Hold`);
+  } catch (error) {
+    const embed = createErrorEmbed(error.message);
+    await interaction.reply({ embeds: [embed], flags: [MessageFlags.Ephemeral] });
+  }
+}
+
+/**
+ * Convert an Athletics option to a Savage Worlds roll ("8" -> "s8", "s8+1" unchanged)
+ * @param {string} athletics - Athletics die or s expression
+ * @returns {string} Savage Worlds expression
+ */
+function toAthleticsExpression(athletics) {
+  const trimmed = athletics.trim().toLowerCase();
+  return /^d?\d+/.test(trimmed) ? `s${trimmed.replace(/^d/, '')}` : trimmed;
+}
+
+/**
+ * A character on Hold interrupts another one
+ * When both Athletics options are given the interrupt is contested with opposed Athletics rolls
+ */
+export async function cmd_initiative_interrupt(interaction) {
+  const fightKey = getFightKey(interaction);
+  const tracker = getInitiativeTracker(fightKey);
+  const name = interaction.options.getString('name').trim();
+  const targetName = interaction.options.getString('before').trim();
+  const athletics = interaction.options.getString('athletics');
+  const opponentAthletics = interaction.options.getString('opponent_athletics');
+
+  try {
+    if (!tracker.isFightActive()) {
+      throw new Error('No active fight. Use `/fight start` first.');
+    }
+    if (Boolean(athletics) !== Boolean(opponentAthletics)) {
+      throw new Error('A contested interrupt needs both `athletics` and `opponent_athletics`');
+    }
+
+    // Check both characters before rolling anything
+    tracker.checkInterrupt(name, targetName);
+
+    let won = true;
+    let contestText = '';
+    const embeds = [];
+    if (athletics) {
+      const rolls = [athletics, opponentAthletics].map(expression => {
+        // Athletics checks are not the user's own roll, so Benny rerolls keep their last /roll
+        const roll = performRoll(interaction, toAthleticsExpression(expression), { remember: false });
+        const failed = roll.results.find(result => result.error);
+        if (failed) {
+          throw new Error(failed.error);
+        }
+        embeds.push(...roll.embeds);
+        return roll.total;
+      });
+
+      // Ties act simultaneously, so the interrupt still goes through
+      won = rolls[0] >= rolls[1];
+      contestText = ` _(Athletics ${rolls[0]} vs ${rolls[1]}${rolls[0] === rolls[1] ? ', tie: both act at once' : ''})_`;
+    }
+
+    tracker.interrupt(name, targetName, won);
+    saveTracker(`initiative:${fightKey}`, tracker);
+
+    // Interrupting the current actor starts the interrupter's turn
+    const actor = tracker.getCurrentActor();
+    const turnText = actor?.name === name
+      ? `\n🎯 ${actor.owner ? `<@${actor.owner}> ` : ''}**${name}**, it's your turn!`
+      : '';
+    const content = won
+      ? `⚡ **${name}** interrupts **${targetName}**!${contestText}${turnText}`
+      : `🐢 **${name}** fails to interrupt and acts right after **${targetName}**${contestText}`;
+    await interaction.reply(embeds.length > 0 ? { content, embeds } : content);
+  } catch (error) {
+    const embed = createErrorEmbed(error.message);
+    await interaction.reply({ embeds: [embed], flags: [MessageFlags.Ephemeral] });
+  }
+}
+
+/**
+ * Show initiative order
+ */
+export async function cmd_initiative_show(interaction) {
+  const fightKey = getFightKey(interaction);
+  const tracker = getInitiativeTracker(fightKey);
+
+  if (!tracker.isFightActive()) {
+    await interaction.reply({
+      content: '❌ No active fight.',
+      flags: [MessageFlags.Ephemeral]
+    });
+    return;
+  }
+
+  const order = tracker.getInitiativeOrder();
+
+  if (order.length === 0) {
+    await interaction.reply({
+      content: '📋 No cards dealt yet. Use `/initiative deal` first.',
+      flags: [MessageFlags.Ephemeral]
+    });
+    return;
+  }
+
+  let description = formatInitiativeOrder(order, tracker.getCurrentActor()?.name);
+  if (tracker.fallen.length > 0) {
+    description += `\n\n💀 _Fallen: ${tracker.fallen.join(', ')}_`;
+  }
+
+  const embed = {
+    color: 0x00ff00,
+    title: `⚔️ Initiative Order${formatFightName(interaction)} - Round ${tracker.getCurrentRound()}`,
+    description
+  };
+  const files = attachCardImage(embed, order);
+
+  await interaction.reply({ embeds: [embed], files, components: [createTurnButtons(interaction)] });
+}
+
+/**
+ * Start new round
+ */
+export async function cmd_initiative_round(interaction) {
+  const fightKey = getFightKey(interaction);
+  const tracker = getInitiativeTracker(fightKey);
+
+  if (!tracker.isFightActive()) {
+    await interaction.reply({
+      content: '❌ No active fight.',
+      flags: [MessageFlags.Ephemeral]
+    });
+    return;
+  }
+
+  const { embed, files } = startRound(interaction, fightKey, tracker);
+  await interaction.reply({ embeds: [embed], files, components: [createTurnButtons(interaction)] });
+}
+
+/**
+ * Start a new round, redealing and auditing every character of the roster
+ * Internal helper - not exported, used by cmd_initiative_round and cmd_initiative_next
+ * @param {Object} interaction - Discord interaction
+ * @param {string} fightKey - Fight key
+ * @param {InitiativeTracker} tracker - Tracker of the fight
+ * @returns {Object} {embed, files} Round embed and its card image
+ */
+function startRound(interaction, fightKey, tracker) {
+  // Every character of the roster is redealt, so the round is audited like a deal
+  const dealState = tracker.getDealState();
+  const roster = tracker.getRoster();
+  const roundResult = tracker.newRound();
+  saveTracker(`initiative:${fightKey}`, tracker);
+
+  const rollId = roster.length > 0
+    ? auditRoll(interaction, 'round', `Round ${roundResult.round}`, { dealState, roster, round: roundResult.round }, roundResult.results)
+    : null;
+
+  const order = tracker.getInitiativeOrder();
+  const embed = createInitiativeRoundEmbed(formatFightName(interaction), roundResult, order);
+  if (rollId) embed.footer = { text: `🆔 ${rollId}` };
+  return { embed, files: attachCardImage(embed, order) };
+}
+
+/**
+ * Buttons stepping through the turns of a fight
+ * @param {Object} interaction - Discord interaction (gives the encounter of the fight)
+ * @returns {ActionRowBuilder} Button row
+ */
+function createTurnButtons(interaction) {
+  const encounter = getEncounterName(interaction) ?? '';
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`initiative:previous:${encounter}`)
+      .setLabel('Previous')
+      .setEmoji('⏮️')
+      .setStyle(ButtonStyle.Secondary),
+    new ButtonBuilder()
+      .setCustomId(`initiative:next:${encounter}`)
+      .setLabel('Next turn')
+      .setEmoji('⏭️')
+      .setStyle(ButtonStyle.Primary)
+  );
+}
+
+/**
+ * Reply with the character whose turn it is, pinging their player
+ * (a turn button updates its own message instead)
+ * Internal helper - not exported, used by cmd_initiative_next and cmd_initiative_previous
+ * @param {Object} interaction - Discord interaction
+ * @param {InitiativeTracker} tracker - Tracker of the fight
+ * @param {Array} embeds - Embeds to send before the turn embed (e.g. a new round)
+ * @param {Array} files - Files of those embeds
+ */
+async function replyWithTurn(interaction, tracker, embeds = [], files = []) {
+  const actor = tracker.getCurrentActor();
+  const order = tracker.getInitiativeOrder();
+  const acting = tracker.getActingOrder();
+
+  let content = '✋ Everyone is on Hold this round.';
+  if (actor) {
+    content = `🎯 ${actor.owner ? `<@${actor.owner}> ` : ''}**${actor.name}**, it's your turn!`;
+  }
+
+  embeds.push({
+    color: 0x00ff00,
+    title: `⚔️ Round ${tracker.getCurrentRound()}${formatFightName(interaction)} - Turn ${tracker.turnIndex + 1}/${acting.length}`,
+    description: formatInitiativeOrder(order, actor?.name)
+  });
+
+  // A turn button updates the message it is on instead of posting a new one
+  const payload = { content, embeds, files, components: [createTurnButtons(interaction)] };
+  if (interaction.isButton?.()) {
+    await interaction.update({ ...payload, attachments: [] });
+  } else {
+    await interaction.reply(payload);
+  }
+}
+
+/**
+ * Move to the next turn, starting a new round after the last actor (GM only)
+ */
+export async function cmd_initiative_next(interaction) {
+  const fightKey = getFightKey(interaction);
+  const tracker = getInitiativeTracker(fightKey);
+
+  try {
+    requireGm(interaction, 'move the turn');
+    if (!tracker.isFightActive()) {
+      throw new Error('No active fight. Use `/fight start` first.');
+    }
+
+    // The round is started here so that its redeal is audited
+    const embeds = [];
+    const files = [];
+    if (tracker.isLastTurn()) {
+      const round = startRound(interaction, fightKey, tracker);
+      embeds.push(round.embed);
+      files.push(...round.files);
+    }
+
+    tracker.nextTurn();
+    saveTracker(`initiative:${fightKey}`, tracker);
+    await replyWithTurn(interaction, tracker, embeds, files);
+  } catch (error) {
+    const embed = createErrorEmbed(error.message);
+    await interaction.reply({ embeds: [embed], flags: [MessageFlags.Ephemeral] });
+  }
+}
+
+/**
+ * Move back to the previous turn of the round (GM only)
+ */
+export async function cmd_initiative_previous(interaction) {
+  const fightKey = getFightKey(interaction);
+  const tracker = getInitiativeTracker(fightKey);
+
+  try {
+    requireGm(interaction, 'move the turn');
+    if (!tracker.isFightActive()) {
+      throw new Error('No active fight. Use `/fight start` first.');
+    }
+
+    tracker.previousTurn();
+    saveTracker(`initiative:${fightKey}`, tracker);
+    await replyWithTurn(interaction, tracker);
+  } catch (error) {
+    const embed = createErrorEmbed(error.message);
+    await interaction.reply({ embeds: [embed], flags: [MessageFlags.Ephemeral] });
+  }
+}
+
+/**
+ * Help command for dice rolling
+ */
+export async function cmd_roll_help(interaction) {
+  const embed = {
+    color: 0x0099ff,
+    title: '🎲 Dice Rolling Guide',
+    description: 'Complete guide to rolling dice with this bot',
+    fields: [
+      {
         name: '🎯 Basic Dice Rolling',
         value: `\`/roll dice:2d6\` - Roll 2 six-sided dice
 \`/roll dice:d20\` - Roll 1 twenty-sided die
 \`/roll dice:3d8+2\` - Roll 3d8 and add a +2 **modifier**
-\`/roll dice:d6!\` - Roll 1 six-sided die with **exploding/acing**`,
+\`/roll dice:d6!\` - Roll 1 six-sided die with **exploding/acing**
+\`/roll dice:d10!>8\` - Explode on 8+ • \`d6!!\` **compound** • \`d6!p\` **penetrating**
+\`/roll dice:2d6ro1\` - Reroll 1s **once** • \`d6r<2\` reroll **until** above 2 (a bare \`r2\` is the raise step)
+\`/roll dice:4d6dl\` - **Drop lowest** • \`4d6dh1\` drop highest • \`5d6dl1dh1\` keep the middle`,
         inline: false
       },
       {
@@ -479,7 +1780,9 @@ export async function cmd_roll_help(interaction) {
         value: `\`/roll dice:s8\` - Trait d8 + Wild d6
 \`/roll dice:s10+2\` - Trait d10 + Wild d6 + 2 **modifier**
 \`/roll dice:s8t6\` - Trait d8 + Wild d6 + **target** Number of 6
-\`/roll dice:s12t8r5\` - Trait d12 + Wild d6 + target of 8 + **raise** every 5`,
+\`/roll dice:s12t8r5\` - Trait d12 + Wild d6 + target of 8 + **raise** every 5
+\`/roll dice:2s8t4\` - **Rate of Fire**: 2 trait dice + 1 shared Wild Die
+\`/roll dice:t6r4: 2d8+d6\` - **Target prefix**: success and raises for any expression`,
         inline: false
       },
       {
@@ -490,6 +1793,13 @@ export async function cmd_roll_help(interaction) {
 \`/wild trait:d12 target:8 raise:5\` = \`/roll dice:s12t8r5\``,
         inline: false
       },
+      {
+        name: '💥 Damage',
+        value: `\`/damage dice:2d6+d8 toughness:7\` - **Acing** damage vs Toughness: Shaken, one **Wound** per raise
+\`/damage dice:d8+d6 toughness:9 armor:3 ap:2\` - Toughness 9 (3), AP ignores 2 armor
+\`heavy_weapon:true\` / \`heavy_armor:true\` - Heavy Armor is only hurt by Heavy Weapons`,
+        inline: false
+      },
       {
         name: '🎯 Keep/Drop Dice',
         value: `\`/roll dice:4d6k3\` - Roll 4d6, **keep highest** 3
@@ -518,6 +1828,27 @@ export async function cmd_roll_help(interaction) {
 **Default**: Combined message with overall total`,
         inline: false
       },
+      {
+        name: '🟡 Bennies',
+        value: `\`/benny give player:@Alice\` / \`/benny give gm:true\` - **Give** a Benny to a player or the GM
+\`/benny spend reroll:true\` - **Reroll** your last \`/roll\` or \`/wild\` and keep the better total
+\`/benny show\` / \`/benny reset\` - Show the pools / start a new session`,
+        inline: false
+      },
+      {
+        name: '🆔 Roll Verification',
+        value: `Every roll shows a **roll ID** in its footer
+\`/roll verify:3f9a1c0b2e\` - **Replay** the logged roll and check it was not altered`,
+        inline: false
+      },
+      {
+        name: '📋 Variables',
+        value: `\`/var set name:fighting value:8\` - **Save** a variable
+\`/roll dice:s@fighting+@mod\` - **Use** variables in any roll
+\`/roll dice:@hp := 2d6+10\` - Roll and **store** the result
+\`/var list\` / \`/var delete\` / \`/var use campaign:Deadlands\` - Manage variables and campaigns`,
+        inline: false
+      },
       {
         name: '📏 Bounded Rolls',
         value: `\`/roll dice:2d6[3:10]\` - Roll 2d6, **clamp result** between 3 and 10
@@ -526,11 +1857,21 @@ export async function cmd_roll_help(interaction) {
 \`/roll dice:4d6k3[8:18]\` - Roll 4d6 keep 3, clamp between 8 and 18`,
         inline: false
       },
+      {
+        name: '⚖️ Comparisons and Functions',
+        value: `\`/roll dice:2d6 >= 8\` - **Compare** with \`>\` \`<\` \`>=\` \`<=\` \`==\` (true counts as 1)
+\`/roll dice:2d6 >= 8 ? "hit" : "miss"\` - **Conditional**: a label or another roll
+\`/roll dice:(d6!) > 4\` - Wrap exploding dice in parentheses, \`d6!>4\` explodes on 4+
+\`/roll dice:max(2d6, 2d6)\` - **Functions**: \`min\` \`max\` \`abs\` \`floor\` \`ceil\` \`round\` (e.g. \`floor(@str/2)+2\`)`,
+        inline: false
+      },
       {
         name: '🎲 Other Dice Systems',
         value: `\`/roll dice:1--100\` - **Gygax range** (1 to 100, like d100)
 \`/roll dice:10--50\` - **Gygax range** (10 to 50)
 \`/roll dice:4dF\` - **Fudge dice** (-1, 0, +1)
+\`/roll dice:3dC\` - **Carcosa dice** (d6 picks d4/d6/d8/d10/d12/d20)
+\`/roll dice:p20c9h\` - **Sword World** power 20, critical 9, Human Sword Grace
 \`/roll dice:5w\` - **WEG D6** wild die system
 \`/roll dice:i+2\` - **Ironsworn** roll with +2`,
         inline: false
@@ -540,18 +1881,25 @@ export async function cmd_roll_help(interaction) {
         value: `\`/fight start\` - Start combat
 \`/initiative deal characters:Alice,Bob\` - Deal cards
 \`/initiative show\` - Show turn order
-\`/initiative round\` - New round
-\`/fight end\` - End combat`,
+\`/initiative next\` / \`/initiative previous\` - Step through **turns** (or use the buttons)
+\`/initiative round\` - New round: **redeal** everyone (deck reshuffled after a Joker)
+\`/initiative hold name:Alice\` - Go on **Hold** (kept across rounds)
+\`/initiative interrupt name:Alice before:Bob\` - **Interrupt** (add \`athletics:8 opponent_athletics:6\` if contested)
+\`/initiative add\` / \`remove\` / \`kill\` / \`rename\` - Change the fighters mid-fight
+\`/initiative deal characters:Goblins x6\` - One card for a **group** of Extras (\`/initiative wound name:Goblins 2\`)
+\`/fight end\` - End combat
+*One fight per channel - add \`encounter:Bridge\` to share a named fight across channels*`,
         inline: false
       },
       {
         name: '🃏 Edges Support',
-        value: `When using \`/initiative deal characters:Alice,Bob\`:
-• \`quick:true\` - Quick edge (draw 2, keep best)
-• \`level_headed:true\` - Level Headed edge (draw 2, keep best)
-• \`improved_level_headed:true\` - Improved Level Headed (draw 3, keep best)
-
-*Note: Quick and Level Headed have the same mechanical effect*`,
+        value: `Per character: \`/initiative deal characters:Alice [Quick, Level Headed], Bob [Hesitant]\`
+Later changes: \`/initiative edges character:Alice edges:Tactician\` (\`none\` to clear)
+• **Quick** - Redraw cards of 5 or lower
+• **Level Headed** / **Improved Level Headed** - Draw 2 / 3, keep best
+• **Hesitant** - Draw 2, keep the lowest (Jokers still count)
+• **Tactician** / **Master Tactician** - 1 / 2 extra cards, \`/initiative hand tactician:Alice ally:Bob\`
+\`quick:true\`, \`level_headed:true\`, \`improved_level_headed:true\` apply to everyone in the deal`,
         inline: false
       },
       {
@@ -18,4 +18,6 @@ function requireEnv(name, required = true) {
 
 export const config = {
   token: requireEnv('DISCORD_TOKEN'),
+  dataDir: requireEnv('DATA_DIR', false) || 'data',
+  maxAces: Number(requireEnv('MAX_ACES', false) || 100),
 };
@@ -0,0 +1,106 @@
+/**
+ * Savage Worlds Benny system - Benny pools for each player and the GM
+ */
+
+export const STARTING_BENNIES = 3; // Each player starts a session with 3 Bennies
+
+/**
+ * Benny tracker - one per guild
+ */
+export class BennyTracker {
+  constructor() {
+    this.players = new Map(); // userId -> Bennies
+    this.gm = 0;
+  }
+
+  /**
+   * Bennies of a player
+   * @param {string} userId - Discord user ID
+   * @returns {number} - Number of Bennies
+   */
+  getCount(userId) {
+    return this.players.get(userId) ?? 0;
+  }
+
+  /**
+   * Give Bennies to a player, or to the GM pool when userId is null
+   * @param {string|null} userId - Discord user ID (null for the GM pool)
+   * @param {number} amount - Number of Bennies to give (default 1)
+   * @returns {number} - New number of Bennies
+   */
+  give(userId, amount = 1) {
+    if (!Number.isInteger(amount) || amount < 1) {
+      throw new Error('Amount must be at least 1');
+    }
+
+    if (userId === null) {
+      this.gm += amount;
+      return this.gm;
+    }
+
+    const count = this.getCount(userId) + amount;
+    this.players.set(userId, count);
+    return count;
+  }
+
+  /**
+   * Spend a Benny of a player, or of the GM pool when userId is null
+   * @param {string|null} userId - Discord user ID (null for the GM pool)
+   * @returns {number} - Bennies left
+   */
+  spend(userId) {
+    const count = userId === null ? this.gm : this.getCount(userId);
+    if (count < 1) {
+      throw new Error(userId === null ? 'The GM has no Bennies left.' : 'You have no Bennies left.');
+    }
+
+    if (userId === null) {
+      this.gm = count - 1;
+    } else {
+      this.players.set(userId, count - 1);
+    }
+    return count - 1;
+  }
+
+  /**
+   * Start a new session: every known player gets the starting Bennies,
+   * the GM gets one per player
+   */
+  reset() {
+    for (const userId of this.players.keys()) {
+      this.players.set(userId, STARTING_BENNIES);
+    }
+    this.gm = this.players.size;
+  }
+
+  /**
+   * Serialize the pools
+   * @returns {object} - {players: {userId: count}, gm}
+   */
+  toJSON() {
+    return { players: Object.fromEntries(this.players), gm: this.gm };
+  }
+
+  /**
+   * Restore pools serialized with toJSON()
+   * @param {object} state - State from toJSON()
+   * @returns {BennyTracker} - Restored tracker
+   */
+  static fromJSON(state) {
+    const tracker = new BennyTracker();
+    tracker.players = new Map(Object.entries(state.players));
+    tracker.gm = state.gm;
+    return tracker;
+  }
+
+  /**
+   * All pools
+   * @returns {object} - {players: [{userId, count}], gm}
+   */
+  getPools() {
+    return {
+      players: [...this.players.entries()].map(([userId, count]) => ({ userId, count })),
+      gm: this.gm
+    };
+  }
+}
@@ -3,10 +3,92 @@
  * Card-based initiative tracking for Savage Worlds RPG
  */
 
+import { defaultRandomSource, SeededRandomSource } from './randomSource.js';
+
 const SUITS = ['♠️ Spades', '♥️ Hearts', '♦️ Diamonds', '♣️ Clubs'];
 const RANKS = ['2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K', 'A'];
 const SUIT_ORDER = { '♠️ Spades': 0, '♥️ Hearts': 1, '♦️ Diamonds': 2, '♣️ Clubs': 3 };
 
+// Edges and Hindrances affecting initiative (key -> display name)
+export const EDGES = {
+  quick: 'Quick',
+  levelHeaded: 'Level Headed',
+  improvedLevelHeaded: 'Improved Level Headed',
+  hesitant: 'Hesitant',
+  tactician: 'Tactician',
+  masterTactician: 'Master Tactician'
+};
+
+// Accepted spellings when parsing edge lists (lowercase, without spaces, dashes or underscores)
+const EDGE_ALIASES = {
+  quick: 'quick',
+  q: 'quick',
+  levelheaded: 'levelHeaded',
+  lh: 'levelHeaded',
+  improvedlevelheaded: 'improvedLevelHeaded',
+  ilh: 'improvedLevelHeaded',
+  hesitant: 'hesitant',
+  hes: 'hesitant',
+  tactician: 'tactician',
+  t: 'tactician',
+  mastertactician: 'masterTactician',
+  mt: 'masterTactician'
+};
+
+const QUICK_THRESHOLD = 5; // Quick redraws cards of 5 or lower
+
+export const MAX_GROUP_SIZE = 50; // Most Extras dealt on one card
+
+/**
+ * Normalize an edge configuration
+ * Accepts camelCase keys and the snake_case names of the /initiative deal options
+ * @param {object} edges - Edge flags (e.g. {quick: true, level_headed: true})
+ * @returns {object} - Every edge of EDGES as a boolean
+ */
+export function normalizeEdges(edges = {}) {
+  const normalized = {};
+  for (const key of Object.keys(EDGES)) {
+    const snakeKey = key.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`);
+    normalized[key] = Boolean(edges[key] || edges[snakeKey]);
+  }
+
+  if (normalized.hesitant && (normalized.levelHeaded || normalized.improvedLevelHeaded)) {
+    throw new Error('Hesitant characters cannot have Level Headed');
+  }
+  return normalized;
+}
+
+/**
+ * Parse a comma-separated edge list (e.g. "Quick, Level Headed")
+ * @param {string} text - Edge names
+ * @returns {object} - Normalized edges
+ */
+export function parseEdges(text) {
+  const edges = {};
+  for (const part of text.split(',').map(edge => edge.trim()).filter(Boolean)) {
+    const key = EDGE_ALIASES[part.toLowerCase().replace(/[\s_-]/g, '')];
+    if (!key) {
+      throw new Error(`Unknown edge "${part}". Use: ${Object.values(EDGES).join(', ')}`);
+    }
+    edges[key] = true;
+  }
+  return normalizeEdges(edges);
+}
+
+/**
+ * Create the members of a group of Extras ("Goblins" x3 -> Goblins 1, Goblins 2, Goblins 3)
+ * Internal helper - not exported, used by InitiativeTracker
+ * @param {string} name - Group name
+ * @param {number} size - Number of members
+ * @returns {Array} - Members ({name, wounds})
+ */
+function createMembers(name, size) {
+  if (!Number.isInteger(size) || size < 1 || size > MAX_GROUP_SIZE) {
+    throw new Error(`Group size must be between 1 and ${MAX_GROUP_SIZE}`);
+  }
+  return Array.from({ length: size }, (_, index) => ({ name: `${name} ${index + 1}`, wounds: 0 }));
+}
+
 /**
  * Create a standard deck of playing cards
  * Internal helper - not exported, used by InitiativeTracker
@@ -67,12 +149,13 @@ function getRankValue(rank) {
  * Shuffle a deck of cards using Fisher-Yates algorithm
  * Internal helper - not exported, used by InitiativeTracker
  * @param {Array} deck - Deck to shuffle
+ * @param {object} rng - Random source
  * @returns {Array} - Shuffled deck
  */
-function shuffleDeck(deck) {
+function shuffleDeck(deck, rng) {
   const shuffled = [...deck];
   for (let i = shuffled.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = rng.nextInt(i + 1);
     [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
   }
   return shuffled;
@@ -108,11 +191,19 @@ function compareCards(cardA, cardB) {
  * Initiative Tracker class for managing combat rounds and card dealing
  */
 export class InitiativeTracker {
-  constructor() {
-    this.deck = shuffleDeck(createDeck());
+  /**
+   * @param {object} rng - Random source used to shuffle the deck (defaults to the crypto-backed source)
+   */
+  constructor(rng = defaultRandomSource) {
+    this.rng = rng;
+    this.deck = shuffleDeck(createDeck(), rng);
     this.dealtCards = [];
+    this.discardPile = []; // Cards of characters who left the fight, or replaced by a Tactician's card
+    this.fallen = []; // Names of killed characters
     this.round = 0;
     this.isActive = false;
+    this.jokerDealt = false; // A Joker was dealt this round: reshuffle when it ends
+    this.turnIndex = null; // Position of the current actor in the acting order (null before the first turn)
     this.characters = new Map(); // name -> {card, edges: []}
   }
 
@@ -122,6 +213,8 @@ export class InitiativeTracker {
   start() {
     this.isActive = true;
     this.round = 0;
+    this.turnIndex = null;
+    this.fallen = [];
     this.characters.clear();
     this.resetDeck();
   }
@@ -132,111 +225,651 @@ export class InitiativeTracker {
   end() {
     this.isActive = false;
     this.round = 0;
+    this.turnIndex = null;
+    this.fallen = [];
     this.characters.clear();
     this.resetDeck();
   }
 
   /**
    * Reset and shuffle the deck
+   * @param {Array} heldCards - Cards still in play, left out of the new deck (default none)
    */
-  resetDeck() {
-    this.deck = shuffleDeck(createDeck());
-    this.dealtCards = [];
+  resetDeck(heldCards = []) {
+    const held = new Set(heldCards.map(card => card.display));
+    this.deck = shuffleDeck(createDeck().filter(card => !held.has(card.display)), this.rng);
+    this.dealtCards = [...heldCards];
+    this.discardPile = [];
+    this.jokerDealt = false;
+  }
+
+  /**
+   * Cards in the characters' hands: their card and Tactician cards
+   * @param {boolean} onHoldOnly - Only the cards of characters on Hold (default false)
+   * @returns {Array} - Cards
+   */
+  getCardsInPlay(onHoldOnly = false) {
+    return Array.from(this.characters.values())
+      .filter(character => !onHoldOnly || character.onHold)
+      .flatMap(character => [character.card, ...(onHoldOnly ? [] : character.tacticianCards ?? [])])
+      .filter(Boolean);
+  }
+
+  /**
+   * Snapshot the deck and random source before a deal so it can be replayed
+   * @returns {object} - {deck, rng, jokerDealt} (rng is null for non-seeded sources)
+   */
+  getDealState() {
+    return {
+      deck: this.deck.map(card => ({ ...card })),
+      rng: typeof this.rng.getState === 'function' ? this.rng.getState() : null,
+      jokerDealt: this.jokerDealt
+    };
+  }
+
+  /**
+   * Restore a deck snapshot created by getDealState()
+   * @param {object} state - {deck, rng, jokerDealt}
+   * @param {object} rng - Random source restored from state.rng
+   */
+  restoreDealState(state, rng) {
+    this.deck = state.deck.map(card => ({ ...card }));
+    this.rng = rng;
+    this.jokerDealt = state.jokerDealt ?? false;
+  }
+
+  /**
+   * Serialize the tracker so a fight survives a restart
+   * @returns {object} - Plain JSON state (deck, dealt cards, round, characters, rng)
+   */
+  toJSON() {
+    return {
+      deck: this.deck,
+      dealtCards: this.dealtCards,
+      discardPile: this.discardPile,
+      fallen: this.fallen,
+      round: this.round,
+      isActive: this.isActive,
+      jokerDealt: this.jokerDealt,
+      turnIndex: this.turnIndex,
+      characters: Object.fromEntries(this.characters),
+      rng: typeof this.rng.getState === 'function' ? this.rng.getState() : null
+    };
+  }
+
+  /**
+   * Restore a tracker serialized with toJSON()
+   * @param {object} state - State from toJSON()
+   * @returns {InitiativeTracker} - Restored tracker
+   */
+  static fromJSON(state) {
+    const tracker = new InitiativeTracker();
+    tracker.rng = state.rng ? SeededRandomSource.fromState(state.rng) : defaultRandomSource;
+    tracker.deck = state.deck.map(card => ({ ...card }));
+    tracker.dealtCards = state.dealtCards.map(card => ({ ...card }));
+    tracker.discardPile = (state.discardPile ?? []).map(card => ({ ...card }));
+    tracker.fallen = state.fallen ?? [];
+    tracker.round = state.round;
+    tracker.isActive = state.isActive;
+    tracker.jokerDealt = state.jokerDealt ?? false;
+    tracker.turnIndex = state.turnIndex ?? null;
+    tracker.characters = new Map(Object.entries(state.characters));
+    return tracker;
   }
 
   /**
    * Deal cards to characters
-   * @param {Array} characterNames - Names of characters to deal cards to
-   * @param {object} edges - Edge configuration {quick, levelHeaded, improvedLevelHeaded}
+   * Dealt characters join the fight roster and are redealt every round.
+   * A group of Extras gets one card for all its members ({name, group: 6} or {name, members: ['Goblins 1', ...]})
+   * @param {Array} characters - Character names, or {name, edges, owner, group, members} for per-character edges,
+   *   players and groups
+   * @param {object|null} edges - Edges for characters without their own (null keeps the roster's edges)
    * @returns {object} - Results of card dealing
    */
-  dealCards(characterNames, edges = {}) {
+  dealCards(characters, edges = null) {
     if (!this.isActive) {
       throw new Error('No active fight. Start a fight first.');
     }
 
-    const results = [];
+    // Resolve every character's edges first so a bad configuration deals nothing
+    const resolved = characters.map(character => {
+      const name = typeof character === 'string' ? character : character.name;
+      const ownEdges = typeof character === 'string' ? null : character.edges;
+      const owner = typeof character === 'string' ? null : character.owner;
+      let members = null;
+      if (character.members) {
+        members = character.members.map(member => ({ name: member, wounds: 0 }));
+      } else if (character.group !== undefined && character.group !== null) {
+        members = createMembers(name, character.group);
+      }
+      return { name, owner, members, edges: normalizeEdges(ownEdges ?? edges ?? this.characters.get(name)?.edges) };
+    });
+
+    return resolved.map(({ name, owner, members, edges: characterEdges }) => {
+      const result = this.dealToCharacter(name, characterEdges);
+      if (owner) {
+        this.characters.get(name).owner = owner;
+      }
+      if (members) {
+        this.characters.get(name).members = members;
+        result.members = members.map(member => member.name);
+      }
+      return result;
+    });
+  }
+
+  /**
+   * Draw the top card, reshuffling when the deck is empty
+   * @param {Array} drawing - Cards already drawn by the deal in progress (default none)
+   * @returns {object} - Card
+   */
+  drawCard(drawing = []) {
+    if (this.deck.length === 0) {
+      // Reshuffle without the cards still in play, and keep a Joker's reshuffle for the end of the round
+      const jokerDealt = this.jokerDealt;
+      this.resetDeck([...this.getCardsInPlay(), ...drawing]);
+      if (this.deck.length === 0) {
+        this.resetDeck(); // More fighters than cards: every card is in play, so use a full deck
+      }
+      this.jokerDealt = jokerDealt;
+    }
+    const card = this.deck.pop();
+    this.dealtCards.push(card);
+
+    // Any Joker drawn (even a dropped one) reshuffles the deck at the end of the round
+    if (card.isJoker) {
+      this.jokerDealt = true;
+    }
+    return card;
+  }
+
+  /**
+   * Deal a card to one character, applying their edges and hindrances (SWADE)
+   * - Level Headed / Improved Level Headed: draw 2 / 3, keep the best
+   * - Hesitant: draw 2, keep the lowest (a Joker is still kept)
+   * - Quick: discard and redraw cards of 5 or lower
+   * - Tactician / Master Tactician: 1 / 2 extra cards to hand to allies
+   * @param {string} name - Character name
+   * @param {object} characterEdges - Normalized edges
+   * @returns {object} - {name, card, drawnCards, droppedCards, tacticianCards, edges}
+   */
+  dealToCharacter(name, characterEdges) {
+    let cardsToDraw = 1;
+    if (characterEdges.improvedLevelHeaded) {
+      cardsToDraw = 3;
+    } else if (characterEdges.levelHeaded || characterEdges.hesitant) {
+      cardsToDraw = 2;
+    }
+
+    const drawnCards = [];
+    for (let i = 0; i < cardsToDraw; i++) {
+      drawnCards.push(this.drawCard(drawnCards));
+    }
+
+    // Keep the best card, or the lowest for Hesitant unless a Joker came up
+    const sorted = [...drawnCards].sort(compareCards);
+    let keptCard = characterEdges.hesitant && !sorted[0].isJoker ? sorted[sorted.length - 1] : sorted[0];
+
+    // Quick: redraw until the card is better than 5
+    while (characterEdges.quick && !keptCard.isJoker && keptCard.value <= QUICK_THRESHOLD) {
+      keptCard = this.drawCard(drawnCards);
+      drawnCards.push(keptCard);
+    }
+
+    const droppedCards = drawnCards.filter(card => card !== keptCard);
+
+    const tacticianCount = characterEdges.masterTactician ? 2 : characterEdges.tactician ? 1 : 0;
+    const tacticianCards = [];
+    for (let i = 0; i < tacticianCount; i++) {
+      tacticianCards.push(this.drawCard([...drawnCards, ...tacticianCards]));
+    }
+
+    // Store character info (the player, wounds and group members are kept between deals)
+    const previous = this.characters.get(name);
+    this.characters.set(name, {
+      owner: previous?.owner ?? null,
+      card: keptCard,
+      edges: characterEdges,
+      drawnCards,
+      droppedCards,
+      tacticianCards,
+      ...(previous?.wounds ? { wounds: previous.wounds } : {}),
+      ...(previous?.members ? { members: previous.members } : {})
+    });
+
+    return {
+      name,
+      card: keptCard,
+      drawnCards,
+      droppedCards,
+      tacticianCards,
+      edges: characterEdges,
+      ...(previous?.members ? { members: previous.members.map(member => member.name) } : {})
+    };
+  }
+
+  /**
+   * Add characters in the middle of a fight (reinforcements)
+   * Unlike dealCards, characters already in the fight are rejected instead of being redealt
+   * @param {Array} characters - As for dealCards
+   * @param {object|null} edges - As for dealCards
+   * @returns {object} - Results of card dealing
+   */
+  addCharacters(characters, edges = null) {
+    const names = characters.map(character => (typeof character === 'string' ? character : character.name));
+    const taken = names.find((name, index) => this.isNameTaken(name) || names.indexOf(name) !== index);
+    if (taken) {
+      throw new Error(`${taken} is already in this fight.`);
+    }
 
-    for (const name of characterNames) {
-      const characterEdges = {
-        quick: edges.quick || false,
-        levelHeaded: edges.level_headed || false,
-        improvedLevelHeaded: edges.improved_level_headed || false
-      };
+    return this.dealCards(characters, edges);
+  }
 
-      let cardsToraw = 1;
+  /**
+   * Whether a name is used by a character or a group member
+   * @param {string} name - Name
+   * @returns {boolean}
+   */
+  isNameTaken(name) {
+    return this.characters.has(name) || this.findGroupMember(name) !== null;
+  }
 
-      // Determine how many cards to draw based on edges
-      if (characterEdges.improvedLevelHeaded) {
-        cardsToraw = 3; // Draw 3, keep best
-      } else if (characterEdges.levelHeaded || characterEdges.quick) {
-        cardsToraw = 2; // Draw 2, keep best
+  /**
+   * Find a member of a group of Extras
+   * @param {string} name - Member name
+   * @returns {object|null} - {groupName, group, member}, or null when no group has that member
+   */
+  findGroupMember(name) {
+    for (const [groupName, group] of this.characters) {
+      const member = group.members?.find(m => m.name === name);
+      if (member) {
+        return { groupName, group, member };
       }
+    }
+    return null;
+  }
+
+  /**
+   * Remove a character from the fight, discarding their cards
+   * The rest of the order is kept, and the turn pointer stays on the same upcoming character
+   * (removing the current actor hands the turn to whoever came after them, or ends the round)
+   * Removing a group member keeps the group's card until its last member is removed
+   * @param {string} name - Character or group member name
+   * @returns {object} - Removed character data, or {group, membersLeft, card} for a group member
+   *   (card is the discarded group card once the group is empty, null otherwise)
+   */
+  removeCharacter(name) {
+    const found = this.characters.has(name) ? null : this.findGroupMember(name);
+    if (found) {
+      found.group.members = found.group.members.filter(member => member !== found.member);
+      const membersLeft = found.group.members.length;
+      const card = membersLeft === 0 ? this.removeCharacter(found.groupName).card : null;
+      return { group: found.groupName, membersLeft, card };
+    }
+
+    const character = this.requireCharacter(name);
+    const actingIndex = this.getActingOrder().findIndex(char => char.name === name);
+
+    this.characters.delete(name);
+    this.discardPile.push(...[character.card, ...(character.tacticianCards ?? [])].filter(Boolean));
 
-      // Draw cards
-      const drawnCards = [];
-      for (let i = 0; i < cardsToraw; i++) {
-        if (this.deck.length === 0) {
-          this.resetDeck(); // Reshuffle if deck is empty
-        }
-        drawnCards.push(this.deck.pop());
+    // Whoever came after the removed character is now one place earlier.
+    // Removing the current actor leaves the pointer on whoever now takes their place,
+    // or past the end of the order when they were the last one, so the next turn starts a new round
+    if (this.turnIndex !== null && actingIndex !== -1 && actingIndex < this.turnIndex) {
+      this.turnIndex--;
+    }
+
+    // Characters who interrupted the removed character fall back to their own card
+    for (const other of this.characters.values()) {
+      if (other.placement?.target === name) {
+        other.placement = null;
       }
+    }
 
-      // Keep the best card
-      drawnCards.sort(compareCards);
-      const keptCard = drawnCards[0];
-      const droppedCards = drawnCards.slice(1);
-
-      // Store character info
-      this.characters.set(name, {
-        card: keptCard,
-        edges: characterEdges,
-        drawnCards,
-        droppedCards
-      });
+    return character;
+  }
 
-      this.dealtCards.push(keptCard);
+  /**
+   * Kill a character: removed from the fight and listed as fallen
+   * @param {string} name - Character name
+   * @returns {object} - Removed character data
+   */
+  killCharacter(name) {
+    const character = this.removeCharacter(name);
+    this.fallen.push(name);
+    return character;
+  }
 
-      results.push({
-        name,
-        card: keptCard,
-        drawnCards,
-        droppedCards,
-        edges: characterEdges
-      });
+  /**
+   * Rename a character or group member, keeping their card, edges and place in the order
+   * @param {string} name - Current name
+   * @param {string} newName - New name
+   */
+  renameCharacter(name, newName) {
+    const found = this.characters.has(name) ? null : this.findGroupMember(name);
+    if (!found) {
+      this.requireCharacter(name);
+    }
+    if (!newName) {
+      throw new Error('The new name cannot be empty.');
+    }
+    if (this.isNameTaken(newName)) {
+      throw new Error(`${newName} is already in this fight.`);
+    }
+
+    if (found) {
+      found.member.name = newName;
+      return;
+    }
+
+    // Rebuild the roster so the character keeps their place
+    this.characters = new Map(Array.from(this.characters.entries()).map(([key, data]) => [
+      key === name ? newName : key,
+      data
+    ]));
+
+    for (const other of this.characters.values()) {
+      if (other.placement?.target === name) {
+        other.placement = { ...other.placement, target: newName };
+      }
+    }
+  }
+
+  /**
+   * Add (or, with a negative amount, heal) wounds of a character or group member
+   * @param {string} name - Character or group member name
+   * @param {number} amount - Wounds to add (default 1)
+   * @returns {number} - Wounds after the change
+   */
+  wound(name, amount = 1) {
+    if (!Number.isInteger(amount) || amount === 0) {
+      throw new Error('Wounds must be a whole number other than 0');
+    }
+
+    const character = this.characters.get(name);
+    if (character?.members) {
+      throw new Error(`${name} is a group. Wound one of its members: ${character.members.map(m => m.name).join(', ')}`);
+    }
+
+    const target = character ?? this.findGroupMember(name)?.member ?? this.requireCharacter(name);
+    target.wounds = Math.max(0, (target.wounds ?? 0) + amount);
+    return target.wounds;
+  }
+
+  /**
+   * Get a character of the roster, throwing when it does not exist
+   * @param {string} name - Character name
+   * @returns {object} - Character data
+   */
+  requireCharacter(name) {
+    const character = this.characters.get(name);
+    if (!character) {
+      throw new Error(`No character named "${name}" in this fight.`);
+    }
+    return character;
+  }
+
+  /**
+   * Set the edges of a character of the roster (used from the next deal)
+   * @param {string} name - Character name
+   * @param {object} edges - Edge flags
+   * @returns {object} - Normalized edges
+   */
+  setCharacterEdges(name, edges) {
+    const character = this.requireCharacter(name);
+    character.edges = normalizeEdges(edges);
+    return character.edges;
+  }
+
+  /**
+   * Hand one of a Tactician's extra cards to an ally, whose current card is discarded
+   * The best remaining Tactician card is handed over
+   * @param {string} tacticianName - Character with Tactician cards
+   * @param {string} allyName - Character receiving the card
+   * @returns {object} - {card, replacedCard}
+   */
+  handCard(tacticianName, allyName) {
+    const tactician = this.requireCharacter(tacticianName);
+    const ally = this.requireCharacter(allyName);
+    if (!tactician.tacticianCards?.length) {
+      throw new Error(`${tacticianName} has no Tactician cards left this round.`);
+    }
+
+    tactician.tacticianCards.sort(compareCards);
+    const card = tactician.tacticianCards.shift();
+    const replacedCard = ally.card;
+    ally.card = card;
+    if (replacedCard) {
+      this.discardPile.push(replacedCard);
+    }
+    return { card, replacedCard };
+  }
+
+  /**
+   * Characters of the fight, their edges, Hold status, players and group members
+   * @returns {Array} - [{name, edges, onHold, owner, members}] in the order they joined (members only for groups)
+   */
+  getRoster() {
+    return Array.from(this.characters.entries()).map(([name, data]) => ({
+      name,
+      edges: data.edges,
+      onHold: data.onHold ?? false,
+      owner: data.owner ?? null,
+      ...(data.members ? { members: data.members.map(member => member.name) } : {})
+    }));
+  }
+
+  /**
+   * Restore a roster created by getRoster() (cards are dealt on the next round)
+   * @param {Array} roster - [{name, edges, onHold, owner, members}]
+   */
+  restoreRoster(roster) {
+    this.characters = new Map(roster.map(({ name, edges, onHold, owner, members }) => [
+      name, {
+        edges,
+        onHold: onHold ?? false,
+        owner: owner ?? null,
+        ...(members ? { members: members.map(member => ({ name: member, wounds: 0 })) } : {})
+      }
+    ]));
+  }
+
+  /**
+   * Put a character on Hold - they stay on Hold (and are not dealt in) until they act
+   * Holding at or before the current turn moves the turn pointer back, so nobody's turn is skipped
+   * @param {string} name - Character name
+   */
+  hold(name) {
+    const character = this.requireCharacter(name);
+    if (character.onHold) {
+      throw new Error(`${name} is already on Hold.`);
+    }
+
+    const actingIndex = this.getActingOrder().findIndex(char => char.name === name);
+
+    character.onHold = true;
+    character.placement = null;
+
+    if (this.turnIndex !== null && actingIndex !== -1 && actingIndex <= this.turnIndex) {
+      // The first actor holding puts the round back before its first turn
+      this.turnIndex = this.turnIndex === 0 ? null : this.turnIndex - 1;
+    }
+  }
+
+  /**
+   * Check that a character can interrupt another one (throws otherwise)
+   * @param {string} name - Character on Hold
+   * @param {string} targetName - Character being interrupted
+   */
+  checkInterrupt(name, targetName) {
+    const character = this.requireCharacter(name);
+    const target = this.requireCharacter(targetName);
+    if (!character.onHold) {
+      throw new Error(`${name} is not on Hold. Use \`/initiative hold\` first.`);
+    }
+    if (name === targetName || target.onHold) {
+      throw new Error(`${name} can only interrupt a character who is acting this round.`);
+    }
+  }
+
+  /**
+   * A character on Hold acts, interrupting another character
+   * If the interrupt was contested and lost, they act right after that character instead
+   * @param {string} name - Character on Hold
+   * @param {string} targetName - Character being interrupted
+   * @param {boolean} won - Whether the interrupt succeeds (default true)
+   * @returns {object} - {name, target, before}
+   */
+  interrupt(name, targetName, won = true) {
+    this.checkInterrupt(name, targetName);
+
+    const current = this.getCurrentActor();
+    const character = this.characters.get(name);
+    character.onHold = false;
+    character.placement = { target: targetName, before: won };
+
+    // Interrupting the current actor makes the interrupter current,
+    // any other interrupt keeps the turn on the same actor
+    if (current) {
+      const actor = current.name === targetName && won ? name : current.name;
+      this.turnIndex = this.getActingOrder().findIndex(char => char.name === actor);
     }
 
-    return results;
+    return { name, target: targetName, before: won };
   }
 
   /**
    * Get initiative order
+   * Interrupting characters are placed around their target, characters on Hold are listed last
    * @returns {Array} - Characters sorted by initiative order
+   *   ({name, owner, card, edges, tacticianCards, onHold, placement, wounds, members})
    */
   getInitiativeOrder() {
     const characters = Array.from(this.characters.entries()).map(([name, data]) => ({
       name,
+      owner: data.owner ?? null,
       card: data.card,
-      edges: data.edges
+      edges: data.edges,
+      tacticianCards: data.tacticianCards ?? [],
+      onHold: data.onHold ?? false,
+      placement: data.placement ?? null,
+      wounds: data.wounds ?? 0,
+      members: data.members ?? null
     }));
 
     // Sort by card value (compareCards handles the logic)
-    characters.sort((a, b) => compareCards(a.card, b.card));
+    const acting = characters.filter(char => !char.onHold && !char.placement);
+    acting.sort((a, b) => compareCards(a.card, b.card));
+
+    // Interrupting characters act right before (or, after a lost contest, right after) their target.
+    // An interrupt can target another interrupter, so placements are resolved until none is left
+    let pending = characters.filter(c => c.placement);
+    while (pending.length > 0) {
+      const unresolved = pending.filter(char => {
+        const targetIndex = acting.findIndex(c => c.name === char.placement.target);
+        if (targetIndex === -1) return true;
+        acting.splice(char.placement.before ? targetIndex : targetIndex + 1, 0, char);
+        return false;
+      });
+
+      // Targets no longer in the order: the interrupters act last
+      if (unresolved.length === pending.length) {
+        acting.push(...unresolved);
+        break;
+      }
+      pending = unresolved;
+    }
 
-    return characters;
+    // Characters on Hold come last
+    return [...acting, ...characters.filter(char => char.onHold)];
   }
 
   /**
-   * Start a new round
+   * Start a new round: every character of the roster discards and gets a new card,
+   * except characters on Hold. The deck is reshuffled first when a Joker was dealt during the round that ends (SWADE)
+   * @returns {object} - {round, reshuffled, results} (results as returned by dealCards)
    */
   newRound() {
     if (!this.isActive) {
       throw new Error('No active fight.');
     }
 
+    // Characters on Hold keep their card through the reshuffle
+    const reshuffled = this.jokerDealt;
+    if (reshuffled) {
+      this.resetDeck(this.getCardsInPlay(true));
+    }
+
     this.round++;
-    // In Savage Worlds, cards are kept for the entire fight
-    // Only reshuffle when deck runs out during dealing
+    this.turnIndex = null;
+
+    // Characters on Hold keep it (and their card) into the new round
+    const results = this.getRoster()
+      .filter(({ onHold }) => !onHold)
+      .map(({ name, edges }) => this.dealToCharacter(name, edges));
+    return { round: this.round, reshuffled, results };
+  }
+
+  /**
+   * Characters taking a turn this round (everyone not on Hold), in initiative order
+   * @returns {Array} - Entries of getInitiativeOrder()
+   */
+  getActingOrder() {
+    return this.getInitiativeOrder().filter(char => !char.onHold);
+  }
+
+  /**
+   * Character whose turn it is
+   * @returns {object|null} - Entry of getInitiativeOrder(), or null before the first turn
+   */
+  getCurrentActor() {
+    return this.turnIndex === null ? null : this.getActingOrder()[this.turnIndex] ?? null;
+  }
+
+  /**
+   * Whether the current actor is the last one of the round
+   * @returns {boolean}
+   */
+  isLastTurn() {
+    return this.turnIndex !== null && this.turnIndex >= this.getActingOrder().length - 1;
+  }
+
+  /**
+   * Move to the next actor, starting a new round after the last one
+   * @returns {object} - {actor, roundResult} (roundResult is null unless a new round started)
+   */
+  nextTurn() {
+    if (!this.isActive) {
+      throw new Error('No active fight.');
+    }
+    if (this.characters.size === 0) {
+      throw new Error('No cards dealt yet. Use `/initiative deal` first.');
+    }
+
+    let roundResult = null;
+    if (this.isLastTurn()) {
+      roundResult = this.newRound();
+    }
+
+    this.turnIndex = this.turnIndex === null ? 0 : this.turnIndex + 1;
+    return { actor: this.getCurrentActor(), roundResult };
+  }
+
+  /**
+   * Move back to the previous actor of the round
+   * @returns {object} - Entry of getInitiativeOrder()
+   */
+  previousTurn() {
+    if (!this.isActive) {
+      throw new Error('No active fight.');
+    }
+    if (this.turnIndex === null || this.turnIndex <= 0) {
+      throw new Error('Already at the start of the round.');
+    }
+
+    this.turnIndex--;
+    return this.getCurrentActor();
   }
 
   /**
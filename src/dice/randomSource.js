@@ -0,0 +1,127 @@
+/**
+ * Random sources for dice rolling
+ * Every roll in the bot draws its numbers through a random source so that
+ * rolls can either use the crypto-backed default or be replayed from a seed
+ */
+
+import { randomInt, randomBytes } from 'crypto';
+
+const UINT32_RANGE = 0x100000000;
+
+/**
+ * Crypto-backed random source (default for all rolls)
+ */
+export class CryptoRandomSource {
+  /**
+   * Get a random integer
+   * @param {number} max - Exclusive upper bound
+   * @returns {number} - Integer in [0, max)
+   */
+  nextInt(max) {
+    return randomInt(max);
+  }
+}
+
+/**
+ * Seeded, reproducible random source (sfc32 generator)
+ * The same seed always produces the same sequence of numbers
+ */
+export class SeededRandomSource {
+  /**
+   * @param {string|number} seed - Seed of the sequence
+   * @param {Array<number>} state - Internal generator state (used when restoring)
+   */
+  constructor(seed, state = null) {
+    this.seed = String(seed);
+    this.state = state ? [...state] : hashSeed(this.seed);
+  }
+
+  /**
+   * Get the next unsigned 32-bit value of the sequence
+   * @returns {number} - Integer in [0, 2^32)
+   */
+  nextUint32() {
+    let [a, b, c, d] = this.state;
+    const t = (((a + b) | 0) + d) | 0;
+    d = (d + 1) | 0;
+    a = b ^ (b >>> 9);
+    b = (c + (c << 3)) | 0;
+    c = (c << 21) | (c >>> 11);
+    c = (c + t) | 0;
+    this.state = [a, b, c, d];
+    return t >>> 0;
+  }
+
+  /**
+   * Get a random integer, without modulo bias
+   * @param {number} max - Exclusive upper bound
+   * @returns {number} - Integer in [0, max)
+   */
+  nextInt(max) {
+    if (!Number.isInteger(max) || max < 1 || max > UINT32_RANGE) {
+      throw new Error(`Invalid random range: ${max}`);
+    }
+    const limit = UINT32_RANGE - (UINT32_RANGE % max);
+    let value = this.nextUint32();
+    while (value >= limit) {
+      value = this.nextUint32();
+    }
+    return value % max;
+  }
+
+  /**
+   * Snapshot the generator so the sequence can be resumed later
+   * @returns {object} - {seed, state}
+   */
+  getState() {
+    return { seed: this.seed, state: [...this.state] };
+  }
+
+  /**
+   * Restore a generator from a snapshot created by getState()
+   * @param {object} snapshot - {seed, state}
+   * @returns {SeededRandomSource}
+   */
+  static fromState(snapshot) {
+    return new SeededRandomSource(snapshot.seed, snapshot.state);
+  }
+}
+
+/**
+ * Hash a seed string into the 128-bit sfc32 state (cyrb128)
+ * Internal helper - not exported, used by SeededRandomSource
+ * @param {string} seed - Seed string
+ * @returns {Array<number>} - Four 32-bit words
+ */
+function hashSeed(seed) {
+  let h1 = 1779033703, h2 = 3144134277, h3 = 1013904242, h4 = 2773480762;
+  for (let i = 0; i < seed.length; i++) {
+    const k = seed.charCodeAt(i);
+    h1 = h2 ^ Math.imul(h1 ^ k, 597399067);
+    h2 = h3 ^ Math.imul(h2 ^ k, 2869860233);
+    h3 = h4 ^ Math.imul(h3 ^ k, 951274213);
+    h4 = h1 ^ Math.imul(h4 ^ k, 2716044179);
+  }
+  h1 = Math.imul(h3 ^ (h1 >>> 18), 597399067);
+  h2 = Math.imul(h4 ^ (h2 >>> 22), 2869860233);
+  h3 = Math.imul(h1 ^ (h3 >>> 17), 951274213);
+  h4 = Math.imul(h2 ^ (h4 >>> 19), 2716044179);
+  h1 ^= (h2 ^ h3 ^ h4);
+  h2 ^= h1;
+  h3 ^= h1;
+  h4 ^= h1;
+  return [h1 | 0, h2 | 0, h3 | 0, h4 | 0];
+}
+
+/**
+ * Generate a fresh random seed
+ * @returns {string} - 16 hex characters
+ */
+export function generateSeed() {
+  return randomBytes(8).toString('hex');
+}
+
+/**
+ * Shared default random source
+ */
+export const defaultRandomSource = new CryptoRandomSource();
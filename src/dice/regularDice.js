@@ -2,55 +2,87 @@
  * Regular dice rolling utilities for standard RPG dice
  */
 
+import { defaultRandomSource } from './randomSource.js';
+
+export const DEFAULT_MAX_ACES = 100; // Most explosions of one die unless configured otherwise
+
 /**
  * Roll a single die
  * @param {number} sides - Number of sides on the die
+ * @param {object} rng - Random source (defaults to the crypto-backed source)
  * @returns {number} - Result of the roll
  */
-export function rollDie(sides) {
-  return Math.floor(Math.random() * sides) + 1;
+export function rollDie(sides, rng = defaultRandomSource) {
+  return rng.nextInt(sides) + 1;
 }
 
 /**
  * Roll a die with "acing" (exploding dice) - reroll and add on max value
  * Returns a nested structure where each explosion creates a nextRoll
  * @param {number} sides - Number of sides on the die
- * @param {number} maxAces - Maximum number of times to ace (default 100)
+ * @param {number} maxAces - Maximum number of times to ace (default DEFAULT_MAX_ACES)
+ * @param {object} rng - Random source (defaults to the crypto-backed source)
+ * @returns {object} - Nested die structure {value, exploded, nextRoll, total}
+ */
+export function rollAcingDie(sides, maxAces = DEFAULT_MAX_ACES, rng = defaultRandomSource) {
+  return rollExplodingDie(sides, { maxAces }, rng);
+}
+
+/**
+ * Roll an exploding die with the Roll20 variants
+ * - standard: every explosion is rolled and added (acing)
+ * - compound: the same rolls, marked with compound: true to be shown as a single die
+ * - penetrating: every explosion counts 1 less than rolled (the rolled face is kept in face)
+ * @param {number} sides - Number of sides on the die
+ * @param {object} options - {mode, explodesOn, maxAces}
+ * @param {string} options.mode - 'standard', 'compound' or 'penetrating' (default 'standard')
+ * @param {Function} options.explodesOn - Whether a rolled face explodes (default: the maximum face)
+ * @param {number} options.maxAces - Maximum number of explosions (default DEFAULT_MAX_ACES)
+ * @param {object} rng - Random source (defaults to the crypto-backed source)
  * @returns {object} - Nested die structure {value, exploded, nextRoll, total}
  */
-export function rollAcingDie(sides, maxAces = 100) {
-  const firstRoll = rollDie(sides);
+export function rollExplodingDie(sides, options = {}, rng = defaultRandomSource) {
+  const { mode = 'standard', explodesOn = face => face === sides, maxAces = DEFAULT_MAX_ACES } = options;
 
   // Build nested structure recursively
-  function buildNestedRoll(currentRoll, acesLeft) {
-    const exploded = currentRoll === sides && acesLeft > 0;
+  function buildNestedRoll(face, acesLeft, penetrated) {
+    const value = penetrated ? face - 1 : face;
+    const exploded = explodesOn(face) && acesLeft > 0;
 
     const die = {
-      value: currentRoll,
+      value: value,
       exploded: exploded,
       nextRoll: null,
-      total: currentRoll
+      total: value
     };
+    if (penetrated) {
+      die.face = face;
+    }
 
     if (exploded) {
-      const nextValue = rollDie(sides);
-      die.nextRoll = buildNestedRoll(nextValue, acesLeft - 1);
+      const nextFace = rollDie(sides, rng);
+      die.nextRoll = buildNestedRoll(nextFace, acesLeft - 1, mode === 'penetrating');
       die.total += die.nextRoll.total;
     }
 
     return die;
   }
 
-  return buildNestedRoll(firstRoll, maxAces);
+  const die = buildNestedRoll(rollDie(sides, rng), maxAces, false);
+  if (mode === 'compound') {
+    die.compound = true;
+  }
+  return die;
 }
 
 /**
  * Parse and roll a dice expression (e.g., "2d6+3", "d8", "3d10-2")
  * @param {string} expression - Dice expression to parse
  * @param {boolean} acing - Whether to use acing/exploding dice
+ * @param {object} rng - Random source (defaults to the crypto-backed source)
  * @returns {object} - {total, rolls, expression, breakdown}
  */
-export function parseDiceExpression(expression, acing = false) {
+export function parseDiceExpression(expression, acing = false, rng = defaultRandomSource) {
   // Remove spaces
   expression = expression.toLowerCase().replace(/\s/g, '');
 
@@ -78,11 +110,11 @@ export function parseDiceExpression(expression, acing = false) {
 
   for (let i = 0; i < count; i++) {
     if (acing) {
-      const result = rollAcingDie(sides);
+      const result = rollAcingDie(sides, DEFAULT_MAX_ACES, rng);
       rolls.push(result);
       total += result.total;
     } else {
-      const roll = rollDie(sides);
+      const roll = rollDie(sides, rng);
       rolls.push(roll);
       total += roll;
     }
@@ -0,0 +1,107 @@
+/**
+ * Savage Worlds damage utilities - damage rolls against Toughness
+ */
+
+import { rollAcingDie, DEFAULT_MAX_ACES } from './regularDice.js';
+import { calculateRaises } from './savageWorldsDice.js';
+import { defaultRandomSource } from './randomSource.js';
+
+const MAX_DAMAGE_DICE = 100;
+
+/**
+ * Roll a damage expression - every die aces (e.g., "2d6+d8", "d8+d6+2")
+ * @param {string} expression - Sum of dice groups and numbers
+ * @param {object} rng - Random source (defaults to the crypto-backed source)
+ * @param {number} maxAces - Most explosions of one die (default DEFAULT_MAX_ACES)
+ * @returns {object} - {total, dice: [{sides, sign, roll}], modifier}
+ */
+export function rollDamage(expression, rng = defaultRandomSource, maxAces = DEFAULT_MAX_ACES) {
+  const compact = expression.toLowerCase().replace(/\s/g, '');
+  const terms = compact.match(/[+-]?[^+-]+/g);
+
+  if (!terms || terms.join('') !== compact) {
+    throw new Error(`Invalid damage expression: ${expression}`);
+  }
+
+  const dice = [];
+  let modifier = 0;
+
+  for (const term of terms) {
+    const match = term.match(/^([+-]?)(?:(\d*)d(\d+)|(\d+))$/);
+    if (!match) {
+      throw new Error(`Invalid damage term "${term}" (use dice like 2d6 or numbers)`);
+    }
+
+    const sign = match[1] === '-' ? -1 : 1;
+    if (match[4] !== undefined) {
+      modifier += sign * parseInt(match[4]);
+      continue;
+    }
+
+    const count = parseInt(match[2] || '1');
+    const sides = parseInt(match[3]);
+    if (sides < 2) {
+      throw new Error('Die must have at least 2 sides');
+    }
+    if (count < 1 || dice.length + count > MAX_DAMAGE_DICE) {
+      throw new Error(`Damage rolls are limited to ${MAX_DAMAGE_DICE} dice`);
+    }
+
+    for (let i = 0; i < count; i++) {
+      dice.push({ sides, sign, roll: rollAcingDie(sides, maxAces, rng) });
+    }
+  }
+
+  const total = dice.reduce((sum, die) => sum + die.sign * die.roll.total, modifier);
+  return { total, dice, modifier };
+}
+
+/**
+ * Apply damage to a target (SWADE)
+ * Toughness includes armor, as in stat blocks: Toughness 7 (2) is toughness 7, armor 2.
+ * AP ignores that much armor. Meeting Toughness is Shaken, each raise is a Wound.
+ * Heavy Armor can only be hurt by a Heavy Weapon.
+ * @param {number} damage - Damage total
+ * @param {object} target - Target and weapon details
+ * @param {number} target.toughness - Toughness including armor
+ * @param {number} target.armor - Armor part of the Toughness (default 0)
+ * @param {number} target.ap - Armor Piercing of the attack (default 0)
+ * @param {boolean} target.heavyWeapon - The attack is a Heavy Weapon
+ * @param {boolean} target.heavyArmor - The target has Heavy Armor
+ * @returns {object} - {effectiveToughness, ignoredArmor, blocked, shaken, wounds, raises}
+ */
+export function resolveDamage(damage, { toughness, armor = 0, ap = 0, heavyWeapon = false, heavyArmor = false }) {
+  if (!Number.isInteger(toughness) || toughness < 0) {
+    throw new Error('Toughness must be 0 or more');
+  }
+  if (armor < 0 || armor > toughness) {
+    throw new Error('Armor must be between 0 and the Toughness');
+  }
+
+  const ignoredArmor = Math.min(Math.max(ap, 0), armor);
+  const effectiveToughness = toughness - ignoredArmor;
+  const raises = calculateRaises(damage, effectiveToughness, 4);
+  const blocked = heavyArmor && !heavyWeapon;
+
+  return {
+    effectiveToughness,
+    ignoredArmor,
+    blocked,
+    shaken: !blocked && raises.success,
+    wounds: blocked ? 0 : raises.raises,
+    raises
+  };
+}
+
+/**
+ * Roll damage and apply it to a target
+ * @param {string} expression - Damage dice expression
+ * @param {object} target - See resolveDamage
+ * @param {object} rng - Random source (defaults to the crypto-backed source)
+ * @param {number} maxAces - Most explosions of one die (default DEFAULT_MAX_ACES)
+ * @returns {object} - rollDamage result merged with the resolveDamage outcome
+ */
+export function rollDamageAgainstToughness(expression, target, rng = defaultRandomSource, maxAces = DEFAULT_MAX_ACES) {
+  const roll = rollDamage(expression, rng, maxAces);
+  return { ...roll, ...target, ...resolveDamage(roll.total, target) };
+}
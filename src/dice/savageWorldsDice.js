@@ -2,18 +2,21 @@
  * Savage Worlds dice rolling utilities - Wild Die system
  */
 
-import { rollAcingDie } from './regularDice.js';
+import { rollAcingDie, DEFAULT_MAX_ACES } from './regularDice.js';
+import { defaultRandomSource } from './randomSource.js';
 
 /**
  * Roll with Wild Die (Savage Worlds) - roll trait die and d6, keep highest
  * @param {number} traitDie - Size of the trait die (d4, d6, d8, etc.)
  * @param {number} modifier - Modifier to add to the result
  * @param {number} wildDie - Size of the wild die (default d6)
+ * @param {object} rng - Random source (defaults to the crypto-backed source)
+ * @param {number} maxAces - Most explosions of one die (default DEFAULT_MAX_ACES)
  * @returns {object} - Roll results with both dice
  */
-export function rollWithWildDie(traitDie, modifier = 0, wildDie = 6) {
-  const trait = rollAcingDie(traitDie);
-  const wild = rollAcingDie(wildDie);
+export function rollWithWildDie(traitDie, modifier = 0, wildDie = 6, rng = defaultRandomSource, maxAces = DEFAULT_MAX_ACES) {
+  const trait = rollAcingDie(traitDie, maxAces, rng);
+  const wild = rollAcingDie(wildDie, maxAces, rng);
 
   const traitTotal = trait.total + modifier;
   const wildTotal = wild.total + modifier;
@@ -28,19 +31,58 @@ export function rollWithWildDie(traitDie, modifier = 0, wildDie = 6) {
     modifier,
     usedDie,
     traitTotal,
-    wildTotal
+    wildTotal,
+    criticalFailure: isCriticalFailure([trait], wild)
   };
 }
 
+/**
+ * Check for a Critical Failure (snake eyes) on a Wild Card roll
+ * The Wild Die must come up 1 along with the trait die - or, when several trait
+ * dice share one Wild Die (Rate of Fire, Frenzy), along with at least half of them
+ * @param {Array<object>} traitDice - Trait die results (value is the first, natural roll)
+ * @param {object} wildDie - Wild die result
+ * @returns {boolean} - True for a Critical Failure
+ */
+export function isCriticalFailure(traitDice, wildDie) {
+  if (wildDie.value !== 1 || traitDice.length === 0) return false;
+
+  const ones = traitDice.filter(die => die.value === 1).length;
+  return ones * 2 >= traitDice.length;
+}
+
+/**
+ * Pick the trait die replaced by a shared Wild Die (Rate of Fire, Frenzy)
+ * The Wild Die replaces the lowest trait die, if it rolled higher
+ * @param {Array<object>} traitDice - Trait die results
+ * @param {object} wildDie - Wild die result
+ * @returns {number|null} - Index of the replaced trait die, or null when the Wild Die is not used
+ */
+export function findReplacedTraitDie(traitDice, wildDie) {
+  if (traitDice.length === 0) return null;
+
+  let lowest = 0;
+  traitDice.forEach((die, index) => {
+    if (die.total < traitDice[lowest].total) lowest = index;
+  });
+
+  return wildDie.total > traitDice[lowest].total ? lowest : null;
+}
+
 /**
  * Calculate raises (Savage Worlds mechanic)
  * @param {number} roll - Total roll result
  * @param {number} targetNumber - Target number (default 4)
  * @param {number} raiseInterval - Points needed per raise (default 4)
+ * @param {boolean} criticalFailure - Snake eyes, fails whatever the total
  * @returns {object} - {success, raises, margin}
  */
-export function calculateRaises(roll, targetNumber = 4, raiseInterval = 4) {
+export function calculateRaises(roll, targetNumber = 4, raiseInterval = 4, criticalFailure = false) {
   const margin = roll - targetNumber;
+  if (criticalFailure) {
+    return { success: false, raises: 0, margin, criticalFailure: true, description: 'Critical Failure' };
+  }
+
   const success = margin >= 0;
   const raises = success ? Math.floor(margin / raiseInterval) : 0;
 
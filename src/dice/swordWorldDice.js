@@ -0,0 +1,206 @@
+/**
+ * Sword World 2.x dice rolling utilities - power table (rating) rolls
+ */
+
+import { rollDie } from './regularDice.js';
+import { defaultRandomSource } from './randomSource.js';
+
+export const MIN_POWER = 0;
+export const MAX_POWER = 100;
+export const NO_CRITICAL = 13;
+const MAX_CRITICALS = 100;
+
+/**
+ * Sword World 2.0 power table
+ * One row per power (0-100), one column per 2d6 result from 3 to 12
+ * (a 2 is always an automatic failure and has no column)
+ */
+const POWER_TABLE = [
+  [ 0,  0,  0,  1,  2,  2,  3,  3,  4,  4], // 0
+  [ 0,  0,  0,  1,  2,  3,  3,  3,  4,  4], // 1
+  [ 0,  0,  0,  1,  2,  3,  4,  4,  4,  4], // 2
+  [ 0,  0,  1,  1,  2,  3,  4,  4,  4,  5], // 3
+  [ 0,  0,  1,  2,  2,  3,  4,  4,  5,  5], // 4
+  [ 0,  1,  1,  2,  2,  3,  4,  5,  5,  5], // 5
+  [ 0,  1,  1,  2,  3,  3,  4,  5,  5,  5], // 6
+  [ 0,  1,  1,  2,  3,  4,  4,  5,  5,  6], // 7
+  [ 0,  1,  2,  2,  3,  4,  4,  5,  6,  6], // 8
+  [ 0,  1,  2,  3,  3,  4,  4,  5,  6,  7], // 9
+  [ 1,  1,  2,  3,  3,  4,  5,  5,  6,  7], // 10
+  [ 1,  2,  2,  3,  3,  4,  5,  6,  6,  7], // 11
+  [ 1,  2,  2,  3,  4,  4,  5,  6,  6,  7], // 12
+  [ 1,  2,  3,  3,  4,  4,  5,  6,  7,  7], // 13
+  [ 1,  2,  3,  4,  4,  4,  5,  6,  7,  8], // 14
+  [ 1,  2,  3,  4,  4,  5,  5,  6,  7,  8], // 15
+  [ 1,  2,  3,  4,  4,  5,  6,  7,  7,  8], // 16
+  [ 1,  2,  3,  4,  5,  5,  6,  7,  7,  8], // 17
+  [ 1,  2,  3,  4,  5,  6,  6,  7,  7,  8], // 18
+  [ 1,  2,  3,  4,  5,  6,  7,  7,  8,  9], // 19
+  [ 1,  2,  3,  4,  5,  6,  7,  8,  9, 10], // 20
+  [ 1,  2,  3,  4,  6,  6,  7,  8,  9, 10], // 21
+  [ 1,  2,  3,  5,  6,  6,  7,  8,  9, 10], // 22
+  [ 2,  2,  3,  5,  6,  7,  7,  8,  9, 10], // 23
+  [ 2,  3,  4,  5,  6,  7,  7,  8,  9, 10], // 24
+  [ 2,  3,  4,  5,  6,  7,  8,  8,  9, 10], // 25
+  [ 2,  3,  4,  5,  6,  8,  8,  9,  9, 10], // 26
+  [ 2,  3,  4,  6,  6,  8,  8,  9,  9, 10], // 27
+  [ 2,  3,  4,  6,  6,  8,  9,  9, 10, 10], // 28
+  [ 2,  3,  4,  6,  7,  8,  9,  9, 10, 10], // 29
+  [ 2,  4,  4,  6,  7,  8,  9, 10, 10, 10], // 30
+  [ 2,  4,  5,  6,  7,  8,  9, 10, 10, 11], // 31
+  [ 3,  4,  5,  6,  7,  8, 10, 10, 10, 11], // 32
+  [ 3,  4,  5,  6,  8,  8, 10, 10, 10, 11], // 33
+  [ 3,  4,  5,  6,  8,  9, 10, 10, 11, 11], // 34
+  [ 3,  4,  5,  7,  8,  9, 10, 10, 11, 12], // 35
+  [ 3,  5,  5,  7,  8,  9, 10, 11, 11, 12], // 36
+  [ 3,  5,  6,  7,  8,  9, 10, 11, 12, 12], // 37
+  [ 3,  5,  6,  7,  8, 10, 10, 11, 12, 13], // 38
+  [ 4,  5,  6,  7,  8, 10, 11, 11, 12, 13], // 39
+  [ 4,  5,  6,  7,  9, 10, 11, 11, 12, 13], // 40
+  [ 4,  6,  6,  7,  9, 10, 11, 12, 12, 13], // 41
+  [ 4,  6,  7,  7,  9, 10, 11, 12, 13, 13], // 42
+  [ 4,  6,  7,  8,  9, 10, 11, 12, 13, 14], // 43
+  [ 4,  6,  7,  8, 10, 10, 11, 12, 13, 14], // 44
+  [ 4,  6,  7,  9, 10, 10, 11, 12, 13, 14], // 45
+  [ 4,  6,  7,  9, 10, 10, 12, 13, 13, 14], // 46
+  [ 4,  6,  7,  9, 10, 11, 12, 13, 13, 15], // 47
+  [ 4,  6,  7,  9, 10, 12, 12, 13, 13, 15], // 48
+  [ 4,  6,  7, 10, 10, 12, 12, 13, 14, 15], // 49
+  [ 4,  6,  8, 10, 10, 12, 12, 13, 15, 15], // 50
+  [ 5,  7,  8, 10, 10, 12, 12, 13, 15, 15], // 51
+  [ 5,  7,  8, 10, 11, 12, 12, 13, 15, 15], // 52
+  [ 5,  7,  9, 10, 11, 12, 12, 14, 15, 15], // 53
+  [ 5,  7,  9, 10, 11, 12, 13, 14, 15, 16], // 54
+  [ 5,  7, 10, 10, 11, 12, 13, 14, 16, 16], // 55
+  [ 5,  8, 10, 10, 11, 12, 13, 15, 16, 16], // 56
+  [ 5,  8, 10, 11, 11, 12, 13, 15, 16, 17], // 57
+  [ 5,  8, 10, 11, 12, 12, 13, 15, 16, 17], // 58
+  [ 5,  9, 10, 11, 12, 12, 14, 15, 16, 17], // 59
+  [ 5,  9, 10, 11, 12, 13, 14, 15, 16, 18], // 60
+  [ 5,  9, 10, 11, 12, 13, 14, 16, 17, 18], // 61
+  [ 5,  9, 10, 11, 13, 13, 14, 16, 17, 18], // 62
+  [ 5,  9, 10, 11, 13, 13, 15, 17, 17, 18], // 63
+  [ 5,  9, 10, 11, 13, 14, 15, 17, 17, 18], // 64
+  [ 5,  9, 10, 12, 13, 14, 15, 17, 18, 18], // 65
+  [ 5,  9, 10, 12, 13, 15, 15, 17, 18, 19], // 66
+  [ 5,  9, 10, 12, 13, 15, 16, 17, 19, 19], // 67
+  [ 5,  9, 10, 12, 14, 15, 16, 17, 19, 19], // 68
+  [ 5,  9, 10, 12, 14, 16, 16, 17, 19, 19], // 69
+  [ 5,  9, 10, 12, 14, 16, 17, 18, 19, 19], // 70
+  [ 5,  9, 10, 13, 14, 16, 17, 18, 19, 20], // 71
+  [ 5,  9, 10, 13, 15, 16, 17, 18, 19, 20], // 72
+  [ 5,  9, 10, 13, 15, 16, 17, 19, 20, 21], // 73
+  [ 6,  9, 10, 13, 15, 16, 18, 19, 20, 21], // 74
+  [ 6,  9, 10, 13, 16, 16, 18, 19, 20, 21], // 75
+  [ 6,  9, 10, 13, 16, 17, 18, 19, 20, 21], // 76
+  [ 6,  9, 10, 13, 16, 17, 18, 20, 21, 22], // 77
+  [ 6,  9, 10, 13, 16, 17, 19, 20, 22, 23], // 78
+  [ 6,  9, 10, 13, 16, 18, 19, 20, 22, 23], // 79
+  [ 6,  9, 10, 13, 16, 18, 20, 21, 22, 23], // 80
+  [ 6,  9, 10, 13, 17, 18, 20, 21, 22, 23], // 81
+  [ 6,  9, 10, 14, 17, 18, 20, 21, 22, 24], // 82
+  [ 6,  9, 11, 14, 17, 18, 20, 21, 23, 24], // 83
+  [ 6,  9, 11, 14, 17, 19, 20, 21, 23, 24], // 84
+  [ 6,  9, 11, 14, 17, 19, 21, 22, 23, 24], // 85
+  [ 7, 10, 11, 14, 17, 19, 21, 22, 23, 25], // 86
+  [ 7, 10, 12, 14, 17, 19, 21, 22, 24, 25], // 87
+  [ 7, 10, 12, 14, 18, 19, 21, 22, 24, 25], // 88
+  [ 7, 10, 12, 15, 18, 19, 21, 22, 24, 26], // 89
+  [ 7, 10, 12, 15, 18, 19, 21, 23, 25, 26], // 90
+  [ 7, 11, 13, 15, 18, 19, 21, 23, 25, 26], // 91
+  [ 7, 11, 13, 15, 18, 20, 21, 23, 25, 27], // 92
+  [ 8, 11, 13, 15, 18, 20, 22, 23, 25, 27], // 93
+  [ 8, 11, 13, 16, 18, 20, 22, 23, 25, 28], // 94
+  [ 8, 11, 14, 16, 18, 20, 22, 23, 26, 28], // 95
+  [ 8, 11, 14, 16, 19, 20, 22, 23, 26, 28], // 96
+  [ 8, 12, 14, 16, 19, 20, 22, 24, 26, 28], // 97
+  [ 8, 12, 15, 16, 19, 20, 22, 24, 27, 28], // 98
+  [ 8, 12, 15, 17, 19, 20, 22, 24, 27, 29], // 99
+  [ 8, 12, 15, 18, 19, 20, 22, 24, 27, 30] // 100
+];
+
+/**
+ * Look up the power table
+ * @param {number} power - Power (0-100)
+ * @param {number} diceResult - Modified 2d6 result (clamped to 3-12)
+ * @returns {number} - Damage / effect value
+ */
+export function getPowerTableValue(power, diceResult) {
+  if (!Number.isInteger(power) || power < MIN_POWER || power > MAX_POWER) {
+    throw new Error(`Power must be between ${MIN_POWER} and ${MAX_POWER}`);
+  }
+  const column = Math.min(Math.max(diceResult, 3), 12) - 3;
+  return POWER_TABLE[power][column];
+}
+
+/**
+ * Roll on the power table (Sword World 2.x), re-rolling on criticals
+ * @param {number} power - Power (0-100)
+ * @param {object} options - Roll options
+ * @param {number} options.critical - Critical value: re-roll and add while the result is >= this (default 10, 13 = never)
+ * @param {number} options.autoFail - Automatic failure on a natural result <= this (default 2)
+ * @param {boolean} options.humanSwordGrace - Flip the first roll's dice (7 - x) with the Human Sword Grace
+ * @param {number} options.diceCount - Number of d6 rolled each time (default 2)
+ * @param {number} options.diceModifier - Modifier added to each dice result before the table lookup
+ * @param {object} rng - Random source (defaults to the crypto-backed source)
+ * @returns {object} - {total, rolls, criticals, autoFailed}
+ */
+export function rollSwordWorldPower(power, options = {}, rng = defaultRandomSource) {
+  const {
+    critical = 10,
+    autoFail = 2,
+    humanSwordGrace = false,
+    diceCount = 2,
+    diceModifier = 0
+  } = options;
+
+  // Validate the power before rolling anything
+  getPowerTableValue(power, 3);
+
+  if (critical < 3) {
+    throw new Error('Critical value must be at least 3');
+  }
+  if (diceCount < 1) {
+    throw new Error('Power rolls need at least one die');
+  }
+
+  const rolls = [];
+  let total = 0;
+  let autoFailed = false;
+
+  while (rolls.length <= MAX_CRITICALS) {
+    let dice = [];
+    for (let i = 0; i < diceCount; i++) {
+      dice.push(rollDie(6, rng));
+    }
+
+    // Human Sword Grace turns the first roll's dice upside down (1 <-> 6, 2 <-> 5, 3 <-> 4)
+    const flipped = humanSwordGrace && rolls.length === 0;
+    if (flipped) {
+      dice = dice.map(value => 7 - value);
+    }
+
+    const natural = dice.reduce((sum, value) => sum + value, 0);
+
+    // Automatic failure ends the roll (and zeroes the whole roll when it is the first one)
+    if (natural <= autoFail) {
+      rolls.push({ dice, flipped, natural, result: natural, value: 0, autoFail: true });
+      autoFailed = rolls.length === 1;
+      break;
+    }
+
+    const result = Math.min(Math.max(natural + diceModifier, 2), 12);
+    const value = result > 2 ? getPowerTableValue(power, result) : 0;
+    rolls.push({ dice, flipped, natural, result, value, autoFail: false });
+    total += value;
+
+    if (result < critical) break;
+  }
+
+  return {
+    total: autoFailed ? 0 : total,
+    rolls,
+    criticals: rolls.filter(roll => !roll.autoFail && roll.result >= critical).length,
+    autoFailed
+  };
+}
@@ -0,0 +1,157 @@
+/**
+ * Action deck card images - drawn locally from the rank and suit glyphs bundled in ./cards
+ */
+
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { decodePng, encodePng } from './png.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+/**
+ * Constants for the card layout (pixels)
+ */
+const CARD_WIDTH = 60;
+const CARD_HEIGHT = 84;
+const CARD_GAP = 8;
+const PADDING = 8;
+const CARDS_PER_ROW = 10;
+
+const FELT_COLOR = [0x35, 0x65, 0x4d, 0xff];
+const CARD_COLOR = [0xff, 0xff, 0xff, 0xff];
+const BORDER_COLOR = [0x99, 0x99, 0x99, 0xff];
+const RED_COLOR = [0xcc, 0x22, 0x22, 0xff];
+const BLACK_COLOR = [0x22, 0x22, 0x22, 0xff];
+
+// Glyph and ink color of each suit of the deck (Jokers use their color as suit)
+const SUITS = {
+  '♠️ Spades': { glyph: 'suit-spades', color: BLACK_COLOR },
+  '♥️ Hearts': { glyph: 'suit-hearts', color: RED_COLOR },
+  '♦️ Diamonds': { glyph: 'suit-diamonds', color: RED_COLOR },
+  '♣️ Clubs': { glyph: 'suit-clubs', color: BLACK_COLOR },
+  'Red': { glyph: 'joker', color: RED_COLOR },
+  'Black': { glyph: 'joker', color: BLACK_COLOR }
+};
+
+const RANKS = ['2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K', 'A'];
+
+// Decoded glyphs, loaded on first use
+const glyphCache = new Map();
+
+/**
+ * Load a bundled glyph
+ * Internal helper - not exported, used by drawCard
+ * @param {string} name - Glyph file name without extension
+ * @returns {object} - Decoded image {width, height, data}
+ */
+function loadGlyph(name) {
+  if (!glyphCache.has(name)) {
+    glyphCache.set(name, decodePng(readFileSync(join(__dirname, 'cards', `${name}.png`))));
+  }
+  return glyphCache.get(name);
+}
+
+/**
+ * Fill a rectangle of an image
+ * Internal helper - not exported, used by drawCard and renderCardImage
+ */
+function fillRect(image, x, y, width, height, color) {
+  for (let row = y; row < y + height; row++) {
+    for (let col = x; col < x + width; col++) {
+      image.data.set(color, (row * image.width + col) * 4);
+    }
+  }
+}
+
+/**
+ * Draw a glyph in a color, scaled up and optionally turned upside down (bottom corner of a card)
+ * Internal helper - not exported, used by drawCard
+ */
+function drawGlyph(image, glyph, x, y, color, scale = 1, upsideDown = false) {
+  for (let gy = 0; gy < glyph.height; gy++) {
+    for (let gx = 0; gx < glyph.width; gx++) {
+      const sx = upsideDown ? glyph.width - 1 - gx : gx;
+      const sy = upsideDown ? glyph.height - 1 - gy : gy;
+      if (glyph.data[(sy * glyph.width + sx) * 4 + 3] > 0) {
+        fillRect(image, x + gx * scale, y + gy * scale, scale, scale, color);
+      }
+    }
+  }
+}
+
+/**
+ * Glyphs and color of a card
+ * @param {object} card - Card from the initiative deck
+ * @returns {object} - {rank, suit, color} with rank and suit glyph names
+ */
+export function getCardGlyphs(card) {
+  const suit = SUITS[card.suit];
+  if (!suit || !(card.isJoker || RANKS.includes(card.rank))) {
+    throw new Error(`No card image for ${card.display}`);
+  }
+  return { rank: card.isJoker ? 'joker' : `rank-${card.rank}`, suit: suit.glyph, color: suit.color };
+}
+
+/**
+ * Draw one card with its top-left corner at (x, y)
+ * Internal helper - not exported, used by renderCardImage
+ */
+function drawCard(image, card, x, y) {
+  const glyphs = getCardGlyphs(card);
+  const rank = loadGlyph(glyphs.rank);
+  const suit = loadGlyph(glyphs.suit);
+
+  // White card with a border and cut corners
+  fillRect(image, x, y, CARD_WIDTH, CARD_HEIGHT, BORDER_COLOR);
+  fillRect(image, x + 1, y + 1, CARD_WIDTH - 2, CARD_HEIGHT - 2, CARD_COLOR);
+  for (const [cx, cy] of [[0, 0], [CARD_WIDTH - 1, 0], [0, CARD_HEIGHT - 1], [CARD_WIDTH - 1, CARD_HEIGHT - 1]]) {
+    fillRect(image, x + cx, y + cy, 1, 1, FELT_COLOR);
+  }
+
+  // Jokers show their star in the corners, other cards their rank (doubled) above the suit
+  const rankScale = card.isJoker ? 1 : 2;
+  const rankHeight = rank.height * rankScale;
+  drawGlyph(image, rank, x + 4, y + 4, glyphs.color, rankScale);
+  drawGlyph(image, rank, x + CARD_WIDTH - 4 - rank.width * rankScale, y + CARD_HEIGHT - 4 - rankHeight,
+    glyphs.color, rankScale, true);
+  if (!card.isJoker) {
+    drawGlyph(image, suit, x + 4, y + 6 + rankHeight, glyphs.color);
+    drawGlyph(image, suit, x + CARD_WIDTH - 4 - suit.width, y + CARD_HEIGHT - 6 - rankHeight - suit.height,
+      glyphs.color, 1, true);
+  }
+
+  // Large suit (or Joker star) in the middle
+  const centerScale = card.isJoker ? 4 : 3;
+  drawGlyph(image, suit,
+    x + Math.floor((CARD_WIDTH - suit.width * centerScale) / 2),
+    y + Math.floor((CARD_HEIGHT - suit.height * centerScale) / 2),
+    glyphs.color, centerScale);
+}
+
+/**
+ * Render cards side by side as a PNG, left to right in the given order (rows of 10)
+ * @param {Array} cards - Cards from the initiative deck
+ * @returns {Buffer} - PNG image
+ */
+export function renderCardImage(cards) {
+  if (cards.length === 0) {
+    throw new Error('No cards to draw');
+  }
+
+  const columns = Math.min(cards.length, CARDS_PER_ROW);
+  const rows = Math.ceil(cards.length / CARDS_PER_ROW);
+  const width = PADDING * 2 + columns * CARD_WIDTH + (columns - 1) * CARD_GAP;
+  const height = PADDING * 2 + rows * CARD_HEIGHT + (rows - 1) * CARD_GAP;
+  const image = { width, height, data: Buffer.alloc(width * height * 4) };
+
+  fillRect(image, 0, 0, width, height, FELT_COLOR);
+  cards.forEach((card, index) => {
+    const column = index % CARDS_PER_ROW;
+    const row = Math.floor(index / CARDS_PER_ROW);
+    drawCard(image, card, PADDING + column * (CARD_WIDTH + CARD_GAP), PADDING + row * (CARD_HEIGHT + CARD_GAP));
+  });
+
+  return encodePng(image);
+}
@@ -73,6 +73,9 @@ function applyDiceIcon(embed) {
 /**
  * Helper: Format a single die's explosion chain
  * Traverses the nested nextRoll structure
+ * - Acing: "(6💥, 6💥, 3)"
+ * - Compound (!!): one die, "15 (6💥+6💥+3)"
+ * - Penetrating (!p): explosions show the rolled face minus 1, "(6💥, 6-1💥, 3-1)"
  * @param {Object} die - Die object {value, exploded, nextRoll, total}
  * @returns {string} Formatted die chain (e.g., "6💥, 6💥, 3" or "5")
  */
@@ -83,14 +86,18 @@ function formatDieChain(die) {
   let current = die;
 
   while (current) {
+    const value = current.face !== undefined ? `${current.face}-1` : current.value;
     if (current.exploded && current.nextRoll) {
-      chain.push(`${current.value}💥`);
+      chain.push(`${value}💥`);
     } else {
-      chain.push(current.value);
+      chain.push(value);
     }
     current = current.nextRoll;
   }
 
+  if (chain.length > 1 && die.compound) {
+    return `${die.total} _(${chain.join('+')})_`;
+  }
   return chain.length > 1 ? `**(** ${chain.join(', ')} **)** ` : chain.join('');
 }
 
@@ -103,13 +110,14 @@ function formatGenericRoll(result) {
   // Format each die with its explosion chain
   const diceStrings = result.dice
     .filter(die => die.kept !== false) // Only show kept dice (kept === true or kept === undefined)
-    .map(die => formatDieChain(die));
+    .map(die => formatRerolledDice(die.rerolls) + formatDieChain(die));
 
   const diceDisplay = diceStrings.join(', ');
 
   let output = `**${result.value}** ← **[** ${diceDisplay} **]**`;
   output += formatDroppedDice(result.droppedDice);
   output += formatModifier(result.modifier);
+  output += formatTargetNumberOutcome(result);
 
   return output;
 }
@@ -136,6 +144,17 @@ function formatDroppedDice(droppedDice) {
   return ` ~~*( ${droppedValues} )*~~`;
 }
 
+/**
+ * Format the discarded rolls of a rerolled die, struck through before the roll that stands
+ * @param {Array} rerolls - Discarded dice, in the order they were rolled
+ * @returns {string} Formatted rerolls string or empty string
+ */
+function formatRerolledDice(rerolls) {
+  if (!rerolls || rerolls.length === 0) return '';
+  const rerolledValues = rerolls.map(die => die.total).join(', ');
+  return `~~*( ${rerolledValues} )*~~ `;
+}
+
 /**
  * Format raises/success information
  * @param {Object} raises - Raises object with success, raises, margin
@@ -147,7 +166,9 @@ function formatRaises(raises, targetNumber, raiseInterval) {
   if (!raises) return '';
 
   let text = '';
-  if (raises.success) {
+  if (raises.criticalFailure) {
+    text = '\n💀💀 **CRITICAL FAILURE** (snake eyes)';
+  } else if (raises.success) {
     if (raises.raises > 0) {
       const stars = '⭐'.repeat(raises.raises);
       const raiseWord = raises.raises === 1 ? 'raise' : 'raises';
@@ -165,6 +186,18 @@ function formatRaises(raises, targetNumber, raiseInterval) {
   return text;
 }
 
+/**
+ * Format success/raises of a result that carries a target number
+ * (generic rolls with tN, or any expression with a tN: prefix)
+ * Savage Worlds rolls format their own raises
+ * @param {Object} result - Roll result
+ * @returns {string} Formatted raises string or empty string
+ */
+function formatTargetNumberOutcome(result) {
+  if (!result.raises || result.rollType === 'savageWild') return '';
+  return formatRaises(result.raises, result.targetNumber, result.raiseInterval);
+}
+
 /**
  * Format a Savage Worlds wild die roll result
  * @param {Object} result - SavageWildRollResult instance
@@ -183,6 +216,137 @@ function formatSavageWildRoll(result) {
   return output;
 }
 
+/**
+ * Format Savage Worlds trait dice sharing one Wild Die (2s8, Rate of Fire)
+ * One line per trait die with its own success and raises
+ * @param {Object} result - MultipleRollsResult instance with a shared wildDie
+ * @returns {string} Formatted roll string
+ */
+function formatSharedWildRolls(result) {
+  const wildUse = result.replacedIndex !== null ? `replaces #${result.replacedIndex + 1}` : 'not used';
+  const lines = [`**Wild:** ${formatDieChain(result.wildDie)} (${result.wildDie.total}) • ${wildUse}`];
+
+  result.rolls.forEach((roll, index) => {
+    const traitText = `${formatDieChain(roll.traitDie)} (${roll.traitDie.total})`;
+    const used = roll.usedDie === 'wild' ? `~~${traitText}~~ 🐺` : traitText;
+    const outcome = result.criticalFailure ? '' : ` • ${formatRaises(roll.raises, null, null).trim()}`;
+    lines.push(`**#${index + 1}:** ${used} → **${roll.value}**${formatModifier(roll.modifier)}${outcome}`);
+  });
+
+  const { targetNumber, raiseInterval } = result.rolls[0];
+  lines.push(result.criticalFailure
+    ? '💀💀 **CRITICAL FAILURE** (snake eyes)'
+    : `🎯 ${targetNumber} | 🪜 ${raiseInterval}`);
+
+  return lines.join('\n');
+}
+
+/**
+ * Format a Carcosa roll result
+ * @param {Object} result - CarcosaRollResult instance
+ * @returns {string} Formatted roll string
+ */
+function formatCarcosaRoll(result) {
+  const diceDisplay = result.dice.map(die => formatDieChain(die)).join(', ');
+
+  let output = `**${result.value}** ← ${result.dice.length}d${result.sides} **[** ${diceDisplay} **]**`;
+  output += formatModifier(result.modifier);
+  output += ` • 🐙 d6: ${result.dieTypeRoll}`;
+  output += formatTargetNumberOutcome(result);
+
+  return output;
+}
+
+/**
+ * Format a Sword World power roll result
+ * One line per roll on the power table, criticals marked with 💥
+ * @param {Object} result - SwordWorldPowerRollResult instance
+ * @returns {string} Formatted roll string
+ */
+function formatSwordWorldPowerRoll(result) {
+  const lines = result.rolls.map(roll => {
+    const flipped = roll.flipped ? ' 🔄' : '';
+    const dice = `(${roll.dice.join(', ')})${flipped}`;
+
+    if (roll.autoFail) {
+      return `${dice} = ${roll.natural} → 💀 Automatic failure`;
+    }
+
+    const modified = roll.result !== roll.natural ? ` ⇒ ${roll.result}` : '';
+    const critical = roll.result >= result.critical ? ' 💥' : '';
+    return `${dice} = ${roll.natural}${modified} → **${roll.value}**${critical}`;
+  });
+
+  let output = `**${result.value}** ← ⚔️ Power ${result.power}`;
+  if (result.critical < 13) output += ` • Critical ${result.critical}`;
+  output += formatModifier(result.modifier);
+  output += `\n${lines.join('\n')}`;
+  output += formatTargetNumberOutcome(result);
+
+  return output;
+}
+
+/**
+ * Format one side of a comparison or conditional (or a function argument) with the formatter of its roll type
+ * Internal helper - not exported, used by formatComparisonRoll, formatConditionalRoll and formatFunctionCall
+ * @param {Object} result - RollResult instance
+ * @returns {string} Formatted roll string
+ */
+function formatOperand(result) {
+  let output;
+  if (result.rollType === 'generic') output = formatGenericRoll(result);
+  else if (result.rollType === 'savageWild') output = formatSavageWildRoll(result);
+  else if (result.rollType === 'carcosa') output = formatCarcosaRoll(result);
+  else if (result.rollType === 'swordWorldPower') output = formatSwordWorldPowerRoll(result);
+  else if (result.rollType === 'multiple' && result.wildDie) output = formatSharedWildRolls(result);
+  else if (result.rollType === 'comparison') output = formatComparisonRoll(result);
+  else if (result.rollType === 'conditional') output = formatConditionalRoll(result);
+  else if (result.rollType === 'function') output = formatFunctionCall(result);
+  else output = `**${result.value}**${formatTargetNumberOutcome(result)}`;
+
+  // Target number outcomes end with a line break, the next part starts its own line anyway
+  return output.trimEnd();
+}
+
+// Roll types built from other results, shown with formatOperand
+const EXPRESSION_ROLL_TYPES = ['comparison', 'conditional', 'function'];
+
+// Display of the comparison operators
+const COMPARISON_SYMBOLS = { '>': '>', '<': '<', '>=': '≥', '<=': '≤', '==': '=' };
+
+/**
+ * Format a comparison result: the left side, then the operator, the right side and the outcome
+ * @param {Object} result - ComparisonRollResult instance
+ * @returns {string} Formatted comparison string (e.g., "**9** ← [ 4, 5 ]\n**≥** **8** ➜ ✅ **true**")
+ */
+function formatComparisonRoll(result) {
+  const outcome = result.passed ? '✅ **true**' : '❌ **false**';
+  return `${formatOperand(result.left)}\n**${COMPARISON_SYMBOLS[result.operator]}** ${formatOperand(result.right)} ➜ ${outcome}`;
+}
+
+/**
+ * Format a built-in function result: the value and function, then one line per argument
+ * @param {Object} result - FunctionCallResult instance
+ * @returns {string} Formatted function string (e.g., "**9** ← max\n• **9** ← [ 4, 5 ]\n• **7** ← [ 6, 1 ]")
+ */
+function formatFunctionCall(result) {
+  // A division shows the exact value the function worked on (3.5 for floor(7/2))
+  const args = result.args.map(arg => result.exactArgs && arg.exact !== undefined
+    ? `• **${Number(arg.exact.toFixed(2))}**`
+    : `• ${formatOperand(arg)}`);
+  return `**${result.value}** ← ${result.name}${formatModifier(result.modifier)}\n${args.join('\n')}`;
+}
+
+/**
+ * Format a conditional result: the condition, then the chosen label or branch
+ * @param {Object} result - ConditionalRollResult instance
+ * @returns {string} Formatted conditional string
+ */
+function formatConditionalRoll(result) {
+  const chosen = result.branch ? formatOperand(result.branch) : `**${result.label}**`;
+  return `${formatOperand(result.condition)}\n➜ ${chosen}`;
+}
+
 //**************************************************
 // Embedding functions
 //**************************************************
@@ -254,14 +418,110 @@ export function createWildDieEmbed(expression, result, targetNumber = null, rais
   }
 
   const embed = new EmbedBuilder()
-    .setColor(DICE_COLOR)
+    .setColor(result.criticalFailure ? 0xFF0000 : DICE_COLOR)
     .setDescription(`\`${expression}\``)
     .addFields(...fields)
     .setThumbnail(thumbnailUrl);
 
+  // Snake eyes overrides everything else on the roll
+  if (result.criticalFailure) {
+    embed.setTitle('💀 Critical Failure!');
+  }
+
   return embed;
 }
 
+/**
+ * Create embed for a damage roll against Toughness
+ * @param {string} expression - Damage dice expression
+ * @param {Object} result - Result of rollDamageAgainstToughness()
+ * @returns {EmbedBuilder}
+ */
+export function createDamageEmbed(expression, result) {
+  const diceDisplay = result.dice
+    .map(die => `${die.sign < 0 ? '-' : ''}${formatDieChain(die.roll)}`)
+    .join(', ');
+
+  let targetText = `🛡️ Toughness ${result.toughness}${result.armor > 0 ? ` (${result.armor})` : ''}`;
+  if (result.ignoredArmor > 0) targetText += ` • AP ignores ${result.ignoredArmor} → **${result.effectiveToughness}**`;
+  if (result.heavyArmor) targetText += ' • Heavy Armor';
+  if (result.heavyWeapon) targetText += ' • Heavy Weapon';
+
+  let outcome;
+  if (result.blocked) {
+    outcome = '🛡️ No effect - Heavy Armor can only be hurt by a Heavy Weapon';
+  } else if (result.wounds > 0) {
+    outcome = `🩸 **${result.wounds} Wound${result.wounds > 1 ? 's' : ''}** and Shaken`;
+  } else if (result.shaken) {
+    outcome = '😵 **Shaken**';
+  } else {
+    outcome = `🛡️ No effect (short by ${Math.abs(result.raises.margin)})`;
+  }
+
+  const embed = new EmbedBuilder()
+    .setColor(result.wounds > 0 ? 0xFF0000 : DICE_COLOR)
+    .setDescription(`\`${expression}\``)
+    .addFields(
+      {
+        name: '__Damage__',
+        value: `**${result.total}** ← **[** ${diceDisplay} **]**${formatModifier(result.modifier)}`,
+        inline: false
+      },
+      {
+        name: '__Target__',
+        value: targetText,
+        inline: false
+      },
+      {
+        name: '__Outcome__',
+        value: outcome,
+        inline: false
+      }
+    );
+
+  return applyDiceIcon(embed);
+}
+
+/**
+ * Create embed for Carcosa roll (dC)
+ * @param {string} expression - Dice expression
+ * @param {Object} result - CarcosaRollResult instance
+ * @returns {EmbedBuilder}
+ */
+export function createCarcosaRollEmbed(expression, result) {
+  const diceDisplay = result.dice.map(die => formatDieChain(die)).join(', ');
+
+  let finalResultText = `**${result.value}**`;
+  if (result.modifier) {
+    const baseTotal = result.dice.reduce((sum, die) => sum + die.total, 0);
+    finalResultText = `**${result.value}** ← **[** ${baseTotal} **]**${formatModifier(result.modifier)}`;
+  }
+  finalResultText += formatTargetNumberOutcome(result);
+
+  const embed = new EmbedBuilder()
+    .setColor(DICE_COLOR)
+    .setDescription(`\`${expression}\``)
+    .addFields(
+      {
+        name: '__Die Type__',
+        value: `🐙 d6: **${result.dieTypeRoll}** → d${result.sides}`,
+        inline: true
+      },
+      {
+        name: `__Dice (${result.dice.length}d${result.sides})__`,
+        value: `**[** ${diceDisplay} **]**`,
+        inline: true
+      },
+      {
+        name: '__Final Result__',
+        value: finalResultText,
+        inline: false
+      }
+    );
+
+  return applyDiceIcon(embed);
+}
+
 /**
  * Create embed for R2 parser results (using structured data)
  * Internal helper - not exported, used by createEmbedForResult
@@ -275,15 +535,35 @@ function createR2ResultEmbed(expression, result) {
     .setDescription(`\`${expression}\``);
 
   // Handle different roll types using the structured data
-  if (result.rollType === 'multiple' && result.rolls && result.rolls.length > 1) {
+  if (result.rollType === 'multiple' && result.wildDie) {
+    // Trait dice sharing one Wild Die
+    embed.addFields(
+      {
+        name: '__Rolls__',
+        value: formatSharedWildRolls(result),
+        inline: false
+      },
+      {
+        name: '__Total__',
+        value: `**${result.value}**`,
+        inline: false
+      }
+    );
+  } else if (result.rollType === 'multiple' && result.rolls && result.rolls.length > 1) {
     // Multiple rolls - format each roll
     const rollsValue = result.rolls.map((roll) => {
       if (roll.rollType === 'generic') {
         return formatGenericRoll(roll);
       } else if (roll.rollType === 'savageWild') {
         return formatSavageWildRoll(roll);
+      } else if (roll.rollType === 'carcosa') {
+        return formatCarcosaRoll(roll);
+      } else if (roll.rollType === 'swordWorldPower') {
+        return formatSwordWorldPowerRoll(roll);
+      } else if (EXPRESSION_ROLL_TYPES.includes(roll.rollType)) {
+        return formatOperand(roll);
       } else {
-        return `**${roll.value}**`;
+        return `**${roll.value}**${formatTargetNumberOutcome(roll)}`;
       }
     }).join('\n');
 
@@ -313,11 +593,25 @@ function createR2ResultEmbed(expression, result) {
       value: formatSavageWildRoll(result),
       inline: false
     });
+  } else if (result.rollType === 'swordWorldPower') {
+    // Sword World power table roll
+    embed.addFields({
+      name: '__Power Roll__',
+      value: formatSwordWorldPowerRoll(result),
+      inline: false
+    });
+  } else if (EXPRESSION_ROLL_TYPES.includes(result.rollType)) {
+    // Comparison, conditional or function (2d6 >= 8 ? "hit" : "miss", max(2d6, 2d6))
+    embed.addFields({
+      name: '__Roll__',
+      value: formatOperand(result),
+      inline: false
+    });
   } else {
     // Simple value or fallback
     embed.addFields({
       name: '__Roll__',
-      value: `**${result.value}**`,
+      value: `**${result.value}**${formatTargetNumberOutcome(result)}`,
       inline: false
     });
   }
@@ -325,6 +619,95 @@ function createR2ResultEmbed(expression, result) {
   return applyDiceIcon(embed);
 }
 
+/**
+ * Add a roll ID to an embed footer so players can verify the roll later
+ * @param {EmbedBuilder} embed - The embed to stamp
+ * @param {string|null} rollId - Roll ID from the audit log
+ * @returns {EmbedBuilder} The embed with the roll ID in its footer
+ */
+export function applyRollId(embed, rollId) {
+  if (!rollId) return embed;
+  const footer = embed.data.footer;
+  return embed.setFooter({
+    text: footer ? `🆔 ${rollId} • ${footer.text}` : `🆔 ${rollId}`,
+    iconURL: footer ? footer.icon_url : undefined
+  });
+}
+
+/**
+ * Create embed describing an audited roll and its verification status
+ * @param {Object} entry - Audit log entry
+ * @param {boolean} intact - Whether the entry hash chain is intact
+ * @param {boolean} matches - Whether replaying the roll gives the logged result
+ * @returns {EmbedBuilder}
+ */
+export function createRollVerificationEmbed(entry, intact, matches) {
+  const verified = intact && matches;
+  const timestamp = Math.floor(new Date(entry.timestamp).getTime() / 1000);
+
+  let status = verified ? '✅ **Verified** - replaying the roll gives the logged result' : '';
+  if (!intact) status = '💀 **Tampered** - the log entry does not match its hash chain';
+  else if (!matches) status = '💀 **Mismatch** - replaying the roll gives a different result';
+
+  return new EmbedBuilder()
+    .setColor(verified ? 0x00FF00 : 0xFF0000)
+    .setTitle(`🔍 Roll ${entry.id}`)
+    .setDescription(status)
+    .addFields(
+      { name: '__Roll__', value: `\`${entry.expression}\` (${entry.kind})`, inline: false },
+      { name: '__Rolled by__', value: `<@${entry.user.id}>`, inline: true },
+      { name: '__Channel__', value: entry.channelId ? `<#${entry.channelId}>` : '-', inline: true },
+      { name: '__When__', value: `<t:${timestamp}:f>`, inline: true }
+    );
+}
+
+/**
+ * Create embed listing a user's roll variables
+ * @param {Array<Object>} variables - [{name, value, scope, campaign}] as returned by VariableStore.list
+ * @param {string|null} activeCampaign - Campaign currently in use
+ * @returns {EmbedBuilder}
+ */
+export function createVariableListEmbed(variables, activeCampaign = null) {
+  const scopeLabels = { user: '👤', campaign: '📜', channel: '#️⃣' };
+  const description = variables.length > 0
+    ? variables.map(v => `${scopeLabels[v.scope]} \`@${v.name}\` = **${v.value}**`).join('\n')
+    : 'No variables yet. Set one with `/var set` or `@name := value` in `/roll`.';
+
+  return new EmbedBuilder()
+    .setColor(DICE_COLOR)
+    .setTitle('📋 Your Variables')
+    .setDescription(description)
+    .setFooter({
+      text: `👤 server  📜 campaign${activeCampaign ? ` (${activeCampaign})` : ''}  #️⃣ channel`
+    });
+}
+
+/**
+ * Create embed showing the Benny pools of a guild
+ * @param {Object} pools - {players: [{userId, count}], gm} as returned by BennyTracker.getPools
+ * @returns {EmbedBuilder}
+ */
+export function createBennyEmbed(pools) {
+  const formatCount = count => `${'🟡'.repeat(Math.min(count, 10))}${count > 10 ? '…' : ''} **${count}**`;
+  const playerLines = pools.players.map(({ userId, count }) => `<@${userId}>: ${formatCount(count)}`);
+
+  return new EmbedBuilder()
+    .setColor(0xFFD700)
+    .setTitle('🟡 Bennies')
+    .addFields(
+      {
+        name: '__Players__',
+        value: playerLines.length > 0 ? playerLines.join('\n') : 'No Bennies given yet. Use `/benny give`.',
+        inline: false
+      },
+      {
+        name: '__GM__',
+        value: formatCount(pools.gm),
+        inline: false
+      }
+    );
+}
+
 /**
  * Create error embed
  * @param {string} message - Error message
@@ -362,6 +745,14 @@ export function createCombinedRollEmbed(results, overallTotal) {
         fieldValue = formatSavageWildRoll(result);
       } else if (result.rollType === 'generic') {
         fieldValue = formatGenericRoll(result);
+      } else if (result.rollType === 'carcosa') {
+        fieldValue = formatCarcosaRoll(result);
+      } else if (result.rollType === 'swordWorldPower') {
+        fieldValue = formatSwordWorldPowerRoll(result);
+      } else if (EXPRESSION_ROLL_TYPES.includes(result.rollType)) {
+        fieldValue = formatOperand(result);
+      } else if (result.rollType === 'multiple' && result.wildDie) {
+        fieldValue = `${formatSharedWildRolls(result)}\n**Total: ${rollResult.total}**`;
       } else if (result.rollType === 'multiple' && result.rolls) {
         // Multiple rolls - format each one
         const rollsFormatted = result.rolls.map(roll => {
@@ -369,13 +760,19 @@ export function createCombinedRollEmbed(results, overallTotal) {
             return formatSavageWildRoll(roll);
           } else if (roll.rollType === 'generic') {
             return formatGenericRoll(roll);
+          } else if (roll.rollType === 'carcosa') {
+            return formatCarcosaRoll(roll);
+          } else if (roll.rollType === 'swordWorldPower') {
+            return formatSwordWorldPowerRoll(roll);
+          } else if (EXPRESSION_ROLL_TYPES.includes(roll.rollType)) {
+            return formatOperand(roll);
           }
-          return `**${roll.value}**`;
+          return `**${roll.value}**${formatTargetNumberOutcome(roll)}`;
         }).join('\n');
         fieldValue = `${rollsFormatted}\n**Total: ${rollResult.total}**`;
       } else {
         // Fallback for simple values
-        fieldValue = `**${rollResult.total}**`;
+        fieldValue = `**${rollResult.total}**${formatTargetNumberOutcome(result)}`;
       }
     }
 
@@ -421,6 +818,11 @@ export function createEmbedForResult(rollResult) {
     );
   }
 
+  // Carcosa (random die type)
+  if (actualResult.rollType === 'carcosa') {
+    return createCarcosaRollEmbed(rollResult.expression, actualResult);
+  }
+
   // Other / Regular (generic, multiple, etc.)
   return createR2ResultEmbed(
     rollResult.expression,
@@ -0,0 +1,148 @@
+/**
+ * Minimal PNG codec for 8-bit RGBA images (card images are drawn without any image library)
+ */
+
+import { deflateSync, inflateSync } from 'zlib';
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const COLOR_TYPE_RGBA = 6;
+
+/**
+ * CRC-32 lookup table used by PNG chunks
+ */
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * CRC-32 of a buffer
+ * Internal helper - not exported, used by createChunk
+ * @param {Buffer} buffer - Data
+ * @returns {number} - CRC-32
+ */
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Build a PNG chunk (length, type, data, CRC)
+ * Internal helper - not exported, used by encodePng
+ * @param {string} type - Chunk type (e.g. 'IHDR')
+ * @param {Buffer} data - Chunk data
+ * @returns {Buffer} - Chunk
+ */
+function createChunk(type, data) {
+  const typeAndData = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(typeAndData));
+  return Buffer.concat([length, typeAndData, crc]);
+}
+
+/**
+ * Encode an RGBA image as PNG
+ * @param {object} image - {width, height, data} with 4 bytes per pixel
+ * @returns {Buffer} - PNG file
+ */
+export function encodePng({ width, height, data }) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // Bit depth
+  header[9] = COLOR_TYPE_RGBA;
+
+  // Every row starts with filter type 0 (none)
+  const stride = width * 4;
+  const raw = Buffer.alloc((stride + 1) * height);
+  for (let y = 0; y < height; y++) {
+    Buffer.from(data.buffer, data.byteOffset + y * stride, stride).copy(raw, y * (stride + 1) + 1);
+  }
+
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    createChunk('IHDR', header),
+    createChunk('IDAT', deflateSync(raw)),
+    createChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+/**
+ * Paeth predictor of the PNG filters
+ * Internal helper - not exported, used by decodePng
+ */
+function paeth(left, up, upLeft) {
+  const estimate = left + up - upLeft;
+  const toLeft = Math.abs(estimate - left);
+  const toUp = Math.abs(estimate - up);
+  const toUpLeft = Math.abs(estimate - upLeft);
+  if (toLeft <= toUp && toLeft <= toUpLeft) return left;
+  return toUp <= toUpLeft ? up : upLeft;
+}
+
+/**
+ * Decode an 8-bit RGBA, non-interlaced PNG
+ * @param {Buffer} buffer - PNG file
+ * @returns {object} - {width, height, data} with 4 bytes per pixel
+ */
+export function decodePng(buffer) {
+  if (!buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    throw new Error('Not a PNG file');
+  }
+
+  let width = 0;
+  let height = 0;
+  const compressed = [];
+  for (let offset = 8; offset < buffer.length;) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('ascii', offset + 4, offset + 8);
+    const data = buffer.subarray(offset + 8, offset + 8 + length);
+
+    if (type === 'IHDR') {
+      width = data.readUInt32BE(0);
+      height = data.readUInt32BE(4);
+      if (data[8] !== 8 || data[9] !== COLOR_TYPE_RGBA || data[12] !== 0) {
+        throw new Error('Unsupported PNG format: only 8-bit RGBA without interlacing');
+      }
+    } else if (type === 'IDAT') {
+      compressed.push(data);
+    } else if (type === 'IEND') {
+      break;
+    }
+    offset += length + 12;
+  }
+
+  const raw = inflateSync(Buffer.concat(compressed));
+  const stride = width * 4;
+  const pixels = Buffer.alloc(stride * height);
+
+  // Undo the filter of every row
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const row = y * (stride + 1) + 1;
+    for (let x = 0; x < stride; x++) {
+      const left = x >= 4 ? pixels[y * stride + x - 4] : 0;
+      const up = y > 0 ? pixels[(y - 1) * stride + x] : 0;
+      const upLeft = x >= 4 && y > 0 ? pixels[(y - 1) * stride + x - 4] : 0;
+      const predictors = [0, left, up, (left + up) >> 1, paeth(left, up, upLeft)];
+      if (predictors[filter] === undefined) {
+        throw new Error(`Unknown PNG filter type ${filter}`);
+      }
+      pixels[y * stride + x] = (raw[row + x] + predictors[filter]) & 0xff;
+    }
+  }
+
+  return { width, height, data: pixels };
+}
@@ -1,17 +1,73 @@
 import { Client, GatewayIntentBits, Events, MessageFlags } from 'discord.js';
 import { SlashCommandBuilder } from '@discordjs/builders';
+import { join } from 'path';
 import { config } from './config.js';
+import { RollAuditLog } from './audit/rollAuditLog.js';
+import { VariableStore } from './variables/variableStore.js';
+import { FileStateStore } from './storage/stateStore.js';
 import {
+  setRollAuditLog,
+  setVariableStore,
+  setStateStore,
+  setMaxAces,
   cmd_roll,
   cmd_roll_help,
   cmd_wild,
+  cmd_damage,
+  cmd_var_list,
+  cmd_var_set,
+  cmd_var_delete,
+  cmd_var_use,
+  cmd_benny_give,
+  cmd_benny_spend,
+  cmd_benny_show,
+  cmd_benny_reset,
   cmd_fight_start,
   cmd_fight_end,
   cmd_initiative_deal,
+  cmd_initiative_add,
+  cmd_initiative_remove,
+  cmd_initiative_kill,
+  cmd_initiative_rename,
+  cmd_initiative_wound,
+  cmd_initiative_edges,
+  cmd_initiative_hand,
+  cmd_initiative_hold,
+  cmd_initiative_interrupt,
+  cmd_initiative_next,
+  cmd_initiative_previous,
   cmd_initiative_show,
   cmd_initiative_round
 } from './commands/diceCommands.js';
 
+// Record every roll in the append-only audit log
+setRollAuditLog(new RollAuditLog(join(config.dataDir, 'rolls.jsonl')));
+
+// Keep roll variables (@fighting, @mod) across restarts
+setVariableStore(new VariableStore(join(config.dataDir, 'variables.json')));
+
+// Keep fights and Bennies across restarts
+setStateStore(new FileStateStore(join(config.dataDir, 'state.json')));
+
+// Cap exploding dice in /roll, /wild and /damage (MAX_ACES, default 100)
+setMaxAces(config.maxAces);
+
+// Named encounter option shared by the /fight and /initiative subcommands
+const addEncounterOption = subcommand => subcommand
+  .addStringOption(option =>
+    option
+      .setName('encounter')
+      .setDescription('Named encounter shared by the whole server (default: this channel\'s fight)')
+      .setRequired(false)
+      .setMaxLength(50));
+
+// Scope choices shared by /var set and /var delete
+const variableScopeChoices = [
+  { name: 'server (default)', value: 'user' },
+  { name: 'campaign', value: 'campaign' },
+  { name: 'channel', value: 'channel' }
+];
+
 // Initialize Discord client
 const client = new Client({
   intents: [
@@ -31,7 +87,12 @@ const commands = [
       option
         .setName('dice')
         .setDescription('Dice expression (use ! for acing, +/- for modifiers)')
-        .setRequired(true)),
+        .setRequired(false))
+    .addStringOption(option =>
+      option
+        .setName('verify')
+        .setDescription('Roll ID to verify (re-derives the logged roll)')
+        .setRequired(false)),
 
   new SlashCommandBuilder()
     .setName('wild')
@@ -63,55 +124,323 @@ const commands = [
         .setDescription('Points needed per raise (default 4)')
         .setRequired(false)),
 
+  new SlashCommandBuilder()
+    .setName('damage')
+    .setDescription('Savage Worlds damage roll against Toughness (dice always ace)')
+    .addStringOption(option =>
+      option
+        .setName('dice')
+        .setDescription('Damage dice (e.g., 2d6+d8, d8+d6+2)')
+        .setRequired(true))
+    .addIntegerOption(option =>
+      option
+        .setName('toughness')
+        .setDescription('Target Toughness, including armor')
+        .setRequired(true))
+    .addIntegerOption(option =>
+      option
+        .setName('armor')
+        .setDescription('Armor part of the Toughness (default 0)')
+        .setRequired(false))
+    .addIntegerOption(option =>
+      option
+        .setName('ap')
+        .setDescription('Armor Piercing of the attack (default 0)')
+        .setRequired(false))
+    .addBooleanOption(option =>
+      option
+        .setName('heavy_weapon')
+        .setDescription('The attack is a Heavy Weapon')
+        .setRequired(false))
+    .addBooleanOption(option =>
+      option
+        .setName('heavy_armor')
+        .setDescription('The target has Heavy Armor')
+        .setRequired(false)),
+
+  // Roll variables
+  new SlashCommandBuilder()
+    .setName('var')
+    .setDescription('Manage your roll variables (@name)')
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('list')
+        .setDescription('List your variables'))
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('set')
+        .setDescription('Set a variable')
+        .addStringOption(option =>
+          option
+            .setName('name')
+            .setDescription('Variable name (e.g., fighting or @fighting)')
+            .setRequired(true))
+        .addStringOption(option =>
+          option
+            .setName('value')
+            .setDescription('Number or expression (e.g., 8, 2d6+10, @fighting+2)')
+            .setRequired(true))
+        .addStringOption(option =>
+          option
+            .setName('scope')
+            .setDescription('Where the variable applies (default: whole server)')
+            .setRequired(false)
+            .addChoices(...variableScopeChoices))
+        .addStringOption(option =>
+          option
+            .setName('campaign')
+            .setDescription('Campaign name for the campaign scope (default: active campaign)')
+            .setRequired(false)))
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('delete')
+        .setDescription('Delete a variable')
+        .addStringOption(option =>
+          option
+            .setName('name')
+            .setDescription('Variable name')
+            .setRequired(true))
+        .addStringOption(option =>
+          option
+            .setName('scope')
+            .setDescription('Scope of the variable (default: whole server)')
+            .setRequired(false)
+            .addChoices(...variableScopeChoices))
+        .addStringOption(option =>
+          option
+            .setName('campaign')
+            .setDescription('Campaign name for the campaign scope (default: active campaign)')
+            .setRequired(false)))
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('use')
+        .setDescription('Use the variables of a campaign in your rolls')
+        .addStringOption(option =>
+          option
+            .setName('campaign')
+            .setDescription('Campaign name (leave empty to stop using a campaign)')
+            .setRequired(false))),
+
+  // Bennies
+  new SlashCommandBuilder()
+    .setName('benny')
+    .setDescription('Savage Worlds Benny pools')
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('give')
+        .setDescription('Give Bennies to a player or the GM (GM only)')
+        .addUserOption(option =>
+          option
+            .setName('player')
+            .setDescription('Player receiving the Benny')
+            .setRequired(false))
+        .addBooleanOption(option =>
+          option
+            .setName('gm')
+            .setDescription('Give to the GM pool instead')
+            .setRequired(false))
+        .addIntegerOption(option =>
+          option
+            .setName('amount')
+            .setDescription('Number of Bennies (default 1)')
+            .setRequired(false)
+            .setMinValue(1)))
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('spend')
+        .setDescription('Spend a Benny')
+        .addBooleanOption(option =>
+          option
+            .setName('reroll')
+            .setDescription('Reroll your last /roll or /wild and keep the better total')
+            .setRequired(false))
+        .addBooleanOption(option =>
+          option
+            .setName('gm')
+            .setDescription('Spend from the GM pool (GM only)')
+            .setRequired(false)))
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('show')
+        .setDescription('Show the Benny pools'))
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('reset')
+        .setDescription('New session: players back to 3 Bennies, GM gets one per player (GM only)')),
+
   // Fight management
   new SlashCommandBuilder()
     .setName('fight')
     .setDescription('Manage combat encounters')
     .addSubcommand(subcommand =>
-      subcommand
+      addEncounterOption(subcommand
         .setName('start')
-        .setDescription('Start a new fight'))
+        .setDescription('Start a new fight in this channel')))
     .addSubcommand(subcommand =>
-      subcommand
+      addEncounterOption(subcommand
         .setName('end')
-        .setDescription('End the current fight')),
+        .setDescription('End the current fight'))),
 
   // Initiative commands
   new SlashCommandBuilder()
     .setName('initiative')
     .setDescription('Initiative card management')
     .addSubcommand(subcommand =>
-      subcommand
+      addEncounterOption(subcommand
         .setName('deal')
         .setDescription('Deal initiative cards')
         .addStringOption(option =>
           option
             .setName('characters')
-            .setDescription('Character names (comma-separated)')
+            .setDescription('Comma-separated names, optional edges and groups: Grog [Quick], Valeria, Goblins x6')
             .setRequired(true))
         .addBooleanOption(option =>
           option
             .setName('quick')
-            .setDescription('Quick edge (draw 2, keep best)')
+            .setDescription('Quick edge for everyone dealt (redraw 5 or lower)')
             .setRequired(false))
         .addBooleanOption(option =>
           option
             .setName('level_headed')
-            .setDescription('Level Headed edge (draw 2, keep best)')
+            .setDescription('Level Headed edge for everyone dealt (draw 2, keep best)')
             .setRequired(false))
         .addBooleanOption(option =>
           option
             .setName('improved_level_headed')
-            .setDescription('Improved Level Headed (draw 3, keep best)')
-            .setRequired(false)))
+            .setDescription('Improved Level Headed for everyone dealt (draw 3, keep best)')
+            .setRequired(false))))
     .addSubcommand(subcommand =>
-      subcommand
+      addEncounterOption(subcommand
+        .setName('add')
+        .setDescription('Add characters to the fight in progress')
+        .addStringOption(option =>
+          option
+            .setName('characters')
+            .setDescription('Character names, comma-separated, with optional edges: Goon 4, Goon 5 [Quick]')
+            .setRequired(true))))
+    .addSubcommand(subcommand =>
+      addEncounterOption(subcommand
+        .setName('remove')
+        .setDescription('Remove a character from the fight')
+        .addStringOption(option =>
+          option
+            .setName('name')
+            .setDescription('Character leaving the fight')
+            .setRequired(true))))
+    .addSubcommand(subcommand =>
+      addEncounterOption(subcommand
+        .setName('kill')
+        .setDescription('Remove a dead character from the fight')
+        .addStringOption(option =>
+          option
+            .setName('name')
+            .setDescription('Character killed')
+            .setRequired(true))))
+    .addSubcommand(subcommand =>
+      addEncounterOption(subcommand
+        .setName('wound')
+        .setDescription('Wound a character or a member of a group')
+        .addStringOption(option =>
+          option
+            .setName('name')
+            .setDescription('Character or group member (e.g. Goblins 2)')
+            .setRequired(true))
+        .addIntegerOption(option =>
+          option
+            .setName('wounds')
+            .setDescription('Wounds to add (default 1, negative to heal)')
+            .setRequired(false))))
+    .addSubcommand(subcommand =>
+      addEncounterOption(subcommand
+        .setName('rename')
+        .setDescription('Rename a character, keeping their card')
+        .addStringOption(option =>
+          option
+            .setName('name')
+            .setDescription('Current name')
+            .setRequired(true))
+        .addStringOption(option =>
+          option
+            .setName('new_name')
+            .setDescription('New name')
+            .setRequired(true))))
+    .addSubcommand(subcommand =>
+      addEncounterOption(subcommand
+        .setName('edges')
+        .setDescription('Set the edges and hindrances of a character')
+        .addStringOption(option =>
+          option
+            .setName('character')
+            .setDescription('Character name')
+            .setRequired(true))
+        .addStringOption(option =>
+          option
+            .setName('edges')
+            .setDescription('Quick, Level Headed, Improved Level Headed, Hesitant, Tactician, Master Tactician or none')
+            .setRequired(true))))
+    .addSubcommand(subcommand =>
+      addEncounterOption(subcommand
+        .setName('hand')
+        .setDescription('Hand a Tactician card to an ally')
+        .addStringOption(option =>
+          option
+            .setName('tactician')
+            .setDescription('Character with Tactician cards')
+            .setRequired(true))
+        .addStringOption(option =>
+          option
+            .setName('ally')
+            .setDescription('Character receiving the card')
+            .setRequired(true))))
+    .addSubcommand(subcommand =>
+      addEncounterOption(subcommand
+        .setName('hold')
+        .setDescription('Put a character on Hold until they interrupt')
+        .addStringOption(option =>
+          option
+            .setName('name')
+            .setDescription('Character going on Hold')
+            .setRequired(true))))
+    .addSubcommand(subcommand =>
+      addEncounterOption(subcommand
+        .setName('interrupt')
+        .setDescription('A character on Hold interrupts another character')
+        .addStringOption(option =>
+          option
+            .setName('name')
+            .setDescription('Character on Hold')
+            .setRequired(true))
+        .addStringOption(option =>
+          option
+            .setName('before')
+            .setDescription('Character being interrupted')
+            .setRequired(true))
+        .addStringOption(option =>
+          option
+            .setName('athletics')
+            .setDescription('Contested: Athletics of the interrupting character (e.g. 8 or s8+1)')
+            .setRequired(false))
+        .addStringOption(option =>
+          option
+            .setName('opponent_athletics')
+            .setDescription('Contested: Athletics of the interrupted character')
+            .setRequired(false))))
+    .addSubcommand(subcommand =>
+      addEncounterOption(subcommand
         .setName('show')
-        .setDescription('Show initiative order'))
+        .setDescription('Show initiative order')))
     .addSubcommand(subcommand =>
-      subcommand
+      addEncounterOption(subcommand
+        .setName('next')
+        .setDescription('Next turn (starts a new round after the last character, GM only)')))
+    .addSubcommand(subcommand =>
+      addEncounterOption(subcommand
+        .setName('previous')
+        .setDescription('Back to the previous turn (GM only)')))
+    .addSubcommand(subcommand =>
+      addEncounterOption(subcommand
         .setName('round')
-        .setDescription('Start a new round')),
+        .setDescription('Start a new round'))),
 
 
   // Help command
@@ -138,16 +467,57 @@ client.once(Events.ClientReady, async (readyClient) => {
 
 // Handle slash commands
 client.on(Events.InteractionCreate, async (interaction) => {
-  if (!interaction.isCommand()) return;
-
-  const { commandName } = interaction;
+  if (!interaction.isCommand() && !interaction.isButton()) return;
 
   try {
+    // Turn buttons under initiative embeds (custom ID: initiative:<action>:<encounter>)
+    if (interaction.isButton()) {
+      const [scope, action] = interaction.customId.split(':');
+      if (scope === 'initiative' && action === 'next') {
+        await cmd_initiative_next(interaction);
+      } else if (scope === 'initiative' && action === 'previous') {
+        await cmd_initiative_previous(interaction);
+      }
+      return;
+    }
+
+    const { commandName } = interaction;
+
     // Dice rolling
     if (commandName === 'roll') {
       await cmd_roll(interaction);
     } else if (commandName === 'wild') {
       await cmd_wild(interaction);
+    } else if (commandName === 'damage') {
+      await cmd_damage(interaction);
+    }
+
+    // Roll variables
+    else if (commandName === 'var') {
+      const subcommand = interaction.options.getSubcommand();
+      if (subcommand === 'list') {
+        await cmd_var_list(interaction);
+      } else if (subcommand === 'set') {
+        await cmd_var_set(interaction);
+      } else if (subcommand === 'delete') {
+        await cmd_var_delete(interaction);
+      } else if (subcommand === 'use') {
+        await cmd_var_use(interaction);
+      }
+    }
+
+    // Bennies
+    else if (commandName === 'benny') {
+      const subcommand = interaction.options.getSubcommand();
+      if (subcommand === 'give') {
+        await cmd_benny_give(interaction);
+      } else if (subcommand === 'spend') {
+        await cmd_benny_spend(interaction);
+      } else if (subcommand === 'show') {
+        await cmd_benny_show(interaction);
+      } else if (subcommand === 'reset') {
+        await cmd_benny_reset(interaction);
+      }
     }
 
     // Fight management
@@ -165,8 +535,30 @@ client.on(Events.InteractionCreate, async (interaction) => {
       const subcommand = interaction.options.getSubcommand();
       if (subcommand === 'deal') {
         await cmd_initiative_deal(interaction);
+      } else if (subcommand === 'add') {
+        await cmd_initiative_add(interaction);
+      } else if (subcommand === 'remove') {
+        await cmd_initiative_remove(interaction);
+      } else if (subcommand === 'kill') {
+        await cmd_initiative_kill(interaction);
+      } else if (subcommand === 'rename') {
+        await cmd_initiative_rename(interaction);
+      } else if (subcommand === 'wound') {
+        await cmd_initiative_wound(interaction);
+      } else if (subcommand === 'edges') {
+        await cmd_initiative_edges(interaction);
+      } else if (subcommand === 'hand') {
+        await cmd_initiative_hand(interaction);
+      } else if (subcommand === 'hold') {
+        await cmd_initiative_hold(interaction);
+      } else if (subcommand === 'interrupt') {
+        await cmd_initiative_interrupt(interaction);
       } else if (subcommand === 'show') {
         await cmd_initiative_show(interaction);
+      } else if (subcommand === 'next') {
+        await cmd_initiative_next(interaction);
+      } else if (subcommand === 'previous') {
+        await cmd_initiative_previous(interaction);
       } else if (subcommand === 'round') {
         await cmd_initiative_round(interaction);
       }
@@ -4,7 +4,7 @@ import antlr4 from 'antlr4';
 
 
 const serializedATN = ["\u0003\u608b\ua72a\u8133\ub9ed\u417c\u3be7\u7786",
-    "\u5964\u0002=\u011b\b\u0001\u0004\u0002\t\u0002\u0004\u0003\t\u0003",
+    "\u5964\u0002O\u018e\b\u0001\u0004\u0002\t\u0002\u0004\u0003\t\u0003",
     "\u0004\u0004\t\u0004\u0004\u0005\t\u0005\u0004\u0006\t\u0006\u0004\u0007",
     "\t\u0007\u0004\b\t\b\u0004\t\t\t\u0004\n\t\n\u0004\u000b\t\u000b\u0004",
     "\f\t\f\u0004\r\t\r\u0004\u000e\t\u000e\u0004\u000f\t\u000f\u0004\u0010",
@@ -16,167 +16,239 @@ const serializedATN = ["\u0003\u608b\ua72a\u8133\ub9ed\u417c\u3be7\u7786",
     "\t#\u0004$\t$\u0004%\t%\u0004&\t&\u0004\'\t\'\u0004(\t(\u0004)\t)\u0004",
     "*\t*\u0004+\t+\u0004,\t,\u0004-\t-\u0004.\t.\u0004/\t/\u00040\t0\u0004",
     "1\t1\u00042\t2\u00043\t3\u00044\t4\u00045\t5\u00046\t6\u00047\t7\u0004",
-    "8\t8\u00049\t9\u0004:\t:\u0004;\t;\u0004<\t<\u0004=\t=\u0003\u0002\u0003",
-    "\u0002\u0003\u0003\u0003\u0003\u0003\u0004\u0003\u0004\u0003\u0005\u0003",
-    "\u0005\u0003\u0006\u0003\u0006\u0003\u0007\u0003\u0007\u0003\b\u0003",
-    "\b\u0003\t\u0003\t\u0003\n\u0003\n\u0003\u000b\u0003\u000b\u0003\f\u0003",
-    "\f\u0003\f\u0003\r\u0003\r\u0003\u000e\u0003\u000e\u0003\u000f\u0003",
-    "\u000f\u0003\u0010\u0003\u0010\u0003\u0010\u0003\u0011\u0003\u0011\u0003",
-    "\u0012\u0003\u0012\u0003\u0013\u0003\u0013\u0003\u0014\u0003\u0014\u0003",
-    "\u0015\u0003\u0015\u0003\u0016\u0003\u0016\u0003\u0017\u0003\u0017\u0003",
-    "\u0018\u0003\u0018\u0003\u0018\u0003\u0019\u0003\u0019\u0003\u0019\u0003",
-    "\u001a\u0003\u001a\u0003\u001a\u0003\u001a\u0003\u001b\u0003\u001b\u0003",
-    "\u001b\u0003\u001b\u0003\u001c\u0003\u001c\u0003\u001d\u0003\u001d\u0003",
-    "\u001e\u0003\u001e\u0003\u001f\u0003\u001f\u0003 \u0003 \u0003!\u0003",
-    "!\u0003\"\u0003\"\u0003#\u0003#\u0003$\u0003$\u0003%\u0003%\u0003&\u0003",
-    "&\u0003\'\u0003\'\u0003(\u0003(\u0003(\u0003)\u0003)\u0003)\u0003*\u0003",
-    "*\u0003+\u0003+\u0003,\u0003,\u0003-\u0003-\u0003.\u0003.\u0003.\u0003",
-    "/\u0003/\u0003/\u00030\u00030\u00030\u00031\u00031\u00031\u00032\u0003",
-    "2\u00032\u00033\u00033\u00033\u00034\u00034\u00034\u00035\u00035\u0003",
-    "5\u00036\u00036\u00037\u00037\u00038\u00068\u00fb\n8\r8\u000e8\u00fc",
-    "\u00039\u00039\u00079\u0101\n9\f9\u000e9\u0104\u000b9\u00039\u00039",
-    "\u0003:\u0003:\u0003:\u0003:\u0003;\u0003;\u0003;\u0003;\u0006;\u0110",
-    "\n;\r;\u000e;\u0111\u0003<\u0003<\u0006<\u0116\n<\r<\u000e<\u0117\u0003",
-    "=\u0003=\u0002\u0002>\u0003\u0003\u0005\u0004\u0007\u0005\t\u0006\u000b",
-    "\u0007\r\b\u000f\t\u0011\n\u0013\u000b\u0015\f\u0017\r\u0019\u000e\u001b",
-    "\u000f\u001d\u0010\u001f\u0011!\u0012#\u0013%\u0014\'\u0015)\u0016+",
-    "\u0017-\u0018/\u00191\u001a3\u001b5\u001c7\u001d9\u001e;\u001f= ?!A",
-    "\"C#E$G%I&K\'M(O)Q*S+U,W-Y.[/]0_1a2c3e4g5i6k7m8o9q:s;u<w=y\u0002\u0003",
-    "\u0002\u0007\u0003\u00022;\u0005\u0002\u000b\f\u000f\u000f\"\"\u0004",
-    "\u0002C\\c|\u0006\u00022;C\\aac|\u0006\u0002\f\f\u000f\u000f$$^^\u0002",
-    "\u011d\u0002\u0003\u0003\u0002\u0002\u0002\u0002\u0005\u0003\u0002\u0002",
-    "\u0002\u0002\u0007\u0003\u0002\u0002\u0002\u0002\t\u0003\u0002\u0002",
-    "\u0002\u0002\u000b\u0003\u0002\u0002\u0002\u0002\r\u0003\u0002\u0002",
-    "\u0002\u0002\u000f\u0003\u0002\u0002\u0002\u0002\u0011\u0003\u0002\u0002",
-    "\u0002\u0002\u0013\u0003\u0002\u0002\u0002\u0002\u0015\u0003\u0002\u0002",
-    "\u0002\u0002\u0017\u0003\u0002\u0002\u0002\u0002\u0019\u0003\u0002\u0002",
-    "\u0002\u0002\u001b\u0003\u0002\u0002\u0002\u0002\u001d\u0003\u0002\u0002",
-    "\u0002\u0002\u001f\u0003\u0002\u0002\u0002\u0002!\u0003\u0002\u0002",
-    "\u0002\u0002#\u0003\u0002\u0002\u0002\u0002%\u0003\u0002\u0002\u0002",
-    "\u0002\'\u0003\u0002\u0002\u0002\u0002)\u0003\u0002\u0002\u0002\u0002",
-    "+\u0003\u0002\u0002\u0002\u0002-\u0003\u0002\u0002\u0002\u0002/\u0003",
-    "\u0002\u0002\u0002\u00021\u0003\u0002\u0002\u0002\u00023\u0003\u0002",
-    "\u0002\u0002\u00025\u0003\u0002\u0002\u0002\u00027\u0003\u0002\u0002",
-    "\u0002\u00029\u0003\u0002\u0002\u0002\u0002;\u0003\u0002\u0002\u0002",
-    "\u0002=\u0003\u0002\u0002\u0002\u0002?\u0003\u0002\u0002\u0002\u0002",
-    "A\u0003\u0002\u0002\u0002\u0002C\u0003\u0002\u0002\u0002\u0002E\u0003",
-    "\u0002\u0002\u0002\u0002G\u0003\u0002\u0002\u0002\u0002I\u0003\u0002",
-    "\u0002\u0002\u0002K\u0003\u0002\u0002\u0002\u0002M\u0003\u0002\u0002",
-    "\u0002\u0002O\u0003\u0002\u0002\u0002\u0002Q\u0003\u0002\u0002\u0002",
-    "\u0002S\u0003\u0002\u0002\u0002\u0002U\u0003\u0002\u0002\u0002\u0002",
-    "W\u0003\u0002\u0002\u0002\u0002Y\u0003\u0002\u0002\u0002\u0002[\u0003",
-    "\u0002\u0002\u0002\u0002]\u0003\u0002\u0002\u0002\u0002_\u0003\u0002",
-    "\u0002\u0002\u0002a\u0003\u0002\u0002\u0002\u0002c\u0003\u0002\u0002",
-    "\u0002\u0002e\u0003\u0002\u0002\u0002\u0002g\u0003\u0002\u0002\u0002",
-    "\u0002i\u0003\u0002\u0002\u0002\u0002k\u0003\u0002\u0002\u0002\u0002",
-    "m\u0003\u0002\u0002\u0002\u0002o\u0003\u0002\u0002\u0002\u0002q\u0003",
-    "\u0002\u0002\u0002\u0002s\u0003\u0002\u0002\u0002\u0002u\u0003\u0002",
-    "\u0002\u0002\u0002w\u0003\u0002\u0002\u0002\u0003{\u0003\u0002\u0002",
-    "\u0002\u0005}\u0003\u0002\u0002\u0002\u0007\u007f\u0003\u0002\u0002",
-    "\u0002\t\u0081\u0003\u0002\u0002\u0002\u000b\u0083\u0003\u0002\u0002",
-    "\u0002\r\u0085\u0003\u0002\u0002\u0002\u000f\u0087\u0003\u0002\u0002",
-    "\u0002\u0011\u0089\u0003\u0002\u0002\u0002\u0013\u008b\u0003\u0002\u0002",
-    "\u0002\u0015\u008d\u0003\u0002\u0002\u0002\u0017\u008f\u0003\u0002\u0002",
-    "\u0002\u0019\u0092\u0003\u0002\u0002\u0002\u001b\u0094\u0003\u0002\u0002",
-    "\u0002\u001d\u0096\u0003\u0002\u0002\u0002\u001f\u0098\u0003\u0002\u0002",
-    "\u0002!\u009b\u0003\u0002\u0002\u0002#\u009d\u0003\u0002\u0002\u0002",
-    "%\u009f\u0003\u0002\u0002\u0002\'\u00a1\u0003\u0002\u0002\u0002)\u00a3",
-    "\u0003\u0002\u0002\u0002+\u00a5\u0003\u0002\u0002\u0002-\u00a7\u0003",
-    "\u0002\u0002\u0002/\u00a9\u0003\u0002\u0002\u00021\u00ac\u0003\u0002",
-    "\u0002\u00023\u00af\u0003\u0002\u0002\u00025\u00b3\u0003\u0002\u0002",
-    "\u00027\u00b7\u0003\u0002\u0002\u00029\u00b9\u0003\u0002\u0002\u0002",
-    ";\u00bb\u0003\u0002\u0002\u0002=\u00bd\u0003\u0002\u0002\u0002?\u00bf",
-    "\u0003\u0002\u0002\u0002A\u00c1\u0003\u0002\u0002\u0002C\u00c3\u0003",
-    "\u0002\u0002\u0002E\u00c5\u0003\u0002\u0002\u0002G\u00c7\u0003\u0002",
-    "\u0002\u0002I\u00c9\u0003\u0002\u0002\u0002K\u00cb\u0003\u0002\u0002",
-    "\u0002M\u00cd\u0003\u0002\u0002\u0002O\u00cf\u0003\u0002\u0002\u0002",
-    "Q\u00d2\u0003\u0002\u0002\u0002S\u00d5\u0003\u0002\u0002\u0002U\u00d7",
-    "\u0003\u0002\u0002\u0002W\u00d9\u0003\u0002\u0002\u0002Y\u00db\u0003",
-    "\u0002\u0002\u0002[\u00dd\u0003\u0002\u0002\u0002]\u00e0\u0003\u0002",
-    "\u0002\u0002_\u00e3\u0003\u0002\u0002\u0002a\u00e6\u0003\u0002\u0002",
-    "\u0002c\u00e9\u0003\u0002\u0002\u0002e\u00ec\u0003\u0002\u0002\u0002",
-    "g\u00ef\u0003\u0002\u0002\u0002i\u00f2\u0003\u0002\u0002\u0002k\u00f5",
-    "\u0003\u0002\u0002\u0002m\u00f7\u0003\u0002\u0002\u0002o\u00fa\u0003",
-    "\u0002\u0002\u0002q\u00fe\u0003\u0002\u0002\u0002s\u0107\u0003\u0002",
-    "\u0002\u0002u\u010b\u0003\u0002\u0002\u0002w\u0113\u0003\u0002\u0002",
-    "\u0002y\u0119\u0003\u0002\u0002\u0002{|\u0007=\u0002\u0002|\u0004\u0003",
-    "\u0002\u0002\u0002}~\u0007z\u0002\u0002~\u0006\u0003\u0002\u0002\u0002",
-    "\u007f\u0080\u0007Z\u0002\u0002\u0080\b\u0003\u0002\u0002\u0002\u0081",
-    "\u0082\u0007]\u0002\u0002\u0082\n\u0003\u0002\u0002\u0002\u0083\u0084",
-    "\u0007_\u0002\u0002\u0084\f\u0003\u0002\u0002\u0002\u0085\u0086\u0007",
-    "g\u0002\u0002\u0086\u000e\u0003\u0002\u0002\u0002\u0087\u0088\u0007",
-    "G\u0002\u0002\u0088\u0010\u0003\u0002\u0002\u0002\u0089\u008a\u0007",
-    "k\u0002\u0002\u008a\u0012\u0003\u0002\u0002\u0002\u008b\u008c\u0007",
-    "K\u0002\u0002\u008c\u0014\u0003\u0002\u0002\u0002\u008d\u008e\u0007",
-    "<\u0002\u0002\u008e\u0016\u0003\u0002\u0002\u0002\u008f\u0090\u0007",
-    "<\u0002\u0002\u0090\u0091\u0007?\u0002\u0002\u0091\u0018\u0003\u0002",
-    "\u0002\u0002\u0092\u0093\u0007,\u0002\u0002\u0093\u001a\u0003\u0002",
-    "\u0002\u0002\u0094\u0095\u00071\u0002\u0002\u0095\u001c\u0003\u0002",
-    "\u0002\u0002\u0096\u0097\u0007\'\u0002\u0002\u0097\u001e\u0003\u0002",
-    "\u0002\u0002\u0098\u0099\u0007/\u0002\u0002\u0099\u009a\u0007/\u0002",
-    "\u0002\u009a \u0003\u0002\u0002\u0002\u009b\u009c\u0007-\u0002\u0002",
-    "\u009c\"\u0003\u0002\u0002\u0002\u009d\u009e\u0007/\u0002\u0002\u009e",
-    "$\u0003\u0002\u0002\u0002\u009f\u00a0\u0007f\u0002\u0002\u00a0&\u0003",
-    "\u0002\u0002\u0002\u00a1\u00a2\u0007F\u0002\u0002\u00a2(\u0003\u0002",
-    "\u0002\u0002\u00a3\u00a4\u0007#\u0002\u0002\u00a4*\u0003\u0002\u0002",
-    "\u0002\u00a5\u00a6\u0007m\u0002\u0002\u00a6,\u0003\u0002\u0002\u0002",
-    "\u00a7\u00a8\u0007M\u0002\u0002\u00a8.\u0003\u0002\u0002\u0002\u00a9",
-    "\u00aa\u0007m\u0002\u0002\u00aa\u00ab\u0007n\u0002\u0002\u00ab0\u0003",
-    "\u0002\u0002\u0002\u00ac\u00ad\u0007M\u0002\u0002\u00ad\u00ae\u0007",
-    "N\u0002\u0002\u00ae2\u0003\u0002\u0002\u0002\u00af\u00b0\u0007c\u0002",
-    "\u0002\u00b0\u00b1\u0007f\u0002\u0002\u00b1\u00b2\u0007x\u0002\u0002",
-    "\u00b24\u0003\u0002\u0002\u0002\u00b3\u00b4\u0007f\u0002\u0002\u00b4",
-    "\u00b5\u0007k\u0002\u0002\u00b5\u00b6\u0007u\u0002\u0002\u00b66\u0003",
-    "\u0002\u0002\u0002\u00b7\u00b8\u0007u\u0002\u0002\u00b88\u0003\u0002",
-    "\u0002\u0002\u00b9\u00ba\u0007U\u0002\u0002\u00ba:\u0003\u0002\u0002",
-    "\u0002\u00bb\u00bc\u0007h\u0002\u0002\u00bc<\u0003\u0002\u0002\u0002",
-    "\u00bd\u00be\u0007H\u0002\u0002\u00be>\u0003\u0002\u0002\u0002\u00bf",
-    "\u00c0\u0007y\u0002\u0002\u00c0@\u0003\u0002\u0002\u0002\u00c1\u00c2",
-    "\u0007Y\u0002\u0002\u00c2B\u0003\u0002\u0002\u0002\u00c3\u00c4\u0007",
-    "r\u0002\u0002\u00c4D\u0003\u0002\u0002\u0002\u00c5\u00c6\u0007R\u0002",
-    "\u0002\u00c6F\u0003\u0002\u0002\u0002\u00c7\u00c8\u0007e\u0002\u0002",
-    "\u00c8H\u0003\u0002\u0002\u0002\u00c9\u00ca\u0007E\u0002\u0002\u00ca",
-    "J\u0003\u0002\u0002\u0002\u00cb\u00cc\u0007j\u0002\u0002\u00ccL\u0003",
-    "\u0002\u0002\u0002\u00cd\u00ce\u0007J\u0002\u0002\u00ceN\u0003\u0002",
-    "\u0002\u0002\u00cf\u00d0\u0007v\u0002\u0002\u00d0\u00d1\u0007t\u0002",
-    "\u0002\u00d1P\u0003\u0002\u0002\u0002\u00d2\u00d3\u0007V\u0002\u0002",
-    "\u00d3\u00d4\u0007T\u0002\u0002\u00d4R\u0003\u0002\u0002\u0002\u00d5",
-    "\u00d6\u0007v\u0002\u0002\u00d6T\u0003\u0002\u0002\u0002\u00d7\u00d8",
-    "\u0007V\u0002\u0002\u00d8V\u0003\u0002\u0002\u0002\u00d9\u00da\u0007",
-    "t\u0002\u0002\u00daX\u0003\u0002\u0002\u0002\u00db\u00dc\u0007T\u0002",
-    "\u0002\u00dcZ\u0003\u0002\u0002\u0002\u00dd\u00de\u0007v\u0002\u0002",
-    "\u00de\u00df\u0007p\u0002\u0002\u00df\\\u0003\u0002\u0002\u0002\u00e0",
-    "\u00e1\u0007V\u0002\u0002\u00e1\u00e2\u0007P\u0002\u0002\u00e2^\u0003",
-    "\u0002\u0002\u0002\u00e3\u00e4\u0007f\u0002\u0002\u00e4\u00e5\u0007",
-    "H\u0002\u0002\u00e5`\u0003\u0002\u0002\u0002\u00e6\u00e7\u0007f\u0002",
-    "\u0002\u00e7\u00e8\u0007h\u0002\u0002\u00e8b\u0003\u0002\u0002\u0002",
-    "\u00e9\u00ea\u0007F\u0002\u0002\u00ea\u00eb\u0007H\u0002\u0002\u00eb",
-    "d\u0003\u0002\u0002\u0002\u00ec\u00ed\u0007f\u0002\u0002\u00ed\u00ee",
-    "\u0007E\u0002\u0002\u00eef\u0003\u0002\u0002\u0002\u00ef\u00f0\u0007",
-    "f\u0002\u0002\u00f0\u00f1\u0007e\u0002\u0002\u00f1h\u0003\u0002\u0002",
-    "\u0002\u00f2\u00f3\u0007F\u0002\u0002\u00f3\u00f4\u0007E\u0002\u0002",
-    "\u00f4j\u0003\u0002\u0002\u0002\u00f5\u00f6\u0007*\u0002\u0002\u00f6",
-    "l\u0003\u0002\u0002\u0002\u00f7\u00f8\u0007+\u0002\u0002\u00f8n\u0003",
-    "\u0002\u0002\u0002\u00f9\u00fb\t\u0002\u0002\u0002\u00fa\u00f9\u0003",
-    "\u0002\u0002\u0002\u00fb\u00fc\u0003\u0002\u0002\u0002\u00fc\u00fa\u0003",
-    "\u0002\u0002\u0002\u00fc\u00fd\u0003\u0002\u0002\u0002\u00fdp\u0003",
-    "\u0002\u0002\u0002\u00fe\u0102\u0007$\u0002\u0002\u00ff\u0101\u0005",
-    "y=\u0002\u0100\u00ff\u0003\u0002\u0002\u0002\u0101\u0104\u0003\u0002",
-    "\u0002\u0002\u0102\u0100\u0003\u0002\u0002\u0002\u0102\u0103\u0003\u0002",
-    "\u0002\u0002\u0103\u0105\u0003\u0002\u0002\u0002\u0104\u0102\u0003\u0002",
-    "\u0002\u0002\u0105\u0106\u0007$\u0002\u0002\u0106r\u0003\u0002\u0002",
-    "\u0002\u0107\u0108\t\u0003\u0002\u0002\u0108\u0109\u0003\u0002\u0002",
-    "\u0002\u0109\u010a\b:\u0002\u0002\u010at\u0003\u0002\u0002\u0002\u010b",
-    "\u010c\u0007/\u0002\u0002\u010c\u010d\u0007/\u0002\u0002\u010d\u010f",
-    "\u0003\u0002\u0002\u0002\u010e\u0110\t\u0004\u0002\u0002\u010f\u010e",
-    "\u0003\u0002\u0002\u0002\u0110\u0111\u0003\u0002\u0002\u0002\u0111\u010f",
-    "\u0003\u0002\u0002\u0002\u0111\u0112\u0003\u0002\u0002\u0002\u0112v",
-    "\u0003\u0002\u0002\u0002\u0113\u0115\u0007B\u0002\u0002\u0114\u0116",
-    "\t\u0005\u0002\u0002\u0115\u0114\u0003\u0002\u0002\u0002\u0116\u0117",
-    "\u0003\u0002\u0002\u0002\u0117\u0115\u0003\u0002\u0002\u0002\u0117\u0118",
-    "\u0003\u0002\u0002\u0002\u0118x\u0003\u0002\u0002\u0002\u0119\u011a",
-    "\n\u0006\u0002\u0002\u011az\u0003\u0002\u0002\u0002\u0007\u0002\u00fc",
-    "\u0102\u0111\u0117\u0003\b\u0002\u0002"].join("");
+    "8\t8\u00049\t9\u0004:\t:\u0004;\t;\u0004<\t<\u0004=\t=\u0004>\t>\u0004",
+    "?\t?\u0004@\t@\u0004A\tA\u0004B\tB\u0004C\tC\u0004D\tD\u0004E\tE\u0004",
+    "F\tF\u0004G\tG\u0004H\tH\u0004I\tI\u0004J\tJ\u0004K\tK\u0004L\tL\u0004",
+    "M\tM\u0004N\tN\u0004O\tO\u0003\u0002\u0003\u0002\u0003\u0003\u0003\u0003",
+    "\u0003\u0004\u0003\u0004\u0003\u0005\u0003\u0005\u0003\u0006\u0003\u0006",
+    "\u0003\u0007\u0003\u0007\u0003\b\u0003\b\u0003\t\u0003\t\u0003\n\u0003",
+    "\n\u0003\u000b\u0003\u000b\u0003\f\u0003\f\u0003\r\u0003\r\u0003\u000e",
+    "\u0003\u000e\u0003\u000f\u0003\u000f\u0003\u000f\u0003\u0010\u0003\u0010",
+    "\u0003\u0011\u0003\u0011\u0003\u0012\u0003\u0012\u0003\u0013\u0003\u0013",
+    "\u0003\u0014\u0003\u0014\u0003\u0014\u0003\u0015\u0003\u0015\u0003\u0015",
+    "\u0003\u0016\u0003\u0016\u0003\u0016\u0003\u0017\u0003\u0017\u0003\u0018",
+    "\u0003\u0018\u0003\u0018\u0003\u0019\u0003\u0019\u0003\u001a\u0003\u001a",
+    "\u0003\u001b\u0003\u001b\u0003\u001c\u0003\u001c\u0003\u001c\u0003\u001d",
+    "\u0003\u001d\u0003\u001d\u0003\u001e\u0003\u001e\u0003\u001e\u0003\u001f",
+    "\u0003\u001f\u0003 \u0003 \u0003!\u0003!\u0003\"\u0003\"\u0003\"\u0003",
+    "#\u0003#\u0003#\u0003$\u0003$\u0003$\u0003$\u0003%\u0003%\u0003%\u0003",
+    "%\u0003&\u0003&\u0003&\u0003\'\u0003\'\u0003\'\u0003(\u0003(\u0003(",
+    "\u0003)\u0003)\u0003)\u0003*\u0003*\u0003+\u0003+\u0003,\u0003,\u0003",
+    "-\u0003-\u0003.\u0003.\u0003.\u0003/\u0003/\u0003/\u00030\u00030\u0003",
+    "1\u00031\u00032\u00032\u00033\u00033\u00034\u00034\u00035\u00035\u0003",
+    "6\u00036\u00037\u00037\u00038\u00038\u00039\u00039\u0003:\u0003:\u0003",
+    ":\u0003;\u0003;\u0003;\u0003<\u0003<\u0003=\u0003=\u0003>\u0003>\u0003",
+    ">\u0003?\u0003?\u0003?\u0003@\u0003@\u0003@\u0003A\u0003A\u0003A\u0003",
+    "B\u0003B\u0003B\u0003C\u0003C\u0003C\u0003D\u0003D\u0003D\u0003E\u0003",
+    "E\u0003E\u0003F\u0003F\u0003G\u0003G\u0003H\u0003H\u0003I\u0006I\u014d",
+    "\nI\rI\u000eI\u014e\u0003J\u0003J\u0003J\u0003J\u0003J\u0003J\u0003",
+    "J\u0003J\u0003J\u0003J\u0003J\u0003J\u0003J\u0003J\u0003J\u0003J\u0003",
+    "J\u0003J\u0003J\u0003J\u0003J\u0003J\u0003J\u0005J\u0168\nJ\u0003J\u0007",
+    "J\u016b\nJ\fJ\u000eJ\u016e\u000bJ\u0003J\u0003J\u0003K\u0003K\u0007",
+    "K\u0174\nK\fK\u000eK\u0177\u000bK\u0003K\u0003K\u0003L\u0003L\u0003",
+    "L\u0003L\u0003M\u0003M\u0003M\u0003M\u0006M\u0183\nM\rM\u000eM\u0184",
+    "\u0003N\u0003N\u0006N\u0189\nN\rN\u000eN\u018a\u0003O\u0003O\u0002\u0002",
+    "P\u0003\u0003\u0005\u0004\u0007\u0005\t\u0006\u000b\u0007\r\b\u000f",
+    "\t\u0011\n\u0013\u000b\u0015\f\u0017\r\u0019\u000e\u001b\u000f\u001d",
+    "\u0010\u001f\u0011!\u0012#\u0013%\u0014\'\u0015)\u0016+\u0017-\u0018",
+    "/\u00191\u001a3\u001b5\u001c7\u001d9\u001e;\u001f= ?!A\"C#E$G%I&K\'",
+    "M(O)Q*S+U,W-Y.[/]0_1a2c3e4g5i6k7m8o9q:s;u<w=y>{?}@\u007fA\u0081B\u0083",
+    "C\u0085D\u0087E\u0089F\u008bG\u008dH\u008fI\u0091J\u0093K\u0095L\u0097",
+    "M\u0099N\u009bO\u009d\u0002\u0003\u0002\b\u0003\u00022;\u0004\u0002",
+    "\u000b\u000b\"\"\u0005\u0002\u000b\f\u000f\u000f\"\"\u0004\u0002C\\",
+    "c|\u0006\u00022;C\\aac|\u0006\u0002\f\f\u000f\u000f$$^^\u0002\u0196",
+    "\u0002\u0003\u0003\u0002\u0002\u0002\u0002\u0005\u0003\u0002\u0002\u0002",
+    "\u0002\u0007\u0003\u0002\u0002\u0002\u0002\t\u0003\u0002\u0002\u0002",
+    "\u0002\u000b\u0003\u0002\u0002\u0002\u0002\r\u0003\u0002\u0002\u0002",
+    "\u0002\u000f\u0003\u0002\u0002\u0002\u0002\u0011\u0003\u0002\u0002\u0002",
+    "\u0002\u0013\u0003\u0002\u0002\u0002\u0002\u0015\u0003\u0002\u0002\u0002",
+    "\u0002\u0017\u0003\u0002\u0002\u0002\u0002\u0019\u0003\u0002\u0002\u0002",
+    "\u0002\u001b\u0003\u0002\u0002\u0002\u0002\u001d\u0003\u0002\u0002\u0002",
+    "\u0002\u001f\u0003\u0002\u0002\u0002\u0002!\u0003\u0002\u0002\u0002",
+    "\u0002#\u0003\u0002\u0002\u0002\u0002%\u0003\u0002\u0002\u0002\u0002",
+    "\'\u0003\u0002\u0002\u0002\u0002)\u0003\u0002\u0002\u0002\u0002+\u0003",
+    "\u0002\u0002\u0002\u0002-\u0003\u0002\u0002\u0002\u0002/\u0003\u0002",
+    "\u0002\u0002\u00021\u0003\u0002\u0002\u0002\u00023\u0003\u0002\u0002",
+    "\u0002\u00025\u0003\u0002\u0002\u0002\u00027\u0003\u0002\u0002\u0002",
+    "\u00029\u0003\u0002\u0002\u0002\u0002;\u0003\u0002\u0002\u0002\u0002",
+    "=\u0003\u0002\u0002\u0002\u0002?\u0003\u0002\u0002\u0002\u0002A\u0003",
+    "\u0002\u0002\u0002\u0002C\u0003\u0002\u0002\u0002\u0002E\u0003\u0002",
+    "\u0002\u0002\u0002G\u0003\u0002\u0002\u0002\u0002I\u0003\u0002\u0002",
+    "\u0002\u0002K\u0003\u0002\u0002\u0002\u0002M\u0003\u0002\u0002\u0002",
+    "\u0002O\u0003\u0002\u0002\u0002\u0002Q\u0003\u0002\u0002\u0002\u0002",
+    "S\u0003\u0002\u0002\u0002\u0002U\u0003\u0002\u0002\u0002\u0002W\u0003",
+    "\u0002\u0002\u0002\u0002Y\u0003\u0002\u0002\u0002\u0002[\u0003\u0002",
+    "\u0002\u0002\u0002]\u0003\u0002\u0002\u0002\u0002_\u0003\u0002\u0002",
+    "\u0002\u0002a\u0003\u0002\u0002\u0002\u0002c\u0003\u0002\u0002\u0002",
+    "\u0002e\u0003\u0002\u0002\u0002\u0002g\u0003\u0002\u0002\u0002\u0002",
+    "i\u0003\u0002\u0002\u0002\u0002k\u0003\u0002\u0002\u0002\u0002m\u0003",
+    "\u0002\u0002\u0002\u0002o\u0003\u0002\u0002\u0002\u0002q\u0003\u0002",
+    "\u0002\u0002\u0002s\u0003\u0002\u0002\u0002\u0002u\u0003\u0002\u0002",
+    "\u0002\u0002w\u0003\u0002\u0002\u0002\u0002y\u0003\u0002\u0002\u0002",
+    "\u0002{\u0003\u0002\u0002\u0002\u0002}\u0003\u0002\u0002\u0002\u0002",
+    "\u007f\u0003\u0002\u0002\u0002\u0002\u0081\u0003\u0002\u0002\u0002\u0002",
+    "\u0083\u0003\u0002\u0002\u0002\u0002\u0085\u0003\u0002\u0002\u0002\u0002",
+    "\u0087\u0003\u0002\u0002\u0002\u0002\u0089\u0003\u0002\u0002\u0002\u0002",
+    "\u008b\u0003\u0002\u0002\u0002\u0002\u008d\u0003\u0002\u0002\u0002\u0002",
+    "\u008f\u0003\u0002\u0002\u0002\u0002\u0091\u0003\u0002\u0002\u0002\u0002",
+    "\u0093\u0003\u0002\u0002\u0002\u0002\u0095\u0003\u0002\u0002\u0002\u0002",
+    "\u0097\u0003\u0002\u0002\u0002\u0002\u0099\u0003\u0002\u0002\u0002\u0002",
+    "\u009b\u0003\u0002\u0002\u0002\u0003\u009f\u0003\u0002\u0002\u0002\u0005",
+    "\u00a1\u0003\u0002\u0002\u0002\u0007\u00a3\u0003\u0002\u0002\u0002\t",
+    "\u00a5\u0003\u0002\u0002\u0002\u000b\u00a7\u0003\u0002\u0002\u0002\r",
+    "\u00a9\u0003\u0002\u0002\u0002\u000f\u00ab\u0003\u0002\u0002\u0002\u0011",
+    "\u00ad\u0003\u0002\u0002\u0002\u0013\u00af\u0003\u0002\u0002\u0002\u0015",
+    "\u00b1\u0003\u0002\u0002\u0002\u0017\u00b3\u0003\u0002\u0002\u0002\u0019",
+    "\u00b5\u0003\u0002\u0002\u0002\u001b\u00b7\u0003\u0002\u0002\u0002\u001d",
+    "\u00b9\u0003\u0002\u0002\u0002\u001f\u00bc\u0003\u0002\u0002\u0002!",
+    "\u00be\u0003\u0002\u0002\u0002#\u00c0\u0003\u0002\u0002\u0002%\u00c2",
+    "\u0003\u0002\u0002\u0002\'\u00c4\u0003\u0002\u0002\u0002)\u00c7\u0003",
+    "\u0002\u0002\u0002+\u00ca\u0003\u0002\u0002\u0002-\u00cd\u0003\u0002",
+    "\u0002\u0002/\u00cf\u0003\u0002\u0002\u00021\u00d2\u0003\u0002\u0002",
+    "\u00023\u00d4\u0003\u0002\u0002\u00025\u00d6\u0003\u0002\u0002\u0002",
+    "7\u00d8\u0003\u0002\u0002\u00029\u00db\u0003\u0002\u0002\u0002;\u00de",
+    "\u0003\u0002\u0002\u0002=\u00e1\u0003\u0002\u0002\u0002?\u00e3\u0003",
+    "\u0002\u0002\u0002A\u00e5\u0003\u0002\u0002\u0002C\u00e7\u0003\u0002",
+    "\u0002\u0002E\u00ea\u0003\u0002\u0002\u0002G\u00ed\u0003\u0002\u0002",
+    "\u0002I\u00f1\u0003\u0002\u0002\u0002K\u00f5\u0003\u0002\u0002\u0002",
+    "M\u00f8\u0003\u0002\u0002\u0002O\u00fb\u0003\u0002\u0002\u0002Q\u00fe",
+    "\u0003\u0002\u0002\u0002S\u0101\u0003\u0002\u0002\u0002U\u0103\u0003",
+    "\u0002\u0002\u0002W\u0105\u0003\u0002\u0002\u0002Y\u0107\u0003\u0002",
+    "\u0002\u0002[\u0109\u0003\u0002\u0002\u0002]\u010c\u0003\u0002\u0002",
+    "\u0002_\u010f\u0003\u0002\u0002\u0002a\u0111\u0003\u0002\u0002\u0002",
+    "c\u0113\u0003\u0002\u0002\u0002e\u0115\u0003\u0002\u0002\u0002g\u0117",
+    "\u0003\u0002\u0002\u0002i\u0119\u0003\u0002\u0002\u0002k\u011b\u0003",
+    "\u0002\u0002\u0002m\u011d\u0003\u0002\u0002\u0002o\u011f\u0003\u0002",
+    "\u0002\u0002q\u0121\u0003\u0002\u0002\u0002s\u0123\u0003\u0002\u0002",
+    "\u0002u\u0126\u0003\u0002\u0002\u0002w\u0129\u0003\u0002\u0002\u0002",
+    "y\u012b\u0003\u0002\u0002\u0002{\u012d\u0003\u0002\u0002\u0002}\u0130",
+    "\u0003\u0002\u0002\u0002\u007f\u0133\u0003\u0002\u0002\u0002\u0081\u0136",
+    "\u0003\u0002\u0002\u0002\u0083\u0139\u0003\u0002\u0002\u0002\u0085\u013c",
+    "\u0003\u0002\u0002\u0002\u0087\u013f\u0003\u0002\u0002\u0002\u0089\u0142",
+    "\u0003\u0002\u0002\u0002\u008b\u0145\u0003\u0002\u0002\u0002\u008d\u0147",
+    "\u0003\u0002\u0002\u0002\u008f\u0149\u0003\u0002\u0002\u0002\u0091\u014c",
+    "\u0003\u0002\u0002\u0002\u0093\u0167\u0003\u0002\u0002\u0002\u0095\u0171",
+    "\u0003\u0002\u0002\u0002\u0097\u017a\u0003\u0002\u0002\u0002\u0099\u017e",
+    "\u0003\u0002\u0002\u0002\u009b\u0186\u0003\u0002\u0002\u0002\u009d\u018c",
+    "\u0003\u0002\u0002\u0002\u009f\u00a0\u0007=\u0002\u0002\u00a0\u0004",
+    "\u0003\u0002\u0002\u0002\u00a1\u00a2\u0007z\u0002\u0002\u00a2\u0006",
+    "\u0003\u0002\u0002\u0002\u00a3\u00a4\u0007Z\u0002\u0002\u00a4\b\u0003",
+    "\u0002\u0002\u0002\u00a5\u00a6\u0007]\u0002\u0002\u00a6\n\u0003\u0002",
+    "\u0002\u0002\u00a7\u00a8\u0007_\u0002\u0002\u00a8\f\u0003\u0002\u0002",
+    "\u0002\u00a9\u00aa\u0007g\u0002\u0002\u00aa\u000e\u0003\u0002\u0002",
+    "\u0002\u00ab\u00ac\u0007G\u0002\u0002\u00ac\u0010\u0003\u0002\u0002",
+    "\u0002\u00ad\u00ae\u0007k\u0002\u0002\u00ae\u0012\u0003\u0002\u0002",
+    "\u0002\u00af\u00b0\u0007K\u0002\u0002\u00b0\u0014\u0003\u0002\u0002",
+    "\u0002\u00b1\u00b2\u0007<\u0002\u0002\u00b2\u0016\u0003\u0002\u0002",
+    "\u0002\u00b3\u00b4\u0007,\u0002\u0002\u00b4\u0018\u0003\u0002\u0002",
+    "\u0002\u00b5\u00b6\u00071\u0002\u0002\u00b6\u001a\u0003\u0002\u0002",
+    "\u0002\u00b7\u00b8\u0007\'\u0002\u0002\u00b8\u001c\u0003\u0002\u0002",
+    "\u0002\u00b9\u00ba\u0007/\u0002\u0002\u00ba\u00bb\u0007/\u0002\u0002",
+    "\u00bb\u001e\u0003\u0002\u0002\u0002\u00bc\u00bd\u0007-\u0002\u0002",
+    "\u00bd \u0003\u0002\u0002\u0002\u00be\u00bf\u0007/\u0002\u0002\u00bf",
+    "\"\u0003\u0002\u0002\u0002\u00c0\u00c1\u0007@\u0002\u0002\u00c1$\u0003",
+    "\u0002\u0002\u0002\u00c2\u00c3\u0007>\u0002\u0002\u00c3&\u0003\u0002",
+    "\u0002\u0002\u00c4\u00c5\u0007@\u0002\u0002\u00c5\u00c6\u0007?\u0002",
+    "\u0002\u00c6(\u0003\u0002\u0002\u0002\u00c7\u00c8\u0007>\u0002\u0002",
+    "\u00c8\u00c9\u0007?\u0002\u0002\u00c9*\u0003\u0002\u0002\u0002\u00ca",
+    "\u00cb\u0007?\u0002\u0002\u00cb\u00cc\u0007?\u0002\u0002\u00cc,\u0003",
+    "\u0002\u0002\u0002\u00cd\u00ce\u0007A\u0002\u0002\u00ce.\u0003\u0002",
+    "\u0002\u0002\u00cf\u00d0\u0007<\u0002\u0002\u00d0\u00d1\u0007?\u0002",
+    "\u0002\u00d10\u0003\u0002\u0002\u0002\u00d2\u00d3\u0007f\u0002\u0002",
+    "\u00d32\u0003\u0002\u0002\u0002\u00d4\u00d5\u0007F\u0002\u0002\u00d5",
+    "4\u0003\u0002\u0002\u0002\u00d6\u00d7\u0007#\u0002\u0002\u00d76\u0003",
+    "\u0002\u0002\u0002\u00d8\u00d9\u0007#\u0002\u0002\u00d9\u00da\u0007",
+    "#\u0002\u0002\u00da8\u0003\u0002\u0002\u0002\u00db\u00dc\u0007#\u0002",
+    "\u0002\u00dc\u00dd\u0007r\u0002\u0002\u00dd:\u0003\u0002\u0002\u0002",
+    "\u00de\u00df\u0007#\u0002\u0002\u00df\u00e0\u0007R\u0002\u0002\u00e0",
+    "<\u0003\u0002\u0002\u0002\u00e1\u00e2\u0007?\u0002\u0002\u00e2>\u0003",
+    "\u0002\u0002\u0002\u00e3\u00e4\u0007m\u0002\u0002\u00e4@\u0003\u0002",
+    "\u0002\u0002\u00e5\u00e6\u0007M\u0002\u0002\u00e6B\u0003\u0002\u0002",
+    "\u0002\u00e7\u00e8\u0007m\u0002\u0002\u00e8\u00e9\u0007n\u0002\u0002",
+    "\u00e9D\u0003\u0002\u0002\u0002\u00ea\u00eb\u0007M\u0002\u0002\u00eb",
+    "\u00ec\u0007N\u0002\u0002\u00ecF\u0003\u0002\u0002\u0002\u00ed\u00ee",
+    "\u0007c\u0002\u0002\u00ee\u00ef\u0007f\u0002\u0002\u00ef\u00f0\u0007",
+    "x\u0002\u0002\u00f0H\u0003\u0002\u0002\u0002\u00f1\u00f2\u0007f\u0002",
+    "\u0002\u00f2\u00f3\u0007k\u0002\u0002\u00f3\u00f4\u0007u\u0002\u0002",
+    "\u00f4J\u0003\u0002\u0002\u0002\u00f5\u00f6\u0007f\u0002\u0002\u00f6",
+    "\u00f7\u0007n\u0002\u0002\u00f7L\u0003\u0002\u0002\u0002\u00f8\u00f9",
+    "\u0007F\u0002\u0002\u00f9\u00fa\u0007N\u0002\u0002\u00faN\u0003\u0002",
+    "\u0002\u0002\u00fb\u00fc\u0007f\u0002\u0002\u00fc\u00fd\u0007j\u0002",
+    "\u0002\u00fdP\u0003\u0002\u0002\u0002\u00fe\u00ff\u0007F\u0002\u0002",
+    "\u00ff\u0100\u0007J\u0002\u0002\u0100R\u0003\u0002\u0002\u0002\u0101",
+    "\u0102\u0007u\u0002\u0002\u0102T\u0003\u0002\u0002\u0002\u0103\u0104",
+    "\u0007U\u0002\u0002\u0104V\u0003\u0002\u0002\u0002\u0105\u0106\u0007",
+    "h\u0002\u0002\u0106X\u0003\u0002\u0002\u0002\u0107\u0108\u0007H\u0002",
+    "\u0002\u0108Z\u0003\u0002\u0002\u0002\u0109\u010a\u0007t\u0002\u0002",
+    "\u010a\u010b\u0007q\u0002\u0002\u010b\\\u0003\u0002\u0002\u0002\u010c",
+    "\u010d\u0007T\u0002\u0002\u010d\u010e\u0007Q\u0002\u0002\u010e^\u0003",
+    "\u0002\u0002\u0002\u010f\u0110\u0007t\u0002\u0002\u0110`\u0003\u0002",
+    "\u0002\u0002\u0111\u0112\u0007T\u0002\u0002\u0112b\u0003\u0002\u0002",
+    "\u0002\u0113\u0114\u0007y\u0002\u0002\u0114d\u0003\u0002\u0002\u0002",
+    "\u0115\u0116\u0007Y\u0002\u0002\u0116f\u0003\u0002\u0002\u0002\u0117",
+    "\u0118\u0007r\u0002\u0002\u0118h\u0003\u0002\u0002\u0002\u0119\u011a",
+    "\u0007R\u0002\u0002\u011aj\u0003\u0002\u0002\u0002\u011b\u011c\u0007",
+    "e\u0002\u0002\u011cl\u0003\u0002\u0002\u0002\u011d\u011e\u0007E\u0002",
+    "\u0002\u011en\u0003\u0002\u0002\u0002\u011f\u0120\u0007j\u0002\u0002",
+    "\u0120p\u0003\u0002\u0002\u0002\u0121\u0122\u0007J\u0002\u0002\u0122",
+    "r\u0003\u0002\u0002\u0002\u0123\u0124\u0007v\u0002\u0002\u0124\u0125",
+    "\u0007t\u0002\u0002\u0125t\u0003\u0002\u0002\u0002\u0126\u0127\u0007",
+    "V\u0002\u0002\u0127\u0128\u0007T\u0002\u0002\u0128v\u0003\u0002\u0002",
+    "\u0002\u0129\u012a\u0007v\u0002\u0002\u012ax\u0003\u0002\u0002\u0002",
+    "\u012b\u012c\u0007V\u0002\u0002\u012cz\u0003\u0002\u0002\u0002\u012d",
+    "\u012e\u0007v\u0002\u0002\u012e\u012f\u0007p\u0002\u0002\u012f|\u0003",
+    "\u0002\u0002\u0002\u0130\u0131\u0007V\u0002\u0002\u0131\u0132\u0007",
+    "P\u0002\u0002\u0132~\u0003\u0002\u0002\u0002\u0133\u0134\u0007f\u0002",
+    "\u0002\u0134\u0135\u0007H\u0002\u0002\u0135\u0080\u0003\u0002\u0002",
+    "\u0002\u0136\u0137\u0007f\u0002\u0002\u0137\u0138\u0007h\u0002\u0002",
+    "\u0138\u0082\u0003\u0002\u0002\u0002\u0139\u013a\u0007F\u0002\u0002",
+    "\u013a\u013b\u0007H\u0002\u0002\u013b\u0084\u0003\u0002\u0002\u0002",
+    "\u013c\u013d\u0007f\u0002\u0002\u013d\u013e\u0007E\u0002\u0002\u013e",
+    "\u0086\u0003\u0002\u0002\u0002\u013f\u0140\u0007f\u0002\u0002\u0140",
+    "\u0141\u0007e\u0002\u0002\u0141\u0088\u0003\u0002\u0002\u0002\u0142",
+    "\u0143\u0007F\u0002\u0002\u0143\u0144\u0007E\u0002\u0002\u0144\u008a",
+    "\u0003\u0002\u0002\u0002\u0145\u0146\u0007*\u0002\u0002\u0146\u008c",
+    "\u0003\u0002\u0002\u0002\u0147\u0148\u0007+\u0002\u0002\u0148\u008e",
+    "\u0003\u0002\u0002\u0002\u0149\u014a\u0007.\u0002\u0002\u014a\u0090",
+    "\u0003\u0002\u0002\u0002\u014b\u014d\t\u0002\u0002\u0002\u014c\u014b",
+    "\u0003\u0002\u0002\u0002\u014d\u014e\u0003\u0002\u0002\u0002\u014e\u014c",
+    "\u0003\u0002\u0002\u0002\u014e\u014f\u0003\u0002\u0002\u0002\u014f\u0092",
+    "\u0003\u0002\u0002\u0002\u0150\u0151\u0007o\u0002\u0002\u0151\u0152",
+    "\u0007k\u0002\u0002\u0152\u0168\u0007p\u0002\u0002\u0153\u0154\u0007",
+    "o\u0002\u0002\u0154\u0155\u0007c\u0002\u0002\u0155\u0168\u0007z\u0002",
+    "\u0002\u0156\u0157\u0007c\u0002\u0002\u0157\u0158\u0007d\u0002\u0002",
+    "\u0158\u0168\u0007u\u0002\u0002\u0159\u015a\u0007h\u0002\u0002\u015a",
+    "\u015b\u0007n\u0002\u0002\u015b\u015c\u0007q\u0002\u0002\u015c\u015d",
+    "\u0007q\u0002\u0002\u015d\u0168\u0007t\u0002\u0002\u015e\u015f\u0007",
+    "e\u0002\u0002\u015f\u0160\u0007g\u0002\u0002\u0160\u0161\u0007k\u0002",
+    "\u0002\u0161\u0168\u0007n\u0002\u0002\u0162\u0163\u0007t\u0002\u0002",
+    "\u0163\u0164\u0007q\u0002\u0002\u0164\u0165\u0007w\u0002\u0002\u0165",
+    "\u0166\u0007p\u0002\u0002\u0166\u0168\u0007f\u0002\u0002\u0167\u0150",
+    "\u0003\u0002\u0002\u0002\u0167\u0153\u0003\u0002\u0002\u0002\u0167\u0156",
+    "\u0003\u0002\u0002\u0002\u0167\u0159\u0003\u0002\u0002\u0002\u0167\u015e",
+    "\u0003\u0002\u0002\u0002\u0167\u0162\u0003\u0002\u0002\u0002\u0168\u016c",
+    "\u0003\u0002\u0002\u0002\u0169\u016b\t\u0003\u0002\u0002\u016a\u0169",
+    "\u0003\u0002\u0002\u0002\u016b\u016e\u0003\u0002\u0002\u0002\u016c\u016a",
+    "\u0003\u0002\u0002\u0002\u016c\u016d\u0003\u0002\u0002\u0002\u016d\u016f",
+    "\u0003\u0002\u0002\u0002\u016e\u016c\u0003\u0002\u0002\u0002\u016f\u0170",
+    "\u0007*\u0002\u0002\u0170\u0094\u0003\u0002\u0002\u0002\u0171\u0175",
+    "\u0007$\u0002\u0002\u0172\u0174\u0005\u009dO\u0002\u0173\u0172\u0003",
+    "\u0002\u0002\u0002\u0174\u0177\u0003\u0002\u0002\u0002\u0175\u0173\u0003",
+    "\u0002\u0002\u0002\u0175\u0176\u0003\u0002\u0002\u0002\u0176\u0178\u0003",
+    "\u0002\u0002\u0002\u0177\u0175\u0003\u0002\u0002\u0002\u0178\u0179\u0007",
+    "$\u0002\u0002\u0179\u0096\u0003\u0002\u0002\u0002\u017a\u017b\t\u0004",
+    "\u0002\u0002\u017b\u017c\u0003\u0002\u0002\u0002\u017c\u017d\bL\u0002",
+    "\u0002\u017d\u0098\u0003\u0002\u0002\u0002\u017e\u017f\u0007/\u0002",
+    "\u0002\u017f\u0180\u0007/\u0002\u0002\u0180\u0182\u0003\u0002\u0002",
+    "\u0002\u0181\u0183\t\u0005\u0002\u0002\u0182\u0181\u0003\u0002\u0002",
+    "\u0002\u0183\u0184\u0003\u0002\u0002\u0002\u0184\u0182\u0003\u0002\u0002",
+    "\u0002\u0184\u0185\u0003\u0002\u0002\u0002\u0185\u009a\u0003\u0002\u0002",
+    "\u0002\u0186\u0188\u0007B\u0002\u0002\u0187\u0189\t\u0006\u0002\u0002",
+    "\u0188\u0187\u0003\u0002\u0002\u0002\u0189\u018a\u0003\u0002\u0002\u0002",
+    "\u018a\u0188\u0003\u0002\u0002\u0002\u018a\u018b\u0003\u0002\u0002\u0002",
+    "\u018b\u009c\u0003\u0002\u0002\u0002\u018c\u018d\n\u0007\u0002\u0002",
+    "\u018d\u009e\u0003\u0002\u0002\u0002\t\u0002\u014e\u0167\u016c\u0175",
+    "\u0184\u018a\u0003\b\u0002\u0002"].join("");
 
 
 const atn = new antlr4.atn.ATNDeserializer().deserialize(serializedATN);
@@ -189,22 +261,26 @@ export default class R2Lexer extends antlr4.Lexer {
     static channelNames = [ "DEFAULT_TOKEN_CHANNEL", "HIDDEN" ];
 	static modeNames = [ "DEFAULT_MODE" ];
 	static literalNames = [ null, "';'", "'x'", "'X'", "'['", "']'", "'e'", 
-                         "'E'", "'i'", "'I'", "':'", "':='", "'*'", "'/'", 
-                         "'%'", "'--'", "'+'", "'-'", "'d'", "'D'", "'!'", 
-                         "'k'", "'K'", "'kl'", "'KL'", "'adv'", "'dis'", 
-                         "'s'", "'S'", "'f'", "'F'", "'w'", "'W'", "'p'", 
-                         "'P'", "'c'", "'C'", "'h'", "'H'", "'tr'", "'TR'", 
-                         "'t'", "'T'", "'r'", "'R'", "'tn'", "'TN'", "'dF'", 
-                         "'df'", "'DF'", "'dC'", "'dc'", "'DC'", "'('", 
-                         "')'" ];
+                         "'E'", "'i'", "'I'", "':'", "'*'", "'/'", "'%'", 
+                         "'--'", "'+'", "'-'", "'>'", "'<'", "'>='", "'<='", 
+                         "'=='", "'?'", "':='", "'d'", "'D'", "'!'", "'!!'", 
+                         "'!p'", "'!P'", "'='", "'k'", "'K'", "'kl'", "'KL'", 
+                         "'adv'", "'dis'", "'dl'", "'DL'", "'dh'", "'DH'", 
+                         "'s'", "'S'", "'f'", "'F'", "'ro'", "'RO'", "'r'", 
+                         "'R'", "'w'", "'W'", "'p'", "'P'", "'c'", "'C'", 
+                         "'h'", "'H'", "'tr'", "'TR'", "'t'", "'T'", "'tn'", 
+                         "'TN'", "'dF'", "'df'", "'DF'", "'dC'", "'dc'", 
+                         "'DC'", "'('", "')'", "','" ];
 	static symbolicNames = [ null, null, null, null, null, null, null, null, 
                           null, null, null, null, null, null, null, null, 
                           null, null, null, null, null, null, null, null, 
                           null, null, null, null, null, null, null, null, 
                           null, null, null, null, null, null, null, null, 
                           null, null, null, null, null, null, null, null, 
-                          null, null, null, null, null, null, null, "INT", 
-                          "STRING", "WS", "FLAG", "VAR" ];
+                          null, null, null, null, null, null, null, null, 
+                          null, null, null, null, null, null, null, null, 
+                          null, null, null, null, null, null, null, null, 
+                          "INT", "FUNCTION", "STRING", "WS", "FLAG", "VAR" ];
 	static ruleNames = [ "T__0", "T__1", "T__2", "T__3", "T__4", "T__5", "T__6", 
                       "T__7", "T__8", "T__9", "T__10", "T__11", "T__12", 
                       "T__13", "T__14", "T__15", "T__16", "T__17", "T__18", 
@@ -213,7 +289,10 @@ export default class R2Lexer extends antlr4.Lexer {
                       "T__31", "T__32", "T__33", "T__34", "T__35", "T__36", 
                       "T__37", "T__38", "T__39", "T__40", "T__41", "T__42", 
                       "T__43", "T__44", "T__45", "T__46", "T__47", "T__48", 
-                      "T__49", "T__50", "T__51", "T__52", "T__53", "INT", 
+                      "T__49", "T__50", "T__51", "T__52", "T__53", "T__54", 
+                      "T__55", "T__56", "T__57", "T__58", "T__59", "T__60", 
+                      "T__61", "T__62", "T__63", "T__64", "T__65", "T__66", 
+                      "T__67", "T__68", "T__69", "T__70", "INT", "FUNCTION", 
                       "STRING", "WS", "FLAG", "VAR", "StringChar" ];
 
     constructor(input) {
@@ -281,11 +360,29 @@ R2Lexer.T__50 = 51;
 R2Lexer.T__51 = 52;
 R2Lexer.T__52 = 53;
 R2Lexer.T__53 = 54;
-R2Lexer.INT = 55;
-R2Lexer.STRING = 56;
-R2Lexer.WS = 57;
-R2Lexer.FLAG = 58;
-R2Lexer.VAR = 59;
+R2Lexer.T__54 = 55;
+R2Lexer.T__55 = 56;
+R2Lexer.T__56 = 57;
+R2Lexer.T__57 = 58;
+R2Lexer.T__58 = 59;
+R2Lexer.T__59 = 60;
+R2Lexer.T__60 = 61;
+R2Lexer.T__61 = 62;
+R2Lexer.T__62 = 63;
+R2Lexer.T__63 = 64;
+R2Lexer.T__64 = 65;
+R2Lexer.T__65 = 66;
+R2Lexer.T__66 = 67;
+R2Lexer.T__67 = 68;
+R2Lexer.T__68 = 69;
+R2Lexer.T__69 = 70;
+R2Lexer.T__70 = 71;
+R2Lexer.INT = 72;
+R2Lexer.FUNCTION = 73;
+R2Lexer.STRING = 74;
+R2Lexer.WS = 75;
+R2Lexer.FLAG = 76;
+R2Lexer.VAR = 77;
 
 
 
@@ -113,6 +113,15 @@ export default class R2Listener extends antlr4.tree.ParseTreeListener {
 	}
 
 
+	// Enter a parse tree produced by R2Parser#ComparisonExpr.
+	enterComparisonExpr(ctx) {
+	}
+
+	// Exit a parse tree produced by R2Parser#ComparisonExpr.
+	exitComparisonExpr(ctx) {
+	}
+
+
 	// Enter a parse tree produced by R2Parser#InfixExpr1.
 	enterInfixExpr1(ctx) {
 	}
@@ -176,6 +185,24 @@ export default class R2Listener extends antlr4.tree.ParseTreeListener {
 	}
 
 
+	// Enter a parse tree produced by R2Parser#ConditionalExpr.
+	enterConditionalExpr(ctx) {
+	}
+
+	// Exit a parse tree produced by R2Parser#ConditionalExpr.
+	exitConditionalExpr(ctx) {
+	}
+
+
+	// Enter a parse tree produced by R2Parser#conditionalBranch.
+	enterConditionalBranch(ctx) {
+	}
+
+	// Exit a parse tree produced by R2Parser#conditionalBranch.
+	exitConditionalBranch(ctx) {
+	}
+
+
 	// Enter a parse tree produced by R2Parser#GygaxRangeRollExpr.
 	enterGygaxRangeRollExpr(ctx) {
 	}
@@ -221,6 +248,15 @@ export default class R2Listener extends antlr4.tree.ParseTreeListener {
 	}
 
 
+	// Enter a parse tree produced by R2Parser#explodeModifier.
+	enterExplodeModifier(ctx) {
+	}
+
+	// Exit a parse tree produced by R2Parser#explodeModifier.
+	exitExplodeModifier(ctx) {
+	}
+
+
 	// Enter a parse tree produced by R2Parser#dieFacetsTerm.
 	enterDieFacetsTerm(ctx) {
 	}
@@ -239,6 +275,15 @@ export default class R2Listener extends antlr4.tree.ParseTreeListener {
 	}
 
 
+	// Enter a parse tree produced by R2Parser#RollAndDropSuffix.
+	enterRollAndDropSuffix(ctx) {
+	}
+
+	// Exit a parse tree produced by R2Parser#RollAndDropSuffix.
+	exitRollAndDropSuffix(ctx) {
+	}
+
+
 	// Enter a parse tree produced by R2Parser#SuccessOrFailSuffix1.
 	enterSuccessOrFailSuffix1(ctx) {
 	}
@@ -266,6 +311,15 @@ export default class R2Listener extends antlr4.tree.ParseTreeListener {
 	}
 
 
+	// Enter a parse tree produced by R2Parser#RerollSuffix.
+	enterRerollSuffix(ctx) {
+	}
+
+	// Exit a parse tree produced by R2Parser#RerollSuffix.
+	exitRerollSuffix(ctx) {
+	}
+
+
 	// Enter a parse tree produced by R2Parser#savageWorldsRoll.
 	enterSavageWorldsRoll(ctx) {
 	}
@@ -401,5 +455,14 @@ export default class R2Listener extends antlr4.tree.ParseTreeListener {
 	}
 
 
+	// Enter a parse tree produced by R2Parser#FunctionTerm.
+	enterFunctionTerm(ctx) {
+	}
+
+	// Exit a parse tree produced by R2Parser#FunctionTerm.
+	exitFunctionTerm(ctx) {
+	}
+
+
 
 }
\ No newline at end of file
@@ -5,183 +5,225 @@ import R2Listener from './R2Listener.js';
 import R2Visitor from './R2Visitor.js';
 
 const serializedATN = ["\u0003\u608b\ua72a\u8133\ub9ed\u417c\u3be7\u7786",
-    "\u5964\u0003=\u0102\u0004\u0002\t\u0002\u0004\u0003\t\u0003\u0004\u0004",
+    "\u5964\u0003O\u0135\u0004\u0002\t\u0002\u0004\u0003\t\u0003\u0004\u0004",
     "\t\u0004\u0004\u0005\t\u0005\u0004\u0006\t\u0006\u0004\u0007\t\u0007",
     "\u0004\b\t\b\u0004\t\t\t\u0004\n\t\n\u0004\u000b\t\u000b\u0004\f\t\f",
     "\u0004\r\t\r\u0004\u000e\t\u000e\u0004\u000f\t\u000f\u0004\u0010\t\u0010",
-    "\u0004\u0011\t\u0011\u0004\u0012\t\u0012\u0003\u0002\u0003\u0002\u0003",
-    "\u0002\u0007\u0002(\n\u0002\f\u0002\u000e\u0002+\u000b\u0002\u0003\u0002",
-    "\u0005\u0002.\n\u0002\u0003\u0002\u0003\u0002\u0003\u0003\u0003\u0003",
-    "\u0003\u0003\u0003\u0003\u0003\u0003\u0003\u0003\u0003\u0003\u0003\u0003",
-    "\u0003\u0003\u0007\u0003;\n\u0003\f\u0003\u000e\u0003>\u000b\u0003\u0003",
-    "\u0003\u0003\u0003\u0003\u0003\u0003\u0003\u0003\u0003\u0003\u0003\u0005",
-    "\u0003F\n\u0003\u0003\u0003\u0005\u0003I\n\u0003\u0003\u0003\u0003\u0003",
-    "\u0005\u0003M\n\u0003\u0003\u0003\u0005\u0003P\n\u0003\u0003\u0004\u0005",
-    "\u0004S\n\u0004\u0003\u0004\u0003\u0004\u0005\u0004W\n\u0004\u0003\u0005",
-    "\u0003\u0005\u0003\u0005\u0003\u0005\u0003\u0005\u0003\u0005\u0003\u0005",
-    "\u0003\u0005\u0003\u0005\u0003\u0005\u0003\u0005\u0003\u0005\u0003\u0005",
-    "\u0003\u0005\u0003\u0005\u0003\u0005\u0003\u0005\u0003\u0005\u0003\u0005",
-    "\u0003\u0005\u0003\u0005\u0005\u0005n\n\u0005\u0003\u0005\u0003\u0005",
-    "\u0003\u0005\u0003\u0005\u0003\u0005\u0003\u0005\u0003\u0005\u0003\u0005",
-    "\u0003\u0005\u0005\u0005y\n\u0005\u0003\u0005\u0003\u0005\u0005\u0005",
-    "}\n\u0005\u0003\u0005\u0007\u0005\u0080\n\u0005\f\u0005\u000e\u0005",
-    "\u0083\u000b\u0005\u0003\u0006\u0005\u0006\u0086\n\u0006\u0003\u0006",
-    "\u0003\u0006\u0003\u0006\u0005\u0006\u008b\n\u0006\u0003\u0006\u0005",
-    "\u0006\u008e\n\u0006\u0003\u0007\u0003\u0007\u0005\u0007\u0092\n\u0007",
-    "\u0003\b\u0003\b\u0005\b\u0096\n\b\u0003\b\u0003\b\u0003\b\u0003\b\u0005",
-    "\b\u009c\n\b\u0003\b\u0003\b\u0003\b\u0003\b\u0003\b\u0003\b\u0005\b",
-    "\u00a4\n\b\u0003\t\u0005\t\u00a7\n\t\u0003\t\u0003\t\u0003\t\u0003\t",
-    "\u0005\t\u00ad\n\t\u0003\t\u0005\t\u00b0\n\t\u0003\n\u0003\n\u0003\n",
-    "\u0005\n\u00b5\n\n\u0003\u000b\u0003\u000b\u0003\u000b\u0007\u000b\u00ba",
-    "\n\u000b\f\u000b\u000e\u000b\u00bd\u000b\u000b\u0003\f\u0003\f\u0003",
-    "\f\u0003\f\u0003\f\u0003\f\u0003\f\u0005\f\u00c6\n\f\u0003\f\u0005\f",
-    "\u00c9\n\f\u0003\f\u0003\f\u0005\f\u00cd\n\f\u0003\f\u0005\f\u00d0\n",
-    "\f\u0003\r\u0003\r\u0003\r\u0003\r\u0003\r\u0003\r\u0005\r\u00d8\n\r",
-    "\u0003\r\u0003\r\u0003\r\u0003\r\u0005\r\u00de\n\r\u0003\r\u0003\r\u0003",
-    "\r\u0005\r\u00e3\n\r\u0005\r\u00e5\n\r\u0003\u000e\u0003\u000e\u0003",
-    "\u000e\u0003\u000f\u0005\u000f\u00eb\n\u000f\u0003\u000f\u0003\u000f",
-    "\u0003\u0010\u0005\u0010\u00f0\n\u0010\u0003\u0010\u0003\u0010\u0003",
-    "\u0011\u0003\u0011\u0003\u0011\u0003\u0012\u0003\u0012\u0003\u0012\u0003",
-    "\u0012\u0005\u0012\u00fb\n\u0012\u0003\u0012\u0003\u0012\u0003\u0012",
-    "\u0005\u0012\u0100\n\u0012\u0003\u0012\u0002\u0003\b\u0013\u0002\u0004",
-    "\u0006\b\n\f\u000e\u0010\u0012\u0014\u0016\u0018\u001a\u001c\u001e ",
-    "\"\u0002\u0015\u0003\u0002\u0004\u0005\u0003\u0002\b\t\u0003\u0002\n",
-    "\u000b\u0003\u0002\u0012\u0013\u0003\u0002\u000e\u0010\u0003\u0002\u0014",
-    "\u0015\u0003\u0002\u0017\u001c\u0003\u0002\u001d\u001e\u0003\u0002\u001f",
-    " \u0003\u0002!\"\u0003\u0002#$\u0003\u0002%&\u0003\u0002\'(\u0003\u0002",
-    ")*\u0003\u0002+,\u0003\u0002-.\u0003\u0002/0\u0003\u000213\u0003\u0002",
-    "46\u0002\u012c\u0002$\u0003\u0002\u0002\u0002\u0004O\u0003\u0002\u0002",
-    "\u0002\u0006R\u0003\u0002\u0002\u0002\bm\u0003\u0002\u0002\u0002\n\u0085",
-    "\u0003\u0002\u0002\u0002\f\u0091\u0003\u0002\u0002\u0002\u000e\u00a3",
-    "\u0003\u0002\u0002\u0002\u0010\u00a6\u0003\u0002\u0002\u0002\u0012\u00b1",
-    "\u0003\u0002\u0002\u0002\u0014\u00b6\u0003\u0002\u0002\u0002\u0016\u00cf",
-    "\u0003\u0002\u0002\u0002\u0018\u00e4\u0003\u0002\u0002\u0002\u001a\u00e6",
-    "\u0003\u0002\u0002\u0002\u001c\u00ea\u0003\u0002\u0002\u0002\u001e\u00ef",
-    "\u0003\u0002\u0002\u0002 \u00f3\u0003\u0002\u0002\u0002\"\u00ff\u0003",
-    "\u0002\u0002\u0002$)\u0005\u0004\u0003\u0002%&\u0007\u0003\u0002\u0002",
-    "&(\u0005\u0004\u0003\u0002\'%\u0003\u0002\u0002\u0002(+\u0003\u0002",
-    "\u0002\u0002)\'\u0003\u0002\u0002\u0002)*\u0003\u0002\u0002\u0002*-",
-    "\u0003\u0002\u0002\u0002+)\u0003\u0002\u0002\u0002,.\u0007\u0003\u0002",
-    "\u0002-,\u0003\u0002\u0002\u0002-.\u0003\u0002\u0002\u0002./\u0003\u0002",
-    "\u0002\u0002/0\u0007\u0002\u0002\u00030\u0003\u0003\u0002\u0002\u0002",
-    "1P\u0005\b\u0005\u000223\u0005\"\u0012\u000234\t\u0002\u0002\u00024",
-    "5\u0005\b\u0005\u00025P\u0003\u0002\u0002\u000267\u0005\"\u0012\u0002",
-    "78\t\u0002\u0002\u00028<\u0007\u0006\u0002\u00029;\u0005\u0006\u0004",
-    "\u0002:9\u0003\u0002\u0002\u0002;>\u0003\u0002\u0002\u0002<:\u0003\u0002",
-    "\u0002\u0002<=\u0003\u0002\u0002\u0002=?\u0003\u0002\u0002\u0002><\u0003",
-    "\u0002\u0002\u0002?@\u0007\u0007\u0002\u0002@P\u0003\u0002\u0002\u0002",
-    "AB\u0005\"\u0012\u0002BC\t\u0003\u0002\u0002CE\u0005\"\u0012\u0002D",
-    "F\u0005\u0018\r\u0002ED\u0003\u0002\u0002\u0002EF\u0003\u0002\u0002",
-    "\u0002FH\u0003\u0002\u0002\u0002GI\u0005\u001a\u000e\u0002HG\u0003\u0002",
-    "\u0002\u0002HI\u0003\u0002\u0002\u0002IP\u0003\u0002\u0002\u0002JL\t",
-    "\u0004\u0002\u0002KM\u0005\u001a\u000e\u0002LK\u0003\u0002\u0002\u0002",
-    "LM\u0003\u0002\u0002\u0002MP\u0003\u0002\u0002\u0002NP\u0007<\u0002",
-    "\u0002O1\u0003\u0002\u0002\u0002O2\u0003\u0002\u0002\u0002O6\u0003\u0002",
-    "\u0002\u0002OA\u0003\u0002\u0002\u0002OJ\u0003\u0002\u0002\u0002ON\u0003",
-    "\u0002\u0002\u0002P\u0005\u0003\u0002\u0002\u0002QS\u0007:\u0002\u0002",
-    "RQ\u0003\u0002\u0002\u0002RS\u0003\u0002\u0002\u0002ST\u0003\u0002\u0002",
-    "\u0002TV\u0005\b\u0005\u0002UW\u0007\u0003\u0002\u0002VU\u0003\u0002",
-    "\u0002\u0002VW\u0003\u0002\u0002\u0002W\u0007\u0003\u0002\u0002\u0002",
-    "XY\b\u0005\u0001\u0002Yn\u0005\n\u0006\u0002Zn\u0005\u0010\t\u0002[",
-    "n\u0005\u0012\n\u0002\\n\u0005\u001c\u000f\u0002]n\u0005\u001e\u0010",
-    "\u0002^n\u0005 \u0011\u0002_n\u0005\u0014\u000b\u0002`a\u0005\u0018",
-    "\r\u0002ab\u0007\f\u0002\u0002bc\u0005\b\u0005\tcn\u0003\u0002\u0002",
-    "\u0002de\u0007=\u0002\u0002ef\u0007\r\u0002\u0002fn\u0005\b\u0005\b",
-    "gh\u00079\u0002\u0002hi\u0007\u0011\u0002\u0002in\u00079\u0002\u0002",
-    "jk\t\u0005\u0002\u0002kn\u0005\b\u0005\u0004ln\u0005\"\u0012\u0002m",
-    "X\u0003\u0002\u0002\u0002mZ\u0003\u0002\u0002\u0002m[\u0003\u0002\u0002",
-    "\u0002m\\\u0003\u0002\u0002\u0002m]\u0003\u0002\u0002\u0002m^\u0003",
-    "\u0002\u0002\u0002m_\u0003\u0002\u0002\u0002m`\u0003\u0002\u0002\u0002",
-    "md\u0003\u0002\u0002\u0002mg\u0003\u0002\u0002\u0002mj\u0003\u0002\u0002",
-    "\u0002ml\u0003\u0002\u0002\u0002n\u0081\u0003\u0002\u0002\u0002op\f",
-    "\u0007\u0002\u0002pq\t\u0006\u0002\u0002q\u0080\u0005\b\u0005\brs\f",
-    "\u0005\u0002\u0002st\t\u0005\u0002\u0002t\u0080\u0005\b\u0005\u0006",
-    "uv\f\n\u0002\u0002vx\u0007\u0006\u0002\u0002wy\u0005\b\u0005\u0002x",
-    "w\u0003\u0002\u0002\u0002xy\u0003\u0002\u0002\u0002yz\u0003\u0002\u0002",
-    "\u0002z|\u0007\f\u0002\u0002{}\u0005\b\u0005\u0002|{\u0003\u0002\u0002",
-    "\u0002|}\u0003\u0002\u0002\u0002}~\u0003\u0002\u0002\u0002~\u0080\u0007",
-    "\u0007\u0002\u0002\u007fo\u0003\u0002\u0002\u0002\u007fr\u0003\u0002",
-    "\u0002\u0002\u007fu\u0003\u0002\u0002\u0002\u0080\u0083\u0003\u0002",
-    "\u0002\u0002\u0081\u007f\u0003\u0002\u0002\u0002\u0081\u0082\u0003\u0002",
-    "\u0002\u0002\u0082\t\u0003\u0002\u0002\u0002\u0083\u0081\u0003\u0002",
-    "\u0002\u0002\u0084\u0086\u0005\"\u0012\u0002\u0085\u0084\u0003\u0002",
-    "\u0002\u0002\u0085\u0086\u0003\u0002\u0002\u0002\u0086\u0087\u0003\u0002",
-    "\u0002\u0002\u0087\u0088\t\u0007\u0002\u0002\u0088\u008a\u0005\f\u0007",
-    "\u0002\u0089\u008b\u0007\u0016\u0002\u0002\u008a\u0089\u0003\u0002\u0002",
-    "\u0002\u008a\u008b\u0003\u0002\u0002\u0002\u008b\u008d\u0003\u0002\u0002",
-    "\u0002\u008c\u008e\u0005\u000e\b\u0002\u008d\u008c\u0003\u0002\u0002",
-    "\u0002\u008d\u008e\u0003\u0002\u0002\u0002\u008e\u000b\u0003\u0002\u0002",
-    "\u0002\u008f\u0092\u0005\"\u0012\u0002\u0090\u0092\u0007\u0010\u0002",
-    "\u0002\u0091\u008f\u0003\u0002\u0002\u0002\u0091\u0090\u0003\u0002\u0002",
-    "\u0002\u0092\r\u0003\u0002\u0002\u0002\u0093\u0095\t\b\u0002\u0002\u0094",
-    "\u0096\u0005\"\u0012\u0002\u0095\u0094\u0003\u0002\u0002\u0002\u0095",
-    "\u0096\u0003\u0002\u0002\u0002\u0096\u00a4\u0003\u0002\u0002\u0002\u0097",
-    "\u0098\t\t\u0002\u0002\u0098\u009b\u0005\"\u0012\u0002\u0099\u009a\t",
-    "\n\u0002\u0002\u009a\u009c\u0005\"\u0012\u0002\u009b\u0099\u0003\u0002",
-    "\u0002\u0002\u009b\u009c\u0003\u0002\u0002\u0002\u009c\u00a4\u0003\u0002",
-    "\u0002\u0002\u009d\u009e\t\n\u0002\u0002\u009e\u009f\u0005\"\u0012\u0002",
-    "\u009f\u00a0\t\t\u0002\u0002\u00a0\u00a1\u0005\"\u0012\u0002\u00a1\u00a4",
-    "\u0003\u0002\u0002\u0002\u00a2\u00a4\u0005\u0018\r\u0002\u00a3\u0093",
-    "\u0003\u0002\u0002\u0002\u00a3\u0097\u0003\u0002\u0002\u0002\u00a3\u009d",
-    "\u0003\u0002\u0002\u0002\u00a3\u00a2\u0003\u0002\u0002\u0002\u00a4\u000f",
-    "\u0003\u0002\u0002\u0002\u00a5\u00a7\u0005\"\u0012\u0002\u00a6\u00a5",
-    "\u0003\u0002\u0002\u0002\u00a6\u00a7\u0003\u0002\u0002\u0002\u00a7\u00a8",
-    "\u0003\u0002\u0002\u0002\u00a8\u00a9\t\t\u0002\u0002\u00a9\u00ac\u0005",
-    "\"\u0012\u0002\u00aa\u00ab\t\u000b\u0002\u0002\u00ab\u00ad\u0005\"\u0012",
-    "\u0002\u00ac\u00aa\u0003\u0002\u0002\u0002\u00ac\u00ad\u0003\u0002\u0002",
-    "\u0002\u00ad\u00af\u0003\u0002\u0002\u0002\u00ae\u00b0\u0005\u0018\r",
-    "\u0002\u00af\u00ae\u0003\u0002\u0002\u0002\u00af\u00b0\u0003\u0002\u0002",
-    "\u0002\u00b0\u0011\u0003\u0002\u0002\u0002\u00b1\u00b2\t\u0003\u0002",
-    "\u0002\u00b2\u00b4\u0005\"\u0012\u0002\u00b3\u00b5\u0005\u0018\r\u0002",
-    "\u00b4\u00b3\u0003\u0002\u0002\u0002\u00b4\u00b5\u0003\u0002\u0002\u0002",
-    "\u00b5\u0013\u0003\u0002\u0002\u0002\u00b6\u00b7\t\f\u0002\u0002\u00b7",
-    "\u00bb\u0005\"\u0012\u0002\u00b8\u00ba\u0005\u0016\f\u0002\u00b9\u00b8",
-    "\u0003\u0002\u0002\u0002\u00ba\u00bd\u0003\u0002\u0002\u0002\u00bb\u00b9",
-    "\u0003\u0002\u0002\u0002\u00bb\u00bc\u0003\u0002\u0002\u0002\u00bc\u0015",
-    "\u0003\u0002\u0002\u0002\u00bd\u00bb\u0003\u0002\u0002\u0002\u00be\u00bf",
-    "\t\r\u0002\u0002\u00bf\u00d0\u0005\"\u0012\u0002\u00c0\u00c1\t\n\u0002",
-    "\u0002\u00c1\u00d0\u0005\"\u0012\u0002\u00c2\u00d0\t\u000e\u0002\u0002",
-    "\u00c3\u00c8\u0007\u0006\u0002\u0002\u00c4\u00c6\u0005\"\u0012\u0002",
-    "\u00c5\u00c4\u0003\u0002\u0002\u0002\u00c5\u00c6\u0003\u0002\u0002\u0002",
-    "\u00c6\u00c7\u0003\u0002\u0002\u0002\u00c7\u00c9\t\u0007\u0002\u0002",
-    "\u00c8\u00c5\u0003\u0002\u0002\u0002\u00c8\u00c9\u0003\u0002\u0002\u0002",
-    "\u00c9\u00cc\u0003\u0002\u0002\u0002\u00ca\u00cb\t\u0005\u0002\u0002",
-    "\u00cb\u00cd\u0005\"\u0012\u0002\u00cc\u00ca\u0003\u0002\u0002\u0002",
-    "\u00cc\u00cd\u0003\u0002\u0002\u0002\u00cd\u00ce\u0003\u0002\u0002\u0002",
-    "\u00ce\u00d0\u0007\u0007\u0002\u0002\u00cf\u00be\u0003\u0002\u0002\u0002",
-    "\u00cf\u00c0\u0003\u0002\u0002\u0002\u00cf\u00c2\u0003\u0002\u0002\u0002",
-    "\u00cf\u00c3\u0003\u0002\u0002\u0002\u00d0\u0017\u0003\u0002\u0002\u0002",
-    "\u00d1\u00d2\t\u000f\u0002\u0002\u00d2\u00e5\u0005\"\u0012\u0002\u00d3",
-    "\u00d4\t\u0010\u0002\u0002\u00d4\u00d7\u0005\"\u0012\u0002\u00d5\u00d6",
-    "\t\u0011\u0002\u0002\u00d6\u00d8\u0005\"\u0012\u0002\u00d7\u00d5\u0003",
-    "\u0002\u0002\u0002\u00d7\u00d8\u0003\u0002\u0002\u0002\u00d8\u00e5\u0003",
-    "\u0002\u0002\u0002\u00d9\u00da\t\u0011\u0002\u0002\u00da\u00dd\u0005",
-    "\"\u0012\u0002\u00db\u00dc\t\u0010\u0002\u0002\u00dc\u00de\u0005\"\u0012",
-    "\u0002\u00dd\u00db\u0003\u0002\u0002\u0002\u00dd\u00de\u0003\u0002\u0002",
-    "\u0002\u00de\u00e5\u0003\u0002\u0002\u0002\u00df\u00e0\t\u0012\u0002",
-    "\u0002\u00e0\u00e2\u0005\"\u0012\u0002\u00e1\u00e3\t\u0005\u0002\u0002",
-    "\u00e2\u00e1\u0003\u0002\u0002\u0002\u00e2\u00e3\u0003\u0002\u0002\u0002",
-    "\u00e3\u00e5\u0003\u0002\u0002\u0002\u00e4\u00d1\u0003\u0002\u0002\u0002",
-    "\u00e4\u00d3\u0003\u0002\u0002\u0002\u00e4\u00d9\u0003\u0002\u0002\u0002",
-    "\u00e4\u00df\u0003\u0002\u0002\u0002\u00e5\u0019\u0003\u0002\u0002\u0002",
-    "\u00e6\u00e7\t\u0005\u0002\u0002\u00e7\u00e8\u0005\b\u0005\u0002\u00e8",
-    "\u001b\u0003\u0002\u0002\u0002\u00e9\u00eb\u0005\"\u0012\u0002\u00ea",
-    "\u00e9\u0003\u0002\u0002\u0002\u00ea\u00eb\u0003\u0002\u0002\u0002\u00eb",
-    "\u00ec\u0003\u0002\u0002\u0002\u00ec\u00ed\t\u0013\u0002\u0002\u00ed",
-    "\u001d\u0003\u0002\u0002\u0002\u00ee\u00f0\u0005\"\u0012\u0002\u00ef",
-    "\u00ee\u0003\u0002\u0002\u0002\u00ef\u00f0\u0003\u0002\u0002\u0002\u00f0",
-    "\u00f1\u0003\u0002\u0002\u0002\u00f1\u00f2\t\u0014\u0002\u0002\u00f2",
-    "\u001f\u0003\u0002\u0002\u0002\u00f3\u00f4\u0005\"\u0012\u0002\u00f4",
-    "\u00f5\t\u000b\u0002\u0002\u00f5!\u0003\u0002\u0002\u0002\u00f6\u0100",
-    "\u00079\u0002\u0002\u00f7\u0100\u0007=\u0002\u0002\u00f8\u00fa\u0007",
-    "7\u0002\u0002\u00f9\u00fb\u0007:\u0002\u0002\u00fa\u00f9\u0003\u0002",
-    "\u0002\u0002\u00fa\u00fb\u0003\u0002\u0002\u0002\u00fb\u00fc\u0003\u0002",
-    "\u0002\u0002\u00fc\u00fd\u0005\b\u0005\u0002\u00fd\u00fe\u00078\u0002",
-    "\u0002\u00fe\u0100\u0003\u0002\u0002\u0002\u00ff\u00f6\u0003\u0002\u0002",
-    "\u0002\u00ff\u00f7\u0003\u0002\u0002\u0002\u00ff\u00f8\u0003\u0002\u0002",
-    "\u0002\u0100#\u0003\u0002\u0002\u0002()-<EHLORVmx|\u007f\u0081\u0085",
-    "\u008a\u008d\u0091\u0095\u009b\u00a3\u00a6\u00ac\u00af\u00b4\u00bb\u00c5",
-    "\u00c8\u00cc\u00cf\u00d7\u00dd\u00e2\u00e4\u00ea\u00ef\u00fa\u00ff"].join("");
+    "\u0004\u0011\t\u0011\u0004\u0012\t\u0012\u0004\u0013\t\u0013\u0004\u0014",
+    "\t\u0014\u0003\u0002\u0003\u0002\u0003\u0002\u0007\u0002,\n\u0002\f",
+    "\u0002\u000e\u0002/\u000b\u0002\u0003\u0002\u0005\u00022\n\u0002\u0003",
+    "\u0002\u0003\u0002\u0003\u0003\u0003\u0003\u0003\u0003\u0003\u0003\u0003",
+    "\u0003\u0003\u0003\u0003\u0003\u0003\u0003\u0003\u0003\u0007\u0003?",
+    "\n\u0003\f\u0003\u000e\u0003B\u000b\u0003\u0003\u0003\u0003\u0003\u0003",
+    "\u0003\u0003\u0003\u0003\u0003\u0003\u0003\u0005\u0003J\n\u0003\u0003",
+    "\u0003\u0005\u0003M\n\u0003\u0003\u0003\u0003\u0003\u0005\u0003Q\n\u0003",
+    "\u0003\u0003\u0005\u0003T\n\u0003\u0003\u0004\u0005\u0004W\n\u0004\u0003",
+    "\u0004\u0003\u0004\u0005\u0004[\n\u0004\u0003\u0005\u0003\u0005\u0003",
+    "\u0005\u0003\u0005\u0003\u0005\u0003\u0005\u0003\u0005\u0003\u0005\u0003",
+    "\u0005\u0003\u0005\u0003\u0005\u0003\u0005\u0003\u0005\u0003\u0005\u0003",
+    "\u0005\u0003\u0005\u0003\u0005\u0003\u0005\u0003\u0005\u0003\u0005\u0003",
+    "\u0005\u0005\u0005r\n\u0005\u0003\u0005\u0003\u0005\u0003\u0005\u0003",
+    "\u0005\u0003\u0005\u0003\u0005\u0003\u0005\u0003\u0005\u0003\u0005\u0003",
+    "\u0005\u0003\u0005\u0003\u0005\u0005\u0005\u0080\n\u0005\u0003\u0005",
+    "\u0003\u0005\u0005\u0005\u0084\n\u0005\u0003\u0005\u0003\u0005\u0003",
+    "\u0005\u0003\u0005\u0003\u0005\u0003\u0005\u0003\u0005\u0007\u0005\u008d",
+    "\n\u0005\f\u0005\u000e\u0005\u0090\u000b\u0005\u0003\u0006\u0003\u0006",
+    "\u0005\u0006\u0094\n\u0006\u0003\u0007\u0005\u0007\u0097\n\u0007\u0003",
+    "\u0007\u0003\u0007\u0003\u0007\u0005\u0007\u009c\n\u0007\u0003\u0007",
+    "\u0005\u0007\u009f\n\u0007\u0003\b\u0003\b\u0003\b\u0005\b\u00a4\n\b",
+    "\u0003\t\u0003\t\u0005\t\u00a8\n\t\u0003\n\u0003\n\u0005\n\u00ac\n\n",
+    "\u0003\n\u0003\n\u0005\n\u00b0\n\n\u0003\n\u0003\n\u0005\n\u00b4\n\n",
+    "\u0005\n\u00b6\n\n\u0003\n\u0003\n\u0003\n\u0003\n\u0005\n\u00bc\n\n",
+    "\u0003\n\u0003\n\u0003\n\u0003\n\u0003\n\u0003\n\u0003\n\u0003\n\u0005",
+    "\n\u00c6\n\n\u0003\n\u0003\n\u0003\n\u0003\n\u0005\n\u00cc\n\n\u0003",
+    "\u000b\u0005\u000b\u00cf\n\u000b\u0003\u000b\u0003\u000b\u0003\u000b",
+    "\u0003\u000b\u0005\u000b\u00d5\n\u000b\u0003\u000b\u0005\u000b\u00d8",
+    "\n\u000b\u0003\f\u0003\f\u0003\f\u0005\f\u00dd\n\f\u0003\r\u0003\r\u0003",
+    "\r\u0007\r\u00e2\n\r\f\r\u000e\r\u00e5\u000b\r\u0003\u000e\u0003\u000e",
+    "\u0003\u000e\u0003\u000e\u0003\u000e\u0003\u000e\u0003\u000e\u0005\u000e",
+    "\u00ee\n\u000e\u0003\u000e\u0005\u000e\u00f1\n\u000e\u0003\u000e\u0003",
+    "\u000e\u0005\u000e\u00f5\n\u000e\u0003\u000e\u0005\u000e\u00f8\n\u000e",
+    "\u0003\u000f\u0003\u000f\u0003\u000f\u0003\u000f\u0003\u000f\u0003\u000f",
+    "\u0005\u000f\u0100\n\u000f\u0003\u000f\u0003\u000f\u0003\u000f\u0003",
+    "\u000f\u0005\u000f\u0106\n\u000f\u0003\u000f\u0003\u000f\u0003\u000f",
+    "\u0005\u000f\u010b\n\u000f\u0005\u000f\u010d\n\u000f\u0003\u0010\u0003",
+    "\u0010\u0003\u0010\u0003\u0011\u0005\u0011\u0113\n\u0011\u0003\u0011",
+    "\u0003\u0011\u0003\u0012\u0005\u0012\u0118\n\u0012\u0003\u0012\u0003",
+    "\u0012\u0003\u0013\u0003\u0013\u0003\u0013\u0003\u0014\u0003\u0014\u0003",
+    "\u0014\u0003\u0014\u0005\u0014\u0123\n\u0014\u0003\u0014\u0003\u0014",
+    "\u0003\u0014\u0003\u0014\u0003\u0014\u0003\u0014\u0003\u0014\u0007\u0014",
+    "\u012c\n\u0014\f\u0014\u000e\u0014\u012f\u000b\u0014\u0003\u0014\u0003",
+    "\u0014\u0005\u0014\u0133\n\u0014\u0003\u0014\u0002\u0003\b\u0015\u0002",
+    "\u0004\u0006\b\n\f\u000e\u0010\u0012\u0014\u0016\u0018\u001a\u001c\u001e",
+    " \"$&\u0002\u001a\u0003\u0002\u0004\u0005\u0003\u0002\b\t\u0003\u0002",
+    "\n\u000b\u0003\u0002\u0011\u0012\u0003\u0002\r\u000f\u0003\u0002\u0013",
+    "\u0017\u0003\u0002\u001a\u001b\u0003\u0002\u001c\u001f\u0004\u0002\u0013",
+    "\u0014  \u0003\u0002!&\u0003\u0002\'*\u0003\u0002+,\u0003\u0002-.\u0003",
+    "\u0002/0\u0003\u000212\u0003\u000234\u0003\u000256\u0003\u000278\u0003",
+    "\u00029:\u0003\u0002;<\u0003\u0002=>\u0003\u0002?@\u0003\u0002AC\u0003",
+    "\u0002DF\u0002\u016a\u0002(\u0003\u0002\u0002\u0002\u0004S\u0003\u0002",
+    "\u0002\u0002\u0006V\u0003\u0002\u0002\u0002\bq\u0003\u0002\u0002\u0002",
+    "\n\u0093\u0003\u0002\u0002\u0002\f\u0096\u0003\u0002\u0002\u0002\u000e",
+    "\u00a0\u0003\u0002\u0002\u0002\u0010\u00a7\u0003\u0002\u0002\u0002\u0012",
+    "\u00cb\u0003\u0002\u0002\u0002\u0014\u00ce\u0003\u0002\u0002\u0002\u0016",
+    "\u00d9\u0003\u0002\u0002\u0002\u0018\u00de\u0003\u0002\u0002\u0002\u001a",
+    "\u00f7\u0003\u0002\u0002\u0002\u001c\u010c\u0003\u0002\u0002\u0002\u001e",
+    "\u010e\u0003\u0002\u0002\u0002 \u0112\u0003\u0002\u0002\u0002\"\u0117",
+    "\u0003\u0002\u0002\u0002$\u011b\u0003\u0002\u0002\u0002&\u0132\u0003",
+    "\u0002\u0002\u0002(-\u0005\u0004\u0003\u0002)*\u0007\u0003\u0002\u0002",
+    "*,\u0005\u0004\u0003\u0002+)\u0003\u0002\u0002\u0002,/\u0003\u0002\u0002",
+    "\u0002-+\u0003\u0002\u0002\u0002-.\u0003\u0002\u0002\u0002.1\u0003\u0002",
+    "\u0002\u0002/-\u0003\u0002\u0002\u000202\u0007\u0003\u0002\u000210\u0003",
+    "\u0002\u0002\u000212\u0003\u0002\u0002\u000223\u0003\u0002\u0002\u0002",
+    "34\u0007\u0002\u0002\u00034\u0003\u0003\u0002\u0002\u00025T\u0005\b",
+    "\u0005\u000267\u0005&\u0014\u000278\t\u0002\u0002\u000289\u0005\b\u0005",
+    "\u00029T\u0003\u0002\u0002\u0002:;\u0005&\u0014\u0002;<\t\u0002\u0002",
+    "\u0002<@\u0007\u0006\u0002\u0002=?\u0005\u0006\u0004\u0002>=\u0003\u0002",
+    "\u0002\u0002?B\u0003\u0002\u0002\u0002@>\u0003\u0002\u0002\u0002@A\u0003",
+    "\u0002\u0002\u0002AC\u0003\u0002\u0002\u0002B@\u0003\u0002\u0002\u0002",
+    "CD\u0007\u0007\u0002\u0002DT\u0003\u0002\u0002\u0002EF\u0005&\u0014",
+    "\u0002FG\t\u0003\u0002\u0002GI\u0005&\u0014\u0002HJ\u0005\u001c\u000f",
+    "\u0002IH\u0003\u0002\u0002\u0002IJ\u0003\u0002\u0002\u0002JL\u0003\u0002",
+    "\u0002\u0002KM\u0005\u001e\u0010\u0002LK\u0003\u0002\u0002\u0002LM\u0003",
+    "\u0002\u0002\u0002MT\u0003\u0002\u0002\u0002NP\t\u0004\u0002\u0002O",
+    "Q\u0005\u001e\u0010\u0002PO\u0003\u0002\u0002\u0002PQ\u0003\u0002\u0002",
+    "\u0002QT\u0003\u0002\u0002\u0002RT\u0007N\u0002\u0002S5\u0003\u0002",
+    "\u0002\u0002S6\u0003\u0002\u0002\u0002S:\u0003\u0002\u0002\u0002SE\u0003",
+    "\u0002\u0002\u0002SN\u0003\u0002\u0002\u0002SR\u0003\u0002\u0002\u0002",
+    "T\u0005\u0003\u0002\u0002\u0002UW\u0007L\u0002\u0002VU\u0003\u0002\u0002",
+    "\u0002VW\u0003\u0002\u0002\u0002WX\u0003\u0002\u0002\u0002XZ\u0005\b",
+    "\u0005\u0002Y[\u0007\u0003\u0002\u0002ZY\u0003\u0002\u0002\u0002Z[\u0003",
+    "\u0002\u0002\u0002[\u0007\u0003\u0002\u0002\u0002\\]\b\u0005\u0001\u0002",
+    "]r\u0005\f\u0007\u0002^r\u0005\u0014\u000b\u0002_r\u0005\u0016\f\u0002",
+    "`r\u0005 \u0011\u0002ar\u0005\"\u0012\u0002br\u0005$\u0013\u0002cr\u0005",
+    "\u0018\r\u0002de\u0007J\u0002\u0002ef\u0007\u0010\u0002\u0002fr\u0007",
+    "J\u0002\u0002gh\t\u0005\u0002\u0002hr\u0005\b\u0005\bij\u0005\u001c",
+    "\u000f\u0002jk\u0007\f\u0002\u0002kl\u0005\b\u0005\u0007lr\u0003\u0002",
+    "\u0002\u0002mn\u0007O\u0002\u0002no\u0007\u0019\u0002\u0002or\u0005",
+    "\b\u0005\u0004pr\u0005&\u0014\u0002q\\\u0003\u0002\u0002\u0002q^\u0003",
+    "\u0002\u0002\u0002q_\u0003\u0002\u0002\u0002q`\u0003\u0002\u0002\u0002",
+    "qa\u0003\u0002\u0002\u0002qb\u0003\u0002\u0002\u0002qc\u0003\u0002\u0002",
+    "\u0002qd\u0003\u0002\u0002\u0002qg\u0003\u0002\u0002\u0002qi\u0003\u0002",
+    "\u0002\u0002qm\u0003\u0002\u0002\u0002qp\u0003\u0002\u0002\u0002r\u008e",
+    "\u0003\u0002\u0002\u0002st\f\u000b\u0002\u0002tu\t\u0006\u0002\u0002",
+    "u\u008d\u0005\b\u0005\fvw\f\t\u0002\u0002wx\t\u0005\u0002\u0002x\u008d",
+    "\u0005\b\u0005\nyz\f\u0006\u0002\u0002z{\t\u0007\u0002\u0002{\u008d",
+    "\u0005\b\u0005\u0007|}\f\f\u0002\u0002}\u007f\u0007\u0006\u0002\u0002",
+    "~\u0080\u0005\b\u0005\u0002\u007f~\u0003\u0002\u0002\u0002\u007f\u0080",
+    "\u0003\u0002\u0002\u0002\u0080\u0081\u0003\u0002\u0002\u0002\u0081\u0083",
+    "\u0007\f\u0002\u0002\u0082\u0084\u0005\b\u0005\u0002\u0083\u0082\u0003",
+    "\u0002\u0002\u0002\u0083\u0084\u0003\u0002\u0002\u0002\u0084\u0085\u0003",
+    "\u0002\u0002\u0002\u0085\u008d\u0007\u0007\u0002\u0002\u0086\u0087\f",
+    "\u0005\u0002\u0002\u0087\u0088\u0007\u0018\u0002\u0002\u0088\u0089\u0005",
+    "\n\u0006\u0002\u0089\u008a\u0007\f\u0002\u0002\u008a\u008b\u0005\n\u0006",
+    "\u0002\u008b\u008d\u0003\u0002\u0002\u0002\u008cs\u0003\u0002\u0002",
+    "\u0002\u008cv\u0003\u0002\u0002\u0002\u008cy\u0003\u0002\u0002\u0002",
+    "\u008c|\u0003\u0002\u0002\u0002\u008c\u0086\u0003\u0002\u0002\u0002",
+    "\u008d\u0090\u0003\u0002\u0002\u0002\u008e\u008c\u0003\u0002\u0002\u0002",
+    "\u008e\u008f\u0003\u0002\u0002\u0002\u008f\t\u0003\u0002\u0002\u0002",
+    "\u0090\u008e\u0003\u0002\u0002\u0002\u0091\u0094\u0007L\u0002\u0002",
+    "\u0092\u0094\u0005\b\u0005\u0002\u0093\u0091\u0003\u0002\u0002\u0002",
+    "\u0093\u0092\u0003\u0002\u0002\u0002\u0094\u000b\u0003\u0002\u0002\u0002",
+    "\u0095\u0097\u0005&\u0014\u0002\u0096\u0095\u0003\u0002\u0002\u0002",
+    "\u0096\u0097\u0003\u0002\u0002\u0002\u0097\u0098\u0003\u0002\u0002\u0002",
+    "\u0098\u0099\t\b\u0002\u0002\u0099\u009b\u0005\u0010\t\u0002\u009a\u009c",
+    "\u0005\u000e\b\u0002\u009b\u009a\u0003\u0002\u0002\u0002\u009b\u009c",
+    "\u0003\u0002\u0002\u0002\u009c\u009e\u0003\u0002\u0002\u0002\u009d\u009f",
+    "\u0005\u0012\n\u0002\u009e\u009d\u0003\u0002\u0002\u0002\u009e\u009f",
+    "\u0003\u0002\u0002\u0002\u009f\r\u0003\u0002\u0002\u0002\u00a0\u00a3",
+    "\t\t\u0002\u0002\u00a1\u00a2\t\n\u0002\u0002\u00a2\u00a4\u0005&\u0014",
+    "\u0002\u00a3\u00a1\u0003\u0002\u0002\u0002\u00a3\u00a4\u0003\u0002\u0002",
+    "\u0002\u00a4\u000f\u0003\u0002\u0002\u0002\u00a5\u00a8\u0005&\u0014",
+    "\u0002\u00a6\u00a8\u0007\u000f\u0002\u0002\u00a7\u00a5\u0003\u0002\u0002",
+    "\u0002\u00a7\u00a6\u0003\u0002\u0002\u0002\u00a8\u0011\u0003\u0002\u0002",
+    "\u0002\u00a9\u00ab\t\u000b\u0002\u0002\u00aa\u00ac\u0005&\u0014\u0002",
+    "\u00ab\u00aa\u0003\u0002\u0002\u0002\u00ab\u00ac\u0003\u0002\u0002\u0002",
+    "\u00ac\u00cc\u0003\u0002\u0002\u0002\u00ad\u00af\t\f\u0002\u0002\u00ae",
+    "\u00b0\u0005&\u0014\u0002\u00af\u00ae\u0003\u0002\u0002\u0002\u00af",
+    "\u00b0\u0003\u0002\u0002\u0002\u00b0\u00b5\u0003\u0002\u0002\u0002\u00b1",
+    "\u00b3\t\f\u0002\u0002\u00b2\u00b4\u0005&\u0014\u0002\u00b3\u00b2\u0003",
+    "\u0002\u0002\u0002\u00b3\u00b4\u0003\u0002\u0002\u0002\u00b4\u00b6\u0003",
+    "\u0002\u0002\u0002\u00b5\u00b1\u0003\u0002\u0002\u0002\u00b5\u00b6\u0003",
+    "\u0002\u0002\u0002\u00b6\u00cc\u0003\u0002\u0002\u0002\u00b7\u00b8\t",
+    "\r\u0002\u0002\u00b8\u00bb\u0005&\u0014\u0002\u00b9\u00ba\t\u000e\u0002",
+    "\u0002\u00ba\u00bc\u0005&\u0014\u0002\u00bb\u00b9\u0003\u0002\u0002",
+    "\u0002\u00bb\u00bc\u0003\u0002\u0002\u0002\u00bc\u00cc\u0003\u0002\u0002",
+    "\u0002\u00bd\u00be\t\u000e\u0002\u0002\u00be\u00bf\u0005&\u0014\u0002",
+    "\u00bf\u00c0\t\r\u0002\u0002\u00c0\u00c1\u0005&\u0014\u0002\u00c1\u00cc",
+    "\u0003\u0002\u0002\u0002\u00c2\u00cc\u0005\u001c\u000f\u0002\u00c3\u00c5",
+    "\t\u000f\u0002\u0002\u00c4\u00c6\t\n\u0002\u0002\u00c5\u00c4\u0003\u0002",
+    "\u0002\u0002\u00c5\u00c6\u0003\u0002\u0002\u0002\u00c6\u00c7\u0003\u0002",
+    "\u0002\u0002\u00c7\u00cc\u0005&\u0014\u0002\u00c8\u00c9\t\u0010\u0002",
+    "\u0002\u00c9\u00ca\t\n\u0002\u0002\u00ca\u00cc\u0005&\u0014\u0002\u00cb",
+    "\u00a9\u0003\u0002\u0002\u0002\u00cb\u00ad\u0003\u0002\u0002\u0002\u00cb",
+    "\u00b7\u0003\u0002\u0002\u0002\u00cb\u00bd\u0003\u0002\u0002\u0002\u00cb",
+    "\u00c2\u0003\u0002\u0002\u0002\u00cb\u00c3\u0003\u0002\u0002\u0002\u00cb",
+    "\u00c8\u0003\u0002\u0002\u0002\u00cc\u0013\u0003\u0002\u0002\u0002\u00cd",
+    "\u00cf\u0005&\u0014\u0002\u00ce\u00cd\u0003\u0002\u0002\u0002\u00ce",
+    "\u00cf\u0003\u0002\u0002\u0002\u00cf\u00d0\u0003\u0002\u0002\u0002\u00d0",
+    "\u00d1\t\r\u0002\u0002\u00d1\u00d4\u0005&\u0014\u0002\u00d2\u00d3\t",
+    "\u0011\u0002\u0002\u00d3\u00d5\u0005&\u0014\u0002\u00d4\u00d2\u0003",
+    "\u0002\u0002\u0002\u00d4\u00d5\u0003\u0002\u0002\u0002\u00d5\u00d7\u0003",
+    "\u0002\u0002\u0002\u00d6\u00d8\u0005\u001c\u000f\u0002\u00d7\u00d6\u0003",
+    "\u0002\u0002\u0002\u00d7\u00d8\u0003\u0002\u0002\u0002\u00d8\u0015\u0003",
+    "\u0002\u0002\u0002\u00d9\u00da\t\u0003\u0002\u0002\u00da\u00dc\u0005",
+    "&\u0014\u0002\u00db\u00dd\u0005\u001c\u000f\u0002\u00dc\u00db\u0003",
+    "\u0002\u0002\u0002\u00dc\u00dd\u0003\u0002\u0002\u0002\u00dd\u0017\u0003",
+    "\u0002\u0002\u0002\u00de\u00df\t\u0012\u0002\u0002\u00df\u00e3\u0005",
+    "&\u0014\u0002\u00e0\u00e2\u0005\u001a\u000e\u0002\u00e1\u00e0\u0003",
+    "\u0002\u0002\u0002\u00e2\u00e5\u0003\u0002\u0002\u0002\u00e3\u00e1\u0003",
+    "\u0002\u0002\u0002\u00e3\u00e4\u0003\u0002\u0002\u0002\u00e4\u0019\u0003",
+    "\u0002\u0002\u0002\u00e5\u00e3\u0003\u0002\u0002\u0002\u00e6\u00e7\t",
+    "\u0013\u0002\u0002\u00e7\u00f8\u0005&\u0014\u0002\u00e8\u00e9\t\u000e",
+    "\u0002\u0002\u00e9\u00f8\u0005&\u0014\u0002\u00ea\u00f8\t\u0014\u0002",
+    "\u0002\u00eb\u00f0\u0007\u0006\u0002\u0002\u00ec\u00ee\u0005&\u0014",
+    "\u0002\u00ed\u00ec\u0003\u0002\u0002\u0002\u00ed\u00ee\u0003\u0002\u0002",
+    "\u0002\u00ee\u00ef\u0003\u0002\u0002\u0002\u00ef\u00f1\t\b\u0002\u0002",
+    "\u00f0\u00ed\u0003\u0002\u0002\u0002\u00f0\u00f1\u0003\u0002\u0002\u0002",
+    "\u00f1\u00f4\u0003\u0002\u0002\u0002\u00f2\u00f3\t\u0005\u0002\u0002",
+    "\u00f3\u00f5\u0005&\u0014\u0002\u00f4\u00f2\u0003\u0002\u0002\u0002",
+    "\u00f4\u00f5\u0003\u0002\u0002\u0002\u00f5\u00f6\u0003\u0002\u0002\u0002",
+    "\u00f6\u00f8\u0007\u0007\u0002\u0002\u00f7\u00e6\u0003\u0002\u0002\u0002",
+    "\u00f7\u00e8\u0003\u0002\u0002\u0002\u00f7\u00ea\u0003\u0002\u0002\u0002",
+    "\u00f7\u00eb\u0003\u0002\u0002\u0002\u00f8\u001b\u0003\u0002\u0002\u0002",
+    "\u00f9\u00fa\t\u0015\u0002\u0002\u00fa\u010d\u0005&\u0014\u0002\u00fb",
+    "\u00fc\t\u0016\u0002\u0002\u00fc\u00ff\u0005&\u0014\u0002\u00fd\u00fe",
+    "\t\u0010\u0002\u0002\u00fe\u0100\u0005&\u0014\u0002\u00ff\u00fd\u0003",
+    "\u0002\u0002\u0002\u00ff\u0100\u0003\u0002\u0002\u0002\u0100\u010d\u0003",
+    "\u0002\u0002\u0002\u0101\u0102\t\u0010\u0002\u0002\u0102\u0105\u0005",
+    "&\u0014\u0002\u0103\u0104\t\u0016\u0002\u0002\u0104\u0106\u0005&\u0014",
+    "\u0002\u0105\u0103\u0003\u0002\u0002\u0002\u0105\u0106\u0003\u0002\u0002",
+    "\u0002\u0106\u010d\u0003\u0002\u0002\u0002\u0107\u0108\t\u0017\u0002",
+    "\u0002\u0108\u010a\u0005&\u0014\u0002\u0109\u010b\t\u0005\u0002\u0002",
+    "\u010a\u0109\u0003\u0002\u0002\u0002\u010a\u010b\u0003\u0002\u0002\u0002",
+    "\u010b\u010d\u0003\u0002\u0002\u0002\u010c\u00f9\u0003\u0002\u0002\u0002",
+    "\u010c\u00fb\u0003\u0002\u0002\u0002\u010c\u0101\u0003\u0002\u0002\u0002",
+    "\u010c\u0107\u0003\u0002\u0002\u0002\u010d\u001d\u0003\u0002\u0002\u0002",
+    "\u010e\u010f\t\u0005\u0002\u0002\u010f\u0110\u0005\b\u0005\u0002\u0110",
+    "\u001f\u0003\u0002\u0002\u0002\u0111\u0113\u0005&\u0014\u0002\u0112",
+    "\u0111\u0003\u0002\u0002\u0002\u0112\u0113\u0003\u0002\u0002\u0002\u0113",
+    "\u0114\u0003\u0002\u0002\u0002\u0114\u0115\t\u0018\u0002\u0002\u0115",
+    "!\u0003\u0002\u0002\u0002\u0116\u0118\u0005&\u0014\u0002\u0117\u0116",
+    "\u0003\u0002\u0002\u0002\u0117\u0118\u0003\u0002\u0002\u0002\u0118\u0119",
+    "\u0003\u0002\u0002\u0002\u0119\u011a\t\u0019\u0002\u0002\u011a#\u0003",
+    "\u0002\u0002\u0002\u011b\u011c\u0005&\u0014\u0002\u011c\u011d\t\u0011",
+    "\u0002\u0002\u011d%\u0003\u0002\u0002\u0002\u011e\u0133\u0007J\u0002",
+    "\u0002\u011f\u0133\u0007O\u0002\u0002\u0120\u0122\u0007G\u0002\u0002",
+    "\u0121\u0123\u0007L\u0002\u0002\u0122\u0121\u0003\u0002\u0002\u0002",
+    "\u0122\u0123\u0003\u0002\u0002\u0002\u0123\u0124\u0003\u0002\u0002\u0002",
+    "\u0124\u0125\u0005\b\u0005\u0002\u0125\u0126\u0007H\u0002\u0002\u0126",
+    "\u0133\u0003\u0002\u0002\u0002\u0127\u0128\u0007K\u0002\u0002\u0128",
+    "\u012d\u0005\b\u0005\u0002\u0129\u012a\u0007I\u0002\u0002\u012a\u012c",
+    "\u0005\b\u0005\u0002\u012b\u0129\u0003\u0002\u0002\u0002\u012c\u012f",
+    "\u0003\u0002\u0002\u0002\u012d\u012b\u0003\u0002\u0002\u0002\u012d\u012e",
+    "\u0003\u0002\u0002\u0002\u012e\u0130\u0003\u0002\u0002\u0002\u012f\u012d",
+    "\u0003\u0002\u0002\u0002\u0130\u0131\u0007H\u0002\u0002\u0131\u0133",
+    "\u0003\u0002\u0002\u0002\u0132\u011e\u0003\u0002\u0002\u0002\u0132\u011f",
+    "\u0003\u0002\u0002\u0002\u0132\u0120\u0003\u0002\u0002\u0002\u0132\u0127",
+    "\u0003\u0002\u0002\u0002\u0133\'\u0003\u0002\u0002\u0002/-1@ILPSVZq",
+    "\u007f\u0083\u008c\u008e\u0093\u0096\u009b\u009e\u00a3\u00a7\u00ab\u00af",
+    "\u00b3\u00b5\u00bb\u00c5\u00cb\u00ce\u00d4\u00d7\u00dc\u00e3\u00ed\u00f0",
+    "\u00f4\u00f7\u00ff\u0105\u010a\u010c\u0112\u0117\u0122\u012d\u0132"].join("");
 
 
 const atn = new antlr4.atn.ATNDeserializer().deserialize(serializedATN);
@@ -194,24 +236,31 @@ export default class R2Parser extends antlr4.Parser {
 
     static grammarFileName = "R2.g4";
     static literalNames = [ null, "';'", "'x'", "'X'", "'['", "']'", "'e'", 
-                            "'E'", "'i'", "'I'", "':'", "':='", "'*'", "'/'", 
-                            "'%'", "'--'", "'+'", "'-'", "'d'", "'D'", "'!'", 
-                            "'k'", "'K'", "'kl'", "'KL'", "'adv'", "'dis'", 
-                            "'s'", "'S'", "'f'", "'F'", "'w'", "'W'", "'p'", 
-                            "'P'", "'c'", "'C'", "'h'", "'H'", "'tr'", "'TR'", 
-                            "'t'", "'T'", "'r'", "'R'", "'tn'", "'TN'", 
+                            "'E'", "'i'", "'I'", "':'", "'*'", "'/'", "'%'", 
+                            "'--'", "'+'", "'-'", "'>'", "'<'", "'>='", 
+                            "'<='", "'=='", "'?'", "':='", "'d'", "'D'", 
+                            "'!'", "'!!'", "'!p'", "'!P'", "'='", "'k'", 
+                            "'K'", "'kl'", "'KL'", "'adv'", "'dis'", "'dl'", 
+                            "'DL'", "'dh'", "'DH'", "'s'", "'S'", "'f'", 
+                            "'F'", "'ro'", "'RO'", "'r'", "'R'", "'w'", 
+                            "'W'", "'p'", "'P'", "'c'", "'C'", "'h'", "'H'", 
+                            "'tr'", "'TR'", "'t'", "'T'", "'tn'", "'TN'", 
                             "'dF'", "'df'", "'DF'", "'dC'", "'dc'", "'DC'", 
-                            "'('", "')'" ];
+                            "'('", "')'", "','" ];
     static symbolicNames = [ null, null, null, null, null, null, null, null, 
                              null, null, null, null, null, null, null, null, 
                              null, null, null, null, null, null, null, null, 
                              null, null, null, null, null, null, null, null, 
                              null, null, null, null, null, null, null, null, 
                              null, null, null, null, null, null, null, null, 
-                             null, null, null, null, null, null, null, "INT", 
-                             "STRING", "WS", "FLAG", "VAR" ];
+                             null, null, null, null, null, null, null, null, 
+                             null, null, null, null, null, null, null, null, 
+                             null, null, null, null, null, null, null, null, 
+                             "INT", "FUNCTION", "STRING", "WS", "FLAG", 
+                             "VAR" ];
     static ruleNames = [ "commandElement", "statement", "batchElement", 
-                         "expression", "genericRoll", "dieFacetsTerm", "genericRollSuffix", 
+                         "expression", "conditionalBranch", "genericRoll", 
+                         "explodeModifier", "dieFacetsTerm", "genericRollSuffix", 
                          "savageWorldsRoll", "savageWorldsExtrasRoll", "swordWorldPowerRoll", 
                          "swordWorldPowerRollModifier", "targetNumberAndRaiseStep", 
                          "additiveModifier", "fudgeRoll", "carcosaRoll", 
@@ -241,11 +290,15 @@ export default class R2Parser extends antlr4.Parser {
     expression_sempred(localctx, predIndex) {
     	switch(predIndex) {
     		case 0:
-    			return this.precpred(this._ctx, 5);
+    			return this.precpred(this._ctx, 9);
     		case 1:
-    			return this.precpred(this._ctx, 3);
+    			return this.precpred(this._ctx, 7);
     		case 2:
-    			return this.precpred(this._ctx, 8);
+    			return this.precpred(this._ctx, 4);
+    		case 3:
+    			return this.precpred(this._ctx, 10);
+    		case 4:
+    			return this.precpred(this._ctx, 3);
     		default:
     			throw "No predicate with index:" + predIndex;
     	}
@@ -259,32 +312,32 @@ export default class R2Parser extends antlr4.Parser {
 	    var _la = 0; // Token type
 	    try {
 	        this.enterOuterAlt(localctx, 1);
-	        this.state = 34;
+	        this.state = 38;
 	        this.statement();
-	        this.state = 39;
+	        this.state = 43;
 	        this._errHandler.sync(this);
 	        var _alt = this._interp.adaptivePredict(this._input,0,this._ctx)
 	        while(_alt!=2 && _alt!=antlr4.atn.ATN.INVALID_ALT_NUMBER) {
 	            if(_alt===1) {
-	                this.state = 35;
+	                this.state = 39;
 	                this.match(R2Parser.T__0);
-	                this.state = 36;
+	                this.state = 40;
 	                this.statement(); 
 	            }
-	            this.state = 41;
+	            this.state = 45;
 	            this._errHandler.sync(this);
 	            _alt = this._interp.adaptivePredict(this._input,0,this._ctx);
 	        }
 
-	        this.state = 43;
+	        this.state = 47;
 	        this._errHandler.sync(this);
 	        _la = this._input.LA(1);
 	        if(_la===R2Parser.T__0) {
-	            this.state = 42;
+	            this.state = 46;
 	            this.match(R2Parser.T__0);
 	        }
 
-	        this.state = 45;
+	        this.state = 49;
 	        this.match(R2Parser.EOF);
 	    } catch (re) {
 	    	if(re instanceof antlr4.error.RecognitionException) {
@@ -306,23 +359,23 @@ export default class R2Parser extends antlr4.Parser {
 	    this.enterRule(localctx, 2, R2Parser.RULE_statement);
 	    var _la = 0; // Token type
 	    try {
-	        this.state = 77;
+	        this.state = 81;
 	        this._errHandler.sync(this);
 	        var la_ = this._interp.adaptivePredict(this._input,6,this._ctx);
 	        switch(la_) {
 	        case 1:
 	            localctx = new RollOnceStmtContext(this, localctx);
 	            this.enterOuterAlt(localctx, 1);
-	            this.state = 47;
+	            this.state = 51;
 	            localctx.e = this.expression(0);
 	            break;
 
 	        case 2:
 	            localctx = new RollTimesStmtContext(this, localctx);
 	            this.enterOuterAlt(localctx, 2);
-	            this.state = 48;
+	            this.state = 52;
 	            localctx.n = this.term();
-	            this.state = 49;
+	            this.state = 53;
 	            _la = this._input.LA(1);
 	            if(!(_la===R2Parser.T__1 || _la===R2Parser.T__2)) {
 	            this._errHandler.recoverInline(this);
@@ -331,16 +384,16 @@ export default class R2Parser extends antlr4.Parser {
 	            	this._errHandler.reportMatch(this);
 	                this.consume();
 	            }
-	            this.state = 50;
+	            this.state = 54;
 	            localctx.e = this.expression(0);
 	            break;
 
 	        case 3:
 	            localctx = new RollBatchTimesStmtContext(this, localctx);
 	            this.enterOuterAlt(localctx, 3);
-	            this.state = 52;
+	            this.state = 56;
 	            localctx.n = this.term();
-	            this.state = 53;
+	            this.state = 57;
 	            _la = this._input.LA(1);
 	            if(!(_la===R2Parser.T__1 || _la===R2Parser.T__2)) {
 	            this._errHandler.recoverInline(this);
@@ -349,28 +402,28 @@ export default class R2Parser extends antlr4.Parser {
 	            	this._errHandler.reportMatch(this);
 	                this.consume();
 	            }
-	            this.state = 54;
-	            this.match(R2Parser.T__3);
 	            this.state = 58;
+	            this.match(R2Parser.T__3);
+	            this.state = 62;
 	            this._errHandler.sync(this);
 	            _la = this._input.LA(1);
-	            while((((_la) & ~0x1f) == 0 && ((1 << _la) & ((1 << R2Parser.T__5) | (1 << R2Parser.T__6) | (1 << R2Parser.T__15) | (1 << R2Parser.T__16) | (1 << R2Parser.T__17) | (1 << R2Parser.T__18) | (1 << R2Parser.T__26) | (1 << R2Parser.T__27))) !== 0) || ((((_la - 33)) & ~0x1f) == 0 && ((1 << (_la - 33)) & ((1 << (R2Parser.T__32 - 33)) | (1 << (R2Parser.T__33 - 33)) | (1 << (R2Parser.T__38 - 33)) | (1 << (R2Parser.T__39 - 33)) | (1 << (R2Parser.T__40 - 33)) | (1 << (R2Parser.T__41 - 33)) | (1 << (R2Parser.T__42 - 33)) | (1 << (R2Parser.T__43 - 33)) | (1 << (R2Parser.T__44 - 33)) | (1 << (R2Parser.T__45 - 33)) | (1 << (R2Parser.T__46 - 33)) | (1 << (R2Parser.T__47 - 33)) | (1 << (R2Parser.T__48 - 33)) | (1 << (R2Parser.T__49 - 33)) | (1 << (R2Parser.T__50 - 33)) | (1 << (R2Parser.T__51 - 33)) | (1 << (R2Parser.T__52 - 33)) | (1 << (R2Parser.INT - 33)) | (1 << (R2Parser.STRING - 33)) | (1 << (R2Parser.VAR - 33)))) !== 0)) {
-	                this.state = 55;
+	            while((((_la) & ~0x1f) == 0 && ((1 << _la) & ((1 << R2Parser.T__5) | (1 << R2Parser.T__6) | (1 << R2Parser.T__14) | (1 << R2Parser.T__15) | (1 << R2Parser.T__23) | (1 << R2Parser.T__24))) !== 0) || ((((_la - 41)) & ~0x1f) == 0 && ((1 << (_la - 41)) & ((1 << (R2Parser.T__40 - 41)) | (1 << (R2Parser.T__41 - 41)) | (1 << (R2Parser.T__46 - 41)) | (1 << (R2Parser.T__47 - 41)) | (1 << (R2Parser.T__50 - 41)) | (1 << (R2Parser.T__51 - 41)) | (1 << (R2Parser.T__56 - 41)) | (1 << (R2Parser.T__57 - 41)) | (1 << (R2Parser.T__58 - 41)) | (1 << (R2Parser.T__59 - 41)) | (1 << (R2Parser.T__60 - 41)) | (1 << (R2Parser.T__61 - 41)) | (1 << (R2Parser.T__62 - 41)) | (1 << (R2Parser.T__63 - 41)) | (1 << (R2Parser.T__64 - 41)) | (1 << (R2Parser.T__65 - 41)) | (1 << (R2Parser.T__66 - 41)) | (1 << (R2Parser.T__67 - 41)) | (1 << (R2Parser.T__68 - 41)) | (1 << (R2Parser.INT - 41)))) !== 0) || ((((_la - 73)) & ~0x1f) == 0 && ((1 << (_la - 73)) & ((1 << (R2Parser.FUNCTION - 73)) | (1 << (R2Parser.STRING - 73)) | (1 << (R2Parser.VAR - 73)))) !== 0)) {
+	                this.state = 59;
 	                this.batchElement();
-	                this.state = 60;
+	                this.state = 64;
 	                this._errHandler.sync(this);
 	                _la = this._input.LA(1);
 	            }
-	            this.state = 61;
+	            this.state = 65;
 	            this.match(R2Parser.T__4);
 	            break;
 
 	        case 4:
 	            localctx = new RollSavageWorldsExtraStmtContext(this, localctx);
 	            this.enterOuterAlt(localctx, 4);
-	            this.state = 63;
+	            this.state = 67;
 	            localctx.n = this.term();
-	            this.state = 64;
+	            this.state = 68;
 	            _la = this._input.LA(1);
 	            if(!(_la===R2Parser.T__5 || _la===R2Parser.T__6)) {
 	            this._errHandler.recoverInline(this);
@@ -379,21 +432,21 @@ export default class R2Parser extends antlr4.Parser {
 	            	this._errHandler.reportMatch(this);
 	                this.consume();
 	            }
-	            this.state = 65;
+	            this.state = 69;
 	            localctx.t1 = this.term();
-	            this.state = 67;
+	            this.state = 71;
 	            this._errHandler.sync(this);
 	            _la = this._input.LA(1);
-	            if(((((_la - 39)) & ~0x1f) == 0 && ((1 << (_la - 39)) & ((1 << (R2Parser.T__38 - 39)) | (1 << (R2Parser.T__39 - 39)) | (1 << (R2Parser.T__40 - 39)) | (1 << (R2Parser.T__41 - 39)) | (1 << (R2Parser.T__42 - 39)) | (1 << (R2Parser.T__43 - 39)) | (1 << (R2Parser.T__44 - 39)) | (1 << (R2Parser.T__45 - 39)))) !== 0)) {
-	                this.state = 66;
+	            if(((((_la - 47)) & ~0x1f) == 0 && ((1 << (_la - 47)) & ((1 << (R2Parser.T__46 - 47)) | (1 << (R2Parser.T__47 - 47)) | (1 << (R2Parser.T__56 - 47)) | (1 << (R2Parser.T__57 - 47)) | (1 << (R2Parser.T__58 - 47)) | (1 << (R2Parser.T__59 - 47)) | (1 << (R2Parser.T__60 - 47)) | (1 << (R2Parser.T__61 - 47)))) !== 0)) {
+	                this.state = 70;
 	                this.targetNumberAndRaiseStep();
 	            }
 
-	            this.state = 70;
+	            this.state = 74;
 	            this._errHandler.sync(this);
 	            _la = this._input.LA(1);
-	            if(_la===R2Parser.T__15 || _la===R2Parser.T__16) {
-	                this.state = 69;
+	            if(_la===R2Parser.T__14 || _la===R2Parser.T__15) {
+	                this.state = 73;
 	                this.additiveModifier();
 	            }
 
@@ -402,7 +455,7 @@ export default class R2Parser extends antlr4.Parser {
 	        case 5:
 	            localctx = new IronSwornRollStmtContext(this, localctx);
 	            this.enterOuterAlt(localctx, 5);
-	            this.state = 72;
+	            this.state = 76;
 	            _la = this._input.LA(1);
 	            if(!(_la===R2Parser.T__7 || _la===R2Parser.T__8)) {
 	            this._errHandler.recoverInline(this);
@@ -411,11 +464,11 @@ export default class R2Parser extends antlr4.Parser {
 	            	this._errHandler.reportMatch(this);
 	                this.consume();
 	            }
-	            this.state = 74;
+	            this.state = 78;
 	            this._errHandler.sync(this);
 	            _la = this._input.LA(1);
-	            if(_la===R2Parser.T__15 || _la===R2Parser.T__16) {
-	                this.state = 73;
+	            if(_la===R2Parser.T__14 || _la===R2Parser.T__15) {
+	                this.state = 77;
 	                this.additiveModifier();
 	            }
 
@@ -424,7 +477,7 @@ export default class R2Parser extends antlr4.Parser {
 	        case 6:
 	            localctx = new FlagStmtContext(this, localctx);
 	            this.enterOuterAlt(localctx, 6);
-	            this.state = 76;
+	            this.state = 80;
 	            localctx.flag = this.match(R2Parser.FLAG);
 	            break;
 
@@ -450,21 +503,21 @@ export default class R2Parser extends antlr4.Parser {
 	    var _la = 0; // Token type
 	    try {
 	        this.enterOuterAlt(localctx, 1);
-	        this.state = 80;
+	        this.state = 84;
 	        this._errHandler.sync(this);
 	        _la = this._input.LA(1);
 	        if(_la===R2Parser.STRING) {
-	            this.state = 79;
+	            this.state = 83;
 	            localctx.comment = this.match(R2Parser.STRING);
 	        }
 
-	        this.state = 82;
+	        this.state = 86;
 	        localctx.e = this.expression(0);
-	        this.state = 84;
+	        this.state = 88;
 	        this._errHandler.sync(this);
 	        _la = this._input.LA(1);
 	        if(_la===R2Parser.T__0) {
-	            this.state = 83;
+	            this.state = 87;
 	            this.match(R2Parser.T__0);
 	        }
 
@@ -495,7 +548,7 @@ export default class R2Parser extends antlr4.Parser {
 	    var _la = 0; // Token type
 	    try {
 	        this.enterOuterAlt(localctx, 1);
-	        this.state = 107;
+	        this.state = 111;
 	        this._errHandler.sync(this);
 	        var la_ = this._interp.adaptivePredict(this._input,9,this._ctx);
 	        switch(la_) {
@@ -504,7 +557,7 @@ export default class R2Parser extends antlr4.Parser {
 	            this._ctx = localctx;
 	            _prevctx = localctx;
 
-	            this.state = 87;
+	            this.state = 91;
 	            this.genericRoll();
 	            break;
 
@@ -512,7 +565,7 @@ export default class R2Parser extends antlr4.Parser {
 	            localctx = new SavageWorldsRollExprContext(this, localctx);
 	            this._ctx = localctx;
 	            _prevctx = localctx;
-	            this.state = 88;
+	            this.state = 92;
 	            this.savageWorldsRoll();
 	            break;
 
@@ -520,7 +573,7 @@ export default class R2Parser extends antlr4.Parser {
 	            localctx = new SavageWorldsExtrasRollExprContext(this, localctx);
 	            this._ctx = localctx;
 	            _prevctx = localctx;
-	            this.state = 89;
+	            this.state = 93;
 	            this.savageWorldsExtrasRoll();
 	            break;
 
@@ -528,7 +581,7 @@ export default class R2Parser extends antlr4.Parser {
 	            localctx = new FudgeRollExprContext(this, localctx);
 	            this._ctx = localctx;
 	            _prevctx = localctx;
-	            this.state = 90;
+	            this.state = 94;
 	            this.fudgeRoll();
 	            break;
 
@@ -536,7 +589,7 @@ export default class R2Parser extends antlr4.Parser {
 	            localctx = new CarcosaRollExprContext(this, localctx);
 	            this._ctx = localctx;
 	            _prevctx = localctx;
-	            this.state = 91;
+	            this.state = 95;
 	            this.carcosaRoll();
 	            break;
 
@@ -544,7 +597,7 @@ export default class R2Parser extends antlr4.Parser {
 	            localctx = new WegD6RollExprContext(this, localctx);
 	            this._ctx = localctx;
 	            _prevctx = localctx;
-	            this.state = 92;
+	            this.state = 96;
 	            this.wegD6Roll();
 	            break;
 
@@ -552,61 +605,61 @@ export default class R2Parser extends antlr4.Parser {
 	            localctx = new SwordWorldPowerRollExprContext(this, localctx);
 	            this._ctx = localctx;
 	            _prevctx = localctx;
-	            this.state = 93;
+	            this.state = 97;
 	            this.swordWorldPowerRoll();
 	            break;
 
 	        case 8:
-	            localctx = new TargetNumberAndRaiseStepExprContext(this, localctx);
-	            this._ctx = localctx;
-	            _prevctx = localctx;
-	            this.state = 94;
-	            this.targetNumberAndRaiseStep();
-	            this.state = 95;
-	            this.match(R2Parser.T__9);
-	            this.state = 96;
-	            localctx.e1 = this.expression(7);
-	            break;
-
-	        case 9:
-	            localctx = new AssignExprContext(this, localctx);
+	            localctx = new GygaxRangeRollExprContext(this, localctx);
 	            this._ctx = localctx;
 	            _prevctx = localctx;
 	            this.state = 98;
-	            localctx.v = this.match(R2Parser.VAR);
+	            localctx.g0 = this.match(R2Parser.INT);
 	            this.state = 99;
-	            this.match(R2Parser.T__10);
+	            this.match(R2Parser.T__13);
 	            this.state = 100;
-	            localctx.e1 = this.expression(6);
-	            break;
-
-	        case 10:
-	            localctx = new GygaxRangeRollExprContext(this, localctx);
-	            this._ctx = localctx;
-	            _prevctx = localctx;
-	            this.state = 101;
-	            localctx.g0 = this.match(R2Parser.INT);
-	            this.state = 102;
-	            this.match(R2Parser.T__14);
-	            this.state = 103;
 	            localctx.g1 = this.match(R2Parser.INT);
 	            break;
 
-	        case 11:
+	        case 9:
 	            localctx = new PrefixExprContext(this, localctx);
 	            this._ctx = localctx;
 	            _prevctx = localctx;
-	            this.state = 104;
+	            this.state = 101;
 	            localctx.op = this._input.LT(1);
 	            _la = this._input.LA(1);
-	            if(!(_la===R2Parser.T__15 || _la===R2Parser.T__16)) {
+	            if(!(_la===R2Parser.T__14 || _la===R2Parser.T__15)) {
 	                localctx.op = this._errHandler.recoverInline(this);
 	            }
 	            else {
 	            	this._errHandler.reportMatch(this);
 	                this.consume();
 	            }
+	            this.state = 102;
+	            localctx.e1 = this.expression(6);
+	            break;
+
+	        case 10:
+	            localctx = new TargetNumberAndRaiseStepExprContext(this, localctx);
+	            this._ctx = localctx;
+	            _prevctx = localctx;
+	            this.state = 103;
+	            this.targetNumberAndRaiseStep();
+	            this.state = 104;
+	            this.match(R2Parser.T__9);
 	            this.state = 105;
+	            localctx.e1 = this.expression(5);
+	            break;
+
+	        case 11:
+	            localctx = new AssignExprContext(this, localctx);
+	            this._ctx = localctx;
+	            _prevctx = localctx;
+	            this.state = 107;
+	            localctx.v = this.match(R2Parser.VAR);
+	            this.state = 108;
+	            this.match(R2Parser.T__22);
+	            this.state = 109;
 	            localctx.e1 = this.expression(2);
 	            break;
 
@@ -614,13 +667,13 @@ export default class R2Parser extends antlr4.Parser {
 	            localctx = new TermExprContext(this, localctx);
 	            this._ctx = localctx;
 	            _prevctx = localctx;
-	            this.state = 106;
+	            this.state = 110;
 	            localctx.t = this.term();
 	            break;
 
 	        }
 	        this._ctx.stop = this._input.LT(-1);
-	        this.state = 127;
+	        this.state = 140;
 	        this._errHandler.sync(this);
 	        var _alt = this._interp.adaptivePredict(this._input,13,this._ctx)
 	        while(_alt!=2 && _alt!=antlr4.atn.ATN.INVALID_ALT_NUMBER) {
@@ -629,7 +682,7 @@ export default class R2Parser extends antlr4.Parser {
 	                    this.triggerExitRuleEvent();
 	                }
 	                _prevctx = localctx;
-	                this.state = 125;
+	                this.state = 138;
 	                this._errHandler.sync(this);
 	                var la_ = this._interp.adaptivePredict(this._input,12,this._ctx);
 	                switch(la_) {
@@ -637,81 +690,121 @@ export default class R2Parser extends antlr4.Parser {
 	                    localctx = new InfixExpr1Context(this, new ExpressionContext(this, _parentctx, _parentState));
 	                    localctx.e1 = _prevctx;
 	                    this.pushNewRecursionContext(localctx, _startState, R2Parser.RULE_expression);
-	                    this.state = 109;
-	                    if (!( this.precpred(this._ctx, 5))) {
-	                        throw new antlr4.error.FailedPredicateException(this, "this.precpred(this._ctx, 5)");
+	                    this.state = 113;
+	                    if (!( this.precpred(this._ctx, 9))) {
+	                        throw new antlr4.error.FailedPredicateException(this, "this.precpred(this._ctx, 9)");
 	                    }
-	                    this.state = 110;
+	                    this.state = 114;
 	                    localctx.op = this._input.LT(1);
 	                    _la = this._input.LA(1);
-	                    if(!((((_la) & ~0x1f) == 0 && ((1 << _la) & ((1 << R2Parser.T__11) | (1 << R2Parser.T__12) | (1 << R2Parser.T__13))) !== 0))) {
+	                    if(!((((_la) & ~0x1f) == 0 && ((1 << _la) & ((1 << R2Parser.T__10) | (1 << R2Parser.T__11) | (1 << R2Parser.T__12))) !== 0))) {
 	                        localctx.op = this._errHandler.recoverInline(this);
 	                    }
 	                    else {
 	                    	this._errHandler.reportMatch(this);
 	                        this.consume();
 	                    }
-	                    this.state = 111;
-	                    localctx.e2 = this.expression(6);
+	                    this.state = 115;
+	                    localctx.e2 = this.expression(10);
 	                    break;
 
 	                case 2:
 	                    localctx = new InfixExpr2Context(this, new ExpressionContext(this, _parentctx, _parentState));
 	                    localctx.e1 = _prevctx;
 	                    this.pushNewRecursionContext(localctx, _startState, R2Parser.RULE_expression);
-	                    this.state = 112;
-	                    if (!( this.precpred(this._ctx, 3))) {
-	                        throw new antlr4.error.FailedPredicateException(this, "this.precpred(this._ctx, 3)");
+	                    this.state = 116;
+	                    if (!( this.precpred(this._ctx, 7))) {
+	                        throw new antlr4.error.FailedPredicateException(this, "this.precpred(this._ctx, 7)");
 	                    }
-	                    this.state = 113;
+	                    this.state = 117;
 	                    localctx.op = this._input.LT(1);
 	                    _la = this._input.LA(1);
-	                    if(!(_la===R2Parser.T__15 || _la===R2Parser.T__16)) {
+	                    if(!(_la===R2Parser.T__14 || _la===R2Parser.T__15)) {
 	                        localctx.op = this._errHandler.recoverInline(this);
 	                    }
 	                    else {
 	                    	this._errHandler.reportMatch(this);
 	                        this.consume();
 	                    }
-	                    this.state = 114;
-	                    localctx.e2 = this.expression(4);
+	                    this.state = 118;
+	                    localctx.e2 = this.expression(8);
 	                    break;
 
 	                case 3:
+	                    localctx = new ComparisonExprContext(this, new ExpressionContext(this, _parentctx, _parentState));
+	                    localctx.e1 = _prevctx;
+	                    this.pushNewRecursionContext(localctx, _startState, R2Parser.RULE_expression);
+	                    this.state = 119;
+	                    if (!( this.precpred(this._ctx, 4))) {
+	                        throw new antlr4.error.FailedPredicateException(this, "this.precpred(this._ctx, 4)");
+	                    }
+	                    this.state = 120;
+	                    localctx.op = this._input.LT(1);
+	                    _la = this._input.LA(1);
+	                    if(!((((_la) & ~0x1f) == 0 && ((1 << _la) & ((1 << R2Parser.T__16) | (1 << R2Parser.T__17) | (1 << R2Parser.T__18) | (1 << R2Parser.T__19) | (1 << R2Parser.T__20))) !== 0))) {
+	                        localctx.op = this._errHandler.recoverInline(this);
+	                    }
+	                    else {
+	                    	this._errHandler.reportMatch(this);
+	                        this.consume();
+	                    }
+	                    this.state = 121;
+	                    localctx.e2 = this.expression(5);
+	                    break;
+
+	                case 4:
 	                    localctx = new BoundedExprContext(this, new ExpressionContext(this, _parentctx, _parentState));
 	                    localctx.e1 = _prevctx;
 	                    this.pushNewRecursionContext(localctx, _startState, R2Parser.RULE_expression);
-	                    this.state = 115;
-	                    if (!( this.precpred(this._ctx, 8))) {
-	                        throw new antlr4.error.FailedPredicateException(this, "this.precpred(this._ctx, 8)");
+	                    this.state = 122;
+	                    if (!( this.precpred(this._ctx, 10))) {
+	                        throw new antlr4.error.FailedPredicateException(this, "this.precpred(this._ctx, 10)");
 	                    }
-	                    this.state = 116;
+	                    this.state = 123;
 	                    this.match(R2Parser.T__3);
-	                    this.state = 118;
+	                    this.state = 125;
 	                    this._errHandler.sync(this);
 	                    _la = this._input.LA(1);
-	                    if((((_la) & ~0x1f) == 0 && ((1 << _la) & ((1 << R2Parser.T__5) | (1 << R2Parser.T__6) | (1 << R2Parser.T__15) | (1 << R2Parser.T__16) | (1 << R2Parser.T__17) | (1 << R2Parser.T__18) | (1 << R2Parser.T__26) | (1 << R2Parser.T__27))) !== 0) || ((((_la - 33)) & ~0x1f) == 0 && ((1 << (_la - 33)) & ((1 << (R2Parser.T__32 - 33)) | (1 << (R2Parser.T__33 - 33)) | (1 << (R2Parser.T__38 - 33)) | (1 << (R2Parser.T__39 - 33)) | (1 << (R2Parser.T__40 - 33)) | (1 << (R2Parser.T__41 - 33)) | (1 << (R2Parser.T__42 - 33)) | (1 << (R2Parser.T__43 - 33)) | (1 << (R2Parser.T__44 - 33)) | (1 << (R2Parser.T__45 - 33)) | (1 << (R2Parser.T__46 - 33)) | (1 << (R2Parser.T__47 - 33)) | (1 << (R2Parser.T__48 - 33)) | (1 << (R2Parser.T__49 - 33)) | (1 << (R2Parser.T__50 - 33)) | (1 << (R2Parser.T__51 - 33)) | (1 << (R2Parser.T__52 - 33)) | (1 << (R2Parser.INT - 33)) | (1 << (R2Parser.VAR - 33)))) !== 0)) {
-	                        this.state = 117;
+	                    if((((_la) & ~0x1f) == 0 && ((1 << _la) & ((1 << R2Parser.T__5) | (1 << R2Parser.T__6) | (1 << R2Parser.T__14) | (1 << R2Parser.T__15) | (1 << R2Parser.T__23) | (1 << R2Parser.T__24))) !== 0) || ((((_la - 41)) & ~0x1f) == 0 && ((1 << (_la - 41)) & ((1 << (R2Parser.T__40 - 41)) | (1 << (R2Parser.T__41 - 41)) | (1 << (R2Parser.T__46 - 41)) | (1 << (R2Parser.T__47 - 41)) | (1 << (R2Parser.T__50 - 41)) | (1 << (R2Parser.T__51 - 41)) | (1 << (R2Parser.T__56 - 41)) | (1 << (R2Parser.T__57 - 41)) | (1 << (R2Parser.T__58 - 41)) | (1 << (R2Parser.T__59 - 41)) | (1 << (R2Parser.T__60 - 41)) | (1 << (R2Parser.T__61 - 41)) | (1 << (R2Parser.T__62 - 41)) | (1 << (R2Parser.T__63 - 41)) | (1 << (R2Parser.T__64 - 41)) | (1 << (R2Parser.T__65 - 41)) | (1 << (R2Parser.T__66 - 41)) | (1 << (R2Parser.T__67 - 41)) | (1 << (R2Parser.T__68 - 41)) | (1 << (R2Parser.INT - 41)))) !== 0) || _la===R2Parser.FUNCTION || _la===R2Parser.VAR) {
+	                        this.state = 124;
 	                        localctx.e2 = this.expression(0);
 	                    }
 
-	                    this.state = 120;
+	                    this.state = 127;
 	                    this.match(R2Parser.T__9);
-	                    this.state = 122;
+	                    this.state = 129;
 	                    this._errHandler.sync(this);
 	                    _la = this._input.LA(1);
-	                    if((((_la) & ~0x1f) == 0 && ((1 << _la) & ((1 << R2Parser.T__5) | (1 << R2Parser.T__6) | (1 << R2Parser.T__15) | (1 << R2Parser.T__16) | (1 << R2Parser.T__17) | (1 << R2Parser.T__18) | (1 << R2Parser.T__26) | (1 << R2Parser.T__27))) !== 0) || ((((_la - 33)) & ~0x1f) == 0 && ((1 << (_la - 33)) & ((1 << (R2Parser.T__32 - 33)) | (1 << (R2Parser.T__33 - 33)) | (1 << (R2Parser.T__38 - 33)) | (1 << (R2Parser.T__39 - 33)) | (1 << (R2Parser.T__40 - 33)) | (1 << (R2Parser.T__41 - 33)) | (1 << (R2Parser.T__42 - 33)) | (1 << (R2Parser.T__43 - 33)) | (1 << (R2Parser.T__44 - 33)) | (1 << (R2Parser.T__45 - 33)) | (1 << (R2Parser.T__46 - 33)) | (1 << (R2Parser.T__47 - 33)) | (1 << (R2Parser.T__48 - 33)) | (1 << (R2Parser.T__49 - 33)) | (1 << (R2Parser.T__50 - 33)) | (1 << (R2Parser.T__51 - 33)) | (1 << (R2Parser.T__52 - 33)) | (1 << (R2Parser.INT - 33)) | (1 << (R2Parser.VAR - 33)))) !== 0)) {
-	                        this.state = 121;
+	                    if((((_la) & ~0x1f) == 0 && ((1 << _la) & ((1 << R2Parser.T__5) | (1 << R2Parser.T__6) | (1 << R2Parser.T__14) | (1 << R2Parser.T__15) | (1 << R2Parser.T__23) | (1 << R2Parser.T__24))) !== 0) || ((((_la - 41)) & ~0x1f) == 0 && ((1 << (_la - 41)) & ((1 << (R2Parser.T__40 - 41)) | (1 << (R2Parser.T__41 - 41)) | (1 << (R2Parser.T__46 - 41)) | (1 << (R2Parser.T__47 - 41)) | (1 << (R2Parser.T__50 - 41)) | (1 << (R2Parser.T__51 - 41)) | (1 << (R2Parser.T__56 - 41)) | (1 << (R2Parser.T__57 - 41)) | (1 << (R2Parser.T__58 - 41)) | (1 << (R2Parser.T__59 - 41)) | (1 << (R2Parser.T__60 - 41)) | (1 << (R2Parser.T__61 - 41)) | (1 << (R2Parser.T__62 - 41)) | (1 << (R2Parser.T__63 - 41)) | (1 << (R2Parser.T__64 - 41)) | (1 << (R2Parser.T__65 - 41)) | (1 << (R2Parser.T__66 - 41)) | (1 << (R2Parser.T__67 - 41)) | (1 << (R2Parser.T__68 - 41)) | (1 << (R2Parser.INT - 41)))) !== 0) || _la===R2Parser.FUNCTION || _la===R2Parser.VAR) {
+	                        this.state = 128;
 	                        localctx.e3 = this.expression(0);
 	                    }
 
-	                    this.state = 124;
+	                    this.state = 131;
 	                    this.match(R2Parser.T__4);
 	                    break;
 
+	                case 5:
+	                    localctx = new ConditionalExprContext(this, new ExpressionContext(this, _parentctx, _parentState));
+	                    localctx.e1 = _prevctx;
+	                    this.pushNewRecursionContext(localctx, _startState, R2Parser.RULE_expression);
+	                    this.state = 132;
+	                    if (!( this.precpred(this._ctx, 3))) {
+	                        throw new antlr4.error.FailedPredicateException(this, "this.precpred(this._ctx, 3)");
+	                    }
+	                    this.state = 133;
+	                    this.match(R2Parser.T__21);
+	                    this.state = 134;
+	                    localctx.b1 = this.conditionalBranch();
+	                    this.state = 135;
+	                    this.match(R2Parser.T__9);
+	                    this.state = 136;
+	                    localctx.b2 = this.conditionalBranch();
+	                    break;
+
 	                } 
 	            }
-	            this.state = 129;
+	            this.state = 142;
 	            this._errHandler.sync(this);
 	            _alt = this._interp.adaptivePredict(this._input,13,this._ctx);
 	        }
@@ -731,23 +824,85 @@ export default class R2Parser extends antlr4.Parser {
 	}
 
 
+	conditionalBranch() {
+	    let localctx = new ConditionalBranchContext(this, this._ctx, this.state);
+	    this.enterRule(localctx, 8, R2Parser.RULE_conditionalBranch);
+	    try {
+	        this.state = 145;
+	        this._errHandler.sync(this);
+	        switch(this._input.LA(1)) {
+	        case R2Parser.STRING:
+	            this.enterOuterAlt(localctx, 1);
+	            this.state = 143;
+	            localctx.label = this.match(R2Parser.STRING);
+	            break;
+	        case R2Parser.T__5:
+	        case R2Parser.T__6:
+	        case R2Parser.T__14:
+	        case R2Parser.T__15:
+	        case R2Parser.T__23:
+	        case R2Parser.T__24:
+	        case R2Parser.T__40:
+	        case R2Parser.T__41:
+	        case R2Parser.T__46:
+	        case R2Parser.T__47:
+	        case R2Parser.T__50:
+	        case R2Parser.T__51:
+	        case R2Parser.T__56:
+	        case R2Parser.T__57:
+	        case R2Parser.T__58:
+	        case R2Parser.T__59:
+	        case R2Parser.T__60:
+	        case R2Parser.T__61:
+	        case R2Parser.T__62:
+	        case R2Parser.T__63:
+	        case R2Parser.T__64:
+	        case R2Parser.T__65:
+	        case R2Parser.T__66:
+	        case R2Parser.T__67:
+	        case R2Parser.T__68:
+	        case R2Parser.INT:
+	        case R2Parser.FUNCTION:
+	        case R2Parser.VAR:
+	            this.enterOuterAlt(localctx, 2);
+	            this.state = 144;
+	            localctx.e = this.expression(0);
+	            break;
+	        default:
+	            throw new antlr4.error.NoViableAltException(this);
+	        }
+	    } catch (re) {
+	    	if(re instanceof antlr4.error.RecognitionException) {
+		        localctx.exception = re;
+		        this._errHandler.reportError(this, re);
+		        this._errHandler.recover(this, re);
+		    } else {
+		    	throw re;
+		    }
+	    } finally {
+	        this.exitRule();
+	    }
+	    return localctx;
+	}
+
+
 	genericRoll() {
 	    let localctx = new GenericRollContext(this, this._ctx, this.state);
-	    this.enterRule(localctx, 8, R2Parser.RULE_genericRoll);
+	    this.enterRule(localctx, 10, R2Parser.RULE_genericRoll);
 	    var _la = 0; // Token type
 	    try {
 	        this.enterOuterAlt(localctx, 1);
-	        this.state = 131;
+	        this.state = 148;
 	        this._errHandler.sync(this);
 	        _la = this._input.LA(1);
-	        if(((((_la - 53)) & ~0x1f) == 0 && ((1 << (_la - 53)) & ((1 << (R2Parser.T__52 - 53)) | (1 << (R2Parser.INT - 53)) | (1 << (R2Parser.VAR - 53)))) !== 0)) {
-	            this.state = 130;
+	        if(((((_la - 69)) & ~0x1f) == 0 && ((1 << (_la - 69)) & ((1 << (R2Parser.T__68 - 69)) | (1 << (R2Parser.INT - 69)) | (1 << (R2Parser.FUNCTION - 69)) | (1 << (R2Parser.VAR - 69)))) !== 0)) {
+	            this.state = 147;
 	            localctx.t1 = this.term();
 	        }
 
-	        this.state = 133;
+	        this.state = 150;
 	        _la = this._input.LA(1);
-	        if(!(_la===R2Parser.T__17 || _la===R2Parser.T__18)) {
+	        if(!(_la===R2Parser.T__23 || _la===R2Parser.T__24)) {
 	        this._errHandler.recoverInline(this);
 	        }
 	        else {
@@ -755,21 +910,21 @@ export default class R2Parser extends antlr4.Parser {
 	            this.consume();
 	        }
 
-	        this.state = 134;
+	        this.state = 151;
 	        localctx.t2 = this.dieFacetsTerm();
-	        this.state = 136;
+	        this.state = 153;
 	        this._errHandler.sync(this);
-	        var la_ = this._interp.adaptivePredict(this._input,15,this._ctx);
+	        var la_ = this._interp.adaptivePredict(this._input,16,this._ctx);
 	        if(la_===1) {
-	            this.state = 135;
-	            localctx.excl = this.match(R2Parser.T__19);
+	            this.state = 152;
+	            this.explodeModifier();
 
 	        }
-	        this.state = 139;
+	        this.state = 156;
 	        this._errHandler.sync(this);
-	        var la_ = this._interp.adaptivePredict(this._input,16,this._ctx);
+	        var la_ = this._interp.adaptivePredict(this._input,17,this._ctx);
 	        if(la_===1) {
-	            this.state = 138;
+	            this.state = 155;
 	            this.genericRollSuffix();
 
 	        }
@@ -788,24 +943,74 @@ export default class R2Parser extends antlr4.Parser {
 	}
 
 
+	explodeModifier() {
+	    let localctx = new ExplodeModifierContext(this, this._ctx, this.state);
+	    this.enterRule(localctx, 12, R2Parser.RULE_explodeModifier);
+	    var _la = 0; // Token type
+	    try {
+	        this.enterOuterAlt(localctx, 1);
+	        this.state = 158;
+	        localctx.op = this._input.LT(1);
+	        _la = this._input.LA(1);
+	        if(!((((_la) & ~0x1f) == 0 && ((1 << _la) & ((1 << R2Parser.T__25) | (1 << R2Parser.T__26) | (1 << R2Parser.T__27) | (1 << R2Parser.T__28))) !== 0))) {
+	            localctx.op = this._errHandler.recoverInline(this);
+	        }
+	        else {
+	        	this._errHandler.reportMatch(this);
+	            this.consume();
+	        }
+	        this.state = 161;
+	        this._errHandler.sync(this);
+	        var la_ = this._interp.adaptivePredict(this._input,18,this._ctx);
+	        if(la_===1) {
+	            this.state = 159;
+	            localctx.cop = this._input.LT(1);
+	            _la = this._input.LA(1);
+	            if(!((((_la) & ~0x1f) == 0 && ((1 << _la) & ((1 << R2Parser.T__16) | (1 << R2Parser.T__17) | (1 << R2Parser.T__29))) !== 0))) {
+	                localctx.cop = this._errHandler.recoverInline(this);
+	            }
+	            else {
+	            	this._errHandler.reportMatch(this);
+	                this.consume();
+	            }
+	            this.state = 160;
+	            localctx.ct = this.term();
+
+	        }
+	    } catch (re) {
+	    	if(re instanceof antlr4.error.RecognitionException) {
+		        localctx.exception = re;
+		        this._errHandler.reportError(this, re);
+		        this._errHandler.recover(this, re);
+		    } else {
+		    	throw re;
+		    }
+	    } finally {
+	        this.exitRule();
+	    }
+	    return localctx;
+	}
+
+
 	dieFacetsTerm() {
 	    let localctx = new DieFacetsTermContext(this, this._ctx, this.state);
-	    this.enterRule(localctx, 10, R2Parser.RULE_dieFacetsTerm);
+	    this.enterRule(localctx, 14, R2Parser.RULE_dieFacetsTerm);
 	    try {
-	        this.state = 143;
+	        this.state = 165;
 	        this._errHandler.sync(this);
 	        switch(this._input.LA(1)) {
-	        case R2Parser.T__52:
+	        case R2Parser.T__68:
 	        case R2Parser.INT:
+	        case R2Parser.FUNCTION:
 	        case R2Parser.VAR:
 	            this.enterOuterAlt(localctx, 1);
-	            this.state = 141;
+	            this.state = 163;
 	            this.term();
 	            break;
-	        case R2Parser.T__13:
+	        case R2Parser.T__12:
 	            this.enterOuterAlt(localctx, 2);
-	            this.state = 142;
-	            this.match(R2Parser.T__13);
+	            this.state = 164;
+	            this.match(R2Parser.T__12);
 	            break;
 	        default:
 	            throw new antlr4.error.NoViableAltException(this);
@@ -827,118 +1032,214 @@ export default class R2Parser extends antlr4.Parser {
 
 	genericRollSuffix() {
 	    let localctx = new GenericRollSuffixContext(this, this._ctx, this.state);
-	    this.enterRule(localctx, 12, R2Parser.RULE_genericRollSuffix);
+	    this.enterRule(localctx, 16, R2Parser.RULE_genericRollSuffix);
 	    var _la = 0; // Token type
 	    try {
-	        this.state = 161;
+	        this.state = 201;
 	        this._errHandler.sync(this);
-	        switch(this._input.LA(1)) {
-	        case R2Parser.T__20:
-	        case R2Parser.T__21:
-	        case R2Parser.T__22:
-	        case R2Parser.T__23:
-	        case R2Parser.T__24:
-	        case R2Parser.T__25:
+	        var la_ = this._interp.adaptivePredict(this._input,26,this._ctx);
+	        switch(la_) {
+	        case 1:
 	            localctx = new RollAndKeepSuffixContext(this, localctx);
 	            this.enterOuterAlt(localctx, 1);
-	            this.state = 145;
+	            this.state = 167;
 	            localctx.op = this._input.LT(1);
 	            _la = this._input.LA(1);
-	            if(!((((_la) & ~0x1f) == 0 && ((1 << _la) & ((1 << R2Parser.T__20) | (1 << R2Parser.T__21) | (1 << R2Parser.T__22) | (1 << R2Parser.T__23) | (1 << R2Parser.T__24) | (1 << R2Parser.T__25))) !== 0))) {
+	            if(!(((((_la - 31)) & ~0x1f) == 0 && ((1 << (_la - 31)) & ((1 << (R2Parser.T__30 - 31)) | (1 << (R2Parser.T__31 - 31)) | (1 << (R2Parser.T__32 - 31)) | (1 << (R2Parser.T__33 - 31)) | (1 << (R2Parser.T__34 - 31)) | (1 << (R2Parser.T__35 - 31)))) !== 0))) {
 	                localctx.op = this._errHandler.recoverInline(this);
 	            }
 	            else {
 	            	this._errHandler.reportMatch(this);
 	                this.consume();
 	            }
-	            this.state = 147;
+	            this.state = 169;
 	            this._errHandler.sync(this);
-	            var la_ = this._interp.adaptivePredict(this._input,18,this._ctx);
+	            var la_ = this._interp.adaptivePredict(this._input,20,this._ctx);
 	            if(la_===1) {
-	                this.state = 146;
+	                this.state = 168;
 	                localctx.n = this.term();
 
 	            }
 	            break;
-	        case R2Parser.T__26:
-	        case R2Parser.T__27:
-	            localctx = new SuccessOrFailSuffix1Context(this, localctx);
+
+	        case 2:
+	            localctx = new RollAndDropSuffixContext(this, localctx);
 	            this.enterOuterAlt(localctx, 2);
-	            this.state = 149;
+	            this.state = 171;
+	            localctx.op = this._input.LT(1);
+	            _la = this._input.LA(1);
+	            if(!(((((_la - 37)) & ~0x1f) == 0 && ((1 << (_la - 37)) & ((1 << (R2Parser.T__36 - 37)) | (1 << (R2Parser.T__37 - 37)) | (1 << (R2Parser.T__38 - 37)) | (1 << (R2Parser.T__39 - 37)))) !== 0))) {
+	                localctx.op = this._errHandler.recoverInline(this);
+	            }
+	            else {
+	            	this._errHandler.reportMatch(this);
+	                this.consume();
+	            }
+	            this.state = 173;
+	            this._errHandler.sync(this);
+	            var la_ = this._interp.adaptivePredict(this._input,21,this._ctx);
+	            if(la_===1) {
+	                this.state = 172;
+	                localctx.n = this.term();
+
+	            }
+	            this.state = 179;
+	            this._errHandler.sync(this);
+	            var la_ = this._interp.adaptivePredict(this._input,23,this._ctx);
+	            if(la_===1) {
+	                this.state = 175;
+	                localctx.op2 = this._input.LT(1);
+	                _la = this._input.LA(1);
+	                if(!(((((_la - 37)) & ~0x1f) == 0 && ((1 << (_la - 37)) & ((1 << (R2Parser.T__36 - 37)) | (1 << (R2Parser.T__37 - 37)) | (1 << (R2Parser.T__38 - 37)) | (1 << (R2Parser.T__39 - 37)))) !== 0))) {
+	                    localctx.op2 = this._errHandler.recoverInline(this);
+	                }
+	                else {
+	                	this._errHandler.reportMatch(this);
+	                    this.consume();
+	                }
+	                this.state = 177;
+	                this._errHandler.sync(this);
+	                var la_ = this._interp.adaptivePredict(this._input,22,this._ctx);
+	                if(la_===1) {
+	                    this.state = 176;
+	                    localctx.n2 = this.term();
+
+	                }
+
+	            }
+	            break;
+
+	        case 3:
+	            localctx = new SuccessOrFailSuffix1Context(this, localctx);
+	            this.enterOuterAlt(localctx, 3);
+	            this.state = 181;
 	            localctx.sop = this._input.LT(1);
 	            _la = this._input.LA(1);
-	            if(!(_la===R2Parser.T__26 || _la===R2Parser.T__27)) {
+	            if(!(_la===R2Parser.T__40 || _la===R2Parser.T__41)) {
 	                localctx.sop = this._errHandler.recoverInline(this);
 	            }
 	            else {
 	            	this._errHandler.reportMatch(this);
 	                this.consume();
 	            }
-	            this.state = 150;
+	            this.state = 182;
 	            localctx.sn = this.term();
-	            this.state = 153;
+	            this.state = 185;
 	            this._errHandler.sync(this);
-	            var la_ = this._interp.adaptivePredict(this._input,19,this._ctx);
+	            var la_ = this._interp.adaptivePredict(this._input,24,this._ctx);
 	            if(la_===1) {
-	                this.state = 151;
+	                this.state = 183;
 	                localctx.fop = this._input.LT(1);
 	                _la = this._input.LA(1);
-	                if(!(_la===R2Parser.T__28 || _la===R2Parser.T__29)) {
+	                if(!(_la===R2Parser.T__42 || _la===R2Parser.T__43)) {
 	                    localctx.fop = this._errHandler.recoverInline(this);
 	                }
 	                else {
 	                	this._errHandler.reportMatch(this);
 	                    this.consume();
 	                }
-	                this.state = 152;
+	                this.state = 184;
 	                localctx.fn = this.term();
 
 	            }
 	            break;
-	        case R2Parser.T__28:
-	        case R2Parser.T__29:
+
+	        case 4:
 	            localctx = new SuccessOrFailSuffix2Context(this, localctx);
-	            this.enterOuterAlt(localctx, 3);
-	            this.state = 155;
+	            this.enterOuterAlt(localctx, 4);
+	            this.state = 187;
 	            localctx.fop = this._input.LT(1);
 	            _la = this._input.LA(1);
-	            if(!(_la===R2Parser.T__28 || _la===R2Parser.T__29)) {
+	            if(!(_la===R2Parser.T__42 || _la===R2Parser.T__43)) {
 	                localctx.fop = this._errHandler.recoverInline(this);
 	            }
 	            else {
 	            	this._errHandler.reportMatch(this);
 	                this.consume();
 	            }
-	            this.state = 156;
+	            this.state = 188;
 	            localctx.fn = this.term();
-	            this.state = 157;
+	            this.state = 189;
 	            localctx.sop = this._input.LT(1);
 	            _la = this._input.LA(1);
-	            if(!(_la===R2Parser.T__26 || _la===R2Parser.T__27)) {
+	            if(!(_la===R2Parser.T__40 || _la===R2Parser.T__41)) {
 	                localctx.sop = this._errHandler.recoverInline(this);
 	            }
 	            else {
 	            	this._errHandler.reportMatch(this);
 	                this.consume();
 	            }
-	            this.state = 158;
+	            this.state = 190;
 	            localctx.sn = this.term();
 	            break;
-	        case R2Parser.T__38:
-	        case R2Parser.T__39:
-	        case R2Parser.T__40:
-	        case R2Parser.T__41:
-	        case R2Parser.T__42:
-	        case R2Parser.T__43:
-	        case R2Parser.T__44:
-	        case R2Parser.T__45:
+
+	        case 5:
 	            localctx = new TargetNumberAndRaiseStepSuffixContext(this, localctx);
-	            this.enterOuterAlt(localctx, 4);
-	            this.state = 160;
+	            this.enterOuterAlt(localctx, 5);
+	            this.state = 192;
 	            this.targetNumberAndRaiseStep();
 	            break;
-	        default:
-	            throw new antlr4.error.NoViableAltException(this);
+
+	        case 6:
+	            localctx = new RerollSuffixContext(this, localctx);
+	            this.enterOuterAlt(localctx, 6);
+	            this.state = 193;
+	            localctx.rop = this._input.LT(1);
+	            _la = this._input.LA(1);
+	            if(!(_la===R2Parser.T__44 || _la===R2Parser.T__45)) {
+	                localctx.rop = this._errHandler.recoverInline(this);
+	            }
+	            else {
+	            	this._errHandler.reportMatch(this);
+	                this.consume();
+	            }
+	            this.state = 195;
+	            this._errHandler.sync(this);
+	            _la = this._input.LA(1);
+	            if((((_la) & ~0x1f) == 0 && ((1 << _la) & ((1 << R2Parser.T__16) | (1 << R2Parser.T__17) | (1 << R2Parser.T__29))) !== 0)) {
+	                this.state = 194;
+	                localctx.cop = this._input.LT(1);
+	                _la = this._input.LA(1);
+	                if(!((((_la) & ~0x1f) == 0 && ((1 << _la) & ((1 << R2Parser.T__16) | (1 << R2Parser.T__17) | (1 << R2Parser.T__29))) !== 0))) {
+	                    localctx.cop = this._errHandler.recoverInline(this);
+	                }
+	                else {
+	                	this._errHandler.reportMatch(this);
+	                    this.consume();
+	                }
+	            }
+
+	            this.state = 197;
+	            localctx.rt = this.term();
+	            break;
+
+	        case 7:
+	            localctx = new RerollSuffixContext(this, localctx);
+	            this.enterOuterAlt(localctx, 7);
+	            this.state = 198;
+	            localctx.rop = this._input.LT(1);
+	            _la = this._input.LA(1);
+	            if(!(_la===R2Parser.T__46 || _la===R2Parser.T__47)) {
+	                localctx.rop = this._errHandler.recoverInline(this);
+	            }
+	            else {
+	            	this._errHandler.reportMatch(this);
+	                this.consume();
+	            }
+	            this.state = 199;
+	            localctx.cop = this._input.LT(1);
+	            _la = this._input.LA(1);
+	            if(!((((_la) & ~0x1f) == 0 && ((1 << _la) & ((1 << R2Parser.T__16) | (1 << R2Parser.T__17) | (1 << R2Parser.T__29))) !== 0))) {
+	                localctx.cop = this._errHandler.recoverInline(this);
+	            }
+	            else {
+	            	this._errHandler.reportMatch(this);
+	                this.consume();
+	            }
+	            this.state = 200;
+	            localctx.rt = this.term();
+	            break;
+
 	        }
 	    } catch (re) {
 	    	if(re instanceof antlr4.error.RecognitionException) {
@@ -957,51 +1258,51 @@ export default class R2Parser extends antlr4.Parser {
 
 	savageWorldsRoll() {
 	    let localctx = new SavageWorldsRollContext(this, this._ctx, this.state);
-	    this.enterRule(localctx, 14, R2Parser.RULE_savageWorldsRoll);
+	    this.enterRule(localctx, 18, R2Parser.RULE_savageWorldsRoll);
 	    var _la = 0; // Token type
 	    try {
 	        this.enterOuterAlt(localctx, 1);
-	        this.state = 164;
+	        this.state = 204;
 	        this._errHandler.sync(this);
 	        _la = this._input.LA(1);
-	        if(((((_la - 53)) & ~0x1f) == 0 && ((1 << (_la - 53)) & ((1 << (R2Parser.T__52 - 53)) | (1 << (R2Parser.INT - 53)) | (1 << (R2Parser.VAR - 53)))) !== 0)) {
-	            this.state = 163;
+	        if(((((_la - 69)) & ~0x1f) == 0 && ((1 << (_la - 69)) & ((1 << (R2Parser.T__68 - 69)) | (1 << (R2Parser.INT - 69)) | (1 << (R2Parser.FUNCTION - 69)) | (1 << (R2Parser.VAR - 69)))) !== 0)) {
+	            this.state = 203;
 	            localctx.t1 = this.term();
 	        }
 
-	        this.state = 166;
+	        this.state = 206;
 	        _la = this._input.LA(1);
-	        if(!(_la===R2Parser.T__26 || _la===R2Parser.T__27)) {
+	        if(!(_la===R2Parser.T__40 || _la===R2Parser.T__41)) {
 	        this._errHandler.recoverInline(this);
 	        }
 	        else {
 	        	this._errHandler.reportMatch(this);
 	            this.consume();
 	        }
-	        this.state = 167;
+	        this.state = 207;
 	        localctx.t2 = this.term();
-	        this.state = 170;
+	        this.state = 210;
 	        this._errHandler.sync(this);
-	        var la_ = this._interp.adaptivePredict(this._input,22,this._ctx);
+	        var la_ = this._interp.adaptivePredict(this._input,28,this._ctx);
 	        if(la_===1) {
-	            this.state = 168;
+	            this.state = 208;
 	            _la = this._input.LA(1);
-	            if(!(_la===R2Parser.T__30 || _la===R2Parser.T__31)) {
+	            if(!(_la===R2Parser.T__48 || _la===R2Parser.T__49)) {
 	            this._errHandler.recoverInline(this);
 	            }
 	            else {
 	            	this._errHandler.reportMatch(this);
 	                this.consume();
 	            }
-	            this.state = 169;
+	            this.state = 209;
 	            localctx.t3 = this.term();
 
 	        }
-	        this.state = 173;
+	        this.state = 213;
 	        this._errHandler.sync(this);
-	        var la_ = this._interp.adaptivePredict(this._input,23,this._ctx);
+	        var la_ = this._interp.adaptivePredict(this._input,29,this._ctx);
 	        if(la_===1) {
-	            this.state = 172;
+	            this.state = 212;
 	            this.targetNumberAndRaiseStep();
 
 	        }
@@ -1022,11 +1323,11 @@ export default class R2Parser extends antlr4.Parser {
 
 	savageWorldsExtrasRoll() {
 	    let localctx = new SavageWorldsExtrasRollContext(this, this._ctx, this.state);
-	    this.enterRule(localctx, 16, R2Parser.RULE_savageWorldsExtrasRoll);
+	    this.enterRule(localctx, 20, R2Parser.RULE_savageWorldsExtrasRoll);
 	    var _la = 0; // Token type
 	    try {
 	        this.enterOuterAlt(localctx, 1);
-	        this.state = 175;
+	        this.state = 215;
 	        _la = this._input.LA(1);
 	        if(!(_la===R2Parser.T__5 || _la===R2Parser.T__6)) {
 	        this._errHandler.recoverInline(this);
@@ -1035,13 +1336,13 @@ export default class R2Parser extends antlr4.Parser {
 	        	this._errHandler.reportMatch(this);
 	            this.consume();
 	        }
-	        this.state = 176;
+	        this.state = 216;
 	        localctx.t1 = this.term();
-	        this.state = 178;
+	        this.state = 218;
 	        this._errHandler.sync(this);
-	        var la_ = this._interp.adaptivePredict(this._input,24,this._ctx);
+	        var la_ = this._interp.adaptivePredict(this._input,30,this._ctx);
 	        if(la_===1) {
-	            this.state = 177;
+	            this.state = 217;
 	            this.targetNumberAndRaiseStep();
 
 	        }
@@ -1062,32 +1363,32 @@ export default class R2Parser extends antlr4.Parser {
 
 	swordWorldPowerRoll() {
 	    let localctx = new SwordWorldPowerRollContext(this, this._ctx, this.state);
-	    this.enterRule(localctx, 18, R2Parser.RULE_swordWorldPowerRoll);
+	    this.enterRule(localctx, 22, R2Parser.RULE_swordWorldPowerRoll);
 	    var _la = 0; // Token type
 	    try {
 	        this.enterOuterAlt(localctx, 1);
-	        this.state = 180;
+	        this.state = 220;
 	        _la = this._input.LA(1);
-	        if(!(_la===R2Parser.T__32 || _la===R2Parser.T__33)) {
+	        if(!(_la===R2Parser.T__50 || _la===R2Parser.T__51)) {
 	        this._errHandler.recoverInline(this);
 	        }
 	        else {
 	        	this._errHandler.reportMatch(this);
 	            this.consume();
 	        }
-	        this.state = 181;
+	        this.state = 221;
 	        localctx.tp = this.term();
-	        this.state = 185;
+	        this.state = 225;
 	        this._errHandler.sync(this);
-	        var _alt = this._interp.adaptivePredict(this._input,25,this._ctx)
+	        var _alt = this._interp.adaptivePredict(this._input,31,this._ctx)
 	        while(_alt!=2 && _alt!=antlr4.atn.ATN.INVALID_ALT_NUMBER) {
 	            if(_alt===1) {
-	                this.state = 182;
+	                this.state = 222;
 	                this.swordWorldPowerRollModifier(); 
 	            }
-	            this.state = 187;
+	            this.state = 227;
 	            this._errHandler.sync(this);
-	            _alt = this._interp.adaptivePredict(this._input,25,this._ctx);
+	            _alt = this._interp.adaptivePredict(this._input,31,this._ctx);
 	        }
 
 	    } catch (re) {
@@ -1107,52 +1408,52 @@ export default class R2Parser extends antlr4.Parser {
 
 	swordWorldPowerRollModifier() {
 	    let localctx = new SwordWorldPowerRollModifierContext(this, this._ctx, this.state);
-	    this.enterRule(localctx, 20, R2Parser.RULE_swordWorldPowerRollModifier);
+	    this.enterRule(localctx, 24, R2Parser.RULE_swordWorldPowerRollModifier);
 	    var _la = 0; // Token type
 	    try {
-	        this.state = 205;
+	        this.state = 245;
 	        this._errHandler.sync(this);
 	        switch(this._input.LA(1)) {
-	        case R2Parser.T__34:
-	        case R2Parser.T__35:
+	        case R2Parser.T__52:
+	        case R2Parser.T__53:
 	            localctx = new SwordWorldCriticalModifierContext(this, localctx);
 	            this.enterOuterAlt(localctx, 1);
-	            this.state = 188;
+	            this.state = 228;
 	            _la = this._input.LA(1);
-	            if(!(_la===R2Parser.T__34 || _la===R2Parser.T__35)) {
+	            if(!(_la===R2Parser.T__52 || _la===R2Parser.T__53)) {
 	            this._errHandler.recoverInline(this);
 	            }
 	            else {
 	            	this._errHandler.reportMatch(this);
 	                this.consume();
 	            }
-	            this.state = 189;
+	            this.state = 229;
 	            localctx.tc = this.term();
 	            break;
-	        case R2Parser.T__28:
-	        case R2Parser.T__29:
+	        case R2Parser.T__42:
+	        case R2Parser.T__43:
 	            localctx = new SwordWorldAutoFailModifierContext(this, localctx);
 	            this.enterOuterAlt(localctx, 2);
-	            this.state = 190;
+	            this.state = 230;
 	            _la = this._input.LA(1);
-	            if(!(_la===R2Parser.T__28 || _la===R2Parser.T__29)) {
+	            if(!(_la===R2Parser.T__42 || _la===R2Parser.T__43)) {
 	            this._errHandler.recoverInline(this);
 	            }
 	            else {
 	            	this._errHandler.reportMatch(this);
 	                this.consume();
 	            }
-	            this.state = 191;
+	            this.state = 231;
 	            localctx.tf = this.term();
 	            break;
-	        case R2Parser.T__36:
-	        case R2Parser.T__37:
+	        case R2Parser.T__54:
+	        case R2Parser.T__55:
 	            localctx = new SwordWorldHumanSwordGraceModifierContext(this, localctx);
 	            this.enterOuterAlt(localctx, 3);
-	            this.state = 192;
+	            this.state = 232;
 	            localctx.dop = this._input.LT(1);
 	            _la = this._input.LA(1);
-	            if(!(_la===R2Parser.T__36 || _la===R2Parser.T__37)) {
+	            if(!(_la===R2Parser.T__54 || _la===R2Parser.T__55)) {
 	                localctx.dop = this._errHandler.recoverInline(this);
 	            }
 	            else {
@@ -1163,24 +1464,24 @@ export default class R2Parser extends antlr4.Parser {
 	        case R2Parser.T__3:
 	            localctx = new SwordWorldRollModifierContext(this, localctx);
 	            this.enterOuterAlt(localctx, 4);
-	            this.state = 193;
+	            this.state = 233;
 	            this.match(R2Parser.T__3);
-	            this.state = 198;
+	            this.state = 238;
 	            this._errHandler.sync(this);
 	            _la = this._input.LA(1);
-	            if(_la===R2Parser.T__17 || _la===R2Parser.T__18 || ((((_la - 53)) & ~0x1f) == 0 && ((1 << (_la - 53)) & ((1 << (R2Parser.T__52 - 53)) | (1 << (R2Parser.INT - 53)) | (1 << (R2Parser.VAR - 53)))) !== 0)) {
-	                this.state = 195;
+	            if(_la===R2Parser.T__23 || _la===R2Parser.T__24 || ((((_la - 69)) & ~0x1f) == 0 && ((1 << (_la - 69)) & ((1 << (R2Parser.T__68 - 69)) | (1 << (R2Parser.INT - 69)) | (1 << (R2Parser.FUNCTION - 69)) | (1 << (R2Parser.VAR - 69)))) !== 0)) {
+	                this.state = 235;
 	                this._errHandler.sync(this);
 	                _la = this._input.LA(1);
-	                if(((((_la - 53)) & ~0x1f) == 0 && ((1 << (_la - 53)) & ((1 << (R2Parser.T__52 - 53)) | (1 << (R2Parser.INT - 53)) | (1 << (R2Parser.VAR - 53)))) !== 0)) {
-	                    this.state = 194;
+	                if(((((_la - 69)) & ~0x1f) == 0 && ((1 << (_la - 69)) & ((1 << (R2Parser.T__68 - 69)) | (1 << (R2Parser.INT - 69)) | (1 << (R2Parser.FUNCTION - 69)) | (1 << (R2Parser.VAR - 69)))) !== 0)) {
+	                    this.state = 234;
 	                    localctx.td = this.term();
 	                }
 
-	                this.state = 197;
+	                this.state = 237;
 	                localctx.dop = this._input.LT(1);
 	                _la = this._input.LA(1);
-	                if(!(_la===R2Parser.T__17 || _la===R2Parser.T__18)) {
+	                if(!(_la===R2Parser.T__23 || _la===R2Parser.T__24)) {
 	                    localctx.dop = this._errHandler.recoverInline(this);
 	                }
 	                else {
@@ -1189,25 +1490,25 @@ export default class R2Parser extends antlr4.Parser {
 	                }
 	            }
 
-	            this.state = 202;
+	            this.state = 242;
 	            this._errHandler.sync(this);
 	            _la = this._input.LA(1);
-	            if(_la===R2Parser.T__15 || _la===R2Parser.T__16) {
-	                this.state = 200;
+	            if(_la===R2Parser.T__14 || _la===R2Parser.T__15) {
+	                this.state = 240;
 	                localctx.mop = this._input.LT(1);
 	                _la = this._input.LA(1);
-	                if(!(_la===R2Parser.T__15 || _la===R2Parser.T__16)) {
+	                if(!(_la===R2Parser.T__14 || _la===R2Parser.T__15)) {
 	                    localctx.mop = this._errHandler.recoverInline(this);
 	                }
 	                else {
 	                	this._errHandler.reportMatch(this);
 	                    this.consume();
 	                }
-	                this.state = 201;
+	                this.state = 241;
 	                localctx.tm = this.term();
 	            }
 
-	            this.state = 204;
+	            this.state = 244;
 	            this.match(R2Parser.T__4);
 	            break;
 	        default:
@@ -1230,112 +1531,112 @@ export default class R2Parser extends antlr4.Parser {
 
 	targetNumberAndRaiseStep() {
 	    let localctx = new TargetNumberAndRaiseStepContext(this, this._ctx, this.state);
-	    this.enterRule(localctx, 22, R2Parser.RULE_targetNumberAndRaiseStep);
+	    this.enterRule(localctx, 26, R2Parser.RULE_targetNumberAndRaiseStep);
 	    var _la = 0; // Token type
 	    try {
-	        this.state = 226;
+	        this.state = 266;
 	        this._errHandler.sync(this);
 	        switch(this._input.LA(1)) {
-	        case R2Parser.T__38:
-	        case R2Parser.T__39:
+	        case R2Parser.T__56:
+	        case R2Parser.T__57:
 	            this.enterOuterAlt(localctx, 1);
-	            this.state = 207;
+	            this.state = 247;
 	            _la = this._input.LA(1);
-	            if(!(_la===R2Parser.T__38 || _la===R2Parser.T__39)) {
+	            if(!(_la===R2Parser.T__56 || _la===R2Parser.T__57)) {
 	            this._errHandler.recoverInline(this);
 	            }
 	            else {
 	            	this._errHandler.reportMatch(this);
 	                this.consume();
 	            }
-	            this.state = 208;
+	            this.state = 248;
 	            localctx.tnr = this.term();
 	            break;
-	        case R2Parser.T__40:
-	        case R2Parser.T__41:
+	        case R2Parser.T__58:
+	        case R2Parser.T__59:
 	            this.enterOuterAlt(localctx, 2);
-	            this.state = 209;
+	            this.state = 249;
 	            _la = this._input.LA(1);
-	            if(!(_la===R2Parser.T__40 || _la===R2Parser.T__41)) {
+	            if(!(_la===R2Parser.T__58 || _la===R2Parser.T__59)) {
 	            this._errHandler.recoverInline(this);
 	            }
 	            else {
 	            	this._errHandler.reportMatch(this);
 	                this.consume();
 	            }
-	            this.state = 210;
+	            this.state = 250;
 	            localctx.tt = this.term();
-	            this.state = 213;
+	            this.state = 253;
 	            this._errHandler.sync(this);
-	            var la_ = this._interp.adaptivePredict(this._input,30,this._ctx);
+	            var la_ = this._interp.adaptivePredict(this._input,36,this._ctx);
 	            if(la_===1) {
-	                this.state = 211;
+	                this.state = 251;
 	                _la = this._input.LA(1);
-	                if(!(_la===R2Parser.T__42 || _la===R2Parser.T__43)) {
+	                if(!(_la===R2Parser.T__46 || _la===R2Parser.T__47)) {
 	                this._errHandler.recoverInline(this);
 	                }
 	                else {
 	                	this._errHandler.reportMatch(this);
 	                    this.consume();
 	                }
-	                this.state = 212;
+	                this.state = 252;
 	                localctx.tr = this.term();
 
 	            }
 	            break;
-	        case R2Parser.T__42:
-	        case R2Parser.T__43:
+	        case R2Parser.T__46:
+	        case R2Parser.T__47:
 	            this.enterOuterAlt(localctx, 3);
-	            this.state = 215;
+	            this.state = 255;
 	            _la = this._input.LA(1);
-	            if(!(_la===R2Parser.T__42 || _la===R2Parser.T__43)) {
+	            if(!(_la===R2Parser.T__46 || _la===R2Parser.T__47)) {
 	            this._errHandler.recoverInline(this);
 	            }
 	            else {
 	            	this._errHandler.reportMatch(this);
 	                this.consume();
 	            }
-	            this.state = 216;
+	            this.state = 256;
 	            localctx.tr = this.term();
-	            this.state = 219;
+	            this.state = 259;
 	            this._errHandler.sync(this);
-	            var la_ = this._interp.adaptivePredict(this._input,31,this._ctx);
+	            var la_ = this._interp.adaptivePredict(this._input,37,this._ctx);
 	            if(la_===1) {
-	                this.state = 217;
+	                this.state = 257;
 	                _la = this._input.LA(1);
-	                if(!(_la===R2Parser.T__40 || _la===R2Parser.T__41)) {
+	                if(!(_la===R2Parser.T__58 || _la===R2Parser.T__59)) {
 	                this._errHandler.recoverInline(this);
 	                }
 	                else {
 	                	this._errHandler.reportMatch(this);
 	                    this.consume();
 	                }
-	                this.state = 218;
+	                this.state = 258;
 	                localctx.tt = this.term();
 
 	            }
 	            break;
-	        case R2Parser.T__44:
-	        case R2Parser.T__45:
+	        case R2Parser.T__60:
+	        case R2Parser.T__61:
 	            this.enterOuterAlt(localctx, 4);
-	            this.state = 221;
+	            this.state = 261;
 	            _la = this._input.LA(1);
-	            if(!(_la===R2Parser.T__44 || _la===R2Parser.T__45)) {
+	            if(!(_la===R2Parser.T__60 || _la===R2Parser.T__61)) {
 	            this._errHandler.recoverInline(this);
 	            }
 	            else {
 	            	this._errHandler.reportMatch(this);
 	                this.consume();
 	            }
-	            this.state = 222;
+	            this.state = 262;
 	            localctx.tgtn = this.term();
-	            this.state = 224;
+	            this.state = 264;
 	            this._errHandler.sync(this);
-	            var la_ = this._interp.adaptivePredict(this._input,32,this._ctx);
+	            var la_ = this._interp.adaptivePredict(this._input,38,this._ctx);
 	            if(la_===1) {
-	                this.state = 223;
+	                this.state = 263;
 	                _la = this._input.LA(1);
-	                if(!(_la===R2Parser.T__15 || _la===R2Parser.T__16)) {
+	                if(!(_la===R2Parser.T__14 || _la===R2Parser.T__15)) {
 	                this._errHandler.recoverInline(this);
 	                }
 	                else {
@@ -1365,21 +1666,21 @@ export default class R2Parser extends antlr4.Parser {
 
 	additiveModifier() {
 	    let localctx = new AdditiveModifierContext(this, this._ctx, this.state);
-	    this.enterRule(localctx, 24, R2Parser.RULE_additiveModifier);
+	    this.enterRule(localctx, 28, R2Parser.RULE_additiveModifier);
 	    var _la = 0; // Token type
 	    try {
 	        this.enterOuterAlt(localctx, 1);
-	        this.state = 228;
+	        this.state = 268;
 	        localctx.op = this._input.LT(1);
 	        _la = this._input.LA(1);
-	        if(!(_la===R2Parser.T__15 || _la===R2Parser.T__16)) {
+	        if(!(_la===R2Parser.T__14 || _la===R2Parser.T__15)) {
 	            localctx.op = this._errHandler.recoverInline(this);
 	        }
 	        else {
 	        	this._errHandler.reportMatch(this);
 	            this.consume();
 	        }
-	        this.state = 229;
+	        this.state = 269;
 	        localctx.em = this.expression(0);
 	    } catch (re) {
 	    	if(re instanceof antlr4.error.RecognitionException) {
@@ -1398,21 +1699,21 @@ export default class R2Parser extends antlr4.Parser {
 
 	fudgeRoll() {
 	    let localctx = new FudgeRollContext(this, this._ctx, this.state);
-	    this.enterRule(localctx, 26, R2Parser.RULE_fudgeRoll);
+	    this.enterRule(localctx, 30, R2Parser.RULE_fudgeRoll);
 	    var _la = 0; // Token type
 	    try {
 	        this.enterOuterAlt(localctx, 1);
-	        this.state = 232;
+	        this.state = 272;
 	        this._errHandler.sync(this);
 	        _la = this._input.LA(1);
-	        if(((((_la - 53)) & ~0x1f) == 0 && ((1 << (_la - 53)) & ((1 << (R2Parser.T__52 - 53)) | (1 << (R2Parser.INT - 53)) | (1 << (R2Parser.VAR - 53)))) !== 0)) {
-	            this.state = 231;
+	        if(((((_la - 69)) & ~0x1f) == 0 && ((1 << (_la - 69)) & ((1 << (R2Parser.T__68 - 69)) | (1 << (R2Parser.INT - 69)) | (1 << (R2Parser.FUNCTION - 69)) | (1 << (R2Parser.VAR - 69)))) !== 0)) {
+	            this.state = 271;
 	            localctx.t = this.term();
 	        }
 
-	        this.state = 234;
+	        this.state = 274;
 	        _la = this._input.LA(1);
-	        if(!(((((_la - 47)) & ~0x1f) == 0 && ((1 << (_la - 47)) & ((1 << (R2Parser.T__46 - 47)) | (1 << (R2Parser.T__47 - 47)) | (1 << (R2Parser.T__48 - 47)))) !== 0))) {
+	        if(!(((((_la - 63)) & ~0x1f) == 0 && ((1 << (_la - 63)) & ((1 << (R2Parser.T__62 - 63)) | (1 << (R2Parser.T__63 - 63)) | (1 << (R2Parser.T__64 - 63)))) !== 0))) {
 	        this._errHandler.recoverInline(this);
 	        }
 	        else {
@@ -1436,21 +1737,21 @@ export default class R2Parser extends antlr4.Parser {
 
 	carcosaRoll() {
 	    let localctx = new CarcosaRollContext(this, this._ctx, this.state);
-	    this.enterRule(localctx, 28, R2Parser.RULE_carcosaRoll);
+	    this.enterRule(localctx, 32, R2Parser.RULE_carcosaRoll);
 	    var _la = 0; // Token type
 	    try {
 	        this.enterOuterAlt(localctx, 1);
-	        this.state = 237;
+	        this.state = 277;
 	        this._errHandler.sync(this);
 	        _la = this._input.LA(1);
-	        if(((((_la - 53)) & ~0x1f) == 0 && ((1 << (_la - 53)) & ((1 << (R2Parser.T__52 - 53)) | (1 << (R2Parser.INT - 53)) | (1 << (R2Parser.VAR - 53)))) !== 0)) {
-	            this.state = 236;
+	        if(((((_la - 69)) & ~0x1f) == 0 && ((1 << (_la - 69)) & ((1 << (R2Parser.T__68 - 69)) | (1 << (R2Parser.INT - 69)) | (1 << (R2Parser.FUNCTION - 69)) | (1 << (R2Parser.VAR - 69)))) !== 0)) {
+	            this.state = 276;
 	            localctx.t = this.term();
 	        }
 
-	        this.state = 239;
+	        this.state = 279;
 	        _la = this._input.LA(1);
-	        if(!(((((_la - 50)) & ~0x1f) == 0 && ((1 << (_la - 50)) & ((1 << (R2Parser.T__49 - 50)) | (1 << (R2Parser.T__50 - 50)) | (1 << (R2Parser.T__51 - 50)))) !== 0))) {
+	        if(!(((((_la - 66)) & ~0x1f) == 0 && ((1 << (_la - 66)) & ((1 << (R2Parser.T__65 - 66)) | (1 << (R2Parser.T__66 - 66)) | (1 << (R2Parser.T__67 - 66)))) !== 0))) {
 	        this._errHandler.recoverInline(this);
 	        }
 	        else {
@@ -1474,15 +1775,15 @@ export default class R2Parser extends antlr4.Parser {
 
 	wegD6Roll() {
 	    let localctx = new WegD6RollContext(this, this._ctx, this.state);
-	    this.enterRule(localctx, 30, R2Parser.RULE_wegD6Roll);
+	    this.enterRule(localctx, 34, R2Parser.RULE_wegD6Roll);
 	    var _la = 0; // Token type
 	    try {
 	        this.enterOuterAlt(localctx, 1);
-	        this.state = 241;
+	        this.state = 281;
 	        localctx.t = this.term();
-	        this.state = 242;
+	        this.state = 282;
 	        _la = this._input.LA(1);
-	        if(!(_la===R2Parser.T__30 || _la===R2Parser.T__31)) {
+	        if(!(_la===R2Parser.T__48 || _la===R2Parser.T__49)) {
 	        this._errHandler.recoverInline(this);
 	        }
 	        else {
@@ -1506,41 +1807,63 @@ export default class R2Parser extends antlr4.Parser {
 
 	term() {
 	    let localctx = new TermContext(this, this._ctx, this.state);
-	    this.enterRule(localctx, 32, R2Parser.RULE_term);
+	    this.enterRule(localctx, 36, R2Parser.RULE_term);
 	    var _la = 0; // Token type
 	    try {
-	        this.state = 253;
+	        this.state = 304;
 	        this._errHandler.sync(this);
 	        switch(this._input.LA(1)) {
 	        case R2Parser.INT:
 	            localctx = new IntTermContext(this, localctx);
 	            this.enterOuterAlt(localctx, 1);
-	            this.state = 244;
+	            this.state = 284;
 	            localctx.i = this.match(R2Parser.INT);
 	            break;
 	        case R2Parser.VAR:
 	            localctx = new VarTermContext(this, localctx);
 	            this.enterOuterAlt(localctx, 2);
-	            this.state = 245;
+	            this.state = 285;
 	            localctx.v = this.match(R2Parser.VAR);
 	            break;
-	        case R2Parser.T__52:
+	        case R2Parser.T__68:
 	            localctx = new ExprTermContext(this, localctx);
 	            this.enterOuterAlt(localctx, 3);
-	            this.state = 246;
-	            this.match(R2Parser.T__52);
-	            this.state = 248;
+	            this.state = 286;
+	            this.match(R2Parser.T__68);
+	            this.state = 288;
 	            this._errHandler.sync(this);
 	            _la = this._input.LA(1);
 	            if(_la===R2Parser.STRING) {
-	                this.state = 247;
+	                this.state = 287;
 	                localctx.comment = this.match(R2Parser.STRING);
 	            }
 
-	            this.state = 250;
+	            this.state = 290;
 	            localctx.e = this.expression(0);
-	            this.state = 251;
-	            this.match(R2Parser.T__53);
+	            this.state = 291;
+	            this.match(R2Parser.T__69);
+	            break;
+	        case R2Parser.FUNCTION:
+	            localctx = new FunctionTermContext(this, localctx);
+	            this.enterOuterAlt(localctx, 4);
+	            this.state = 293;
+	            localctx.fn = this.match(R2Parser.FUNCTION);
+	            this.state = 294;
+	            this.expression(0);
+	            this.state = 299;
+	            this._errHandler.sync(this);
+	            _la = this._input.LA(1);
+	            while(_la===R2Parser.T__70) {
+	                this.state = 295;
+	                this.match(R2Parser.T__70);
+	                this.state = 296;
+	                this.expression(0);
+	                this.state = 301;
+	                this._errHandler.sync(this);
+	                _la = this._input.LA(1);
+	            }
+	            this.state = 302;
+	            this.match(R2Parser.T__69);
 	            break;
 	        default:
 	            throw new antlr4.error.NoViableAltException(this);
@@ -1617,29 +1940,49 @@ R2Parser.T__50 = 51;
 R2Parser.T__51 = 52;
 R2Parser.T__52 = 53;
 R2Parser.T__53 = 54;
-R2Parser.INT = 55;
-R2Parser.STRING = 56;
-R2Parser.WS = 57;
-R2Parser.FLAG = 58;
-R2Parser.VAR = 59;
+R2Parser.T__54 = 55;
+R2Parser.T__55 = 56;
+R2Parser.T__56 = 57;
+R2Parser.T__57 = 58;
+R2Parser.T__58 = 59;
+R2Parser.T__59 = 60;
+R2Parser.T__60 = 61;
+R2Parser.T__61 = 62;
+R2Parser.T__62 = 63;
+R2Parser.T__63 = 64;
+R2Parser.T__64 = 65;
+R2Parser.T__65 = 66;
+R2Parser.T__66 = 67;
+R2Parser.T__67 = 68;
+R2Parser.T__68 = 69;
+R2Parser.T__69 = 70;
+R2Parser.T__70 = 71;
+R2Parser.INT = 72;
+R2Parser.FUNCTION = 73;
+R2Parser.STRING = 74;
+R2Parser.WS = 75;
+R2Parser.FLAG = 76;
+R2Parser.VAR = 77;
 
 R2Parser.RULE_commandElement = 0;
 R2Parser.RULE_statement = 1;
 R2Parser.RULE_batchElement = 2;
 R2Parser.RULE_expression = 3;
-R2Parser.RULE_genericRoll = 4;
-R2Parser.RULE_dieFacetsTerm = 5;
-R2Parser.RULE_genericRollSuffix = 6;
-R2Parser.RULE_savageWorldsRoll = 7;
-R2Parser.RULE_savageWorldsExtrasRoll = 8;
-R2Parser.RULE_swordWorldPowerRoll = 9;
-R2Parser.RULE_swordWorldPowerRollModifier = 10;
-R2Parser.RULE_targetNumberAndRaiseStep = 11;
-R2Parser.RULE_additiveModifier = 12;
-R2Parser.RULE_fudgeRoll = 13;
-R2Parser.RULE_carcosaRoll = 14;
-R2Parser.RULE_wegD6Roll = 15;
-R2Parser.RULE_term = 16;
+R2Parser.RULE_conditionalBranch = 4;
+R2Parser.RULE_genericRoll = 5;
+R2Parser.RULE_explodeModifier = 6;
+R2Parser.RULE_dieFacetsTerm = 7;
+R2Parser.RULE_genericRollSuffix = 8;
+R2Parser.RULE_savageWorldsRoll = 9;
+R2Parser.RULE_savageWorldsExtrasRoll = 10;
+R2Parser.RULE_swordWorldPowerRoll = 11;
+R2Parser.RULE_swordWorldPowerRollModifier = 12;
+R2Parser.RULE_targetNumberAndRaiseStep = 13;
+R2Parser.RULE_additiveModifier = 14;
+R2Parser.RULE_fudgeRoll = 15;
+R2Parser.RULE_carcosaRoll = 16;
+R2Parser.RULE_wegD6Roll = 17;
+R2Parser.RULE_term = 18;
 
 class CommandElementContext extends antlr4.ParserRuleContext {
 
@@ -2129,19 +2472,65 @@ class SwordWorldPowerRollExprContext extends ExpressionContext {
 
 	enterRule(listener) {
 	    if(listener instanceof R2Listener ) {
-	        listener.enterSwordWorldPowerRollExpr(this);
+	        listener.enterSwordWorldPowerRollExpr(this);
+		}
+	}
+
+	exitRule(listener) {
+	    if(listener instanceof R2Listener ) {
+	        listener.exitSwordWorldPowerRollExpr(this);
+		}
+	}
+
+	accept(visitor) {
+	    if ( visitor instanceof R2Visitor ) {
+	        return visitor.visitSwordWorldPowerRollExpr(this);
+	    } else {
+	        return visitor.visitChildren(this);
+	    }
+	}
+
+
+}
+
+R2Parser.SwordWorldPowerRollExprContext = SwordWorldPowerRollExprContext;
+
+class InfixExpr2Context extends ExpressionContext {
+
+    constructor(parser, ctx) {
+        super(parser);
+        this.e1 = null; // ExpressionContext;
+        this.op = null; // Token;
+        this.e2 = null; // ExpressionContext;
+        super.copyFrom(ctx);
+    }
+
+	expression = function(i) {
+	    if(i===undefined) {
+	        i = null;
+	    }
+	    if(i===null) {
+	        return this.getTypedRuleContexts(ExpressionContext);
+	    } else {
+	        return this.getTypedRuleContext(ExpressionContext,i);
+	    }
+	};
+
+	enterRule(listener) {
+	    if(listener instanceof R2Listener ) {
+	        listener.enterInfixExpr2(this);
 		}
 	}
 
 	exitRule(listener) {
 	    if(listener instanceof R2Listener ) {
-	        listener.exitSwordWorldPowerRollExpr(this);
+	        listener.exitInfixExpr2(this);
 		}
 	}
 
 	accept(visitor) {
 	    if ( visitor instanceof R2Visitor ) {
-	        return visitor.visitSwordWorldPowerRollExpr(this);
+	        return visitor.visitInfixExpr2(this);
 	    } else {
 	        return visitor.visitChildren(this);
 	    }
@@ -2150,9 +2539,9 @@ class SwordWorldPowerRollExprContext extends ExpressionContext {
 
 }
 
-R2Parser.SwordWorldPowerRollExprContext = SwordWorldPowerRollExprContext;
+R2Parser.InfixExpr2Context = InfixExpr2Context;
 
-class InfixExpr2Context extends ExpressionContext {
+class ComparisonExprContext extends ExpressionContext {
 
     constructor(parser, ctx) {
         super(parser);
@@ -2175,19 +2564,19 @@ class InfixExpr2Context extends ExpressionContext {
 
 	enterRule(listener) {
 	    if(listener instanceof R2Listener ) {
-	        listener.enterInfixExpr2(this);
+	        listener.enterComparisonExpr(this);
 		}
 	}
 
 	exitRule(listener) {
 	    if(listener instanceof R2Listener ) {
-	        listener.exitInfixExpr2(this);
+	        listener.exitComparisonExpr(this);
 		}
 	}
 
 	accept(visitor) {
 	    if ( visitor instanceof R2Visitor ) {
-	        return visitor.visitInfixExpr2(this);
+	        return visitor.visitComparisonExpr(this);
 	    } else {
 	        return visitor.visitChildren(this);
 	    }
@@ -2196,7 +2585,7 @@ class InfixExpr2Context extends ExpressionContext {
 
 }
 
-R2Parser.InfixExpr2Context = InfixExpr2Context;
+R2Parser.ComparisonExprContext = ComparisonExprContext;
 
 class InfixExpr1Context extends ExpressionContext {
 
@@ -2483,6 +2872,105 @@ class BoundedExprContext extends ExpressionContext {
 
 R2Parser.BoundedExprContext = BoundedExprContext;
 
+class ConditionalExprContext extends ExpressionContext {
+
+    constructor(parser, ctx) {
+        super(parser);
+        this.e1 = null; // ExpressionContext;
+        this.b1 = null; // ConditionalBranchContext;
+        this.b2 = null; // ConditionalBranchContext;
+        super.copyFrom(ctx);
+    }
+
+	expression() {
+	    return this.getTypedRuleContext(ExpressionContext,0);
+	};
+
+	conditionalBranch = function(i) {
+	    if(i===undefined) {
+	        i = null;
+	    }
+	    if(i===null) {
+	        return this.getTypedRuleContexts(ConditionalBranchContext);
+	    } else {
+	        return this.getTypedRuleContext(ConditionalBranchContext,i);
+	    }
+	};
+
+	enterRule(listener) {
+	    if(listener instanceof R2Listener ) {
+	        listener.enterConditionalExpr(this);
+		}
+	}
+
+	exitRule(listener) {
+	    if(listener instanceof R2Listener ) {
+	        listener.exitConditionalExpr(this);
+		}
+	}
+
+	accept(visitor) {
+	    if ( visitor instanceof R2Visitor ) {
+	        return visitor.visitConditionalExpr(this);
+	    } else {
+	        return visitor.visitChildren(this);
+	    }
+	}
+
+
+}
+
+R2Parser.ConditionalExprContext = ConditionalExprContext;
+
+class ConditionalBranchContext extends antlr4.ParserRuleContext {
+
+    constructor(parser, parent, invokingState) {
+        if(parent===undefined) {
+            parent = null;
+        }
+        if(invokingState===undefined || invokingState===null) {
+            invokingState = -1;
+        }
+        super(parent, invokingState);
+        this.parser = parser;
+        this.ruleIndex = R2Parser.RULE_conditionalBranch;
+        this.label = null; // Token
+        this.e = null; // ExpressionContext
+    }
+
+	STRING() {
+	    return this.getToken(R2Parser.STRING, 0);
+	};
+
+	expression() {
+	    return this.getTypedRuleContext(ExpressionContext,0);
+	};
+
+	enterRule(listener) {
+	    if(listener instanceof R2Listener ) {
+	        listener.enterConditionalBranch(this);
+		}
+	}
+
+	exitRule(listener) {
+	    if(listener instanceof R2Listener ) {
+	        listener.exitConditionalBranch(this);
+		}
+	}
+
+	accept(visitor) {
+	    if ( visitor instanceof R2Visitor ) {
+	        return visitor.visitConditionalBranch(this);
+	    } else {
+	        return visitor.visitChildren(this);
+	    }
+	}
+
+
+}
+
+
+
 class GygaxRangeRollExprContext extends ExpressionContext {
 
     constructor(parser, ctx) {
@@ -2651,13 +3139,16 @@ class GenericRollContext extends antlr4.ParserRuleContext {
         this.ruleIndex = R2Parser.RULE_genericRoll;
         this.t1 = null; // TermContext
         this.t2 = null; // DieFacetsTermContext
-        this.excl = null; // Token
     }
 
 	dieFacetsTerm() {
 	    return this.getTypedRuleContext(DieFacetsTermContext,0);
 	};
 
+	explodeModifier() {
+	    return this.getTypedRuleContext(ExplodeModifierContext,0);
+	};
+
 	genericRollSuffix() {
 	    return this.getTypedRuleContext(GenericRollSuffixContext,0);
 	};
@@ -2691,6 +3182,52 @@ class GenericRollContext extends antlr4.ParserRuleContext {
 
 
 
+class ExplodeModifierContext extends antlr4.ParserRuleContext {
+
+    constructor(parser, parent, invokingState) {
+        if(parent===undefined) {
+            parent = null;
+        }
+        if(invokingState===undefined || invokingState===null) {
+            invokingState = -1;
+        }
+        super(parent, invokingState);
+        this.parser = parser;
+        this.ruleIndex = R2Parser.RULE_explodeModifier;
+        this.op = null;
+        this.cop = null;
+        this.ct = null;
+    }
+
+	term() {
+	    return this.getTypedRuleContext(TermContext,0);
+	};
+
+	enterRule(listener) {
+	    if(listener instanceof R2Listener ) {
+	        listener.enterExplodeModifier(this);
+		}
+	}
+
+	exitRule(listener) {
+	    if(listener instanceof R2Listener ) {
+	        listener.exitExplodeModifier(this);
+		}
+	}
+
+	accept(visitor) {
+	    if ( visitor instanceof R2Visitor ) {
+	        return visitor.visitExplodeModifier(this);
+	    } else {
+	        return visitor.visitChildren(this);
+	    }
+	}
+
+
+}
+
+
+
 class DieFacetsTermContext extends antlr4.ParserRuleContext {
 
     constructor(parser, parent, invokingState) {
@@ -2793,6 +3330,45 @@ class TargetNumberAndRaiseStepSuffixContext extends GenericRollSuffixContext {
 
 R2Parser.TargetNumberAndRaiseStepSuffixContext = TargetNumberAndRaiseStepSuffixContext;
 
+class RerollSuffixContext extends GenericRollSuffixContext {
+
+    constructor(parser, ctx) {
+        super(parser);
+        this.rop = null; // Token;
+        this.cop = null; // Token;
+        this.rt = null; // TermContext;
+        super.copyFrom(ctx);
+    }
+
+	term() {
+	    return this.getTypedRuleContext(TermContext,0);
+	};
+
+	enterRule(listener) {
+	    if(listener instanceof R2Listener ) {
+	        listener.enterRerollSuffix(this);
+		}
+	}
+
+	exitRule(listener) {
+	    if(listener instanceof R2Listener ) {
+	        listener.exitRerollSuffix(this);
+		}
+	}
+
+	accept(visitor) {
+	    if ( visitor instanceof R2Visitor ) {
+	        return visitor.visitRerollSuffix(this);
+	    } else {
+	        return visitor.visitChildren(this);
+	    }
+	}
+
+
+}
+
+R2Parser.RerollSuffixContext = RerollSuffixContext;
+
 class RollAndKeepSuffixContext extends GenericRollSuffixContext {
 
     constructor(parser, ctx) {
@@ -2831,6 +3407,53 @@ class RollAndKeepSuffixContext extends GenericRollSuffixContext {
 
 R2Parser.RollAndKeepSuffixContext = RollAndKeepSuffixContext;
 
+class RollAndDropSuffixContext extends GenericRollSuffixContext {
+
+    constructor(parser, ctx) {
+        super(parser);
+        this.op = null; // Token;
+        this.n = null; // TermContext;
+        this.op2 = null; // Token;
+        this.n2 = null; // TermContext;
+        super.copyFrom(ctx);
+    }
+
+	term = function(i) {
+	    if(i===undefined) {
+	        i = null;
+	    }
+	    if(i===null) {
+	        return this.getTypedRuleContexts(TermContext);
+	    } else {
+	        return this.getTypedRuleContext(TermContext,i);
+	    }
+	};
+
+	enterRule(listener) {
+	    if(listener instanceof R2Listener ) {
+	        listener.enterRollAndDropSuffix(this);
+		}
+	}
+
+	exitRule(listener) {
+	    if(listener instanceof R2Listener ) {
+	        listener.exitRollAndDropSuffix(this);
+		}
+	}
+
+	accept(visitor) {
+	    if ( visitor instanceof R2Visitor ) {
+	        return visitor.visitRollAndDropSuffix(this);
+	    } else {
+	        return visitor.visitChildren(this);
+	    }
+	}
+
+
+}
+
+R2Parser.RollAndDropSuffixContext = RollAndDropSuffixContext;
+
 class SuccessOrFailSuffix1Context extends GenericRollSuffixContext {
 
     constructor(parser, ctx) {
@@ -3559,6 +4182,54 @@ class ExprTermContext extends TermContext {
 
 R2Parser.ExprTermContext = ExprTermContext;
 
+class FunctionTermContext extends TermContext {
+
+    constructor(parser, ctx) {
+        super(parser);
+        this.fn = null; // Token;
+        super.copyFrom(ctx);
+    }
+
+	expression = function(i) {
+	    if(i===undefined) {
+	        i = null;
+	    }
+	    if(i===null) {
+	        return this.getTypedRuleContexts(ExpressionContext);
+	    } else {
+	        return this.getTypedRuleContext(ExpressionContext,i);
+	    }
+	};
+
+	FUNCTION() {
+	    return this.getToken(R2Parser.FUNCTION, 0);
+	};
+
+	enterRule(listener) {
+	    if(listener instanceof R2Listener ) {
+	        listener.enterFunctionTerm(this);
+		}
+	}
+
+	exitRule(listener) {
+	    if(listener instanceof R2Listener ) {
+	        listener.exitFunctionTerm(this);
+		}
+	}
+
+	accept(visitor) {
+	    if ( visitor instanceof R2Visitor ) {
+	        return visitor.visitFunctionTerm(this);
+	    } else {
+	        return visitor.visitChildren(this);
+	    }
+	}
+
+
+}
+
+R2Parser.FunctionTermContext = FunctionTermContext;
+
 class IntTermContext extends TermContext {
 
     constructor(parser, ctx) {
@@ -3638,7 +4309,9 @@ R2Parser.CommandElementContext = CommandElementContext;
 R2Parser.StatementContext = StatementContext; 
 R2Parser.BatchElementContext = BatchElementContext; 
 R2Parser.ExpressionContext = ExpressionContext; 
+R2Parser.ConditionalBranchContext = ConditionalBranchContext; 
 R2Parser.GenericRollContext = GenericRollContext; 
+R2Parser.ExplodeModifierContext = ExplodeModifierContext; 
 R2Parser.DieFacetsTermContext = DieFacetsTermContext; 
 R2Parser.GenericRollSuffixContext = GenericRollSuffixContext; 
 R2Parser.SavageWorldsRollContext = SavageWorldsRollContext; 
@@ -78,6 +78,12 @@ export default class R2Visitor extends antlr4.tree.ParseTreeVisitor {
 	}
 
 
+	// Visit a parse tree produced by R2Parser#ComparisonExpr.
+	visitComparisonExpr(ctx) {
+	  return this.visitChildren(ctx);
+	}
+
+
 	// Visit a parse tree produced by R2Parser#InfixExpr1.
 	visitInfixExpr1(ctx) {
 	  return this.visitChildren(ctx);
@@ -120,6 +126,18 @@ export default class R2Visitor extends antlr4.tree.ParseTreeVisitor {
 	}
 
 
+	// Visit a parse tree produced by R2Parser#ConditionalExpr.
+	visitConditionalExpr(ctx) {
+	  return this.visitChildren(ctx);
+	}
+
+
+	// Visit a parse tree produced by R2Parser#conditionalBranch.
+	visitConditionalBranch(ctx) {
+	  return this.visitChildren(ctx);
+	}
+
+
 	// Visit a parse tree produced by R2Parser#GygaxRangeRollExpr.
 	visitGygaxRangeRollExpr(ctx) {
 	  return this.visitChildren(ctx);
@@ -150,6 +168,12 @@ export default class R2Visitor extends antlr4.tree.ParseTreeVisitor {
 	}
 
 
+	// Visit a parse tree produced by R2Parser#explodeModifier.
+	visitExplodeModifier(ctx) {
+	  return this.visitChildren(ctx);
+	}
+
+
 	// Visit a parse tree produced by R2Parser#dieFacetsTerm.
 	visitDieFacetsTerm(ctx) {
 	  return this.visitChildren(ctx);
@@ -162,6 +186,12 @@ export default class R2Visitor extends antlr4.tree.ParseTreeVisitor {
 	}
 
 
+	// Visit a parse tree produced by R2Parser#RollAndDropSuffix.
+	visitRollAndDropSuffix(ctx) {
+	  return this.visitChildren(ctx);
+	}
+
+
 	// Visit a parse tree produced by R2Parser#SuccessOrFailSuffix1.
 	visitSuccessOrFailSuffix1(ctx) {
 	  return this.visitChildren(ctx);
@@ -180,6 +210,12 @@ export default class R2Visitor extends antlr4.tree.ParseTreeVisitor {
 	}
 
 
+	// Visit a parse tree produced by R2Parser#RerollSuffix.
+	visitRerollSuffix(ctx) {
+	  return this.visitChildren(ctx);
+	}
+
+
 	// Visit a parse tree produced by R2Parser#savageWorldsRoll.
 	visitSavageWorldsRoll(ctx) {
 	  return this.visitChildren(ctx);
@@ -270,5 +306,11 @@ export default class R2Visitor extends antlr4.tree.ParseTreeVisitor {
 	}
 
 
+	// Visit a parse tree produced by R2Parser#FunctionTerm.
+	visitFunctionTerm(ctx) {
+	  return this.visitChildren(ctx);
+	}
+
+
 
 }
\ No newline at end of file
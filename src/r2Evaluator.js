@@ -15,7 +15,10 @@ import R2Lexer from './parser/R2Lexer.js';
 import R2Parser from './parser/R2Parser.js';
 import R2Visitor from './parser/R2Visitor.js';
 // Import dice rolling utilities from shared module
-import { rollDie, rollAcingDie } from './dice/regularDice.js';
+import { rollDie, rollAcingDie, rollExplodingDie, DEFAULT_MAX_ACES } from './dice/regularDice.js';
+import { defaultRandomSource } from './dice/randomSource.js';
+import { rollSwordWorldPower } from './dice/swordWorldDice.js';
+import { isCriticalFailure, findReplacedTraitDie, calculateRaises } from './dice/savageWorldsDice.js';
 
 /**
  * Base class for all roll results
@@ -40,7 +43,7 @@ export class GenericRollResult extends RollResult {
     this.dice = dice;              // Array of nested die structures (NestedRollResult)
     this.modifier = modifier;       // Numeric modifier (can be + or -)
     this.droppedDice = droppedDice; // Array of dropped dice
-    this.keepOperation = keepOperation; // 'highest', 'lowest', 'advantage', 'disadvantage'
+    this.keepOperation = keepOperation; // 'highest', 'lowest', 'advantage', 'disadvantage', 'dropLowest', 'dropHighest', 'middle'
   }
 }
 
@@ -48,7 +51,7 @@ export class GenericRollResult extends RollResult {
  * Savage Worlds wild die roll result (s8, s8+2t4r4)
  */
 export class SavageWildRollResult extends RollResult {
-  constructor(value, traitDie, wildDie, usedDie, modifier = 0, targetNumber = null, raiseInterval = null, raises = null) {
+  constructor(value, traitDie, wildDie, usedDie, modifier = 0, targetNumber = null, raiseInterval = null, raises = null, criticalFailure = false) {
     super(value);
     this.rollType = 'savageWild';
     this.traitDie = traitDie;       // Nested die structure (NestedRollResult)
@@ -58,17 +61,24 @@ export class SavageWildRollResult extends RollResult {
     this.targetNumber = targetNumber;
     this.raiseInterval = raiseInterval;
     this.raises = raises;           // {success, raises, margin, description}
+    this.criticalFailure = criticalFailure; // Snake eyes - trait and wild die both rolled 1
   }
 }
 
 /**
  * Multiple rolls (2xs8+2t4r4)
+ * Savage Worlds multi-die trait rolls (2s8) also carry their shared Wild Die
  */
 export class MultipleRollsResult extends RollResult {
-  constructor(value, rolls, modifier = 0, targetNumber = null, raiseInterval = null) {
+  constructor(value, rolls, modifier = 0, targetNumber = null, raiseInterval = null, sharedWild = null) {
     super(value);
     this.rollType = 'multiple';
     this.rolls = rolls;             // Array of SavageWildRollResult or GenericRollResult
+    if (sharedWild) {
+      this.wildDie = sharedWild.wildDie;               // Single Wild Die rolled for all trait dice
+      this.replacedIndex = sharedWild.replacedIndex;   // Trait die replaced by the Wild Die, or null
+      this.criticalFailure = sharedWild.criticalFailure;
+    }
   }
 }
 
@@ -103,15 +113,116 @@ export class SuccessFailRollResult extends RollResult {
   }
 }
 
+/**
+ * Carcosa roll result (dC, 3dC)
+ * The die type is rolled first (d6 on the Carcosa die table), then all dice use that type
+ */
+export class CarcosaRollResult extends RollResult {
+  constructor(value, dieTypeRoll, sides, dice, modifier = null) {
+    super(value);
+    this.rollType = 'carcosa';
+    this.dieTypeRoll = dieTypeRoll; // d6 result that selected the die type
+    this.sides = sides;             // Selected die type (4, 6, 8, 10, 12 or 20)
+    this.dice = dice;               // Array of nested die structures (NestedRollResult)
+    this.modifier = modifier;       // Numeric modifier (can be + or -)
+  }
+}
+
+/**
+ * Sword World 2.x power roll result (p20, p30c9h, p10[1d+2])
+ */
+export class SwordWorldPowerRollResult extends RollResult {
+  constructor(value, power, rolls, critical, autoFail, autoFailed, humanSwordGrace = false, modifier = null) {
+    super(value);
+    this.rollType = 'swordWorldPower';
+    this.power = power;                     // Power (0-100)
+    this.rolls = rolls;                     // Array of {dice, flipped, natural, result, value, autoFail}
+    this.critical = critical;               // Critical value (13 = no critical)
+    this.autoFail = autoFail;               // Automatic failure threshold
+    this.autoFailed = autoFailed;           // First roll was an automatic failure
+    this.humanSwordGrace = humanSwordGrace; // First roll flipped with the Human Sword Grace
+    this.modifier = modifier;               // Numeric modifier added after the table lookup
+  }
+}
+
+/**
+ * Comparison result (2d6 >= 8, (s8t4) > 0)
+ * Worth 1 when true and 0 when false, so comparisons can be added up
+ */
+export class ComparisonRollResult extends RollResult {
+  constructor(passed, left, right, operator) {
+    super(passed ? 1 : 0);
+    this.rollType = 'comparison';
+    this.passed = passed;     // Whether the comparison holds
+    this.left = left;         // Result of the left expression
+    this.right = right;       // Result of the right expression
+    this.operator = operator; // '>', '<', '>=', '<=' or '=='
+  }
+}
+
+/**
+ * Conditional result (2d6 >= 8 ? "hit" : "miss", d6 > 4 ? 2d6 : d6)
+ * A label branch is worth 1 when the condition holds and 0 otherwise, an expression branch its own value
+ */
+export class ConditionalRollResult extends RollResult {
+  constructor(value, condition, label = null, branch = null) {
+    super(value);
+    this.rollType = 'conditional';
+    this.condition = condition; // Result of the condition (true when not 0)
+    this.label = label;         // Chosen label (or the label of a nested conditional branch)
+    this.branch = branch;       // Result of the chosen expression branch, null for a label
+  }
+}
+
+/**
+ * Built-in function result (max(2d6, 2d6), floor(@str/2))
+ */
+export class FunctionCallResult extends RollResult {
+  constructor(value, name, args, modifier = null, exactArgs = false) {
+    super(value);
+    this.rollType = 'function';
+    this.name = name;           // Function name (min, max, abs, floor, ceil, round)
+    this.args = args;           // Results of the arguments, with their dice
+    this.modifier = modifier;   // Numeric modifier added to the function value
+    this.exactArgs = exactArgs; // Whether the function worked on the exact value of its arguments
+  }
+}
+
+/**
+ * Carcosa die table - d6 result (1-6) -> die type
+ */
+const CARCOSA_DIE_TYPES = [4, 6, 8, 10, 12, 20];
+
 /**
  * R2 Expression Evaluator Visitor
  * Implements the visitor pattern for evaluating R2 dice expressions
  * Internal class - not exported, used by evaluateExpression
  */
 class R2EvaluatorVisitor extends R2Visitor {
-  constructor() {
+  /**
+   * Built-in functions by name: {minArgs, maxArgs, exact, evaluate(values)}
+   * Functions with exact set work on the exact value of an argument with a division (ceil(@str/2+1)),
+   * the others on its integer value
+   */
+  static functions = {
+    min: { minArgs: 1, maxArgs: Infinity, exact: false, evaluate: values => Math.min(...values) },
+    max: { minArgs: 1, maxArgs: Infinity, exact: false, evaluate: values => Math.max(...values) },
+    abs: { minArgs: 1, maxArgs: 1, exact: false, evaluate: ([value]) => Math.abs(value) },
+    floor: { minArgs: 1, maxArgs: 1, exact: true, evaluate: ([value]) => Math.floor(value) },
+    ceil: { minArgs: 1, maxArgs: 1, exact: true, evaluate: ([value]) => Math.ceil(value) },
+    round: { minArgs: 1, maxArgs: 1, exact: true, evaluate: ([value]) => Math.round(value) }
+  };
+
+  /**
+   * @param {object} rng - Random source used for every die rolled by this evaluation
+   * @param {number} maxAces - Most explosions of one die
+   */
+  constructor(rng = defaultRandomSource, variables = new Map(), onAssign = null, maxAces = DEFAULT_MAX_ACES) {
     super();
-    this.variables = new Map(); // Variable storage
+    this.rng = rng;
+    this.variables = variables; // Variable storage
+    this.onAssign = onAssign;
+    this.maxAces = maxAces;
   }
 
   // ========== Statement Visitors ==========
@@ -140,7 +251,7 @@ class R2EvaluatorVisitor extends R2Visitor {
 
   // Roll multiple times statement: Nx[expression]
   visitRollTimesStmt(ctx) {
-    const times = parseInt(ctx.n.getText());
+    const times = this.termValue(ctx.n);
     const rolls = [];
 
     for (let i = 0; i < times; i++) {
@@ -155,7 +266,7 @@ class R2EvaluatorVisitor extends R2Visitor {
 
   // Roll batch times: Nx[expression1; expression2; ...]
   visitRollBatchTimesStmt(ctx) {
-    const times = parseInt(ctx.n.getText());
+    const times = this.termValue(ctx.n);
     const batchElements = ctx.batchElement();
     const allResults = [];
 
@@ -174,8 +285,8 @@ class R2EvaluatorVisitor extends R2Visitor {
 
   // Savage Worlds extras roll statement: Ne6, 4e8, etc.
   visitRollSavageWorldsExtraStmt(ctx) {
-    const count = parseInt(ctx.n.getText());
-    const traitDieSize = parseInt(ctx.t1.getText());
+    const count = this.termValue(ctx.n);
+    const traitDieSize = this.termValue(ctx.t1);
 
     // Extract modifier if present
     let modifier = 0;
@@ -187,23 +298,11 @@ class R2EvaluatorVisitor extends R2Visitor {
     }
 
     // Extract target number and raise step if present
-    const tnCtx = ctx.targetNumberAndRaiseStep();
-    let targetNumber = null;
-    let raiseInterval = null;
-
-    if (tnCtx) {
-      targetNumber = tnCtx.tt ? parseInt(tnCtx.tt.getText()) : 4;
-      raiseInterval = tnCtx.tr ? parseInt(tnCtx.tr.getText()) : 4;
-      if (tnCtx.tnr) {
-        targetNumber = parseInt(tnCtx.tnr.getText());
-        raiseInterval = targetNumber;
-      }
-      if (tnCtx.tgtn) targetNumber = parseInt(tnCtx.tgtn.getText());
-    }
+    const { targetNumber, raiseInterval } = this.parseTargetNumberAndRaiseStep(ctx.targetNumberAndRaiseStep());
 
     const dice = [];
     for (let i = 0; i < count; i++) {
-      const die = rollAcingDie(traitDieSize);
+      const die = rollAcingDie(traitDieSize, this.maxAces, this.rng);
       dice.push(die);
     }
 
@@ -222,9 +321,9 @@ class R2EvaluatorVisitor extends R2Visitor {
   // IronSworn roll statement
   visitIronSwornRollStmt(ctx) {
     // IronSworn: roll 1d6 action die + modifier vs 2d10 challenge dice
-    const actionDie = rollDie(6);
-    const challenge1 = rollDie(10);
-    const challenge2 = rollDie(10);
+    const actionDie = rollDie(6, this.rng);
+    const challenge1 = rollDie(10, this.rng);
+    const challenge2 = rollDie(10, this.rng);
 
     let actionTotal = actionDie;
     if (ctx.additiveModifier()) {
@@ -261,36 +360,25 @@ class R2EvaluatorVisitor extends R2Visitor {
     return this.visit(ctx);
   }
 
-  // Generic roll: XdY[!][k/kl/adv/dis][s/f][t/r]
+  // Generic roll: XdY[!|!!|!p][>N|<N|=N][k/kl/adv/dis][dl/dh][s/f][t/r][ro/r]
   visitGenericRollExpr(ctx) {
     const rollCtx = ctx.genericRoll();
-    const count = rollCtx.t1 ? parseInt(rollCtx.t1.getText()) : 1;
-    const sidesText = rollCtx.t2.getText();
-    const sides = sidesText === '%' ? 100 : parseInt(sidesText);
-    const acing = rollCtx.excl !== null;
+    const count = rollCtx.t1 ? this.termValue(rollCtx.t1) : 1;
+    const facetsCtx = rollCtx.t2;
+    const sides = facetsCtx.term() ? this.termValue(facetsCtx.term()) : 100;
+    const explosion = this.parseExplodeModifier(rollCtx.explodeModifier(), sides);
 
     const dice = [];
 
     // Roll the dice with nested structure
     for (let i = 0; i < count; i++) {
-      if (acing) {
-        const die = rollAcingDie(sides);
-        dice.push(die);
-      } else {
-        const value = rollDie(sides);
-        dice.push({
-          value: value,
-          exploded: false,
-          nextRoll: null,
-          total: value
-        });
-      }
+      dice.push(this.rollGenericDie(sides, explosion));
     }
 
-    // Handle suffixes (keep, success/fail, target number)
+    // Handle suffixes (keep, success/fail, target number, rerolls)
     const suffix = rollCtx.genericRollSuffix();
     if (suffix) {
-      return this.applyGenericSuffix(dice, suffix, sides);
+      return this.applyGenericSuffix(dice, suffix, sides, explosion);
     }
 
     // Calculate total
@@ -302,101 +390,65 @@ class R2EvaluatorVisitor extends R2Visitor {
   // Savage Worlds roll: s8, s8w6, s12w6
   visitSavageWorldsRollExpr(ctx) {
     const rollCtx = ctx.savageWorldsRoll();
-    const count = rollCtx.t1 ? parseInt(rollCtx.t1.getText()) : 1;
-    const traitDieSize = parseInt(rollCtx.t2.getText());
-    const wildDieSize = rollCtx.t3 ? parseInt(rollCtx.t3.getText()) : 6;
+    const count = rollCtx.t1 ? this.termValue(rollCtx.t1) : 1;
+    const traitDieSize = this.termValue(rollCtx.t2);
+    const wildDieSize = rollCtx.t3 ? this.termValue(rollCtx.t3) : 6;
 
     // Extract target number and raise step if present
-    const tnCtx = rollCtx.targetNumberAndRaiseStep();
-    let targetNumber = null;
-    let raiseInterval = null;
-
-    if (tnCtx) {
-      targetNumber = tnCtx.tt ? parseInt(tnCtx.tt.getText()) : 4;
-      raiseInterval = tnCtx.tr ? parseInt(tnCtx.tr.getText()) : 4;
-      if (tnCtx.tnr) {
-        targetNumber = parseInt(tnCtx.tnr.getText());
-        raiseInterval = targetNumber;
-      }
-      if (tnCtx.tgtn) targetNumber = parseInt(tnCtx.tgtn.getText());
-    }
+    const { targetNumber, raiseInterval } = this.parseTargetNumberAndRaiseStep(rollCtx.targetNumberAndRaiseStep());
 
     // Single roll
     if (count === 1) {
-      const traitDie = rollAcingDie(traitDieSize);
-      const wildDie = rollAcingDie(wildDieSize);
+      const traitDie = rollAcingDie(traitDieSize, this.maxAces, this.rng);
+      const wildDie = rollAcingDie(wildDieSize, this.maxAces, this.rng);
       const usedDie = traitDie.total >= wildDie.total ? 'trait' : 'wild';
       const baseValue = Math.max(traitDie.total, wildDie.total);
+      const criticalFailure = isCriticalFailure([traitDie], wildDie);
 
       // Always calculate raises for Savage Worlds (default TN 4, raise interval 4)
       const effectiveTN = targetNumber !== null ? targetNumber : 4;
       const effectiveRI = raiseInterval !== null ? raiseInterval : 4;
 
-      const margin = baseValue - effectiveTN;
-      const success = margin >= 0;
-      const raiseCount = success ? Math.floor(margin / effectiveRI) : 0;
-      const raises = {
-        success: success,
-        raises: raiseCount,
-        margin: margin,
-        description: success ? 'Success' : 'Failure'
-      };
+      const raises = calculateRaises(baseValue, effectiveTN, effectiveRI, criticalFailure);
 
-      return new SavageWildRollResult(baseValue, traitDie, wildDie, usedDie, 0, effectiveTN, effectiveRI, raises);
+      return new SavageWildRollResult(baseValue, traitDie, wildDie, usedDie, 0, effectiveTN, effectiveRI, raises, criticalFailure);
     }
 
-    // Multiple rolls - each roll is a complete savageWild structure
-    const rolls = [];
-
-    // Always calculate raises for Savage Worlds (default TN 4, raise interval 4)
+    // Multiple trait dice (Rate of Fire, Frenzy) - one shared Wild Die replaces the lowest trait die
+    // Each trait die is a complete savageWild structure with its own success and raises
     const effectiveTN = targetNumber !== null ? targetNumber : 4;
     const effectiveRI = raiseInterval !== null ? raiseInterval : 4;
 
+    const traitDice = [];
     for (let i = 0; i < count; i++) {
-      const traitDie = rollAcingDie(traitDieSize);
-      const wildDie = rollAcingDie(wildDieSize);
-      const usedDie = traitDie.total >= wildDie.total ? 'trait' : 'wild';
-      const baseValue = Math.max(traitDie.total, wildDie.total);
+      traitDice.push(rollAcingDie(traitDieSize, this.maxAces, this.rng));
+    }
+    const wildDie = rollAcingDie(wildDieSize, this.maxAces, this.rng);
+    const replacedIndex = findReplacedTraitDie(traitDice, wildDie);
+    const criticalFailure = isCriticalFailure(traitDice, wildDie);
 
-      const margin = baseValue - effectiveTN;
-      const success = margin >= 0;
-      const raiseCount = success ? Math.floor(margin / effectiveRI) : 0;
-      const raises = {
-        success: success,
-        raises: raiseCount,
-        margin: margin,
-        description: success ? 'Success' : 'Failure'
-      };
+    const rolls = traitDice.map((traitDie, index) => {
+      const usedDie = index === replacedIndex ? 'wild' : 'trait';
+      const baseValue = usedDie === 'wild' ? wildDie.total : traitDie.total;
+      const raises = calculateRaises(baseValue, effectiveTN, effectiveRI, criticalFailure);
 
-      rolls.push(new SavageWildRollResult(baseValue, traitDie, wildDie, usedDie, 0, effectiveTN, effectiveRI, raises));
-    }
+      return new SavageWildRollResult(baseValue, traitDie, wildDie, usedDie, 0, effectiveTN, effectiveRI, raises, criticalFailure);
+    });
 
     const total = rolls.reduce((sum, r) => sum + r.value, 0);
 
-    return new MultipleRollsResult(total, rolls, 0, targetNumber, raiseInterval);
+    return new MultipleRollsResult(total, rolls, 0, targetNumber, raiseInterval, { wildDie, replacedIndex, criticalFailure });
   }
 
   // Savage Worlds extras roll: e6, 4e8
   visitSavageWorldsExtrasRollExpr(ctx) {
     const rollCtx = ctx.savageWorldsExtrasRoll();
-    const traitDieSize = parseInt(rollCtx.t1.getText());
+    const traitDieSize = this.termValue(rollCtx.t1);
 
-    const die = rollAcingDie(traitDieSize);
+    const die = rollAcingDie(traitDieSize, this.maxAces, this.rng);
 
     // Extract target number and raise step if present
-    const tnCtx = rollCtx.targetNumberAndRaiseStep();
-    let targetNumber = null;
-    let raiseInterval = null;
-
-    if (tnCtx) {
-      targetNumber = tnCtx.tt ? parseInt(tnCtx.tt.getText()) : 4;
-      raiseInterval = tnCtx.tr ? parseInt(tnCtx.tr.getText()) : 4;
-      if (tnCtx.tnr) {
-        targetNumber = parseInt(tnCtx.tnr.getText());
-        raiseInterval = targetNumber;
-      }
-      if (tnCtx.tgtn) targetNumber = parseInt(tnCtx.tgtn.getText());
-    }
+    const { targetNumber, raiseInterval } = this.parseTargetNumberAndRaiseStep(rollCtx.targetNumberAndRaiseStep());
 
     return new RollResult(die.total, {
       rollType: 'savageExtras',
@@ -410,14 +462,14 @@ class R2EvaluatorVisitor extends R2Visitor {
   // Fudge dice: dF, 4dF
   visitFudgeRollExpr(ctx) {
     const rollCtx = ctx.fudgeRoll();
-    const count = rollCtx.t ? parseInt(rollCtx.t.getText()) : 4;
+    const count = rollCtx.t ? this.termValue(rollCtx.t) : 4;
 
     const fudgeValues = [-1, -1, 0, 0, 1, 1]; // Standard fudge die
     let total = 0;
     const rolls = [];
 
     for (let i = 0; i < count; i++) {
-      const value = fudgeValues[Math.floor(Math.random() * fudgeValues.length)];
+      const value = fudgeValues[this.rng.nextInt(fudgeValues.length)];
       total += value;
       rolls.push(value);
     }
@@ -426,10 +478,63 @@ class R2EvaluatorVisitor extends R2Visitor {
     return new RollResult(total, `[${symbols}] = ${total}`);
   }
 
+  // Carcosa dice: dC, 3dC (d6 picks the die type, then roll N dice of that type)
+  visitCarcosaRollExpr(ctx) {
+    const rollCtx = ctx.carcosaRoll();
+    const count = rollCtx.t ? this.termValue(rollCtx.t) : 1;
+
+    const dieTypeRoll = rollDie(6, this.rng);
+    const sides = CARCOSA_DIE_TYPES[dieTypeRoll - 1];
+
+    const dice = [];
+    for (let i = 0; i < count; i++) {
+      const value = rollDie(sides, this.rng);
+      dice.push({
+        value: value,
+        exploded: false,
+        nextRoll: null,
+        total: value
+      });
+    }
+
+    const total = dice.reduce((sum, die) => sum + die.total, 0);
+    return new CarcosaRollResult(total, dieTypeRoll, sides, dice);
+  }
+
+  // Sword World power roll: p20, p30c9, p10f3h, p20[1d+2]
+  visitSwordWorldPowerRollExpr(ctx) {
+    const rollCtx = ctx.swordWorldPowerRoll();
+    const power = this.termValue(rollCtx.tp);
+
+    const options = { critical: 10, autoFail: 2, humanSwordGrace: false, diceCount: 2, diceModifier: 0 };
+
+    for (const modCtx of rollCtx.swordWorldPowerRollModifier()) {
+      const type = modCtx.constructor.name;
+      if (type === 'SwordWorldCriticalModifierContext') {
+        options.critical = this.termValue(modCtx.tc);
+      } else if (type === 'SwordWorldAutoFailModifierContext') {
+        options.autoFail = this.termValue(modCtx.tf);
+      } else if (type === 'SwordWorldHumanSwordGraceModifierContext') {
+        options.humanSwordGrace = true;
+      } else if (type === 'SwordWorldRollModifierContext') {
+        if (modCtx.dop) options.diceCount = modCtx.td ? this.termValue(modCtx.td) : 1;
+        if (modCtx.mop) {
+          const value = this.termValue(modCtx.tm);
+          options.diceModifier = modCtx.mop.text === '-' ? -value : value;
+        }
+      }
+    }
+
+    const roll = rollSwordWorldPower(power, options, this.rng);
+    return new SwordWorldPowerRollResult(
+      roll.total, power, roll.rolls, options.critical, options.autoFail, roll.autoFailed, options.humanSwordGrace
+    );
+  }
+
   // WEG D6: 5W (5d6 with wild die)
   visitWegD6RollExpr(ctx) {
     const rollCtx = ctx.wegD6Roll();
-    const count = parseInt(rollCtx.t.getText());
+    const count = this.termValue(rollCtx.t);
 
     let total = 0;
     const rolls = [];
@@ -437,13 +542,13 @@ class R2EvaluatorVisitor extends R2Visitor {
 
     // Roll regular dice
     for (let i = 0; i < count - 1; i++) {
-      const roll = rollDie(6);
+      const roll = rollDie(6, this.rng);
       rolls.push(roll);
       total += roll;
     }
 
     // Roll wild die (explodes on 6)
-    wildDieValue = rollAcingDie(6);
+    wildDieValue = rollAcingDie(6, this.maxAces, this.rng);
     total += wildDieValue.total;
 
     const desc = `Regular: [${rolls.join(', ')}], Wild: ${this.formatAcingRoll(wildDieValue)}`;
@@ -461,30 +566,59 @@ class R2EvaluatorVisitor extends R2Visitor {
     else if (op === '/') result = Math.floor(left.value / right.value);
     else if (op === '%') result = left.value % right.value;
 
-    return new RollResult(result, `${left.value} ${op} ${right.value}`);
+    const product = new RollResult(result, `${left.value} ${op} ${right.value}`);
+    // Divisions floor, but keep the exact value for ceil() and round()
+    if (op === '/' || left.exact !== undefined || right.exact !== undefined) {
+      const [a, b] = [this.exactValue(left), this.exactValue(right)];
+      product.exact = op === '*' ? a * b : op === '/' ? a / b : a % b;
+    }
+    return product;
   }
 
   visitInfixExpr2(ctx) {
     const left = this.visit(ctx.e1);
     const right = this.visit(ctx.e2);
-    const op = ctx.op.text;
+    const sum = this.addModifier(left, right, ctx.op.text);
+
+    // Keep the exact value of a division through the sum (ceil(7/2+1) is 5)
+    if (left.exact !== undefined || right.exact !== undefined) {
+      const exactRight = this.exactValue(right);
+      sum.exact = this.exactValue(left) + (ctx.op.text === '+' ? exactRight : -exactRight);
+    }
+    return sum;
+  }
+
+  // Add or subtract the right operand, keeping the dice of the left one (2d6+2)
+  addModifier(left, right, op) {
 
     const modifierValue = op === '+' ? right.value : -right.value;
     const result = left.value + modifierValue;
 
     // If left side is a dice roll, add modifier to it
     if (left.rollType === 'generic') {
-      return new GenericRollResult(result, left.dice, modifierValue, left.droppedDice, left.keepOperation);
+      const generic = new GenericRollResult(result, left.dice, modifierValue, left.droppedDice, left.keepOperation);
+      // Keep a target number suffix (2d6t4+2) and recalculate raises with the modifier
+      return left.raises ? this.applyTargetNumber(generic, left.targetNumber, left.raiseInterval) : generic;
+    } else if (left.rollType === 'carcosa') {
+      return new CarcosaRollResult(result, left.dieTypeRoll, left.sides, left.dice, modifierValue);
+    } else if (left.rollType === 'swordWorldPower') {
+      // An automatic failure stays at 0 whatever the modifier
+      const value = left.autoFailed ? 0 : result;
+      return new SwordWorldPowerRollResult(
+        value, left.power, left.rolls, left.critical, left.autoFail, left.autoFailed, left.humanSwordGrace, modifierValue
+      );
+    } else if (left.rollType === 'function') {
+      // floor(@str/2)+2: keep the arguments to show their dice
+      return new FunctionCallResult(result, left.name, left.args, (left.modifier ?? 0) + modifierValue, left.exactArgs);
     } else if (left.rollType === 'savageWild') {
-      // Recalculate raises if there's a target number
-      const raises = left.raises && left.targetNumber !== null ? {
-        success: result >= left.targetNumber,
-        raises: result >= left.targetNumber ? Math.floor((result - left.targetNumber) / left.raiseInterval) : 0,
-        margin: result - left.targetNumber,
-        description: result >= left.targetNumber ? 'Success' : 'Failure'
-      } : left.raises;
-
-      return new SavageWildRollResult(result, left.traitDie, left.wildDie, left.usedDie, modifierValue, left.targetNumber, left.raiseInterval, raises);
+      return this.applySavageModifier(left, modifierValue);
+    } else if (left.rollType === 'multiple' && left.wildDie) {
+      // Shared Wild Die rolls (2s8+2): the modifier applies to every trait die
+      const rolls = left.rolls.map(roll => this.applySavageModifier(roll, modifierValue));
+      const total = rolls.reduce((sum, r) => sum + r.value, 0);
+      return new MultipleRollsResult(total, rolls, modifierValue, null, null, {
+        wildDie: left.wildDie, replacedIndex: left.replacedIndex, criticalFailure: left.criticalFailure
+      });
     }
 
     // Simple arithmetic
@@ -496,7 +630,68 @@ class R2EvaluatorVisitor extends R2Visitor {
     const op = ctx.op.text;
 
     const result = op === '-' ? -expr.value : expr.value;
-    return new RollResult(result, `${op}${expr.value}`);
+    const signed = new RollResult(result, `${op}${expr.value}`);
+    if (expr.exact !== undefined) signed.exact = op === '-' ? -expr.exact : expr.exact;
+    return signed;
+  }
+
+  // Exact value of a result: the unfloored value of a division (7/2 is 3.5), the value otherwise
+  exactValue(result) {
+    return result.exact ?? result.value;
+  }
+
+  // Add a modifier to a Savage Worlds roll and recalculate its raises
+  // (a critical failure stays one)
+  applySavageModifier(roll, modifierValue) {
+    const value = roll.value + modifierValue;
+    const raises = roll.raises && roll.targetNumber !== null
+      ? calculateRaises(value, roll.targetNumber, roll.raiseInterval, roll.criticalFailure)
+      : roll.raises;
+
+    return new SavageWildRollResult(
+      value, roll.traitDie, roll.wildDie, roll.usedDie, roll.modifier + modifierValue,
+      roll.targetNumber, roll.raiseInterval, raises, roll.criticalFailure
+    );
+  }
+
+  // Target number prefix: t6r4: 2d8+d6 (success and raises for any expression)
+  visitTargetNumberAndRaiseStepExpr(ctx) {
+    const { targetNumber, raiseInterval } = this.parseTargetNumberAndRaiseStep(ctx.targetNumberAndRaiseStep());
+    const result = this.visit(ctx.e1);
+
+    return this.applyTargetNumber(result, targetNumber, raiseInterval);
+  }
+
+  // Comparison: 2d6 >= 8 ('>' '<' '>=' '<=' '==')
+  visitComparisonExpr(ctx) {
+    const left = this.visit(ctx.e1);
+    const right = this.visit(ctx.e2);
+    const op = ctx.op.text;
+
+    const comparisons = {
+      '>': (a, b) => a > b,
+      '<': (a, b) => a < b,
+      '>=': (a, b) => a >= b,
+      '<=': (a, b) => a <= b,
+      '==': (a, b) => a === b
+    };
+    return new ComparisonRollResult(comparisons[op](left.value, right.value), left, right, op);
+  }
+
+  // Conditional: 2d6 >= 8 ? "hit" : "miss"
+  // Only the chosen branch is evaluated, so the other one rolls no dice
+  visitConditionalExpr(ctx) {
+    const condition = this.visit(ctx.e1);
+    const holds = condition.value !== 0;
+    const branchCtx = holds ? ctx.b1 : ctx.b2;
+
+    if (branchCtx.label) {
+      return new ConditionalRollResult(holds ? 1 : 0, condition, branchCtx.label.text.slice(1, -1));
+    }
+    // A nested conditional (table lookup) passes its label on
+    const branch = this.visit(branchCtx.e);
+    const label = branch.rollType === 'conditional' ? branch.label : null;
+    return new ConditionalRollResult(branch.value, condition, label, branch);
   }
 
   // Variable assignment: @hp := 2d6+10
@@ -505,6 +700,7 @@ class R2EvaluatorVisitor extends R2Visitor {
     const result = this.visit(ctx.e1);
 
     this.variables.set(varName, result.value);
+    if (this.onAssign) this.onAssign(varName, result.value);
     return result;
   }
 
@@ -526,7 +722,7 @@ class R2EvaluatorVisitor extends R2Visitor {
     const min = parseInt(ctx.g0.text);
     const max = parseInt(ctx.g1.text);
 
-    const result = min + Math.floor(Math.random() * (max - min + 1));
+    const result = min + this.rng.nextInt(max - min + 1);
     return new RollResult(result, `${min}--${max}`);
   }
 
@@ -542,15 +738,40 @@ class R2EvaluatorVisitor extends R2Visitor {
 
   visitVarTerm(ctx) {
     const varName = ctx.v.text;
-    const value = this.variables.get(varName) || 0;
-    return new RollResult(value, varName);
+    if (!this.variables.has(varName)) {
+      throw new Error(`Unknown variable ${varName}. Set it with /var set or ${varName} := value`);
+    }
+    return new RollResult(this.variables.get(varName), varName);
   }
 
   visitExprTerm(ctx) {
     return this.visit(ctx.e);
   }
 
+  // Built-in function: max(2d6, 2d6), floor(@str/2)+2
+  // The argument results are kept so their dice can be shown
+  visitFunctionTerm(ctx) {
+    // The FUNCTION token includes the opening parenthesis: 'max (' -> 'max'
+    const name = ctx.fn.text.replace(/[\s(]+$/, '');
+    const fn = R2EvaluatorVisitor.functions[name];
+    const args = ctx.expression().map(argCtx => this.visit(argCtx));
+
+    if (args.length < fn.minArgs || args.length > fn.maxArgs) {
+      const expected = fn.minArgs === fn.maxArgs ? fn.minArgs : `${fn.minArgs} or more`;
+      throw new Error(`${name}() takes ${expected} argument(s), got ${args.length}`);
+    }
+
+    const values = args.map(arg => fn.exact ? this.exactValue(arg) : arg.value);
+    return new FunctionCallResult(fn.evaluate(values), name, args, null, fn.exact);
+  }
+
   // Helper methods
+
+  // Numeric value of a term: 6, @fighting or (2+1)
+  termValue(termCtx) {
+    return this.visit(termCtx).value;
+  }
+
   formatRolls(rolls) {
     return rolls.map(r => this.formatAcingRoll(r)).join(', ');
   }
@@ -562,11 +783,26 @@ class R2EvaluatorVisitor extends R2Visitor {
     return roll.total.toString();
   }
 
-  applyGenericSuffix(dice, suffix) {
+  // Roll one die of a generic roll, exploding or not
+  rollGenericDie(sides, explosion) {
+    if (explosion) {
+      return rollExplodingDie(sides, explosion, this.rng);
+    }
+
+    const value = rollDie(sides, this.rng);
+    return {
+      value: value,
+      exploded: false,
+      nextRoll: null,
+      total: value
+    };
+  }
+
+  applyGenericSuffix(dice, suffix, sides, explosion) {
     // Handle RollAndKeepSuffix
     if (suffix.constructor.name === 'RollAndKeepSuffixContext') {
       const op = suffix.op.text.toLowerCase();
-      const keepCount = suffix.n ? parseInt(suffix.n.getText()) : 1;
+      const keepCount = suffix.n ? this.termValue(suffix.n) : 1;
 
       let sorted;
       let keepOperation;
@@ -588,10 +824,36 @@ class R2EvaluatorVisitor extends R2Visitor {
       return new GenericRollResult(total, [...keptDice, ...droppedDice], null, droppedDice, keepOperation);
     }
 
+    // Handle RollAndDropSuffix: dl drops the lowest dice, dh the highest, dlN dhM both to keep the middle
+    if (suffix.constructor.name === 'RollAndDropSuffixContext') {
+      const drops = {};
+      for (const [opToken, nCtx] of [[suffix.op, suffix.n], [suffix.op2, suffix.n2]]) {
+        if (!opToken) continue;
+        const op = opToken.text.toLowerCase();
+        if (op in drops) {
+          throw new Error(`Combine dl with dh to keep the middle dice, not ${op} twice`);
+        }
+        drops[op] = nCtx ? this.termValue(nCtx) : 1;
+      }
+
+      const keepOperation = !('dh' in drops) ? 'dropLowest' : !('dl' in drops) ? 'dropHighest' : 'middle';
+      const { dl = 0, dh = 0 } = drops;
+
+      // Lowest first: dropped low dice, kept dice, dropped high dice
+      const sorted = [...dice].sort((a, b) => a.total - b.total);
+      const keepEnd = Math.max(dl, sorted.length - dh);
+      const keptDice = sorted.slice(dl, keepEnd).reverse().map(die => ({...die, kept: true}));
+      const droppedDice = [...sorted.slice(keepEnd).reverse(), ...sorted.slice(0, dl).reverse()]
+        .map(die => ({...die, kept: false}));
+      const total = keptDice.reduce((sum, die) => sum + die.total, 0);
+
+      return new GenericRollResult(total, [...keptDice, ...droppedDice], null, droppedDice, keepOperation);
+    }
+
     // Handle SuccessOrFailSuffix1 and SuccessOrFailSuffix2
     if (suffix.constructor.name.includes('SuccessOrFailSuffix')) {
-      const successTarget = parseInt(suffix.sn.getText());
-      const failTarget = suffix.fn ? parseInt(suffix.fn.getText()) : null;
+      const successTarget = this.termValue(suffix.sn);
+      const failTarget = suffix.fn ? this.termValue(suffix.fn) : null;
 
       const successes = dice.filter(die => die.total >= successTarget).length;
       const failures = failTarget ? dice.filter(die => die.total <= failTarget).length : 0;
@@ -601,33 +863,38 @@ class R2EvaluatorVisitor extends R2Visitor {
 
     // Handle TargetNumberAndRaiseStepSuffix
     if (suffix.constructor.name === 'TargetNumberAndRaiseStepSuffixContext') {
-      const total = dice.reduce((sum, die) => sum + die.total, 0);
       const tnCtx = suffix.targetNumberAndRaiseStep();
+      const total = dice.reduce((sum, die) => sum + die.total, 0);
+      const { targetNumber, raiseInterval } = this.parseTargetNumberAndRaiseStep(tnCtx);
+
+      // Add raises info to the generic result
+      return this.applyTargetNumber(new GenericRollResult(total, dice, null, []), targetNumber, raiseInterval);
+    }
+
+    // Handle RerollSuffix: 'ro' rerolls once, 'r' until the compare point is missed
+    // The discarded rolls are kept in order in the rerolls of each die
+    if (suffix.constructor.name === 'RerollSuffixContext') {
+      const once = suffix.rop.text.toLowerCase() === 'ro';
+      const rerollsOn = this.parseComparePoint(suffix.cop, suffix.rt);
 
-      let targetNumber = tnCtx.tt ? parseInt(tnCtx.tt.getText()) : 4;
-      let raiseInterval = tnCtx.tr ? parseInt(tnCtx.tr.getText()) : 4;
-      if (tnCtx.tnr) {
-        targetNumber = parseInt(tnCtx.tnr.getText());
-        raiseInterval = targetNumber;
+      // Rerolling every face until it is missed would never end
+      const faces = Array.from({ length: sides }, (_, index) => index + 1);
+      if (!once && faces.every(rerollsOn)) {
+        throw new Error(`d${sides} would be rerolled on every face with ${suffix.getText()}`);
       }
-      if (tnCtx.tgtn) targetNumber = parseInt(tnCtx.tgtn.getText());
-
-      const margin = total - targetNumber;
-      const success = margin >= 0;
-      const raiseCount = success ? Math.floor(margin / raiseInterval) : 0;
-
-      // For generic rolls with target numbers, we can extend GenericRollResult or create a wrapper
-      // For now, add raises info to the result
-      const result = new GenericRollResult(total, dice, null, []);
-      result.targetNumber = targetNumber;
-      result.raiseInterval = raiseInterval;
-      result.raises = {
-        success: success,
-        raises: raiseCount,
-        margin: margin,
-        description: success ? 'Success' : 'Failure'
-      };
-      return result;
+
+      const rerolledDice = dice.map(die => {
+        const rerolls = [];
+        let current = die;
+        while (rerollsOn(current.value) && !(once && rerolls.length > 0)) {
+          rerolls.push(current);
+          current = this.rollGenericDie(sides, explosion);
+        }
+        return rerolls.length > 0 ? { ...current, rerolls } : current;
+      });
+      const total = rerolledDice.reduce((sum, die) => sum + die.total, 0);
+
+      return new GenericRollResult(total, rerolledDice, null, []);
     }
 
     // Default: just return dice
@@ -635,95 +902,111 @@ class R2EvaluatorVisitor extends R2Visitor {
     return new GenericRollResult(total, dice, null, []);
   }
 
-  applyTargetNumber(results, tnCtx) {
-    // Extract target number and raise step
-    let targetNum = 4;  // Default for Savage Worlds
-    let raiseStep = 4;  // Default raise step
+  // Read a compare point: '>N' matches N and above, '<N' N and below, '=N' or a bare N only N
+  // Returns a predicate on die faces
+  parseComparePoint(copToken, termCtx) {
+    const point = this.termValue(termCtx);
+    const comparisons = {
+      '>': face => face >= point,
+      '<': face => face <= point,
+      '=': face => face === point
+    };
+    return comparisons[copToken ? copToken.text : '='];
+  }
 
-    if (tnCtx.tt) targetNum = parseInt(tnCtx.tt.getText());
-    if (tnCtx.tr) raiseStep = parseInt(tnCtx.tr.getText());
-    if (tnCtx.tnr) {
-      targetNum = parseInt(tnCtx.tnr.getText());
-      raiseStep = targetNum;
+  // Read the explosion of a generic roll: '!' acing, '!!' compound, '!p' penetrating
+  // Dice explode on their maximum face, or on a compare point: d10!>8 explodes on 8, 9 and 10,
+  // d6!<2 on 1 and 2, d6!=5 on 5 only
+  // Returns null when the dice do not explode
+  parseExplodeModifier(explodeCtx, sides) {
+    if (!explodeCtx) {
+      return null;
     }
-    if (tnCtx.tgtn) targetNum = parseInt(tnCtx.tgtn.getText());
 
-    // Calculate success/failure with raises
-    const result = results[0];
-    const total = result.result || result.total;
-    const margin = total - targetNum;
-    const success = margin >= 0;
-    const raises = success ? Math.floor(margin / raiseStep) : 0;
+    const modes = { '!': 'standard', '!!': 'compound', '!p': 'penetrating' };
+    const mode = modes[explodeCtx.op.text.toLowerCase()];
+    if (!explodeCtx.cop) {
+      return { mode, maxAces: this.maxAces };
+    }
 
-    let desc = result.usedDie
-      ? `Trait: ${this.formatAcingRoll(result.trait)}, Wild: ${this.formatAcingRoll(result.wild)} → ${total}`
-      : `Roll: ${total}`;
+    // With a space, d10! > 8 reads as a comparison but parses as a compare point: reject it
+    const { op, cop, ct } = explodeCtx;
+    if (cop.text !== '=' && cop.start > op.stop + 1) {
+      const roll = explodeCtx.parentCtx.getText();
+      const dice = roll.slice(0, roll.indexOf(explodeCtx.getText())) + op.text;
+      const point = `${cop.text}${ct.getText()}`;
+      throw new Error(
+        `\`${dice} ${cop.text} ${ct.getText()}\` is ambiguous: write \`(${dice}) ${cop.text} ${ct.getText()}\` to compare the roll, ` +
+        `or \`${dice}${point}\` without spaces for a compare point`
+      );
+    }
+
+    const explodesOn = this.parseComparePoint(cop, ct);
 
-    if (success) {
-      desc += raises > 0 ? ` - Success with ${raises} raise${raises > 1 ? 's' : ''}!` : ' - Success!';
-    } else {
-      desc += ` - Failed by ${Math.abs(margin)}`;
+    // Dice exploding on every face would only stop at the ace cap
+    const faces = Array.from({ length: sides }, (_, index) => index + 1);
+    if (faces.every(explodesOn)) {
+      throw new Error(`d${sides} would explode on every face with ${explodeCtx.getText()}`);
     }
 
-    return new RollResult(total, desc, { ...result, success, raises, margin });
+    return { mode, explodesOn, maxAces: this.maxAces };
   }
 
-  applyTargetNumberSingle(value, tnCtx) {
-    // Extract target number and raise step
-    let targetNum = 4;
-    let raiseStep = 4;
+  // Read target number and raise step from a targetNumberAndRaiseStep context
+  // t6 -> TN 6 / raise 4, r2 -> TN 4 / raise 2, tr6 -> TN 6 / raise 6, tn6 -> TN 6 / raise 4
+  // Returns nulls when there is no context
+  parseTargetNumberAndRaiseStep(tnCtx) {
+    if (!tnCtx) {
+      return { targetNumber: null, raiseInterval: null };
+    }
 
-    if (tnCtx.tt) targetNum = parseInt(tnCtx.tt.getText());
-    if (tnCtx.tr) raiseStep = parseInt(tnCtx.tr.getText());
+    let targetNumber = tnCtx.tt ? this.termValue(tnCtx.tt) : 4;
+    let raiseInterval = tnCtx.tr ? this.termValue(tnCtx.tr) : 4;
     if (tnCtx.tnr) {
-      targetNum = parseInt(tnCtx.tnr.getText());
-      raiseStep = targetNum;
+      targetNumber = this.termValue(tnCtx.tnr);
+      raiseInterval = targetNumber;
     }
-    if (tnCtx.tgtn) targetNum = parseInt(tnCtx.tgtn.getText());
-
-    const margin = value - targetNum;
-    const success = margin >= 0;
-    const raises = success ? Math.floor(margin / raiseStep) : 0;
-
-    let desc = success
-      ? (raises > 0 ? `Success with ${raises} raise${raises > 1 ? 's' : ''}! (${value} vs TN ${targetNum})` : `Success! (${value} vs TN ${targetNum})`)
-      : `Failed by ${Math.abs(margin)} (${value} vs TN ${targetNum})`;
+    if (tnCtx.tgtn) targetNumber = this.termValue(tnCtx.tgtn);
 
-    return new RollResult(value, desc, { success, raises, margin });
+    return { targetNumber, raiseInterval };
   }
 
-  applyTargetNumberMultiple(rolls, tnCtx, total) {
-    // For multiple rolls with target number
-    let targetNum = 4;
-    let raiseStep = 4;
-
-    if (tnCtx.tt) targetNum = parseInt(tnCtx.tt.getText());
-    if (tnCtx.tr) raiseStep = parseInt(tnCtx.tr.getText());
-    if (tnCtx.tnr) {
-      targetNum = parseInt(tnCtx.tnr.getText());
-      raiseStep = targetNum;
+  // Attach target number, raise step and raises to a result
+  // Multiple rolls get raises per roll, like 2s8t4
+  applyTargetNumber(result, targetNumber, raiseInterval) {
+    if (result.rollType === 'multiple') {
+      result.rolls.forEach(roll => this.applyTargetNumber(roll, targetNumber, raiseInterval));
+      return result;
     }
-    if (tnCtx.tgtn) targetNum = parseInt(tnCtx.tgtn.getText());
-
-    const margin = total - targetNum;
-    const success = margin >= 0;
-    const raises = success ? Math.floor(margin / raiseStep) : 0;
 
-    let desc = `Rolls: [${rolls.map(r => r.total).join(', ')}] = ${total}`;
-    desc += success
-      ? (raises > 0 ? ` - Success with ${raises} raise${raises > 1 ? 's' : ''}!` : ' - Success!')
-      : ` - Failed by ${Math.abs(margin)}`;
+    result.targetNumber = targetNumber;
+    result.raiseInterval = raiseInterval;
+    result.raises = calculateRaises(result.value, targetNumber, raiseInterval, result.criticalFailure);
+    return result;
+  }
+}
 
-    return new RollResult(total, desc, { rolls, success, raises, margin });
+/**
+ * Parser error listener turning syntax errors into exceptions
+ * Internal class - not exported, used by evaluateExpression
+ */
+class SyntaxErrorListener extends antlr4.error.ErrorListener {
+  syntaxError(_recognizer, _offendingSymbol, _line, column, msg) {
+    throw new Error(`Syntax error at position ${column}: ${msg}`);
   }
 }
 
 /**
  * Parse and evaluate a dice expression
  * @param {string} expression - The dice expression to evaluate
+ * @param {object} options - Evaluation options
+ * @param {object} options.rng - Random source for the rolls (e.g. a SeededRandomSource to replay a roll)
+ * @param {Map<string, number>} options.variables - Variable values keyed by name (@fighting), updated by assignments
+ * @param {Function} options.onAssign - Called with (name, value) for every `@var := expr` assignment
+ * @param {number} options.maxAces - Most explosions of one die (default DEFAULT_MAX_ACES)
  * @returns {RollResult} - The result of the evaluation
  */
-export function evaluateExpression(expression) {
+export function evaluateExpression(expression, options = {}) {
   try {
     const chars = new InputStream(expression);
     const lexer = new R2Lexer(chars);
@@ -731,15 +1014,12 @@ export function evaluateExpression(expression) {
     const parser = new R2Parser(tokens);
 
     // Build error listener for better error messages
+    // (an ErrorListener, so the full-context reports of conditionals are ignored)
     parser.removeErrorListeners();
-    parser.addErrorListener({
-      syntaxError: (_recognizer, _offendingSymbol, _line, column, msg) => {
-        throw new Error(`Syntax error at position ${column}: ${msg}`);
-      }
-    });
+    parser.addErrorListener(new SyntaxErrorListener());
 
     const tree = parser.commandElement();
-    const evaluator = new R2EvaluatorVisitor();
+    const evaluator = new R2EvaluatorVisitor(options.rng, options.variables, options.onAssign, options.maxAces);
     return evaluator.visit(tree);
   } catch (error) {
     // Provide helpful error message
@@ -0,0 +1,76 @@
+/**
+ * Persistent store for guild and channel game state (initiative trackers, Bennies)
+ *
+ * A state store maps string keys (e.g. "initiative:<guildId>") to plain JSON values.
+ * Any object with the same get/set/delete methods can be used instead of the file
+ * store, for instance one backed by SQLite.
+ */
+
+import { existsSync, mkdirSync, readFileSync, renameSync, writeFileSync } from 'fs';
+import { dirname } from 'path';
+
+/**
+ * State store backed by a single JSON file
+ */
+export class FileStateStore {
+  /**
+   * @param {string} filePath - Path of the JSON file (created on first write)
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.data = null; // Loaded lazily
+  }
+
+  // Load the file on first access
+  load() {
+    if (this.data === null) {
+      this.data = existsSync(this.filePath)
+        ? JSON.parse(readFileSync(this.filePath, 'utf8'))
+        : {};
+    }
+    return this.data;
+  }
+
+  // Write the whole store (through a temporary file so a crash never leaves half a file)
+  save() {
+    mkdirSync(dirname(this.filePath), { recursive: true });
+    const tempPath = `${this.filePath}.tmp`;
+    writeFileSync(tempPath, JSON.stringify(this.data, null, 2));
+    renameSync(tempPath, this.filePath);
+  }
+
+  /**
+   * Read a value
+   * @param {string} key - State key
+   * @returns {*} - Stored value, or null when missing
+   */
+  get(key) {
+    return this.load()[key] ?? null;
+  }
+
+  /**
+   * Store a value
+   * @param {string} key - State key
+   * @param {*} value - JSON-serializable value
+   */
+  set(key, value) {
+    this.load()[key] = value;
+    this.save();
+  }
+
+  /**
+   * Remove a value
+   * @param {string} key - State key
+   * @returns {boolean} - True if a value was removed
+   */
+  delete(key) {
+    const data = this.load();
+    if (!(key in data)) {
+      return false;
+    }
+
+    delete data[key];
+    this.save();
+    return true;
+  }
+}
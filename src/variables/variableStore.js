@@ -0,0 +1,212 @@
+/**
+ * Persistent store for roll variables (@fighting, @mod, ...)
+ * Variables belong to a user within a guild, optionally narrowed to a channel
+ * or to a named campaign. Each scope is saved under its own key of a FileStateStore.
+ */
+
+import { FileStateStore } from '../storage/stateStore.js';
+
+export const VARIABLE_SCOPES = ['user', 'campaign', 'channel']; // Least to most specific
+
+const VARIABLE_NAME_PATTERN = /^[a-zA-Z0-9_]+$/;
+const MAX_CAMPAIGN_NAME_LENGTH = 50;
+
+/**
+ * Normalize a variable name - strips the leading @ and validates the rest
+ * @param {string} name - Variable name, with or without @
+ * @returns {string} - Name without @
+ */
+export function normalizeVariableName(name) {
+  const bare = String(name ?? '').trim().replace(/^@/, '');
+  if (!VARIABLE_NAME_PATTERN.test(bare)) {
+    throw new Error(`Invalid variable name "${name}". Use letters, digits and underscores only (e.g. @fighting)`);
+  }
+  return bare;
+}
+
+/**
+ * Normalize a campaign name
+ * Internal helper - not exported, used by VariableStore
+ * @param {string} campaign - Campaign name
+ * @returns {string} - Trimmed campaign name
+ */
+function normalizeCampaignName(campaign) {
+  const trimmed = String(campaign ?? '').trim();
+  if (trimmed.length === 0 || trimmed.length > MAX_CAMPAIGN_NAME_LENGTH) {
+    throw new Error(`Campaign names must be 1-${MAX_CAMPAIGN_NAME_LENGTH} characters long`);
+  }
+  return trimmed;
+}
+
+/**
+ * State key of the campaign selected by a user
+ * Internal helper - not exported, used by VariableStore
+ * @param {object} context - {guildId, userId}
+ * @returns {string} - State key
+ */
+function activeCampaignKey(context) {
+  return `activeCampaign:${context.guildId ?? 'dm'}:${context.userId}`;
+}
+
+/**
+ * Variable store backed by a JSON file
+ *
+ * A context identifies who is rolling and where: {guildId, channelId, userId}.
+ * Lookups merge the scopes of a context so that channel variables override
+ * campaign variables, which override the user's guild-wide variables.
+ */
+export class VariableStore {
+  /**
+   * @param {string} filePath - Path of the JSON file (created on first write)
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.store = new FileStateStore(filePath);
+  }
+
+  /**
+   * State key of a scope for a context
+   * @param {object} context - {guildId, channelId, userId}
+   * @param {string} scope - 'user', 'campaign' or 'channel'
+   * @param {string|null} campaign - Campaign name (defaults to the active campaign)
+   * @returns {string|null} - Scope key, or null for a campaign scope without a campaign
+   */
+  scopeKey(context, scope, campaign = null) {
+    const guildId = context.guildId ?? 'dm';
+
+    switch (scope) {
+      case 'user':
+        return `user:${guildId}:${context.userId}`;
+      case 'channel':
+        return `channel:${guildId}:${context.channelId}:${context.userId}`;
+      case 'campaign': {
+        const name = campaign ? normalizeCampaignName(campaign) : this.getActiveCampaign(context);
+        return name ? `campaign:${guildId}:${name}:${context.userId}` : null;
+      }
+      default:
+        throw new Error(`Unknown variable scope: ${scope}`);
+    }
+  }
+
+  /**
+   * Campaign whose variables are used for rolls
+   * @param {object} context - {guildId, userId}
+   * @returns {string|null} - Campaign name or null
+   */
+  getActiveCampaign(context) {
+    return this.store.get(activeCampaignKey(context));
+  }
+
+  /**
+   * Select the campaign whose variables are used for rolls
+   * @param {object} context - {guildId, userId}
+   * @param {string|null} campaign - Campaign name (null to leave the campaign)
+   * @returns {string|null} - Selected campaign name
+   */
+  setActiveCampaign(context, campaign) {
+    const key = activeCampaignKey(context);
+
+    if (campaign) {
+      this.store.set(key, normalizeCampaignName(campaign));
+    } else {
+      this.store.delete(key);
+    }
+
+    return this.store.get(key);
+  }
+
+  /**
+   * Variables visible to a context, ready for evaluateExpression
+   * @param {object} context - {guildId, channelId, userId}
+   * @returns {Map<string, number>} - Values keyed by @name
+   */
+  resolve(context) {
+    const variables = new Map();
+    for (const { name, value } of this.list(context)) {
+      variables.set(`@${name}`, value);
+    }
+    return variables;
+  }
+
+  /**
+   * Variables of every scope of a context, least specific scope first
+   * A name defined in several scopes is listed once, with the winning scope
+   * @param {object} context - {guildId, channelId, userId}
+   * @returns {Array<object>} - [{name, value, scope, campaign}]
+   */
+  list(context) {
+    const campaign = this.getActiveCampaign(context);
+    const entries = new Map();
+
+    for (const scope of VARIABLE_SCOPES) {
+      const key = this.scopeKey(context, scope);
+      for (const [name, value] of Object.entries((key && this.store.get(key)) || {})) {
+        entries.set(name, { name, value, scope, campaign: scope === 'campaign' ? campaign : null });
+      }
+    }
+
+    return [...entries.values()];
+  }
+
+  /**
+   * Set a variable
+   * @param {object} context - {guildId, channelId, userId}
+   * @param {string} name - Variable name, with or without @
+   * @param {number} value - Numeric value
+   * @param {string} scope - 'user', 'campaign' or 'channel'
+   * @param {string|null} campaign - Campaign name for the campaign scope (defaults to the active campaign)
+   */
+  set(context, name, value, scope = 'user', campaign = null) {
+    const bare = normalizeVariableName(name);
+    if (!Number.isFinite(value)) {
+      throw new Error(`Variable @${bare} must be a number`);
+    }
+
+    const key = this.scopeKey(context, scope, campaign);
+    if (!key) {
+      throw new Error('No active campaign. Pick one with `/var use campaign:<name>`');
+    }
+
+    this.store.set(key, { ...this.store.get(key), [bare]: value });
+  }
+
+  /**
+   * Store the result of an `@var := expr` assignment
+   * The value goes to the most specific scope that already defines the variable,
+   * or to the user scope for new variables
+   * @param {object} context - {guildId, channelId, userId}
+   * @param {string} name - Variable name, with or without @
+   * @param {number} value - Numeric value
+   */
+  assign(context, name, value) {
+    const bare = normalizeVariableName(name);
+    const existing = this.list(context).find(entry => entry.name === bare);
+    this.set(context, bare, value, existing ? existing.scope : 'user');
+  }
+
+  /**
+   * Delete a variable
+   * @param {object} context - {guildId, channelId, userId}
+   * @param {string} name - Variable name, with or without @
+   * @param {string} scope - 'user', 'campaign' or 'channel'
+   * @param {string|null} campaign - Campaign name for the campaign scope (defaults to the active campaign)
+   * @returns {boolean} - True if the variable existed
+   */
+  delete(context, name, scope = 'user', campaign = null) {
+    const bare = normalizeVariableName(name);
+    const key = this.scopeKey(context, scope, campaign);
+    const values = key && this.store.get(key);
+
+    if (!values || !(bare in values)) {
+      return false;
+    }
+
+    delete values[bare];
+    if (Object.keys(values).length === 0) {
+      this.store.delete(key);
+    } else {
+      this.store.set(key, values);
+    }
+    return true;
+  }
+}
@@ -0,0 +1,178 @@
+/**
+ * Tests for the Savage Worlds Benny system
+ * Validates player and GM pools, session resets and /benny rerolls
+ */
+
+import { strict as assert } from 'assert';
+import { BennyTracker, STARTING_BENNIES } from '../src/dice/bennySystem.js';
+import {
+  cmd_benny_give,
+  cmd_benny_spend,
+  cmd_benny_show,
+  cmd_benny_reset,
+  cmd_roll,
+  cmd_wild,
+  cmd_fight_start,
+  cmd_fight_end,
+  cmd_initiative_deal,
+  cmd_initiative_hold,
+  cmd_initiative_interrupt
+} from '../src/commands/diceCommands.js';
+import { test, describe, reportResults, createInteraction } from './helpers.js';
+
+// User with the Manage Server permission in these tests
+const GM_ID = '1';
+
+// Interaction of a user in a guild, only GM_ID is a GM
+function asUser(options, userId = '42', guildId = 'guild-1') {
+  return createInteraction(options, { userId, guildId, isGm: userId === GM_ID });
+}
+
+// ============================================================================
+// Test Suite: Benny Tracker
+// ============================================================================
+
+describe('Benny Tracker');
+
+await test('players and the GM should start without Bennies', () => {
+  const tracker = new BennyTracker();
+  assert.equal(tracker.getCount('1'), 0);
+  assert.equal(tracker.getPools().gm, 0);
+});
+
+await test('give should add to a player or to the GM pool', () => {
+  const tracker = new BennyTracker();
+  assert.equal(tracker.give('1'), 1);
+  assert.equal(tracker.give('1', 2), 3);
+  assert.equal(tracker.give(null, 2), 2);
+  assert.deepEqual(tracker.getPools(), { players: [{ userId: '1', count: 3 }], gm: 2 });
+  assert.throws(() => tracker.give('1', 0), /at least 1/);
+});
+
+await test('spend should fail on an empty pool', () => {
+  const tracker = new BennyTracker();
+  tracker.give('1');
+  assert.equal(tracker.spend('1'), 0);
+  assert.throws(() => tracker.spend('1'), /no Bennies left/);
+  assert.throws(() => tracker.spend(null), /GM has no Bennies/);
+});
+
+await test('reset should refill players and give the GM one per player', () => {
+  const tracker = new BennyTracker();
+  tracker.give('1', 5);
+  tracker.give('2');
+  tracker.reset();
+  assert.equal(tracker.getCount('1'), STARTING_BENNIES);
+  assert.equal(tracker.getCount('2'), STARTING_BENNIES);
+  assert.equal(tracker.getPools().gm, 2);
+});
+
+// ============================================================================
+// Test Suite: Benny Commands
+// ============================================================================
+
+describe('Benny Commands');
+
+await test('/benny give should require a player or the GM pool', async () => {
+  const interaction = asUser({}, GM_ID);
+  await cmd_benny_give(interaction);
+  assert.match(interaction.replies[0].embeds[0].data.description, /Pick a `player`/);
+});
+
+await test('giving, resetting and spending GM Bennies should be GM only', async () => {
+  const give = asUser({ player: '7' }, '7', 'guild-gm');
+  await cmd_benny_give(give);
+  assert.match(give.replies[0].embeds[0].data.description, /Only the GM \(Manage Server permission\) can give Bennies/);
+
+  const reset = asUser({}, '7', 'guild-gm');
+  await cmd_benny_reset(reset);
+  assert.match(reset.replies[0].embeds[0].data.description, /can reset the Bennies/);
+
+  await cmd_benny_give(asUser({ gm: true }, GM_ID, 'guild-gm'));
+  const spend = asUser({ gm: true }, '7', 'guild-gm');
+  await cmd_benny_spend(spend);
+  assert.match(spend.replies[0].embeds[0].data.description, /can spend from the GM pool/);
+});
+
+await test('/benny give and /benny show should share the guild pools', async () => {
+  await cmd_benny_give(asUser({ player: '7', amount: 2 }, GM_ID, 'guild-show'));
+  await cmd_benny_give(asUser({ gm: true }, GM_ID, 'guild-show'));
+
+  const interaction = asUser({}, GM_ID, 'guild-show');
+  await cmd_benny_show(interaction);
+  const fields = interaction.replies[0].embeds[0].data.fields;
+  assert.match(fields[0].value, /<@7>/);
+  assert.match(fields[1].value, /1/);
+});
+
+await test('/benny reset should refill the pools', async () => {
+  const interaction = asUser({}, GM_ID, 'guild-show');
+  await cmd_benny_reset(interaction);
+  assert.match(interaction.replies[0].content, /Bennies reset/);
+  assert.match(interaction.replies[0].embeds[0].data.fields[1].value, /1/);
+});
+
+await test('/benny spend should fail without Bennies', async () => {
+  const interaction = asUser({}, '8', 'guild-empty');
+  await cmd_benny_spend(interaction);
+  assert.match(interaction.replies[0].embeds[0].data.description, /no Bennies left/);
+});
+
+await test('/benny spend reroll should need a previous roll', async () => {
+  await cmd_benny_give(asUser({ player: '9' }, GM_ID, 'guild-reroll'));
+  const interaction = asUser({ reroll: true }, '9', 'guild-reroll');
+  await cmd_benny_spend(interaction);
+  assert.match(interaction.replies[0].embeds[0].data.description, /Nothing to reroll/);
+});
+
+await test('/benny spend reroll should keep the better of two /roll totals', async () => {
+  await cmd_benny_give(asUser({ player: '10' }, GM_ID, 'guild-reroll'));
+  await cmd_roll(asUser({ dice: '3d6' }, '10', 'guild-reroll'));
+
+  const interaction = asUser({ reroll: true }, '10', 'guild-reroll');
+  await cmd_benny_spend(interaction);
+  const { content, embeds } = interaction.replies[0];
+  assert.match(content, /spent a Benny \(\*\*0\*\* left\) to reroll `3d6`/);
+  assert.equal(embeds.length, 1);
+
+  const [, kept, other] = content.match(/\*\*(\d+)\*\* \((?:was|rerolled) (\d+)\)/).map(Number);
+  assert.ok(kept >= other, `kept ${kept} should be at least ${other}`);
+});
+
+await test('/benny spend reroll should reroll the last /wild', async () => {
+  await cmd_benny_give(asUser({ player: '11' }, GM_ID, 'guild-reroll'));
+  await cmd_wild(asUser({ trait: 8, modifier: 1 }, '11', 'guild-reroll'));
+
+  const interaction = asUser({ reroll: true }, '11', 'guild-reroll');
+  await cmd_benny_spend(interaction);
+  const reply = interaction.replies[0];
+  if (!reply.content) {
+    // The original /wild was snake eyes - it cannot be rerolled
+    assert.match(reply.embeds[0].data.description, /cannot be rerolled/);
+  } else {
+    assert.match(reply.content, /to reroll `d8\+1`/);
+  }
+});
+
+await test('/benny spend reroll should ignore the Athletics rolls of an interrupt', async () => {
+  await cmd_benny_give(asUser({ player: '12' }, GM_ID, 'guild-reroll'));
+  await cmd_roll(asUser({ dice: '3d6' }, '12', 'guild-reroll'));
+
+  await cmd_fight_start(asUser({}, '12', 'guild-reroll'));
+  await cmd_initiative_deal(asUser({ characters: 'Grog, Valeria' }, '12', 'guild-reroll'));
+  await cmd_initiative_hold(asUser({ name: 'Grog' }, '12', 'guild-reroll'));
+  await cmd_initiative_interrupt(asUser({
+    name: 'Grog', before: 'Valeria', athletics: 'd8', opponent_athletics: 'd6'
+  }, '12', 'guild-reroll'));
+  await cmd_fight_end(asUser({}, '12', 'guild-reroll'));
+
+  const interaction = asUser({ reroll: true }, '12', 'guild-reroll');
+  await cmd_benny_spend(interaction);
+  assert.match(interaction.replies[0].content, /to reroll `3d6`/);
+});
+
+// ============================================================================
+// Run Tests and Report Results
+// ============================================================================
+
+reportResults('TEST SUMMARY - Benny Tests', '✨ All Benny tests passed!');
@@ -0,0 +1,150 @@
+/**
+ * Tests for the action deck card images
+ * Validates the PNG codec, the bundled glyphs covering the whole deck and images attached to initiative embeds
+ */
+
+import { strict as assert } from 'assert';
+import { InitiativeTracker } from '../src/dice/initiativeSystem.js';
+import { decodePng, encodePng } from '../src/discordUI/png.js';
+import { getCardGlyphs, renderCardImage } from '../src/discordUI/cardImages.js';
+import {
+  setStateStore,
+  cmd_fight_start,
+  cmd_fight_end,
+  cmd_initiative_add,
+  cmd_initiative_deal,
+  cmd_initiative_round,
+  cmd_initiative_show
+} from '../src/commands/diceCommands.js';
+import { test, describe, reportResults, run } from './helpers.js';
+
+// Color of a pixel as [r, g, b, a]
+function pixelAt(image, x, y) {
+  const offset = (y * image.width + x) * 4;
+  return [...image.data.subarray(offset, offset + 4)];
+}
+
+// Whether an image region contains a pixel of the given color
+function hasColor(image, color, x0, x1) {
+  for (let y = 0; y < image.height; y++) {
+    for (let x = x0; x < x1; x++) {
+      if (pixelAt(image, x, y).every((value, i) => value === color[i])) return true;
+    }
+  }
+  return false;
+}
+
+const RED = [0xcc, 0x22, 0x22, 0xff];
+const BLACK = [0x22, 0x22, 0x22, 0xff];
+
+// Fights only live in memory for these tests
+setStateStore(null);
+
+// ============================================================================
+// Test Suite: PNG Codec
+// ============================================================================
+
+describe('PNG Codec');
+
+await test('encoded images should decode to the same pixels', () => {
+  const data = Buffer.from([
+    255, 0, 0, 255, 0, 255, 0, 128,
+    0, 0, 255, 255, 10, 20, 30, 0
+  ]);
+  const png = encodePng({ width: 2, height: 2, data });
+  assert.ok(png.subarray(1, 4).equals(Buffer.from('PNG')));
+
+  const decoded = decodePng(png);
+  assert.equal(decoded.width, 2);
+  assert.equal(decoded.height, 2);
+  assert.ok(decoded.data.equals(data));
+});
+
+await test('decodePng should reject other files', () => {
+  assert.throws(() => decodePng(Buffer.from('not a png at all')), /Not a PNG file/);
+});
+
+// ============================================================================
+// Test Suite: Card Images
+// ============================================================================
+
+describe('Card Images');
+
+await test('every card of the deck, including both Jokers, should have an image', () => {
+  const deck = new InitiativeTracker().deck;
+  assert.equal(deck.length, 54);
+
+  for (const card of deck) {
+    const image = decodePng(renderCardImage([card]));
+    assert.equal(image.width, 76, card.display);
+    assert.equal(image.height, 100, card.display);
+
+    assert.equal(getCardGlyphs(card).rank, card.isJoker ? 'joker' : `rank-${card.rank}`);
+    const red = card.suit.includes('Hearts') || card.suit.includes('Diamonds') || card.suit === 'Red';
+    assert.ok(hasColor(image, red ? RED : BLACK, 0, image.width), card.display);
+    assert.ok(!hasColor(image, red ? BLACK : RED, 0, image.width), card.display);
+  }
+});
+
+await test('cards should be drawn left to right in the given order, 10 per row', () => {
+  const deck = new InitiativeTracker().deck;
+  const redJoker = deck.find(card => card.suit === 'Red');
+  const blackJoker = deck.find(card => card.suit === 'Black');
+
+  const pair = decodePng(renderCardImage([redJoker, blackJoker]));
+  assert.equal(pair.width, 8 * 2 + 60 * 2 + 8);
+  assert.ok(hasColor(pair, RED, 0, 76) && !hasColor(pair, BLACK, 0, 76));
+  assert.ok(hasColor(pair, BLACK, 76, pair.width) && !hasColor(pair, RED, 76, pair.width));
+
+  const many = decodePng(renderCardImage(deck.slice(0, 12)));
+  assert.equal(many.width, 8 * 2 + 60 * 10 + 8 * 9);
+  assert.equal(many.height, 8 * 2 + 84 * 2 + 8);
+});
+
+await test('cards without an image should be rejected', () => {
+  assert.throws(() => renderCardImage([]), /No cards to draw/);
+  assert.throws(() => getCardGlyphs({ rank: '1', suit: '♠️ Spades', display: '1 of ♠️ Spades' }), /No card image for 1 of ♠️ Spades/);
+});
+
+// ============================================================================
+// Test Suite: Initiative Embeds
+// ============================================================================
+
+describe('Initiative Embeds');
+
+await test('/initiative show and round should attach the dealt cards', async () => {
+  await run(cmd_fight_start);
+  assert.equal((await run(cmd_initiative_show)).files, undefined);
+  await run(cmd_initiative_deal, { characters: 'Grog, Valeria, Zephyr' });
+
+  for (const command of [cmd_initiative_show, cmd_initiative_round]) {
+    const reply = await run(command);
+    assert.equal(reply.embeds[0].image.url, 'attachment://initiative.png');
+    assert.equal(reply.files.length, 1);
+    assert.equal(reply.files[0].name, 'initiative.png');
+
+    const image = decodePng(reply.files[0].attachment);
+    assert.equal(image.width, 8 * 2 + 60 * 3 + 8 * 2);
+  }
+  await run(cmd_fight_end);
+});
+
+await test('/initiative deal and add should attach the newly drawn cards', async () => {
+  await run(cmd_fight_start);
+
+  for (const [command, characters, count] of [[cmd_initiative_deal, 'Grog, Valeria', 2], [cmd_initiative_add, 'Zephyr', 1]]) {
+    const reply = await run(command, { characters });
+    assert.equal(reply.embeds[0].image.url, 'attachment://initiative.png');
+    assert.equal(reply.files.length, 1);
+
+    const image = decodePng(reply.files[0].attachment);
+    assert.equal(image.width, 8 * 2 + 60 * count + 8 * (count - 1));
+  }
+  await run(cmd_fight_end);
+});
+
+// ============================================================================
+// Run Tests and Report Results
+// ============================================================================
+
+reportResults('TEST SUMMARY - Card Image Tests', '✨ All card image tests passed!');
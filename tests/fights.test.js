@@ -0,0 +1,851 @@
+/**
+ * Tests for the fight and initiative commands
+ * Validates per-channel fights, Joker reshuffles, redeals, edges, Hold, interrupts, turns
+ * changing the fighters mid-fight and groups of Extras
+ */
+
+import { strict as assert } from 'assert';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { RollAuditLog } from '../src/audit/rollAuditLog.js';
+import { InitiativeTracker, parseEdges } from '../src/dice/initiativeSystem.js';
+import { SeededRandomSource } from '../src/dice/randomSource.js';
+import {
+  setStateStore,
+  setRollAuditLog,
+  cmd_roll,
+  cmd_fight_start,
+  cmd_fight_end,
+  cmd_initiative_deal,
+  cmd_initiative_add,
+  cmd_initiative_remove,
+  cmd_initiative_kill,
+  cmd_initiative_rename,
+  cmd_initiative_wound,
+  cmd_initiative_edges,
+  cmd_initiative_hand,
+  cmd_initiative_hold,
+  cmd_initiative_interrupt,
+  cmd_initiative_next,
+  cmd_initiative_previous,
+  cmd_initiative_round,
+  cmd_initiative_show
+} from '../src/commands/diceCommands.js';
+import { test, describe, reportResults, createInteraction, run } from './helpers.js';
+
+// Tracker whose next cards are the given ones, in order ('4♠️', 'K♥️', 'Red Joker', ...)
+function stackedTracker(...cards) {
+  const tracker = new InitiativeTracker(new SeededRandomSource('stacked'));
+  tracker.start();
+  const find = spec => tracker.deck.find(card => card.isJoker
+    ? spec === `${card.suit} Joker`
+    : spec === `${card.rank}${card.suit.split(' ')[0]}`);
+  const stacked = cards.map(find);
+  tracker.deck = [...tracker.deck.filter(card => !stacked.includes(card)), ...stacked.reverse()];
+  return tracker;
+}
+
+// Fights only live in memory for these tests
+setStateStore(null);
+
+// ============================================================================
+// Test Suite: Per-Channel Fights
+// ============================================================================
+
+describe('Per-Channel Fights');
+
+await test('each channel should run its own fight', async () => {
+  await run(cmd_fight_start, {}, { channelId: 'table-a' });
+  await run(cmd_initiative_deal, { characters: 'Grog, Valeria' }, { channelId: 'table-a' });
+  await run(cmd_initiative_round, {}, { channelId: 'table-a' });
+  await run(cmd_initiative_round, {}, { channelId: 'table-a' });
+
+  // Another table starts its own fight without touching the first one
+  const started = await run(cmd_fight_start, {}, { channelId: 'table-b' });
+  assert.match(started, /Fight started!/);
+  await run(cmd_initiative_round, {}, { channelId: 'table-b' });
+
+  const showA = await run(cmd_initiative_show, {}, { channelId: 'table-a' });
+  assert.match(showA.embeds[0].title, /Round 2/);
+  assert.match(showA.embeds[0].description, /Grog/);
+
+  const showB = await run(cmd_initiative_show, {}, { channelId: 'table-b' });
+  assert.match(showB.content, /No cards dealt yet/);
+});
+
+await test('ending a fight should only end that channel\'s fight', async () => {
+  await run(cmd_fight_end, {}, { channelId: 'table-b' });
+  const showA = await run(cmd_initiative_show, {}, { channelId: 'table-a' });
+  assert.match(showA.embeds[0].title, /Round 2/);
+  await run(cmd_fight_end, {}, { channelId: 'table-a' });
+});
+
+await test('a channel without a fight should say so', async () => {
+  const reply = await run(cmd_initiative_round, {}, { channelId: 'table-c' });
+  assert.match(reply.content, /No active fight/);
+});
+
+// ============================================================================
+// Test Suite: Named Encounters
+// ============================================================================
+
+describe('Named Encounters');
+
+await test('a named encounter should be shared across channels', async () => {
+  const started = await run(cmd_fight_start, { encounter: 'Bridge' }, { channelId: 'table-a' });
+  assert.match(started, /Fight started - Bridge!/);
+  await run(cmd_initiative_deal, { characters: 'Zephyr', encounter: 'Bridge' }, { channelId: 'thread-1' });
+
+  const show = await run(cmd_initiative_show, { encounter: 'bridge ' }, { channelId: 'table-b' });
+  assert.match(show.embeds[0].title, /Initiative Order - bridge - Round 0/);
+  assert.match(show.embeds[0].description, /Zephyr/);
+});
+
+await test('a named encounter should not be the channel fight', async () => {
+  const reply = await run(cmd_initiative_show, {}, { channelId: 'table-a' });
+  assert.match(reply.content, /No active fight/);
+
+  const ended = await run(cmd_fight_end, { encounter: 'Bridge' }, { channelId: 'table-b' });
+  assert.match(ended, /Fight ended - Bridge/);
+});
+
+// ============================================================================
+// Test Suite: Jokers
+// ============================================================================
+
+describe('Jokers');
+
+// Enough characters to empty the 54-card deck, so both Jokers are dealt
+const WHOLE_DECK = Array.from({ length: 54 }, (_, i) => `Extra ${i + 1}`);
+
+await test('a round without Jokers should keep the deck', () => {
+  const tracker = new InitiativeTracker(new SeededRandomSource('no-joker'));
+  tracker.start();
+  const deckSize = tracker.deck.length;
+  assert.deepEqual(tracker.newRound(), { round: 1, reshuffled: false, results: [] });
+  assert.equal(tracker.deck.length, deckSize);
+});
+
+await test('a Joker should reshuffle the deck at the end of the round', () => {
+  const tracker = new InitiativeTracker(new SeededRandomSource('joker'));
+  tracker.start();
+  // Put a Joker on top of the deck
+  tracker.deck.sort((a, b) => Number(a.isJoker ?? false) - Number(b.isJoker ?? false));
+  tracker.dealCards(['Grog']);
+  assert.equal(tracker.jokerDealt, true);
+
+  // Reshuffled to 54 cards, then one card is redealt to Grog
+  const { reshuffled } = tracker.newRound();
+  assert.equal(reshuffled, true);
+  assert.equal(tracker.deck.length, 53);
+});
+
+await test('a dropped Joker should also reshuffle the deck', () => {
+  const tracker = new InitiativeTracker(new SeededRandomSource('dropped'));
+  tracker.start();
+  // Level Headed draws both Jokers and keeps the Black one
+  tracker.deck = tracker.deck.filter(card => card.isJoker);
+  const [result] = tracker.dealCards(['Grog'], { level_headed: true });
+  assert.equal(result.card.suit, 'Black');
+  assert.equal(result.droppedCards[0].isJoker, true);
+  assert.equal(tracker.jokerDealt, true);
+});
+
+await test('an empty deck should reshuffle without the cards in play', () => {
+  const tracker = stackedTracker('K♠️', '5♥️');
+  tracker.dealCards(['Grog', 'Valeria']);
+  tracker.hold('Grog');
+  tracker.deck = [];
+
+  tracker.addCharacters(['Zephyr']);
+  const cards = [...tracker.deck, ...tracker.getCardsInPlay()].map(card => card.display);
+  assert.equal(tracker.deck.length, 51);
+  assert.equal(new Set(cards).size, 54, 'No card should be in the deck and in play at once');
+});
+
+await test('an empty deck should keep the Joker reshuffle for the end of the round', () => {
+  const tracker = stackedTracker('Red Joker', 'K♠️');
+  tracker.dealCards(['Valeria', 'Grog']);
+  tracker.hold('Grog');
+  tracker.deck = [];
+
+  tracker.addCharacters(['Zephyr']);
+  assert.equal(tracker.jokerDealt, true);
+
+  // Grog keeps his card on Hold, so it stays out of the reshuffled deck
+  assert.equal(tracker.newRound().reshuffled, true);
+  assert.ok(!tracker.deck.some(card => card.display === 'K of ♠️ Spades'));
+});
+
+await test('the round embed should announce the reshuffle', async () => {
+  await run(cmd_fight_start, {}, { channelId: 'joker-table' });
+  await run(cmd_initiative_deal, { characters: WHOLE_DECK.join(',') }, { channelId: 'joker-table' });
+
+  const round = await run(cmd_initiative_round, {}, { channelId: 'joker-table' });
+  assert.equal(round.embeds[0].title, '🔄 Round 1 started!');
+  assert.match(round.embeds[0].description, /deck has been reshuffled/);
+});
+
+await test('/initiative show should note the Joker bonus', async () => {
+  const show = await run(cmd_initiative_show, {}, { channelId: 'joker-table' });
+  const lines = show.embeds[0].description.split('\n');
+  assert.match(lines[0], /Joker - _\+2 to Trait and damage rolls_/);
+  assert.match(lines[1], /Joker - _\+2/);
+  assert.doesNotMatch(lines[2], /\+2/);
+  await run(cmd_fight_end, {}, { channelId: 'joker-table' });
+});
+
+// ============================================================================
+// Test Suite: Rounds
+// ============================================================================
+
+describe('Rounds');
+
+await test('every round should redeal the whole roster', () => {
+  const tracker = new InitiativeTracker(new SeededRandomSource('rounds'));
+  tracker.start();
+  tracker.dealCards(['Grog'], { level_headed: true });
+  tracker.dealCards(['Valeria']);
+  const deckSize = tracker.deck.length;
+
+  const { round, results } = tracker.newRound();
+  assert.equal(round, 1);
+  assert.deepEqual(results.map(r => r.name), ['Grog', 'Valeria']);
+  assert.equal(tracker.getInitiativeOrder().length, 2);
+  if (!tracker.jokerDealt) {
+    assert.equal(tracker.deck.length, deckSize - 3);
+  }
+});
+
+await test('redeals should keep each character\'s edges', () => {
+  const tracker = new InitiativeTracker(new SeededRandomSource('edges'));
+  tracker.start();
+  tracker.dealCards(['Grog'], { improved_level_headed: true });
+  tracker.dealCards(['Valeria']);
+
+  const { results } = tracker.newRound();
+  assert.equal(results[0].drawnCards.length, 3);
+  assert.equal(results[0].edges.improvedLevelHeaded, true);
+  assert.equal(results[1].drawnCards.length, 1);
+  assert.deepEqual(tracker.getRoster().map(c => c.name), ['Grog', 'Valeria']);
+});
+
+const tempDir = mkdtempSync(join(tmpdir(), 'neosavage-fights-'));
+setRollAuditLog(new RollAuditLog(join(tempDir, 'rolls.jsonl')));
+
+await test('/initiative round should post the new order and be verifiable', async () => {
+  await run(cmd_fight_start, {}, { channelId: 'round-table' });
+  await run(cmd_initiative_deal, { characters: 'Grog, Valeria, Zephyr' }, { channelId: 'round-table' });
+
+  const round = await run(cmd_initiative_round, {}, { channelId: 'round-table' });
+  const embed = round.embeds[0];
+  assert.match(embed.title, /Round 1 started/);
+  assert.equal(embed.description.match(/\*\*\d\.\*\*/g).length, 3);
+
+  const show = await run(cmd_initiative_show, {}, { channelId: 'round-table' });
+  assert.ok(embed.description.endsWith(show.embeds[0].description));
+
+  const rollId = embed.footer.text.match(/🆔 (\w+)/)[1];
+  const verify = createInteraction({ verify: rollId }, { channelId: 'round-table' });
+  await cmd_roll(verify);
+  assert.match(verify.replies[0].embeds[0].data.description, /Verified/);
+  await run(cmd_fight_end, {}, { channelId: 'round-table' });
+});
+
+await test('/initiative round without characters should only count the round', async () => {
+  await run(cmd_fight_start, {}, { channelId: 'empty-table' });
+  const round = await run(cmd_initiative_round, {}, { channelId: 'empty-table' });
+  assert.match(round.embeds[0].description, /No characters yet/);
+  assert.equal(round.embeds[0].footer, undefined);
+  await run(cmd_fight_end, {}, { channelId: 'empty-table' });
+});
+
+setRollAuditLog(null);
+rmSync(tempDir, { recursive: true, force: true });
+
+// ============================================================================
+// Test Suite: Edges and Hindrances
+// ============================================================================
+
+describe('Edges and Hindrances');
+
+await test('parseEdges should accept names and abbreviations', () => {
+  const edges = parseEdges('Quick, level_headed, MT');
+  assert.equal(edges.quick, true);
+  assert.equal(edges.levelHeaded, true);
+  assert.equal(edges.masterTactician, true);
+  assert.equal(edges.hesitant, false);
+  assert.throws(() => parseEdges('Quick, Lucky'), /Unknown edge "Lucky"/);
+  assert.throws(() => parseEdges('Hesitant, Level Headed'), /cannot have Level Headed/);
+});
+
+await test('Quick should redraw cards of 5 or lower', () => {
+  const tracker = stackedTracker('3♠️', '5♥️', '9♣️');
+  const [result] = tracker.dealCards(['Grog'], { quick: true });
+  assert.equal(result.card.display, '9 of ♣️ Clubs');
+  assert.equal(result.droppedCards.length, 2);
+});
+
+await test('Quick should keep a 6 or a Joker', () => {
+  assert.equal(stackedTracker('6♠️').dealCards(['Grog'], { quick: true })[0].card.rank, '6');
+  assert.equal(stackedTracker('Red Joker').dealCards(['Grog'], { quick: true })[0].card.isJoker, true);
+});
+
+await test('Level Headed and Quick should combine', () => {
+  const tracker = stackedTracker('2♠️', '4♥️', 'Q♦️');
+  const [result] = tracker.dealCards([{ name: 'Grog', edges: parseEdges('Quick, Level Headed') }]);
+  assert.equal(result.card.rank, 'Q');
+  assert.equal(result.drawnCards.length, 3);
+});
+
+await test('Hesitant should keep the lowest card unless a Joker comes up', () => {
+  assert.equal(stackedTracker('K♠️', '4♥️').dealCards([{ name: 'Grog', edges: parseEdges('Hesitant') }])[0].card.rank, '4');
+  assert.equal(stackedTracker('4♥️', 'Black Joker').dealCards([{ name: 'Grog', edges: parseEdges('Hesitant') }])[0].card.isJoker, true);
+});
+
+await test('Tacticians should draw extra cards to hand to allies', () => {
+  const tracker = stackedTracker('2♠️', '7♥️', 'A♦️', '3♣️', '10♠️');
+  const [tactician] = tracker.dealCards([{ name: 'Grog', edges: parseEdges('Master Tactician') }, 'Valeria']);
+  assert.equal(tactician.card.rank, '2');
+  assert.deepEqual(tactician.tacticianCards.map(card => card.rank), ['7', 'A']);
+
+  // The best Tactician card goes first and replaces the ally's card
+  const handed = tracker.handCard('Grog', 'Valeria');
+  assert.equal(handed.card.rank, 'A');
+  assert.equal(handed.replacedCard.rank, '3');
+  assert.deepEqual(tracker.discardPile.map(card => card.rank), ['3']);
+  assert.equal(tracker.getInitiativeOrder()[0].name, 'Valeria');
+  tracker.handCard('Grog', 'Valeria');
+  assert.throws(() => tracker.handCard('Grog', 'Valeria'), /no Tactician cards left/);
+});
+
+await test('characters should keep their own edges between deals', () => {
+  const tracker = stackedTracker();
+  tracker.dealCards([{ name: 'Grog', edges: parseEdges('Improved Level Headed') }, 'Valeria']);
+  const [grog, valeria] = tracker.dealCards(['Grog', 'Valeria']);
+  assert.equal(grog.drawnCards.length, 3);
+  assert.equal(valeria.drawnCards.length, 1);
+
+  tracker.setCharacterEdges('Valeria', parseEdges('Level Headed'));
+  assert.equal(tracker.newRound().results[1].drawnCards.length, 2);
+  assert.throws(() => tracker.setCharacterEdges('Zephyr', {}), /No character named "Zephyr"/);
+});
+
+await test('/initiative deal should read per-character edges', async () => {
+  await run(cmd_fight_start, {}, { channelId: 'edge-table' });
+  const deal = await run(cmd_initiative_deal, { characters: 'Grog [Quick, Tactician], Valeria' }, { channelId: 'edge-table' });
+  const description = deal.embeds[0].description;
+  assert.match(description, /\*\*Grog \(Quick, Tactician\):\*\*/);
+  assert.match(description, /↳ _Tactician: /);
+  assert.match(description, /\*\*Valeria:\*\*/);
+
+  const bad = await run(cmd_initiative_deal, { characters: 'Zephyr [Lucky]' }, { channelId: 'edge-table' });
+  assert.match(bad.embeds[0].data.description, /Unknown edge/);
+});
+
+await test('/initiative edges and /initiative hand should update the fight', async () => {
+  const edges = await run(cmd_initiative_edges, { character: 'Valeria', edges: 'Hesitant' }, { channelId: 'edge-table' });
+  assert.equal(edges, '🃏 **Valeria** is now dealt with Hesitant');
+
+  const hand = await run(cmd_initiative_hand, { tactician: 'Grog', ally: 'Valeria' }, { channelId: 'edge-table' });
+  assert.match(hand, /\*\*Grog\*\* hands .* to \*\*Valeria\*\*/);
+  const empty = await run(cmd_initiative_hand, { tactician: 'Grog', ally: 'Valeria' }, { channelId: 'edge-table' });
+  assert.match(empty.embeds[0].data.description, /no Tactician cards left/);
+
+  const round = await run(cmd_initiative_round, {}, { channelId: 'edge-table' });
+  assert.match(round.embeds[0].description, /Valeria \(Hes\)/);
+  await run(cmd_fight_end, {}, { channelId: 'edge-table' });
+});
+
+// ============================================================================
+// Test Suite: Hold and Interrupt
+// ============================================================================
+
+describe('Hold and Interrupt');
+
+await test('characters on Hold should be listed last and keep Hold across rounds', () => {
+  const tracker = stackedTracker('K♠️', '5♥️', '9♣️');
+  tracker.dealCards(['Grog', 'Valeria', 'Zephyr']);
+  tracker.hold('Grog');
+
+  let order = tracker.getInitiativeOrder();
+  assert.deepEqual(order.map(c => c.name), ['Zephyr', 'Valeria', 'Grog']);
+  assert.equal(order[2].onHold, true);
+
+  // Grog is not dealt in while on Hold
+  const { results } = tracker.newRound();
+  assert.deepEqual(results.map(r => r.name), ['Valeria', 'Zephyr']);
+  order = tracker.getInitiativeOrder();
+  assert.equal(order[order.length - 1].name, 'Grog');
+  assert.equal(order[order.length - 1].onHold, true);
+  assert.throws(() => tracker.hold('Grog'), /already on Hold/);
+});
+
+await test('interrupting should act before the target and end the Hold', () => {
+  const tracker = stackedTracker('K♠️', '5♥️', '9♣️');
+  tracker.dealCards(['Grog', 'Valeria', 'Zephyr']);
+  tracker.hold('Grog');
+  tracker.interrupt('Grog', 'Valeria');
+
+  const order = tracker.getInitiativeOrder();
+  assert.deepEqual(order.map(c => c.name), ['Zephyr', 'Grog', 'Valeria']);
+  assert.equal(order[1].onHold, false);
+  assert.deepEqual(order[1].placement, { target: 'Valeria', before: true });
+
+  // Grog is dealt in again next round
+  assert.equal(tracker.newRound().results.length, 3);
+  assert.equal(tracker.getInitiativeOrder().some(c => c.placement), false);
+});
+
+await test('a lost interrupt should act right after the target', () => {
+  const tracker = stackedTracker('K♠️', '5♥️', '9♣️');
+  tracker.dealCards(['Grog', 'Valeria', 'Zephyr']);
+  tracker.hold('Grog');
+  tracker.interrupt('Grog', 'Zephyr', false);
+  assert.deepEqual(tracker.getInitiativeOrder().map(c => c.name), ['Zephyr', 'Grog', 'Valeria']);
+});
+
+await test('a chained interrupt should act before the interrupter it interrupts', () => {
+  const tracker = stackedTracker('K♠️', '5♥️', '9♣️');
+  tracker.dealCards(['Grog', 'Valeria', 'Zephyr']);
+  tracker.hold('Grog');
+  tracker.hold('Valeria');
+  tracker.interrupt('Valeria', 'Zephyr');
+  tracker.interrupt('Grog', 'Valeria');
+  assert.deepEqual(tracker.getInitiativeOrder().map(c => c.name), ['Grog', 'Valeria', 'Zephyr']);
+});
+
+await test('only characters on Hold should interrupt acting characters', () => {
+  const tracker = stackedTracker();
+  tracker.dealCards(['Grog', 'Valeria', 'Zephyr']);
+  assert.throws(() => tracker.interrupt('Grog', 'Valeria'), /not on Hold/);
+  tracker.hold('Grog');
+  tracker.hold('Valeria');
+  assert.throws(() => tracker.interrupt('Grog', 'Valeria'), /acting this round/);
+  assert.throws(() => tracker.interrupt('Grog', 'Grog'), /acting this round/);
+  assert.throws(() => tracker.interrupt('Grog', 'Nobody'), /No character named "Nobody"/);
+});
+
+await test('/initiative hold and interrupt should update /initiative show', async () => {
+  await run(cmd_fight_start, {}, { channelId: 'hold-table' });
+  await run(cmd_initiative_deal, { characters: 'Grog, Valeria' }, { channelId: 'hold-table' });
+
+  assert.equal(await run(cmd_initiative_hold, { name: 'Grog' }, { channelId: 'hold-table' }), '✋ **Grog** is on Hold');
+  let show = await run(cmd_initiative_show, {}, { channelId: 'hold-table' });
+  assert.match(show.embeds[0].description, /✋ Grog - _On Hold_$/);
+
+  const interrupt = await run(cmd_initiative_interrupt, { name: 'Grog', before: 'Valeria' }, { channelId: 'hold-table' });
+  assert.equal(interrupt, '⚡ **Grog** interrupts **Valeria**!');
+  show = await run(cmd_initiative_show, {}, { channelId: 'hold-table' });
+  assert.match(show.embeds[0].description, /^\*\*1\.\*\* Grog - .* - ⚡ _interrupts Valeria_/);
+});
+
+await test('/initiative interrupt should ping an interrupter who takes the current turn', async () => {
+  await run(cmd_fight_start, {}, { channelId: 'ping-table' });
+  await run(cmd_initiative_deal, { characters: 'Grog <@7>, Valeria' }, { channelId: 'ping-table' });
+  await run(cmd_initiative_hold, { name: 'Grog' }, { channelId: 'ping-table' });
+  await run(cmd_initiative_next, {}, { channelId: 'ping-table' });
+
+  const interrupt = await run(cmd_initiative_interrupt, { name: 'Grog', before: 'Valeria' }, { channelId: 'ping-table' });
+  assert.equal(interrupt, '⚡ **Grog** interrupts **Valeria**!\n🎯 <@7> **Grog**, it\'s your turn!');
+  await run(cmd_fight_end, {}, { channelId: 'ping-table' });
+});
+
+await test('/initiative interrupt should roll opposed Athletics when contested', async () => {
+  await run(cmd_initiative_hold, { name: 'Grog' }, { channelId: 'hold-table' });
+
+  const half = await run(cmd_initiative_interrupt, { name: 'Grog', before: 'Valeria', athletics: '8' }, { channelId: 'hold-table' });
+  assert.match(half.embeds[0].data.description, /needs both/);
+
+  const contested = await run(cmd_initiative_interrupt, {
+    name: 'Grog', before: 'Valeria', athletics: 'd8', opponent_athletics: 's6+1'
+  }, { channelId: 'hold-table' });
+  const [, grog, valeria] = contested.content.match(/Athletics (\d+) vs (\d+)/).map(Number);
+  assert.equal(contested.embeds.length, 2);
+  assert.match(contested.content, grog >= valeria ? /interrupts/ : /acts right after/);
+
+  const bad = await run(cmd_initiative_interrupt, { name: 'Valeria', before: 'Grog' }, { channelId: 'hold-table' });
+  assert.match(bad.embeds[0].data.description, /not on Hold/);
+  await run(cmd_fight_end, {}, { channelId: 'hold-table' });
+});
+
+// ============================================================================
+// Test Suite: Turns
+// ============================================================================
+
+describe('Turns');
+
+await test('nextTurn should step through the acting order and start a new round', () => {
+  const tracker = stackedTracker('K♠️', '5♥️', '9♣️');
+  tracker.dealCards(['Grog', 'Valeria', 'Zephyr']);
+  assert.equal(tracker.getCurrentActor(), null);
+
+  assert.equal(tracker.nextTurn().actor.name, 'Grog');
+  assert.equal(tracker.nextTurn().actor.name, 'Zephyr');
+  const last = tracker.nextTurn();
+  assert.equal(last.actor.name, 'Valeria');
+  assert.equal(last.roundResult, null);
+  assert.equal(tracker.isLastTurn(), true);
+
+  const next = tracker.nextTurn();
+  assert.equal(next.roundResult.round, 1);
+  assert.equal(tracker.turnIndex, 0);
+  assert.equal(next.actor.name, tracker.getActingOrder()[0].name);
+});
+
+await test('previousTurn should stop at the start of the round', () => {
+  const tracker = stackedTracker('K♠️', '5♥️');
+  tracker.dealCards(['Grog', 'Valeria']);
+  assert.throws(() => tracker.previousTurn(), /start of the round/);
+  tracker.nextTurn();
+  tracker.nextTurn();
+  assert.equal(tracker.previousTurn().name, 'Grog');
+  assert.throws(() => tracker.previousTurn(), /start of the round/);
+});
+
+await test('characters on Hold should not take a turn', () => {
+  const tracker = stackedTracker('K♠️', '5♥️');
+  tracker.dealCards(['Grog', 'Valeria']);
+  tracker.hold('Grog');
+  assert.equal(tracker.nextTurn().actor.name, 'Valeria');
+  assert.equal(tracker.isLastTurn(), true);
+});
+
+await test('holding at or before the current turn should not skip anyone', () => {
+  const tracker = stackedTracker('K♠️', '5♥️', '9♣️');
+  tracker.dealCards(['Grog', 'Valeria', 'Zephyr']);
+
+  // The current actor holds: the next turn goes to whoever came after them
+  assert.equal(tracker.nextTurn().actor.name, 'Grog');
+  tracker.hold('Grog');
+  assert.equal(tracker.nextTurn().actor.name, 'Zephyr');
+
+  // Someone who already acted holds
+  const later = stackedTracker('K♠️', '5♥️', '9♣️');
+  later.dealCards(['Grog', 'Valeria', 'Zephyr']);
+  later.nextTurn();
+  later.nextTurn();
+  later.hold('Grog');
+  assert.equal(later.getCurrentActor().name, 'Zephyr');
+  assert.equal(later.nextTurn().actor.name, 'Valeria');
+});
+
+await test('interrupting the current actor should make the interrupter current', () => {
+  const tracker = stackedTracker('K♠️', '5♥️', '9♣️');
+  tracker.dealCards(['Grog', 'Valeria', 'Zephyr']);
+  tracker.hold('Grog');
+  assert.equal(tracker.nextTurn().actor.name, 'Zephyr');
+
+  // Grog interrupts the current actor, who acts once Grog is done
+  tracker.interrupt('Grog', 'Zephyr');
+  assert.equal(tracker.getCurrentActor().name, 'Grog');
+  assert.equal(tracker.nextTurn().actor.name, 'Zephyr');
+  assert.equal(tracker.nextTurn().actor.name, 'Valeria');
+  assert.equal(tracker.isLastTurn(), true);
+});
+
+await test('interrupting before the current turn should keep the current actor', () => {
+  const tracker = stackedTracker('K♠️', '5♥️', '9♣️');
+  tracker.dealCards(['Grog', 'Valeria', 'Zephyr']);
+  tracker.hold('Grog');
+  tracker.nextTurn();
+  assert.equal(tracker.nextTurn().actor.name, 'Valeria');
+
+  tracker.interrupt('Grog', 'Zephyr');
+  assert.equal(tracker.getCurrentActor().name, 'Valeria');
+  assert.equal(tracker.isLastTurn(), true);
+});
+
+await test('/initiative next should ping the player and carry turn buttons', async () => {
+  await run(cmd_fight_start, {}, { channelId: 'turn-table' });
+  await run(cmd_initiative_deal, { characters: 'Grog <@7> [Quick], Valeria' }, { channelId: 'turn-table' });
+  const first = (await run(cmd_initiative_show, {}, { channelId: 'turn-table' })).embeds[0].description.match(/\*\* (\w+)/)[1];
+
+  const next = await run(cmd_initiative_next, {}, { channelId: 'turn-table' });
+  assert.match(next.content, first === 'Grog' ? /^🎯 <@7> \*\*Grog\*\*, it's your turn!$/ : /^🎯 \*\*Valeria\*\*/);
+  assert.match(next.embeds[0].title, /Round 0 - Turn 1\/2/);
+  assert.match(next.embeds[0].description, new RegExp(`^▶️ \\*\\*1\\.\\*\\* ${first}`));
+
+  const buttons = next.components[0].toJSON().components.map(button => button.custom_id);
+  assert.deepEqual(buttons, ['initiative:previous:', 'initiative:next:']);
+});
+
+await test('turn buttons should step the fight of their channel', async () => {
+  const press = async (customId, isGm = true) => {
+    const interaction = createInteraction({}, { channelId: 'turn-table', isGm });
+    interaction.isButton = () => true;
+    interaction.customId = customId;
+    interaction.options = null;
+    interaction.update = async payload => { interaction.updated = payload; };
+    await cmd_initiative_next(interaction);
+    return interaction;
+  };
+
+  // The button updates the turn message, and only the GM can press it
+  const second = await press('initiative:next:');
+  assert.equal(second.replies.length, 0);
+  assert.match(second.updated.embeds[0].title, /Turn 2\/2/);
+  assert.deepEqual(second.updated.attachments, []);
+
+  const player = await press('initiative:next:', false);
+  assert.equal(player.updated, undefined);
+  assert.match(player.replies[0].embeds[0].data.description, /Only the GM \(Manage Server permission\) can move the turn/);
+
+  // After the last actor, the next turn starts a new round
+  const { updated: third } = await press('initiative:next:');
+  assert.equal(third.embeds.length, 2);
+  assert.match(third.embeds[0].title, /Round 1 started/);
+  assert.match(third.embeds[1].title, /Round 1 - Turn 1\/2/);
+
+  const previous = await run(cmd_initiative_previous, {}, { channelId: 'turn-table' });
+  assert.match(previous.embeds[0].data.description, /start of the round/);
+
+  const interaction = createInteraction({}, { channelId: 'turn-table', isGm: false });
+  await cmd_initiative_previous(interaction);
+  assert.match(interaction.replies[0].embeds[0].data.description, /can move the turn/);
+  await run(cmd_fight_end, {}, { channelId: 'turn-table' });
+});
+
+// ============================================================================
+// Test Suite: Adding and Removing Characters
+// ============================================================================
+
+describe('Adding and Removing Characters');
+
+await test('addCharacters should deal new characters and reject names already in the fight', () => {
+  const tracker = stackedTracker('K♠️', '5♥️', '9♣️');
+  tracker.dealCards(['Grog', 'Valeria']);
+
+  assert.throws(() => tracker.addCharacters(['Goon', 'Grog']), /Grog is already in this fight/);
+  assert.throws(() => tracker.addCharacters(['Goon', 'Goon']), /Goon is already in this fight/);
+  assert.equal(tracker.characters.size, 2);
+
+  const [result] = tracker.addCharacters(['Goon']);
+  assert.equal(result.card.display, '9 of ♣️ Clubs');
+  assert.deepEqual(tracker.getInitiativeOrder().map(char => char.name), ['Grog', 'Goon', 'Valeria']);
+});
+
+await test('removeCharacter should discard the card and keep the rest of the order', () => {
+  const tracker = stackedTracker('K♠️', '5♥️', '9♣️');
+  tracker.dealCards(['Grog', 'Valeria', 'Zephyr']);
+
+  const removed = tracker.removeCharacter('Zephyr');
+  assert.equal(removed.card.display, '9 of ♣️ Clubs');
+  assert.deepEqual(tracker.discardPile.map(card => card.display), ['9 of ♣️ Clubs']);
+  assert.deepEqual(tracker.getInitiativeOrder().map(char => char.name), ['Grog', 'Valeria']);
+  assert.throws(() => tracker.removeCharacter('Zephyr'), /No character named "Zephyr"/);
+
+  const restored = InitiativeTracker.fromJSON(JSON.parse(JSON.stringify(tracker)));
+  assert.deepEqual(restored.discardPile.map(card => card.display), ['9 of ♣️ Clubs']);
+});
+
+await test('removing a character should keep the turn on the same upcoming character', () => {
+  const tracker = stackedTracker('K♠️', '5♥️', '9♣️');
+  tracker.dealCards(['Grog', 'Valeria', 'Zephyr']);
+  tracker.nextTurn();
+  tracker.nextTurn();
+  assert.equal(tracker.getCurrentActor().name, 'Zephyr');
+
+  // Someone who already acted leaves
+  tracker.removeCharacter('Grog');
+  assert.equal(tracker.getCurrentActor().name, 'Zephyr');
+
+  // The current actor leaves: whoever came after them takes the turn
+  tracker.removeCharacter('Zephyr');
+  assert.equal(tracker.getCurrentActor().name, 'Valeria');
+});
+
+await test('removing the last actor should end the round', () => {
+  const tracker = stackedTracker('K♠️', '5♥️', '9♣️');
+  tracker.dealCards(['Grog', 'Valeria', 'Zephyr']);
+  tracker.nextTurn();
+  tracker.nextTurn();
+  assert.equal(tracker.nextTurn().actor.name, 'Valeria');
+
+  // Nobody who already acted gets the turn back
+  tracker.removeCharacter('Valeria');
+  assert.equal(tracker.getCurrentActor(), null);
+  assert.equal(tracker.isLastTurn(), true);
+  assert.equal(tracker.nextTurn().roundResult.round, 1);
+});
+
+await test('removing the first actor should keep the turn pointer in the round', () => {
+  const tracker = stackedTracker('K♠️', '5♥️', '9♣️');
+  tracker.dealCards(['Grog', 'Valeria', 'Zephyr']);
+  tracker.nextTurn();
+
+  tracker.removeCharacter('Grog');
+  assert.equal(tracker.turnIndex, 0);
+  assert.equal(tracker.getCurrentActor().name, 'Zephyr');
+  assert.throws(() => tracker.previousTurn(), /start of the round/);
+  assert.equal(tracker.nextTurn().actor.name, 'Valeria');
+});
+
+await test('interrupts of a removed character should fall back to the interrupter\'s own card', () => {
+  const tracker = stackedTracker('K♠️', '5♥️', '9♣️');
+  tracker.dealCards(['Grog', 'Valeria', 'Zephyr']);
+  tracker.hold('Valeria');
+  tracker.interrupt('Valeria', 'Grog');
+  tracker.removeCharacter('Grog');
+
+  assert.equal(tracker.characters.get('Valeria').placement, null);
+  assert.deepEqual(tracker.getInitiativeOrder().map(char => char.name), ['Zephyr', 'Valeria']);
+});
+
+await test('renameCharacter should keep the card, place and interrupts', () => {
+  const tracker = stackedTracker('K♠️', '5♥️', '9♣️');
+  tracker.dealCards(['Grog', 'Valeria', 'Zephyr']);
+  tracker.hold('Valeria');
+  tracker.interrupt('Valeria', 'Grog');
+
+  assert.throws(() => tracker.renameCharacter('Grog', 'Zephyr'), /Zephyr is already in this fight/);
+  assert.throws(() => tracker.renameCharacter('Nobody', 'Somebody'), /No character named "Nobody"/);
+
+  tracker.renameCharacter('Grog', 'Grog the Bold');
+  assert.equal(tracker.characters.get('Grog the Bold').card.display, 'K of ♠️ Spades');
+  assert.deepEqual(tracker.characters.get('Valeria').placement, { target: 'Grog the Bold', before: true });
+  assert.deepEqual(tracker.getInitiativeOrder().map(char => char.name), ['Valeria', 'Grog the Bold', 'Zephyr']);
+});
+
+await test('/initiative add, kill, rename and remove should update the fight', async () => {
+  await run(cmd_fight_start, {}, { channelId: 'goon-table' });
+  await run(cmd_initiative_deal, { characters: 'Grog, Goon 1' }, { channelId: 'goon-table' });
+
+  const added = await run(cmd_initiative_add, { characters: 'Goon 2 [Quick], Goon 3' }, { channelId: 'goon-table' });
+  assert.equal(added.embeds[0].title, '➕ Characters Joined the Fight');
+  assert.match(added.embeds[0].description, /Goon 2 \(Quick\)/);
+
+  const duplicate = await run(cmd_initiative_add, { characters: 'Goon 1' }, { channelId: 'goon-table' });
+  assert.match(duplicate.embeds[0].data.description, /Goon 1 is already in this fight/);
+
+  assert.match(await run(cmd_initiative_kill, { name: 'Goon 1' }, { channelId: 'goon-table' }), /^💀 \*\*Goon 1\*\* is killed _\(.+ discarded\)_$/);
+  assert.match(await run(cmd_initiative_remove, { name: 'Goon 3' }, { channelId: 'goon-table' }), /^🚪 \*\*Goon 3\*\* leaves the fight/);
+  assert.equal(await run(cmd_initiative_rename, { name: 'Goon 2', new_name: 'Boss' }, { channelId: 'goon-table' }), '✏️ **Goon 2** is now **Boss**');
+
+  const missing = await run(cmd_initiative_remove, { name: 'Goon 3' }, { channelId: 'goon-table' });
+  assert.match(missing.embeds[0].data.description, /No character named "Goon 3"/);
+
+  const show = await run(cmd_initiative_show, {}, { channelId: 'goon-table' });
+  assert.doesNotMatch(show.embeds[0].description, /Goon [23]/);
+  assert.match(show.embeds[0].description, /Boss/);
+  assert.match(show.embeds[0].description, /💀 _Fallen: Goon 1_$/);
+  await run(cmd_fight_end, {}, { channelId: 'goon-table' });
+
+  const noFight = await run(cmd_initiative_kill, { name: 'Grog' }, { channelId: 'goon-table' });
+  assert.match(noFight.embeds[0].data.description, /No active fight/);
+});
+
+// ============================================================================
+// Test Suite: Groups of Extras
+// ============================================================================
+
+describe('Groups of Extras');
+
+await test('a group should get one card for all its members, kept across rounds', () => {
+  const tracker = stackedTracker('K♠️', '5♥️', '9♣️', '2♦️');
+  const [grog, goblins] = tracker.dealCards(['Grog', { name: 'Goblins', edges: null, owner: null, group: 3 }]);
+
+  assert.equal(grog.members, undefined);
+  assert.equal(goblins.card.display, '5 of ♥️ Hearts');
+  assert.deepEqual(goblins.members, ['Goblins 1', 'Goblins 2', 'Goblins 3']);
+  assert.equal(tracker.getInitiativeOrder().length, 2);
+
+  const { results } = tracker.newRound();
+  assert.deepEqual(results[1].members, ['Goblins 1', 'Goblins 2', 'Goblins 3']);
+  assert.deepEqual(tracker.getRoster()[1].members, ['Goblins 1', 'Goblins 2', 'Goblins 3']);
+
+  assert.throws(() => tracker.dealCards([{ name: 'Orcs', group: 0 }]), /Group size must be between 1 and 50/);
+});
+
+await test('removing group members should keep the group card until the last one', () => {
+  const tracker = stackedTracker('K♠️', '5♥️');
+  tracker.dealCards(['Grog', { name: 'Goblins', group: 2 }]);
+
+  assert.deepEqual(tracker.killCharacter('Goblins 1'), { group: 'Goblins', membersLeft: 1, card: null });
+  assert.deepEqual(tracker.fallen, ['Goblins 1']);
+  assert.equal(tracker.characters.get('Goblins').card.display, '5 of ♥️ Hearts');
+
+  const last = tracker.removeCharacter('Goblins 2');
+  assert.equal(last.membersLeft, 0);
+  assert.equal(last.card.display, '5 of ♥️ Hearts');
+  assert.equal(tracker.characters.has('Goblins'), false);
+  assert.deepEqual(tracker.discardPile.map(card => card.display), ['5 of ♥️ Hearts']);
+});
+
+await test('wounds should be tracked per group member', () => {
+  const tracker = stackedTracker('K♠️', '5♥️');
+  tracker.dealCards(['Grog', { name: 'Goblins', group: 2 }]);
+
+  assert.equal(tracker.wound('Goblins 2'), 1);
+  assert.equal(tracker.wound('Goblins 2', 2), 3);
+  assert.equal(tracker.wound('Goblins 2', -5), 0);
+  assert.equal(tracker.wound('Grog', 2), 2);
+  assert.throws(() => tracker.wound('Goblins'), /Goblins is a group. Wound one of its members: Goblins 1, Goblins 2/);
+  assert.throws(() => tracker.wound('Grog', 0), /other than 0/);
+
+  // Wounds survive redeals and saves
+  tracker.wound('Goblins 1');
+  tracker.newRound();
+  const restored = InitiativeTracker.fromJSON(JSON.parse(JSON.stringify(tracker)));
+  assert.equal(restored.characters.get('Grog').wounds, 2);
+  assert.deepEqual(restored.characters.get('Goblins').members, [
+    { name: 'Goblins 1', wounds: 1 },
+    { name: 'Goblins 2', wounds: 0 }
+  ]);
+});
+
+await test('group member names should be unique in the fight', () => {
+  const tracker = stackedTracker('K♠️', '5♥️', '9♣️');
+  tracker.dealCards(['Grog', { name: 'Goblins', group: 2 }]);
+
+  assert.throws(() => tracker.addCharacters(['Goblins 1']), /Goblins 1 is already in this fight/);
+  assert.throws(() => tracker.renameCharacter('Grog', 'Goblins 2'), /Goblins 2 is already in this fight/);
+
+  tracker.renameCharacter('Goblins 2', 'Snik');
+  assert.deepEqual(tracker.characters.get('Goblins').members.map(member => member.name), ['Goblins 1', 'Snik']);
+});
+
+const groupDir = mkdtempSync(join(tmpdir(), 'neosavage-groups-'));
+setRollAuditLog(new RollAuditLog(join(groupDir, 'rolls.jsonl')));
+
+await test('/initiative deal should accept group syntax and show the group with a count', async () => {
+  await run(cmd_fight_start, {}, { channelId: 'goblin-table' });
+  const deal = await run(cmd_initiative_deal, {
+    characters: 'Grog [Quick], Goblins x3, [Wolves] x2 [Quick], [Ogre]'
+  }, { channelId: 'goblin-table' });
+  const dealText = deal.embeds[0].description;
+  assert.match(dealText, /\*\*Grog \(Quick\):\*\*/);
+  assert.match(dealText, /\*\*Goblins ×3:\*\*/);
+  assert.match(dealText, /\*\*Wolves ×2 \(Quick\):\*\*/);
+  assert.match(dealText, /\*\*Ogre ×1:\*\*/);
+
+  // The audit replay deals the same groups
+  const verify = createInteraction({ verify: deal.embeds[0].footer.text.match(/🆔 (\w+)/)[1] }, { channelId: 'goblin-table' });
+  await cmd_roll(verify);
+  assert.match(verify.replies[0].embeds[0].data.description, /Verified/);
+
+  assert.equal(await run(cmd_initiative_wound, { name: 'Goblins 2' }, { channelId: 'goblin-table' }), '🩸 **Goblins 2** now has 1 wound');
+  assert.equal(
+    await run(cmd_initiative_kill, { name: 'Goblins 3' }, { channelId: 'goblin-table' }),
+    '💀 **Goblins 3** is killed _(Goblins: 2 left)_'
+  );
+  assert.match(await run(cmd_initiative_kill, { name: 'Ogre 1' }, { channelId: 'goblin-table' }), /_\(Ogre is out of the fight, .+ discarded\)_$/);
+
+  const show = (await run(cmd_initiative_show, {}, { channelId: 'goblin-table' })).embeds[0].description;
+  assert.match(show, /Goblins ×2 - .+\n {2}↳ _Goblins 1, Goblins 2 🩸1_/);
+  assert.doesNotMatch(show, /Ogre ×/);
+
+  const tooBig = await run(cmd_initiative_add, { characters: 'Rats x99' }, { channelId: 'goblin-table' });
+  assert.match(tooBig.embeds[0].data.description, /Group size must be between 1 and 50/);
+  await run(cmd_fight_end, {}, { channelId: 'goblin-table' });
+});
+
+setRollAuditLog(null);
+rmSync(groupDir, { recursive: true, force: true });
+
+// ============================================================================
+// Run Tests and Report Results
+// ============================================================================
+
+reportResults('TEST SUMMARY - Fight Tests', '✨ All fight tests passed!');
@@ -0,0 +1,127 @@
+/**
+ * Shared test harness and fixtures
+ * Each test file registers its tests with test/describe and ends with reportResults
+ */
+
+// Test counter for reporting
+let testsPassed = 0;
+let testsFailed = 0;
+
+/**
+ * Record the outcome of a test
+ * Internal helper - not exported, used by test
+ * @param {string} description - Test description
+ * @param {Error|null} error - Failure, or null when the test passed
+ */
+function record(description, error) {
+  if (!error) {
+    testsPassed++;
+    console.log(`✓ ${description}`);
+    return;
+  }
+
+  testsFailed++;
+  console.error(`✗ ${description}`);
+  console.error(`  ${error.message}`);
+  if (error.stack) {
+    console.error(`  ${error.stack.split('\n').slice(1, 3).join('\n')}`);
+  }
+}
+
+/**
+ * Run a test - await it when the test function is async
+ * @param {string} description - Test description
+ * @param {Function} fn - Test body, throws (or rejects) on failure
+ * @returns {Promise|undefined} - Settles once an async test finished
+ */
+export function test(description, fn) {
+  try {
+    const result = fn();
+    if (result instanceof Promise) {
+      return result.then(() => record(description, null), error => record(description, error));
+    }
+    record(description, null);
+  } catch (error) {
+    record(description, error);
+  }
+}
+
+/**
+ * Start a group of tests
+ * @param {string} description - Group title
+ * @param {Function} [fn] - Synchronous tests of the group
+ */
+export function describe(description, fn) {
+  console.log(`\n${description}`);
+  fn?.();
+}
+
+/**
+ * Print the test summary and exit with a failing status if any test failed
+ * @param {string} title - Summary title
+ * @param {string} successMessage - Printed when every test passed
+ */
+export function reportResults(title, successMessage) {
+  console.log('\n' + '='.repeat(80));
+  console.log(title);
+  console.log('='.repeat(80));
+  console.log(`Total Tests: ${testsPassed + testsFailed}`);
+  console.log(`Passed: ${testsPassed}`);
+  console.log(`Failed: ${testsFailed}`);
+  console.log('='.repeat(80));
+
+  if (testsFailed > 0) {
+    process.exit(1);
+  } else {
+    console.log(`\n${successMessage}`);
+    process.exit(0);
+  }
+}
+
+/**
+ * Random source returning a fixed sequence of die faces (1-based)
+ * @param {...number} faces - Faces to roll, repeated when exhausted
+ * @returns {Object} - Random source
+ */
+export function fixedDice(...faces) {
+  let index = 0;
+  return { nextInt: () => faces[index++ % faces.length] - 1 };
+}
+
+/**
+ * Minimal stand-in for a Discord slash command interaction
+ * @param {Object} options - Option values by name
+ * @param {Object} [caller] - {userId, guildId, channelId, isGm} (isGm grants the Manage Server permission)
+ * @returns {Object} - Interaction collecting its replies in `replies`
+ */
+export function createInteraction(options = {}, { userId = '42', guildId = 'guild-1', channelId = 'channel-1', isGm = true } = {}) {
+  const interaction = {
+    user: { id: userId, tag: `tester-${userId}#0001` },
+    guildId,
+    channelId,
+    memberPermissions: { has: () => isGm },
+    replies: [],
+    options: {
+      getString: name => options[name] ?? null,
+      getInteger: name => options[name] ?? null,
+      getBoolean: name => options[name] ?? null,
+      getUser: name => options[name] ? { id: options[name] } : null
+    },
+    reply: async payload => { interaction.replies.push(payload); },
+    followUp: async payload => { interaction.replies.push(payload); }
+  };
+  return interaction;
+}
+
+/**
+ * Run a command and return its first reply
+ * @param {Function} command - Command handler
+ * @param {Object} options - Option values by name
+ * @param {Object} [caller] - Same as createInteraction
+ * @returns {Promise<Object>} - First reply payload
+ */
+export async function run(command, options = {}, caller = {}) {
+  const interaction = createInteraction(options, caller);
+  await command(interaction);
+  return interaction.replies[0];
+}
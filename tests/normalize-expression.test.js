@@ -4,93 +4,8 @@
  */
 
 import { strict as assert } from 'assert';
-
-// Mock the normalizeExpression function for testing
-// In actual implementation, import from diceCommands.js
-function normalizeExpression(expression) {
-  // Check for Nx prefix (multiple rolls)
-  const repeatMatch = expression.match(/^(\d+[xX])(.*)/);
-  let repeatPrefix = '';
-  let rollExpression = expression;
-
-  if (repeatMatch) {
-    repeatPrefix = repeatMatch[1]; // e.g., "3x"
-    rollExpression = repeatMatch[2]; // rest of expression after "3x"
-  }
-
-  // For Savage Worlds rolls (s notation)
-  // Extract: base roll, modifiers (+/-), target (t), raise (r)
-  const swMatch = rollExpression.match(/^(\d*[sS]\d+(?:[wW]\d+)?)(.*)/);
-  if (swMatch) {
-    const baseRoll = swMatch[1]; // e.g., "s10" or "2s8w6"
-    const rest = swMatch[2]; // everything after base roll
-
-    // Extract all modifier types from rest
-    const targetMatch = rest.match(/[tT](\d+)/);
-    const raiseMatch = rest.match(/[rR](\d+)/);
-    const modifierMatch = rest.match(/([+-]\d+)/);
-
-    // Rebuild in correct order: repeat + base + target + raise + modifier
-    let normalized = repeatPrefix + baseRoll;
-    if (targetMatch) normalized += 't' + targetMatch[1];
-    if (raiseMatch) normalized += 'r' + raiseMatch[1];
-    if (modifierMatch) normalized += modifierMatch[1];
-
-    return normalized;
-  }
-
-  // For generic rolls (d notation)
-  // Extract: base roll, explosion (!), keep (k/kl/adv/dis), target/raise, modifiers
-  const genericMatch = rollExpression.match(/^(\d*[dD]\d+%?)(!)?(.*)$/);
-  if (genericMatch) {
-    const baseRoll = genericMatch[1]; // e.g., "3d6"
-    const explosion = genericMatch[2] || ''; // "!" or ""
-    const rest = genericMatch[3]; // everything after explosion
-
-    // Extract modifier types (keep can have optional number: k, k2, kl, kl3, adv, dis)
-    const keepMatch = rest.match(/([kK][lL]?|adv|dis)(\d*)/i);
-    const targetMatch = rest.match(/[tT](\d+)/);
-    const raiseMatch = rest.match(/[rR](\d+)/);
-    const modifierMatch = rest.match(/([+-]\d+)/);
-
-    // Rebuild: repeat + base + explosion + keep + target + raise + modifier
-    let normalized = repeatPrefix + baseRoll + explosion;
-    if (keepMatch) {
-      // Normalize keep operation (kl, kL, KL -> kl; k, K -> k)
-      const keepOp = keepMatch[1].toLowerCase();
-      normalized += keepOp + (keepMatch[2] || '');
-    }
-    if (targetMatch) normalized += 't' + targetMatch[1];
-    if (raiseMatch) normalized += 'r' + raiseMatch[1];
-    if (modifierMatch) normalized += modifierMatch[1];
-
-    return normalized;
-  }
-
-  // If no pattern matched, return original
-  return expression;
-}
-
-// Test counter for reporting
-let testsPassed = 0;
-let testsFailed = 0;
-
-function test(description, fn) {
-  try {
-    fn();
-    testsPassed++;
-    console.log(`✓ ${description}`);
-  } catch (error) {
-    testsFailed++;
-    console.error(`✗ ${description}`);
-    console.error(`  ${error.message}`);
-  }
-}
-
-function describe(description, fn) {
-  console.log(`\n${description}`);
-  fn();
-}
+import { normalizeExpression } from '../src/commands/diceCommands.js';
+import { test, describe, reportResults } from './helpers.js';
 
 // ============================================================================
 // Test Suite: Basic Dice Expressions (d notation)
@@ -143,6 +58,21 @@ describe('Explosion/Acing Modifiers (!)', () => {
     assert.equal(normalizeExpression('d20-2!'), 'd20!-2');
   });*/
 
+  test('should keep compounding, penetrating and explode thresholds together', () => {
+    assert.equal(normalizeExpression('d10!>8+2'), 'd10!>8+2');
+    assert.equal(normalizeExpression('3d6!!+1'), '3d6!!+1');
+    assert.equal(normalizeExpression('2d6!p'), '2d6!p');
+    assert.equal(normalizeExpression('4d10!<2k2'), '4d10!<2k2');
+    assert.equal(normalizeExpression('d6!=5+3'), 'd6!=5+3');
+  });
+
+  test('should keep rerolls and tell them apart from the raise step', () => {
+    assert.equal(normalizeExpression('2d6ro1'), '2d6ro1');
+    assert.equal(normalizeExpression('2d6+1RO<2'), '2d6ro<2+1');
+    assert.equal(normalizeExpression('d6!r=1'), 'd6!r=1');
+    assert.equal(normalizeExpression('2d6t8r2'), '2d6t8r2');
+  });
+
   test('should handle explosion with keep modifiers', () => {
     assert.equal(normalizeExpression('5d20!k2'), '5d20!k2');
     assert.equal(normalizeExpression('4d6!kl1'), '4d6!kl1');
@@ -198,6 +128,32 @@ describe('Keep Modifiers (k, kl, adv, dis)', () => {
   });
 });
 
+// ============================================================================
+// Test Suite: Drop Modifiers (dl, dh)
+// ============================================================================
+
+describe('Drop Modifiers (dl, dh)', () => {
+  test('should preserve drop lowest and drop highest', () => {
+    assert.equal(normalizeExpression('4d6dl'), '4d6dl');
+    assert.equal(normalizeExpression('4d6DL1'), '4d6dl1');
+    assert.equal(normalizeExpression('5d20dh2'), '5d20dh2');
+  });
+
+  test('should keep both drops of the keep-middle form', () => {
+    assert.equal(normalizeExpression('5d6dl1dh1'), '5d6dl1dh1');
+    assert.equal(normalizeExpression('5d6dh1DL2'), '5d6dh1dl2');
+  });
+
+  test('should move numeric modifiers after drops', () => {
+    assert.equal(normalizeExpression('4d6+1dl'), '4d6dl+1');
+    assert.equal(normalizeExpression('3d8!-2dh1'), '3d8!dh1-2');
+  });
+
+  test('should not mistake disadvantage for a drop', () => {
+    assert.equal(normalizeExpression('2d20dis'), '2d20dis');
+  });
+});
+
 // ============================================================================
 // Test Suite: Savage Worlds Expressions (s notation)
 // ============================================================================
@@ -408,6 +364,12 @@ describe('Edge Cases', () => {
     assert.equal(normalizeExpression('s8w6+2t4r2'), 's8w6t4r2+2');
     assert.equal(normalizeExpression('2s10w8+3'), '2s10w8+3');
   });
+
+  test('should leave expressions with variables untouched', () => {
+    assert.equal(normalizeExpression('s8+@mod'), 's8+@mod');
+    assert.equal(normalizeExpression('s@fighting+@mod'), 's@fighting+@mod');
+    assert.equal(normalizeExpression('@hp := 2d6+10'), '@hp := 2d6+10');
+  });
 });
 
 // ============================================================================
@@ -486,6 +448,29 @@ describe('Parser Compatibility Validation', () => {
   });
 });
 
+// ============================================================================
+// Test Suite: Comparisons, Conditionals and Parentheses
+// ============================================================================
+
+describe('Comparisons, Conditionals and Parentheses', () => {
+  test('should return comparisons and conditionals unchanged', () => {
+    assert.equal(normalizeExpression('2d6+1 >= 8'), '2d6+1 >= 8');
+    assert.equal(normalizeExpression('2d6>8'), '2d6>8');
+    assert.equal(normalizeExpression('s8+2 == 6'), 's8+2 == 6');
+    assert.equal(normalizeExpression('2d6 >= 8 ? "hit" : "miss"'), '2d6 >= 8 ? "hit" : "miss"');
+  });
+
+  test('should return expressions with parentheses unchanged', () => {
+    assert.equal(normalizeExpression('2d6+max(d6, d6)'), '2d6+max(d6, d6)');
+    assert.equal(normalizeExpression('2d6+(1)'), '2d6+(1)');
+  });
+
+  test('should still normalize compare points of explosions and rerolls', () => {
+    assert.equal(normalizeExpression('d10!>8+2'), 'd10!>8+2');
+    assert.equal(normalizeExpression('2d6+1ro<2'), '2d6ro<2+1');
+  });
+});
+
 // ============================================================================
 // Test Suite: Multi-Dice Expressions (Not normalized by this function)
 // ============================================================================
@@ -510,17 +495,4 @@ describe('Multi-Dice Expressions', () => {
 // Run Tests and Report Results
 // ============================================================================
 
-console.log('\n' + '='.repeat(80));
-console.log('TEST SUMMARY');
-console.log('='.repeat(80));
-console.log(`Total Tests: ${testsPassed + testsFailed}`);
-console.log(`Passed: ${testsPassed}`);
-console.log(`Failed: ${testsFailed}`);
-console.log('='.repeat(80));
-
-if (testsFailed > 0) {
-  process.exit(1);
-} else {
-  console.log('\n✨ All tests passed!');
-  process.exit(0);
-}
+reportResults('TEST SUMMARY', '✨ All tests passed!');
@@ -5,30 +5,10 @@
 
 import { strict as assert } from 'assert';
 import { evaluateExpression } from '../src/r2Evaluator.js';
-
-// Test counter for reporting
-let testsPassed = 0;
-let testsFailed = 0;
-
-function test(description, fn) {
-  try {
-    fn();
-    testsPassed++;
-    console.log(`✓ ${description}`);
-  } catch (error) {
-    testsFailed++;
-    console.error(`✗ ${description}`);
-    console.error(`  ${error.message}`);
-    if (error.stack) {
-      console.error(`  ${error.stack.split('\n').slice(1, 3).join('\n')}`);
-    }
-  }
-}
-
-function describe(description, fn) {
-  console.log(`\n${description}`);
-  fn();
-}
+import { createEmbedForResult } from '../src/discordUI/embedBuilder.js';
+import { getPowerTableValue } from '../src/dice/swordWorldDice.js';
+import { rollWithWildDie, calculateRaises, isCriticalFailure } from '../src/dice/savageWorldsDice.js';
+import { test, describe, reportResults, fixedDice } from './helpers.js';
 
 // Helper function to check if result has expected structure
 function assertRollResult(result, expectedType) {
@@ -109,6 +89,108 @@ describe('Explosion/Acing Parsing', () => {
     assert.equal(result.dice.length, 5, 'Should have 5 dice');
     assert.equal(result.droppedDice.length, 3, 'Should have 3 dropped dice');
   });
+
+  test('should explode on every face matching the compare point', () => {
+    const result = evaluateExpression('d10!>8', { rng: fixedDice(9, 8, 3) });
+    assert.equal(result.value, 20);
+    assert.equal(result.dice[0].nextRoll.nextRoll.exploded, false);
+
+    const exact = evaluateExpression('d6!=5', { rng: fixedDice(5, 6) });
+    assert.equal(exact.value, 11, '6 should not explode with !=5');
+
+    const low = evaluateExpression('d6!<2', { rng: fixedDice(2, 1, 4) });
+    assert.equal(low.value, 7);
+  });
+
+  test('should reject explode compare points covering every face', () => {
+    assert.throws(() => evaluateExpression('d6!>1'), /d6 would explode on every face with !>1/);
+    assert.throws(() => evaluateExpression('d4!<4'), /would explode on every face/);
+  });
+
+  test('should compound explosions into a single die', () => {
+    const result = evaluateExpression('d6!!', { rng: fixedDice(6, 6, 3) });
+    assert.equal(result.value, 15);
+    assert.equal(result.dice[0].compound, true);
+
+    const embed = createEmbedForResult({ expression: 'd6!!', result });
+    assert.ok(embed.data.fields[0].value.includes('15 _(6💥+6💥+3)_'));
+  });
+
+  test('should take 1 from every penetrating explosion', () => {
+    for (const expression of ['d6!p', 'd6!P']) {
+      const result = evaluateExpression(expression, { rng: fixedDice(6, 6, 3) });
+      const [first, second, third] = [result.dice[0], result.dice[0].nextRoll, result.dice[0].nextRoll.nextRoll];
+      assert.deepEqual([first.value, second.value, third.value], [6, 5, 2]);
+      assert.deepEqual([second.face, third.face], [6, 3]);
+      assert.equal(result.value, 13);
+    }
+
+    const result = evaluateExpression('2d6!p>5', { rng: fixedDice(6, 5, 1, 6, 6, 2) });
+    assert.equal(result.value, 6 + 4 + 0 + 6 + 5 + 1);
+  });
+
+  test('should stop acing at the maxAces option', () => {
+    const result = evaluateExpression('d6!', { rng: fixedDice(6), maxAces: 3 });
+    assert.equal(result.value, 24);
+  });
+});
+
+// ============================================================================
+// Test Suite: Reroll Parsing
+// ============================================================================
+
+describe('Reroll Parsing', () => {
+  test('should reroll matching dice once with ro', () => {
+    const result = evaluateExpression('2d6ro1', { rng: fixedDice(1, 3, 1) });
+    assert.equal(result.value, 4, 'The second 1 should stand');
+    assert.deepEqual(result.dice[0].rerolls.map(die => die.value), [1]);
+    assert.equal(result.dice[1].rerolls, undefined);
+
+    const below = evaluateExpression('3d6ro<2', { rng: fixedDice(2, 1, 5, 4, 6) });
+    assert.equal(below.value, 4 + 6 + 5);
+  });
+
+  test('should reroll until the compare point is missed with r', () => {
+    const result = evaluateExpression('d6r=1', { rng: fixedDice(1, 1, 1, 4) });
+    assert.equal(result.value, 4);
+    assert.deepEqual(result.dice[0].rerolls.map(die => die.value), [1, 1, 1]);
+
+    const high = evaluateExpression('2d6r>5+1', { rng: fixedDice(6, 2, 5, 3) });
+    assert.equal(high.value, 2 + 3 + 1);
+  });
+
+  test('should reroll exploding dice as a whole', () => {
+    const result = evaluateExpression('d6!ro<2', { rng: fixedDice(2, 6, 3) });
+    assert.equal(result.value, 9);
+    assert.equal(result.dice[0].exploded, true);
+  });
+
+  test('should keep a bare r as the raise step', () => {
+    const result = evaluateExpression('d6t4r2', { rng: fixedDice(1) });
+    assert.equal(result.value, 1);
+    assert.equal(result.dice[0].rerolls, undefined);
+    assert.equal(result.raiseInterval, 2);
+  });
+
+  test('should keep a bare r without a target number as the raise step', () => {
+    const result = evaluateExpression('2d6r2', { rng: fixedDice(1, 5) });
+    assert.equal(result.value, 6);
+    assert.deepEqual(result.dice.map(die => die.rerolls), [undefined, undefined]);
+    assert.equal(result.targetNumber, 4);
+    assert.equal(result.raiseInterval, 2);
+    assert.equal(result.raises.raises, 1);
+  });
+
+  test('should reject rerolling every face until it is missed', () => {
+    assert.throws(() => evaluateExpression('d6r<6'), /d6 would be rerolled on every face with r<6/);
+    assert.equal(evaluateExpression('d6ro<6', { rng: fixedDice(6, 2) }).value, 2);
+  });
+
+  test('should strike the discarded rolls through', () => {
+    const result = evaluateExpression('3d6r<2', { rng: fixedDice(1, 2, 4, 5, 6) });
+    const embed = createEmbedForResult({ expression: '3d6r<2', result });
+    assert.ok(embed.data.fields[0].value.includes('~~*( 1 )*~~ 5, ~~*( 2 )*~~ 6, 4'));
+  });
 });
 
 // ============================================================================
@@ -154,6 +236,42 @@ describe('Keep/Drop Parsing', () => {
     assert.equal(result.modifier, 2, 'Modifier should be 2');
     assert.equal(result.droppedDice.length, 1, 'Should have 1 dropped die');
   });
+
+  test('should parse drop lowest', () => {
+    const result = evaluateExpression('4d6dl', { rng: fixedDice(3, 6, 1, 5) });
+    assertRollResult(result, 'generic');
+    assert.equal(result.value, 14);
+    assert.equal(result.keepOperation, 'dropLowest');
+    assert.deepEqual(result.droppedDice.map(die => die.total), [1]);
+    assert.deepEqual(result.dice.filter(die => die.kept).map(die => die.total), [6, 5, 3]);
+  });
+
+  test('should parse drop highest', () => {
+    const result = evaluateExpression('4d6DH2+1', { rng: fixedDice(3, 6, 1, 5) });
+    assert.equal(result.value, 5);
+    assert.equal(result.keepOperation, 'dropHighest');
+    assert.deepEqual(result.droppedDice.map(die => die.total), [6, 5]);
+  });
+
+  test('should keep the middle dice when dropping both ends', () => {
+    for (const expression of ['5d6dl1dh2', '5d6dh2dl1']) {
+      const result = evaluateExpression(expression, { rng: fixedDice(3, 6, 1, 5, 2) });
+      assert.equal(result.value, 5, expression);
+      assert.equal(result.keepOperation, 'middle');
+      assert.deepEqual(result.dice.filter(die => die.kept).map(die => die.total), [3, 2]);
+      assert.deepEqual(result.droppedDice.map(die => die.total), [6, 5, 1]);
+    }
+  });
+
+  test('should drop every die when dropping more dice than rolled', () => {
+    const result = evaluateExpression('3d6dl2dh2', { rng: fixedDice(3, 6, 1) });
+    assert.equal(result.value, 0);
+    assert.equal(result.droppedDice.length, 3);
+  });
+
+  test('should reject the same drop twice', () => {
+    assert.throws(() => evaluateExpression('5d6dl1dl1'), /Combine dl with dh to keep the middle dice, not dl twice/);
+  });
 });
 
 // ============================================================================
@@ -225,6 +343,173 @@ describe('Savage Worlds Parsing', () => {
       assert.equal(roll.rollType, 'savageWild', 'Each roll should be a Savage Worlds roll');
     });
   });
+
+  test('should flag snake eyes as a critical failure', () => {
+    const result = evaluateExpression('s8', { rng: fixedDice(1, 1) });
+    assert.equal(result.criticalFailure, true, 'Trait and wild 1 should be a critical failure');
+    assert.equal(result.raises.success, false, 'Critical failure should fail');
+    assert.equal(result.raises.criticalFailure, true, 'Raises should carry the critical failure');
+  });
+
+  test('should keep a critical failure through modifiers and target numbers', () => {
+    const result = evaluateExpression('s8t2+5', { rng: fixedDice(1, 1) });
+    assert.equal(result.value, 6, 'Total should be 1 + 5');
+    assert.equal(result.raises.success, false, 'Modifier should not turn snake eyes into a success');
+
+    const prefixed = evaluateExpression('t2: s8', { rng: fixedDice(1, 1) });
+    assert.equal(prefixed.raises.criticalFailure, true, 'Target prefix should keep the critical failure');
+  });
+
+  test('should not flag a single 1 as a critical failure', () => {
+    const result = evaluateExpression('s8', { rng: fixedDice(1, 2) });
+    assert.equal(result.criticalFailure, false, 'Only the trait die rolled 1');
+    assert.equal(result.usedDie, 'wild', 'Wild die should be used');
+  });
+
+  test('should roll one shared Wild Die for multiple trait dice', () => {
+    // Trait dice 7 and 2, Wild Die 5 replaces the lowest trait die
+    const result = evaluateExpression('2s8', { rng: fixedDice(7, 2, 5) });
+    assert.equal(result.wildDie.total, 5, 'Single Wild Die should be recorded');
+    assert.equal(result.replacedIndex, 1, 'Wild Die should replace the second trait die');
+    assert.deepEqual(result.rolls.map(roll => roll.value), [7, 5], 'Replaced die should use the Wild Die');
+    assert.deepEqual(result.rolls.map(roll => roll.usedDie), ['trait', 'wild']);
+    assert.equal(result.value, 12, 'Total should be 7 + 5');
+  });
+
+  test('should not use a lower shared Wild Die', () => {
+    const result = evaluateExpression('3s6', { rng: fixedDice(4, 3, 5, 2) });
+    assert.equal(result.replacedIndex, null, 'Wild Die 2 should not replace anything');
+    assert.deepEqual(result.rolls.map(roll => roll.value), [4, 3, 5]);
+  });
+
+  test('should give each trait die its own success and raises', () => {
+    const result = evaluateExpression('2s8t4+2', { rng: fixedDice(7, 1, 2) });
+    assert.deepEqual(result.rolls.map(roll => roll.value), [9, 4], 'Modifier should apply to every die');
+    assert.equal(result.rolls[0].raises.raises, 1, 'First die should get a raise');
+    assert.equal(result.rolls[1].raises.success, true, 'Wild Die should turn the 1 into a success');
+    assert.equal(result.value, 13, 'Total should include both modifiers');
+  });
+
+  test('should flag a critical failure for the whole shared Wild Die roll', () => {
+    const result = evaluateExpression('2s8', { rng: fixedDice(1, 5, 1) });
+    assert.equal(result.criticalFailure, true, 'Wild Die and half the trait dice on 1');
+    result.rolls.forEach(roll => {
+      assert.equal(roll.raises.success, false, 'Every trait die should fail');
+    });
+  });
+
+  test('should need the Wild Die and half the trait dice on 1 for shared Wild Die rolls', () => {
+    const one = { value: 1, total: 1 };
+    const five = { value: 5, total: 5 };
+    assert.equal(isCriticalFailure([one, five], one), true, 'Half the trait dice on 1');
+    assert.equal(isCriticalFailure([one, five, five], one), false, 'Less than half the trait dice on 1');
+    assert.equal(isCriticalFailure([one, one], five), false, 'Wild Die not on 1');
+  });
+
+  test('/wild rolls should flag snake eyes', () => {
+    const roll = rollWithWildDie(8, 3, 6, fixedDice(1, 1));
+    assert.equal(roll.criticalFailure, true, 'Trait and wild 1 should be a critical failure');
+    assert.equal(calculateRaises(roll.total, 4, 4, roll.criticalFailure).success, false, 'Critical failure should fail');
+  });
+
+  test('/wild rolls should respect the ace cap', () => {
+    const roll = rollWithWildDie(8, 0, 6, fixedDice(8, 8, 2), 1);
+    assert.equal(roll.traitRoll.total, 16, 'The second 8 should not ace with a cap of 1');
+    assert.equal(roll.wildRoll.total, 2);
+    assert.equal(roll.total, 16);
+  });
+});
+
+// ============================================================================
+// Test Suite: Carcosa Parsing
+// ============================================================================
+
+describe('Carcosa Parsing', () => {
+  test('should parse single Carcosa die', () => {
+    const result = evaluateExpression('dC');
+    assertRollResult(result, 'carcosa');
+    assert([4, 6, 8, 10, 12, 20].includes(result.sides), 'Die type should come from the Carcosa table');
+    assert.equal(result.dice.length, 1, 'Should have 1 die');
+    assert(result.value >= 1 && result.value <= result.sides, 'Result should be within the die type');
+  });
+
+  test('should use one die type for all Carcosa dice', () => {
+    const result = evaluateExpression('3dC');
+    assertRollResult(result, 'carcosa');
+    assert.equal(result.dice.length, 3, 'Should have 3 dice');
+    assert.equal(result.sides, [4, 6, 8, 10, 12, 20][result.dieTypeRoll - 1], 'd6 should select the die type');
+    assert(result.dice.every(die => die.value >= 1 && die.value <= result.sides), 'All dice should use the die type');
+    assert.equal(result.value, result.dice.reduce((sum, die) => sum + die.total, 0), 'Value should be the dice total');
+  });
+
+  test('should parse Carcosa dice with modifier', () => {
+    const result = evaluateExpression('2dc+3');
+    assertRollResult(result, 'carcosa');
+    assert.equal(result.modifier, 3, 'Modifier should be 3');
+    assert.equal(result.value, result.dice.reduce((sum, die) => sum + die.total, 0) + 3, 'Value should include modifier');
+  });
+});
+
+// ============================================================================
+// Test Suite: Sword World Power Rolls
+// ============================================================================
+
+describe('Sword World Power Rolls', () => {
+  test('should look up the power table', () => {
+    assert.equal(getPowerTableValue(0, 3), 0, 'Power 0 on a 3 is 0');
+    assert.equal(getPowerTableValue(20, 7), 5, 'Power 20 on a 7 is 5');
+    assert.equal(getPowerTableValue(100, 12), 30, 'Power 100 on a 12 is 30');
+    assert.throws(() => getPowerTableValue(101, 7), /Power must be between/);
+  });
+
+  test('should roll once below the critical value', () => {
+    const result = evaluateExpression('p20', { rng: fixedDice(3, 4) });
+    assertRollResult(result, 'swordWorldPower');
+    assert.equal(result.rolls.length, 1, 'Should roll once');
+    assert.equal(result.value, 5, 'Power 20 on a 7 is 5');
+  });
+
+  test('should re-roll and add on criticals', () => {
+    const result = evaluateExpression('p20', { rng: fixedDice(5, 5, 6, 4, 3, 4) });
+    assert.equal(result.rolls.length, 3, 'Should roll twice more after two criticals');
+    assert.equal(result.value, 8 + 8 + 5, 'Should add every power table value');
+  });
+
+  test('should use a custom critical value', () => {
+    const result = evaluateExpression('p20c13', { rng: fixedDice(6, 6) });
+    assert.equal(result.rolls.length, 1, 'c13 should never re-roll');
+    assert.equal(result.value, 10, 'Power 20 on a 12 is 10');
+  });
+
+  test('should zero the roll on an automatic failure', () => {
+    const result = evaluateExpression('p50+5', { rng: fixedDice(1, 1) });
+    assert.equal(result.autoFailed, true, 'Snake eyes should fail automatically');
+    assert.equal(result.value, 0, 'Automatic failure ignores modifiers');
+  });
+
+  test('should use a custom automatic failure threshold', () => {
+    const result = evaluateExpression('p50f4', { rng: fixedDice(1, 3) });
+    assert.equal(result.autoFailed, true, 'A 4 should fail automatically with f4');
+  });
+
+  test('should flip the first roll with Human Sword Grace', () => {
+    const result = evaluateExpression('p20h', { rng: fixedDice(1, 2, 3, 3) });
+    assert.deepEqual(result.rolls[0].dice, [6, 5], 'First roll should be flipped');
+    assert.equal(result.rolls[0].flipped, true);
+    assert.deepEqual(result.rolls[1].dice, [3, 3], 'Critical re-roll should not be flipped');
+  });
+
+  test('should apply dice count and dice modifier', () => {
+    const result = evaluateExpression('p20[1d+2]', { rng: fixedDice(4) });
+    assert.deepEqual(result.rolls[0].dice, [4], 'Should roll a single die');
+    assert.equal(result.rolls[0].result, 6, 'Dice modifier should be added before the lookup');
+    assert.equal(result.value, 4, 'Power 20 on a 6 is 4');
+  });
+
+  test('should reject invalid power and critical values', () => {
+    assert.throws(() => evaluateExpression('p101'), /Power must be between/);
+    assert.throws(() => evaluateExpression('p20c2'), /Critical value must be at least 3/);
+  });
 });
 
 // ============================================================================
@@ -350,6 +635,245 @@ describe('Target Number and Raises', () => {
     assert(result.raises.raises !== undefined, 'Should have raise count');
     assert(result.raises.margin !== undefined, 'Should have margin');
   });
+
+  test('should apply a target number prefix to a compound expression', () => {
+    const result = evaluateExpression('t6r4: 2d8+d6');
+    assertRollResult(result, 'generic');
+    assert.equal(result.targetNumber, 6, 'Target should be 6');
+    assert.equal(result.raiseInterval, 4, 'Raise interval should be 4');
+    assert.equal(result.raises.margin, result.value - 6, 'Margin should cover the whole expression');
+    assert.equal(result.raises.raises, result.value >= 6 ? Math.floor((result.value - 6) / 4) : 0, 'Raises should be correct');
+  });
+
+  test('should apply a target number prefix to Savage Worlds rolls', () => {
+    const result = evaluateExpression('t8: s6', { rng: fixedDice(6, 4, 2) });
+    assertRollResult(result, 'savageWild');
+    assert.equal(result.value, 10, 'Aced trait die should total 10');
+    assert.equal(result.targetNumber, 8, 'Target should be 8');
+    assert.equal(result.raises.success, true, 'Should succeed');
+    assert.equal(result.raises.raises, 0, 'Should have no raise');
+  });
+
+  test('should apply a target number prefix to each of multiple rolls', () => {
+    const result = evaluateExpression('tr5: 2s8');
+    assertRollResult(result, 'multiple');
+    result.rolls.forEach(roll => {
+      assert.equal(roll.targetNumber, 5, 'Each roll should use target 5');
+      assert.equal(roll.raiseInterval, 5, 'Each roll should use raise step 5');
+    });
+  });
+
+  test('should apply a target number prefix to arithmetic', () => {
+    const result = evaluateExpression('tn7: 3*2');
+    assert.equal(result.value, 6, 'Value should be 6');
+    assert.equal(result.raises.success, false, 'Should fail against 7');
+    assert.equal(result.raises.margin, -1, 'Margin should be -1');
+  });
+
+  test('should keep a target number suffix through a modifier', () => {
+    const result = evaluateExpression('2d6t8+2', { rng: fixedDice(3, 3) });
+    assert.equal(result.value, 8, 'Value should include the modifier');
+    assert.equal(result.raises.success, true, 'Modifier should count toward the target');
+  });
+});
+
+// ============================================================================
+// Test Suite: Variables
+// ============================================================================
+
+describe('Variables', () => {
+  test('should use variables as trait die and modifier', () => {
+    const variables = new Map([['@fighting', 8], ['@mod', 2]]);
+    const result = evaluateExpression('s@fighting+@mod', { rng: fixedDice(5, 3), variables });
+    assertRollResult(result, 'savageWild');
+    assert.equal(result.value, 7, 'Total should be 5 + 2');
+  });
+
+  test('should use variables as dice count and target number', () => {
+    const variables = new Map([['@n', 3], ['@tn', 6]]);
+    const result = evaluateExpression('@n d4t@tn', { rng: fixedDice(2, 2, 2), variables });
+    assert.equal(result.dice.length, 3, 'Should roll 3 dice');
+    assert.equal(result.targetNumber, 6, 'Target number should be 6');
+  });
+
+  test('should assign the whole expression and report the assignment', () => {
+    const variables = new Map();
+    const assigned = [];
+    const result = evaluateExpression('@hp := 2d6+10', {
+      rng: fixedDice(3, 4),
+      variables,
+      onAssign: (name, value) => assigned.push([name, value])
+    });
+    assert.equal(result.value, 17, 'Assignment should evaluate to 17');
+    assert.equal(variables.get('@hp'), 17, 'Variable should hold the whole sum');
+    assert.deepEqual(assigned, [['@hp', 17]], 'onAssign should be called once');
+  });
+
+  test('should read a variable assigned earlier in the same command', () => {
+    const result = evaluateExpression('@x := 3; @x * 2');
+    assert.equal(result.value, 9, 'Statements should total 3 + 6');
+  });
+
+  test('should reject unknown variables', () => {
+    assert.throws(() => evaluateExpression('d20+@missing'), /Unknown variable @missing/);
+  });
+});
+
+// ============================================================================
+// Test Suite: Comparisons and Conditionals
+// ============================================================================
+
+describe('Comparisons and Conditionals', () => {
+  test('should compare expressions', () => {
+    const cases = [
+      ['2d6 >= 8', [4, 4], true],
+      ['2d6 >= 8', [4, 3], false],
+      ['2d6 > 8', [4, 4], false],
+      ['2d6 <= 3', [1, 2], true],
+      ['2d6 < 3', [1, 2], false],
+      ['2d6 == 8', [5, 3], true],
+      ['d20+5 >= 15', [10], true]
+    ];
+    for (const [expression, faces, passed] of cases) {
+      const result = evaluateExpression(expression, { rng: fixedDice(...faces) });
+      assertRollResult(result, 'comparison');
+      assert.equal(result.passed, passed, `${expression} with ${faces}`);
+      assert.equal(result.value, passed ? 1 : 0);
+    }
+  });
+
+  test('should keep the compared rolls', () => {
+    const result = evaluateExpression('(s8t4) > 0', { rng: fixedDice(5, 2) });
+    assert.equal(result.left.rollType, 'savageWild');
+    assert.equal(result.left.value, 5);
+    assert.equal(result.right.value, 0);
+    assert.equal(result.operator, '>');
+  });
+
+  test('should count true comparisons as 1', () => {
+    const result = evaluateExpression('(d6>3)+(d6>3)+(d6>3)', { rng: fixedDice(4, 2, 6) });
+    assert.equal(result.value, 2);
+  });
+
+  test('should pick a label with a conditional', () => {
+    const hit = evaluateExpression('2d6 >= 8 ? "hit" : "miss"', { rng: fixedDice(4, 5) });
+    assertRollResult(hit, 'conditional');
+    assert.equal(hit.label, 'hit');
+    assert.equal(hit.value, 1);
+    assert.equal(hit.condition.passed, true);
+
+    const miss = evaluateExpression('2d6 >= 8 ? "hit" : "miss"', { rng: fixedDice(1, 2) });
+    assert.equal(miss.label, 'miss');
+    assert.equal(miss.value, 0);
+  });
+
+  test('should only roll the chosen branch', () => {
+    const result = evaluateExpression('d6 > 4 ? 2d6 : d4', { rng: fixedDice(5, 3, 3, 1) });
+    assert.equal(result.label, null);
+    assert.equal(result.branch.dice.length, 2);
+    assert.equal(result.value, 6);
+
+    const other = evaluateExpression('d6 > 4 ? 2d6 : d4', { rng: fixedDice(2, 3, 6) });
+    assert.equal(other.value, 3);
+  });
+
+  test('should chain conditionals as table lookups', () => {
+    const table = 'd6 >= 5 ? "gold" : ((d6) >= 3 ? "silver" : "nothing")';
+    assert.equal(evaluateExpression(table, { rng: fixedDice(6) }).label, 'gold');
+    assert.equal(evaluateExpression(table, { rng: fixedDice(1, 4) }).label, 'silver');
+    assert.equal(evaluateExpression('0 ? 1 : 0 ? 2 : 3').value, 3);
+  });
+
+  test('should keep compare points after explosions and rerolls', () => {
+    assert.equal(evaluateExpression('d6!>5', { rng: fixedDice(5, 2) }).rollType, 'generic');
+    assert.equal(evaluateExpression('2d6ro<2', { rng: fixedDice(1, 3, 4) }).rollType, 'generic');
+    assert.equal(evaluateExpression('(d6!) > 5', { rng: fixedDice(5) }).rollType, 'comparison');
+  });
+
+  test('should reject a spaced comparison right after an exploding die', () => {
+    assert.throws(
+      () => evaluateExpression('1d10! > 8'),
+      /`1d10! > 8` is ambiguous: write `\(1d10!\) > 8` to compare the roll, or `1d10!>8` without spaces/
+    );
+    assert.equal(evaluateExpression('(1d10!) > 8', { rng: fixedDice(9) }).passed, true);
+  });
+
+  test('should show the comparison and the chosen label', () => {
+    const result = evaluateExpression('2d6 >= 8 ? "hit" : "miss"', { rng: fixedDice(4, 5) });
+    const embed = createEmbedForResult({ expression: '2d6 >= 8 ? "hit" : "miss"', result });
+    assert.equal(embed.data.fields[0].value, '**9** ← **[** 4, 5 **]**\n**≥** **8** ➜ ✅ **true**\n➜ **hit**');
+  });
+});
+
+// ============================================================================
+// Test Suite: Built-in Functions
+// ============================================================================
+
+describe('Built-in Functions', () => {
+  test('should pick the best or worst of several rolls', () => {
+    const best = evaluateExpression('max(2d6, 2d6)', { rng: fixedDice(4, 5, 6, 1) });
+    assertRollResult(best, 'function');
+    assert.equal(best.value, 9);
+    assert.equal(best.name, 'max');
+    assert.deepEqual(best.args.map(arg => arg.dice.length), [2, 2]);
+
+    assert.equal(evaluateExpression('min(3, 1, 2)').value, 1);
+  });
+
+  test('should use the exact quotient of a division for floor, ceil and round', () => {
+    const variables = new Map([['@str', 7]]);
+    assert.equal(evaluateExpression('floor(@str/2)+2', { variables }).value, 5);
+    assert.equal(evaluateExpression('ceil(@str/2)', { variables }).value, 4);
+    assert.equal(evaluateExpression('round(7/2)').value, 4);
+    assert.equal(evaluateExpression('round(10/4)').value, 3);
+    assert.equal(evaluateExpression('7/2').value, 3, 'Division alone still floors');
+  });
+
+  test('should keep the exact value of a division through arithmetic', () => {
+    assert.equal(evaluateExpression('ceil(7/2+1)').value, 5);
+    assert.equal(evaluateExpression('round(-7/2)').value, -3);
+    assert.equal(evaluateExpression('floor(7/2*2)').value, 7);
+  });
+
+  test('should give integers for min, max and abs of a division', () => {
+    assert.equal(evaluateExpression('max(7/2, 3)').value, 3);
+    assert.equal(evaluateExpression('min(7/2)+1').value, 4);
+    assert.equal(evaluateExpression('abs(-7/2)').value, 3);
+
+    const result = evaluateExpression('max(7/2, 3)');
+    const embed = createEmbedForResult({ expression: 'max(7/2, 3)', result });
+    assert.equal(embed.data.fields[0].value, '**3** ← max\n• **3**\n• **3**');
+  });
+
+  test('should take absolute values', () => {
+    assert.equal(evaluateExpression('abs(d6-5)', { rng: fixedDice(2) }).value, 3);
+  });
+
+  test('should keep the function and its dice when adding a modifier', () => {
+    const result = evaluateExpression('max(d20, d20)+3', { rng: fixedDice(7, 12) });
+    assertRollResult(result, 'function');
+    assert.equal(result.value, 15);
+    assert.equal(result.modifier, 3);
+
+    const embed = createEmbedForResult({ expression: 'max(d20, d20)+3', result });
+    assert.equal(embed.data.fields[0].value, '**15** ← max +3\n• **7** ← **[** 7 **]**\n• **12** ← **[** 12 **]**');
+  });
+
+  test('should work anywhere a number is', () => {
+    const result = evaluateExpression('max(1, 2)d6t4', { rng: fixedDice(3, 2) });
+    assert.equal(result.dice.length, 2);
+    assert.equal(evaluateExpression('max(d6, d6) >= 5', { rng: fixedDice(2, 5) }).passed, true);
+  });
+
+  test('should only read a function name followed by a parenthesis', () => {
+    assert.equal(evaluateExpression('max (2, 3)').value, 3);
+    assert.equal(evaluateExpression('2d6max', { rng: fixedDice(4, 5) }).rollType, 'generic');
+    assert.throws(() => evaluateExpression('2d6 >='), error => !/'max'|'round'/.test(error.message));
+  });
+
+  test('should reject a wrong number of arguments', () => {
+    assert.throws(() => evaluateExpression('abs(1, 2)'), /abs\(\) takes 1 argument\(s\), got 2/);
+  });
 });
 
 // ============================================================================
@@ -471,17 +995,4 @@ describe('Idempotency Tests', () => {
 // Run Tests and Report Results
 // ============================================================================
 
-console.log('\n' + '='.repeat(80));
-console.log('TEST SUMMARY - Parser Integration Tests');
-console.log('='.repeat(80));
-console.log(`Total Tests: ${testsPassed + testsFailed}`);
-console.log(`Passed: ${testsPassed}`);
-console.log(`Failed: ${testsFailed}`);
-console.log('='.repeat(80));
-
-if (testsFailed > 0) {
-  process.exit(1);
-} else {
-  console.log('\n✨ All integration tests passed!');
-  process.exit(0);
-}
+reportResults('TEST SUMMARY - Parser Integration Tests', '✨ All integration tests passed!');
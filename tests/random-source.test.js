@@ -0,0 +1,116 @@
+/**
+ * Tests for the random source layer
+ * Validates seeded reproducibility and that seeds thread through every roller
+ */
+
+import { strict as assert } from 'assert';
+import { SeededRandomSource, CryptoRandomSource, generateSeed } from '../src/dice/randomSource.js';
+import { rollDie, rollAcingDie } from '../src/dice/regularDice.js';
+import { rollWithWildDie } from '../src/dice/savageWorldsDice.js';
+import { InitiativeTracker } from '../src/dice/initiativeSystem.js';
+import { evaluateExpression } from '../src/r2Evaluator.js';
+import { test, describe, reportResults } from './helpers.js';
+
+// ============================================================================
+// Test Suite: Random Sources
+// ============================================================================
+
+describe('Random Sources', () => {
+  test('seeded source should repeat the same sequence for the same seed', () => {
+    const a = new SeededRandomSource('table-1');
+    const b = new SeededRandomSource('table-1');
+    const seqA = Array.from({ length: 20 }, () => a.nextInt(100));
+    const seqB = Array.from({ length: 20 }, () => b.nextInt(100));
+    assert.deepEqual(seqA, seqB);
+  });
+
+  test('seeded source should differ for different seeds', () => {
+    const a = new SeededRandomSource('table-1');
+    const b = new SeededRandomSource('table-2');
+    const seqA = Array.from({ length: 20 }, () => a.nextInt(1000));
+    const seqB = Array.from({ length: 20 }, () => b.nextInt(1000));
+    assert.notDeepEqual(seqA, seqB);
+  });
+
+  test('seeded source should stay within range', () => {
+    const rng = new SeededRandomSource(42);
+    for (let i = 0; i < 500; i++) {
+      const value = rng.nextInt(6);
+      assert(value >= 0 && value < 6, `Value ${value} out of range`);
+    }
+  });
+
+  test('seeded source should resume from a saved state', () => {
+    const rng = new SeededRandomSource('resume');
+    rng.nextInt(10);
+    rng.nextInt(10);
+    const restored = SeededRandomSource.fromState(rng.getState());
+    assert.equal(restored.nextInt(1000), rng.nextInt(1000));
+    assert.equal(restored.seed, 'resume');
+  });
+
+  test('seeded source should reject invalid ranges', () => {
+    const rng = new SeededRandomSource('x');
+    assert.throws(() => rng.nextInt(0));
+    assert.throws(() => rng.nextInt(2.5));
+  });
+
+  test('crypto source should stay within range', () => {
+    const rng = new CryptoRandomSource();
+    for (let i = 0; i < 100; i++) {
+      const value = rng.nextInt(20);
+      assert(value >= 0 && value < 20);
+    }
+  });
+
+  test('generated seeds should be unique hex strings', () => {
+    const seed = generateSeed();
+    assert.match(seed, /^[0-9a-f]{16}$/);
+    assert.notEqual(seed, generateSeed());
+  });
+});
+
+// ============================================================================
+// Test Suite: Seeded Rolls
+// ============================================================================
+
+describe('Seeded Rolls', () => {
+  test('rollDie and rollAcingDie should be reproducible', () => {
+    assert.equal(rollDie(20, new SeededRandomSource('d')), rollDie(20, new SeededRandomSource('d')));
+    assert.deepEqual(
+      rollAcingDie(4, 100, new SeededRandomSource('ace')),
+      rollAcingDie(4, 100, new SeededRandomSource('ace'))
+    );
+  });
+
+  test('rollWithWildDie should be reproducible', () => {
+    assert.deepEqual(
+      rollWithWildDie(8, 1, 6, new SeededRandomSource('wild')),
+      rollWithWildDie(8, 1, 6, new SeededRandomSource('wild'))
+    );
+  });
+
+  test('evaluateExpression should replay the exact result tree from a seed', () => {
+    const expressions = ['4d6k3', '3d6!+2', 's8t6', '2xs8', '4dF', '1--100', '5w', 'i+2', '10d6s5'];
+    for (const expr of expressions) {
+      const first = evaluateExpression(expr, { rng: new SeededRandomSource('replay') });
+      const second = evaluateExpression(expr, { rng: new SeededRandomSource('replay') });
+      assert.deepEqual(second, first, `Replay mismatch for ${expr}`);
+    }
+  });
+
+  test('initiative deck should be dealt in the same order for the same seed', () => {
+    const dealWith = (seed) => {
+      const tracker = new InitiativeTracker(new SeededRandomSource(seed));
+      tracker.start();
+      return tracker.dealCards(['Alice', 'Bob', 'Goblin']).map(r => r.card.display);
+    };
+    assert.deepEqual(dealWith('fight'), dealWith('fight'));
+  });
+});
+
+// ============================================================================
+// Run Tests and Report Results
+// ============================================================================
+
+reportResults('TEST SUMMARY - Random Source Tests', '✨ All random source tests passed!');
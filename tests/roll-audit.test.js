@@ -0,0 +1,165 @@
+/**
+ * Tests for the roll audit log
+ * Validates roll IDs, hash chain integrity and replay through /roll verify
+ */
+
+import { strict as assert } from 'assert';
+import { mkdtempSync, readFileSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { RollAuditLog } from '../src/audit/rollAuditLog.js';
+import {
+  setRollAuditLog,
+  setMaxAces,
+  cmd_roll,
+  cmd_wild,
+  cmd_fight_start,
+  cmd_initiative_deal
+} from '../src/commands/diceCommands.js';
+import { test, describe, reportResults, createInteraction } from './helpers.js';
+
+const tempDir = mkdtempSync(join(tmpdir(), 'neosavage-audit-'));
+
+/**
+ * Read the roll ID stamped in a reply embed footer
+ */
+function rollIdFromReply(reply) {
+  const footer = reply.embeds[0].data.footer.text;
+  return footer.match(/🆔 (\w+)/)[1];
+}
+
+// ============================================================================
+// Test Suite: Audit Log Storage
+// ============================================================================
+
+describe('Audit Log Storage');
+
+await test('record should append entries with unique roll IDs', () => {
+  const log = new RollAuditLog(join(tempDir, 'storage.jsonl'));
+  const first = log.record({ kind: 'roll', expression: '2d6', replay: { seed: 'a' }, user: { id: '1' }, result: [{ total: 7 }] });
+  const second = log.record({ kind: 'roll', expression: '3d6', replay: { seed: 'b' }, user: { id: '1' }, result: [{ total: 9 }] });
+
+  assert.notEqual(first.id, second.id);
+  assert.equal(second.prevHash, first.hash);
+  assert.equal(log.readEntries().length, 2);
+});
+
+await test('find should return intact entries and null for unknown IDs', () => {
+  const log = new RollAuditLog(join(tempDir, 'storage.jsonl'));
+  const entry = log.record({ kind: 'roll', expression: 'd20', replay: { seed: 'c' }, user: { id: '1' }, result: [] });
+
+  const found = log.find(entry.id);
+  assert.equal(found.entry.expression, 'd20');
+  assert.equal(found.intact, true);
+  assert.equal(log.find('missing'), null);
+});
+
+await test('a new log instance should continue the existing hash chain', () => {
+  const filePath = join(tempDir, 'storage.jsonl');
+  const lastHash = new RollAuditLog(filePath).readEntries().pop().hash;
+  const entry = new RollAuditLog(filePath).record({ kind: 'roll', expression: 'd4', replay: {}, user: { id: '1' }, result: [] });
+  assert.equal(entry.prevHash, lastHash);
+});
+
+await test('find should detect edited entries', () => {
+  const filePath = join(tempDir, 'tamper.jsonl');
+  const log = new RollAuditLog(filePath);
+  const entry = log.record({ kind: 'roll', expression: 'd20', replay: { seed: 'x' }, user: { id: '1' }, result: [{ total: 3 }] });
+
+  writeFileSync(filePath, readFileSync(filePath, 'utf8').replace('"total":3', '"total":20'));
+  assert.equal(log.find(entry.id).intact, false);
+});
+
+// ============================================================================
+// Test Suite: Roll Verification
+// ============================================================================
+
+describe('Roll Verification');
+
+const commandLog = new RollAuditLog(join(tempDir, 'commands.jsonl'));
+setRollAuditLog(commandLog);
+
+await test('/roll should stamp a roll ID and log the result tree', async () => {
+  const interaction = createInteraction({ dice: '3d6!+2 / s8t6' });
+  await cmd_roll(interaction);
+
+  const rollId = rollIdFromReply(interaction.replies[0]);
+  const { entry } = commandLog.find(rollId);
+  assert.equal(entry.kind, 'roll');
+  assert.equal(entry.user.id, '42');
+  assert.equal(entry.channelId, 'channel-1');
+  assert.equal(entry.result.length, 2);
+  assert.equal(entry.result[1].result.rollType, 'savageWild');
+});
+
+await test('/roll verify should replay the logged roll', async () => {
+  const rollInteraction = createInteraction({ dice: '4d6k3 / 2d20adv /split' });
+  await cmd_roll(rollInteraction);
+  const rollId = rollIdFromReply(rollInteraction.replies[0]);
+
+  const verifyInteraction = createInteraction({ verify: rollId });
+  await cmd_roll(verifyInteraction);
+
+  const [verification, replayed] = verifyInteraction.replies[0].embeds;
+  assert.match(verification.data.description, /Verified/);
+  assert.equal(replayed.data.fields.at(-1).value, `**${commandLog.find(rollId).entry.result.reduce((sum, r) => sum + r.total, 0)}**`);
+});
+
+await test('/wild rolls should be verifiable', async () => {
+  const wildInteraction = createInteraction({ trait: 8, modifier: 1 });
+  await cmd_wild(wildInteraction);
+  const rollId = rollIdFromReply(wildInteraction.replies[0]);
+
+  const verifyInteraction = createInteraction({ verify: rollId });
+  await cmd_roll(verifyInteraction);
+  assert.match(verifyInteraction.replies[0].embeds[0].data.description, /Verified/);
+});
+
+await test('initiative deals should be verifiable', async () => {
+  await cmd_fight_start(createInteraction({}));
+  const dealInteraction = createInteraction({ characters: 'Alice, Bob, Goblin', quick: true });
+  await cmd_initiative_deal(dealInteraction);
+  const rollId = dealInteraction.replies[0].embeds[0].footer.text.match(/🆔 (\w+)/)[1];
+
+  const verifyInteraction = createInteraction({ verify: rollId });
+  await cmd_roll(verifyInteraction);
+  const [verification, replayed] = verifyInteraction.replies[0].embeds;
+  assert.match(verification.data.description, /Verified/);
+  assert.equal(replayed.description, dealInteraction.replies[0].embeds[0].description);
+});
+
+await test('/roll verify should replay with the ace cap of the logged roll', async () => {
+  setMaxAces(1);
+  const rollInteraction = createInteraction({ dice: '20d4!!' });
+  await cmd_roll(rollInteraction);
+  const rollId = rollIdFromReply(rollInteraction.replies[0]);
+  assert.equal(commandLog.find(rollId).entry.replay.maxAces, 1);
+
+  setMaxAces(100);
+  const verifyInteraction = createInteraction({ verify: rollId });
+  await cmd_roll(verifyInteraction);
+  assert.match(verifyInteraction.replies[0].embeds[0].data.description, /Verified/);
+
+  assert.throws(() => setMaxAces(0), /ace cap must be a whole number from 1 to 1000/);
+  assert.throws(() => setMaxAces(2.5), /ace cap/);
+});
+
+await test('/roll verify should reject IDs from another server', async () => {
+  const rollInteraction = createInteraction({ dice: 'd20' });
+  await cmd_roll(rollInteraction);
+  const rollId = rollIdFromReply(rollInteraction.replies[0]);
+
+  const verifyInteraction = createInteraction({ verify: rollId });
+  verifyInteraction.guildId = 'guild-2';
+  await cmd_roll(verifyInteraction);
+  assert.match(verifyInteraction.replies[0].embeds[0].data.description, /No roll found/);
+});
+
+setRollAuditLog(null);
+rmSync(tempDir, { recursive: true, force: true });
+
+// ============================================================================
+// Run Tests and Report Results
+// ============================================================================
+
+reportResults('TEST SUMMARY - Roll Audit Tests', '✨ All roll audit tests passed!');
@@ -22,6 +22,46 @@ const testSuites = [
     name: 'Parser Integration Tests',
     file: 'parser-integration.test.js',
     description: 'Tests for parser with normalized expressions'
+  },
+  {
+    name: 'Random Source Tests',
+    file: 'random-source.test.js',
+    description: 'Tests for seeded and crypto-backed random sources'
+  },
+  {
+    name: 'Roll Audit Tests',
+    file: 'roll-audit.test.js',
+    description: 'Tests for the roll audit log and roll verification'
+  },
+  {
+    name: 'Variable Store Tests',
+    file: 'variable-store.test.js',
+    description: 'Tests for variable scopes, persistence and /var commands'
+  },
+  {
+    name: 'Savage Worlds Damage Tests',
+    file: 'savage-worlds-damage.test.js',
+    description: 'Tests for damage rolls against Toughness, wounds and /damage'
+  },
+  {
+    name: 'Benny Tests',
+    file: 'bennies.test.js',
+    description: 'Tests for Benny pools and /benny rerolls'
+  },
+  {
+    name: 'State Store Tests',
+    file: 'state-store.test.js',
+    description: 'Tests for persisted fights and Bennies across restarts'
+  },
+  {
+    name: 'Fight Tests',
+    file: 'fights.test.js',
+    description: 'Tests for per-channel fights, Joker reshuffles, redeals, edges, Hold, interrupts, turns and groups'
+  },
+  {
+    name: 'Card Image Tests',
+    file: 'card-images.test.js',
+    description: 'Tests for the PNG codec and the action deck card images'
   }
 ];
 
@@ -0,0 +1,124 @@
+/**
+ * Tests for Savage Worlds damage rolls
+ * Validates acing damage dice, Toughness / Armor / AP, wounds and the /damage command
+ */
+
+import { strict as assert } from 'assert';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { rollDamage, resolveDamage, rollDamageAgainstToughness } from '../src/dice/savageWorldsDamage.js';
+import { RollAuditLog } from '../src/audit/rollAuditLog.js';
+import { setRollAuditLog, cmd_damage, cmd_roll } from '../src/commands/diceCommands.js';
+import { test, describe, reportResults, fixedDice, createInteraction } from './helpers.js';
+
+// ============================================================================
+// Test Suite: Damage Dice
+// ============================================================================
+
+describe('Damage Dice');
+
+await test('every damage die should ace', () => {
+  // d6: 6 aces into 2, d8: 3
+  const result = rollDamage('d6+d8', fixedDice(6, 2, 3));
+  assert.equal(result.total, 11);
+  assert.equal(result.dice[0].roll.exploded, true);
+  assert.equal(result.dice.length, 2);
+});
+
+await test('should respect the ace cap', () => {
+  const result = rollDamage('d6', fixedDice(6, 6, 6, 1), 2);
+  assert.equal(result.total, 18);
+});
+
+await test('should add numbers and subtract terms', () => {
+  const result = rollDamage('2d6 + 3 - 1', fixedDice(2, 4));
+  assert.equal(result.total, 8);
+  assert.equal(result.modifier, 2);
+});
+
+await test('should reject invalid damage expressions', () => {
+  assert.throws(() => rollDamage('2d6+sword'), /Invalid damage term/);
+  assert.throws(() => rollDamage('d1'), /at least 2 sides/);
+  assert.throws(() => rollDamage('200d6'), /limited to 100 dice/);
+});
+
+// ============================================================================
+// Test Suite: Toughness and Wounds
+// ============================================================================
+
+describe('Toughness and Wounds');
+
+await test('below Toughness should have no effect', () => {
+  const outcome = resolveDamage(6, { toughness: 7 });
+  assert.equal(outcome.shaken, false);
+  assert.equal(outcome.wounds, 0);
+});
+
+await test('meeting Toughness should be Shaken without wounds', () => {
+  const outcome = resolveDamage(10, { toughness: 7 });
+  assert.equal(outcome.shaken, true);
+  assert.equal(outcome.wounds, 0);
+});
+
+await test('each raise should be a wound', () => {
+  assert.equal(resolveDamage(11, { toughness: 7 }).wounds, 1);
+  assert.equal(resolveDamage(19, { toughness: 7 }).wounds, 3);
+});
+
+await test('AP should only ignore the armor part of Toughness', () => {
+  assert.equal(resolveDamage(0, { toughness: 7, armor: 2, ap: 1 }).effectiveToughness, 6);
+  assert.equal(resolveDamage(0, { toughness: 7, armor: 2, ap: 4 }).effectiveToughness, 5);
+  assert.throws(() => resolveDamage(0, { toughness: 5, armor: 6 }), /Armor must be between/);
+});
+
+await test('Heavy Armor should only be hurt by Heavy Weapons', () => {
+  assert.equal(resolveDamage(30, { toughness: 10, heavyArmor: true }).blocked, true);
+  assert.equal(resolveDamage(30, { toughness: 10, heavyArmor: true }).wounds, 0);
+  assert.equal(resolveDamage(30, { toughness: 10, heavyArmor: true, heavyWeapon: true }).wounds, 5);
+});
+
+await test('rollDamageAgainstToughness should combine the roll and the outcome', () => {
+  const result = rollDamageAgainstToughness('2d6', { toughness: 4, armor: 1, ap: 1 }, fixedDice(4, 4));
+  assert.equal(result.total, 8);
+  assert.equal(result.effectiveToughness, 3);
+  assert.equal(result.wounds, 1);
+});
+
+// ============================================================================
+// Test Suite: Damage Command
+// ============================================================================
+
+describe('Damage Command');
+
+const tempDir = mkdtempSync(join(tmpdir(), 'neosavage-damage-'));
+setRollAuditLog(new RollAuditLog(join(tempDir, 'rolls.jsonl')));
+
+await test('/damage should report the outcome and be verifiable', async () => {
+  const interaction = createInteraction({ dice: '2d6+d8', toughness: 7, armor: 2, ap: 2 });
+  await cmd_damage(interaction);
+
+  const embed = interaction.replies[0].embeds[0].data;
+  assert.equal(embed.fields.map(field => field.name).join(','), '__Damage__,__Target__,__Outcome__');
+  assert.match(embed.fields[1].value, /Toughness 7 \(2\)/);
+
+  const rollId = embed.footer.text.match(/🆔 (\w+)/)[1];
+  const verifyInteraction = createInteraction({ verify: rollId });
+  await cmd_roll(verifyInteraction);
+  assert.match(verifyInteraction.replies[0].embeds[0].data.description, /Verified/);
+});
+
+await test('/damage should reply with an error for bad dice', async () => {
+  const interaction = createInteraction({ dice: 'lots', toughness: 5 });
+  await cmd_damage(interaction);
+  assert.match(interaction.replies[0].embeds[0].data.description, /Invalid damage/);
+});
+
+setRollAuditLog(null);
+rmSync(tempDir, { recursive: true, force: true });
+
+// ============================================================================
+// Run Tests and Report Results
+// ============================================================================
+
+reportResults('TEST SUMMARY - Savage Worlds Damage Tests', '✨ All damage tests passed!');
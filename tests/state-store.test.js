@@ -0,0 +1,129 @@
+/**
+ * Tests for the persistent game state store
+ * Validates the file store, tracker serialization and fights surviving a restart
+ */
+
+import { strict as assert } from 'assert';
+import { mkdtempSync, rmSync, existsSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { FileStateStore } from '../src/storage/stateStore.js';
+import { InitiativeTracker } from '../src/dice/initiativeSystem.js';
+import { BennyTracker } from '../src/dice/bennySystem.js';
+import { SeededRandomSource } from '../src/dice/randomSource.js';
+import {
+  setStateStore,
+  cmd_fight_start,
+  cmd_initiative_deal,
+  cmd_initiative_round,
+  cmd_initiative_show,
+  cmd_benny_give,
+  cmd_benny_show
+} from '../src/commands/diceCommands.js';
+import { test, describe, reportResults, createInteraction } from './helpers.js';
+
+const tempDir = mkdtempSync(join(tmpdir(), 'neosavage-state-'));
+
+// ============================================================================
+// Test Suite: File State Store
+// ============================================================================
+
+describe('File State Store');
+
+await test('missing keys should read as null', () => {
+  const store = new FileStateStore(join(tempDir, 'empty.json'));
+  assert.equal(store.get('initiative:guild-1'), null);
+  assert.equal(existsSync(join(tempDir, 'empty.json')), false);
+});
+
+await test('values should persist across store instances', () => {
+  const filePath = join(tempDir, 'nested', 'state.json');
+  new FileStateStore(filePath).set('bennies:guild-1', { players: { 1: 2 }, gm: 1 });
+  assert.deepEqual(new FileStateStore(filePath).get('bennies:guild-1'), { players: { 1: 2 }, gm: 1 });
+});
+
+await test('delete should remove a value', () => {
+  const filePath = join(tempDir, 'delete.json');
+  const store = new FileStateStore(filePath);
+  store.set('key', 1);
+  assert.equal(store.delete('key'), true);
+  assert.equal(store.delete('key'), false);
+  assert.equal(new FileStateStore(filePath).get('key'), null);
+});
+
+// ============================================================================
+// Test Suite: Tracker Serialization
+// ============================================================================
+
+describe('Tracker Serialization');
+
+await test('a restored initiative tracker should deal the same cards', () => {
+  const tracker = new InitiativeTracker(new SeededRandomSource('state'));
+  tracker.start();
+  tracker.dealCards(['Grog', 'Valeria']);
+  tracker.newRound();
+
+  const restored = InitiativeTracker.fromJSON(JSON.parse(JSON.stringify(tracker)));
+  assert.equal(restored.getCurrentRound(), 1);
+  assert.equal(restored.isFightActive(), true);
+  assert.deepEqual(restored.getInitiativeOrder(), tracker.getInitiativeOrder());
+
+  // Deck and random source resume where they stopped, even through a reshuffle
+  const names = Array.from({ length: 60 }, (_, i) => `Extra ${i}`);
+  const expected = tracker.dealCards(names).map(r => r.card.display);
+  assert.deepEqual(restored.dealCards(names).map(r => r.card.display), expected);
+});
+
+await test('a restored Benny tracker should keep every pool', () => {
+  const tracker = new BennyTracker();
+  tracker.give('1', 2);
+  tracker.give(null);
+
+  const restored = BennyTracker.fromJSON(JSON.parse(JSON.stringify(tracker)));
+  assert.deepEqual(restored.getPools(), tracker.getPools());
+});
+
+// ============================================================================
+// Test Suite: Restarts
+// ============================================================================
+
+describe('Restarts');
+
+const statePath = join(tempDir, 'state.json');
+
+await test('a fight should survive a restart', async () => {
+  setStateStore(new FileStateStore(statePath));
+  await cmd_fight_start(createInteraction({}));
+  await cmd_initiative_deal(createInteraction({ characters: 'Grog, Valeria, Zephyr' }));
+  await cmd_initiative_round(createInteraction({}));
+  const before = createInteraction({});
+  await cmd_initiative_show(before);
+
+  // A new store on the same file stands in for a restarted bot
+  setStateStore(new FileStateStore(statePath));
+  const after = createInteraction({});
+  await cmd_initiative_show(after);
+
+  assert.equal(after.replies[0].embeds[0].title, before.replies[0].embeds[0].title);
+  assert.match(after.replies[0].embeds[0].title, /Round 1/);
+  assert.equal(after.replies[0].embeds[0].description, before.replies[0].embeds[0].description);
+});
+
+await test('Bennies should survive a restart', async () => {
+  setStateStore(new FileStateStore(statePath));
+  await cmd_benny_give(createInteraction({ player: '7', amount: 2 }));
+
+  setStateStore(new FileStateStore(statePath));
+  const interaction = createInteraction({});
+  await cmd_benny_show(interaction);
+  assert.match(interaction.replies[0].embeds[0].data.fields[0].value, /<@7>/);
+});
+
+setStateStore(null);
+rmSync(tempDir, { recursive: true, force: true });
+
+// ============================================================================
+// Run Tests and Report Results
+// ============================================================================
+
+reportResults('TEST SUMMARY - State Store Tests', '✨ All state store tests passed!');
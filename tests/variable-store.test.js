@@ -0,0 +1,220 @@
+/**
+ * Tests for roll variables
+ * Validates variable scopes, persistence across restarts and the /var commands
+ */
+
+import { strict as assert } from 'assert';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { VariableStore, normalizeVariableName } from '../src/variables/variableStore.js';
+import { RollAuditLog } from '../src/audit/rollAuditLog.js';
+import {
+  setVariableStore,
+  setRollAuditLog,
+  cmd_roll,
+  cmd_benny_give,
+  cmd_benny_spend,
+  cmd_var_list,
+  cmd_var_set,
+  cmd_var_delete,
+  cmd_var_use
+} from '../src/commands/diceCommands.js';
+import { test, describe, reportResults, createInteraction } from './helpers.js';
+
+const tempDir = mkdtempSync(join(tmpdir(), 'neosavage-variables-'));
+
+const alice = { guildId: 'guild-1', channelId: 'channel-1', userId: 'alice' };
+const aliceElsewhere = { guildId: 'guild-1', channelId: 'channel-2', userId: 'alice' };
+const bob = { guildId: 'guild-1', channelId: 'channel-1', userId: 'bob' };
+
+// Interaction of a user (alice unless told otherwise), only 'gm' is a GM
+function asUser(options, userId = 'alice') {
+  return createInteraction(options, { userId, isGm: userId === 'gm' });
+}
+
+// ============================================================================
+// Test Suite: Variable Store
+// ============================================================================
+
+describe('Variable Store');
+
+await test('variable names should accept an optional @ and reject other characters', () => {
+  assert.equal(normalizeVariableName('@fighting'), 'fighting');
+  assert.equal(normalizeVariableName('mod_2'), 'mod_2');
+  assert.throws(() => normalizeVariableName('my var'), /Invalid variable name/);
+  assert.throws(() => normalizeVariableName('@'), /Invalid variable name/);
+});
+
+await test('variables should be kept per user', () => {
+  const store = new VariableStore(join(tempDir, 'users.json'));
+  store.set(alice, 'fighting', 8);
+  store.set(bob, 'fighting', 6);
+
+  assert.equal(store.resolve(alice).get('@fighting'), 8);
+  assert.equal(store.resolve(bob).get('@fighting'), 6);
+});
+
+await test('channel variables should override campaign and server variables', () => {
+  const store = new VariableStore(join(tempDir, 'scopes.json'));
+  store.set(alice, 'mod', 1);
+  store.setActiveCampaign(alice, 'Deadlands');
+  store.set(alice, 'mod', 2, 'campaign');
+  store.set(alice, 'mod', 3, 'channel');
+
+  assert.equal(store.resolve(alice).get('@mod'), 3);
+  assert.equal(store.resolve(aliceElsewhere).get('@mod'), 2);
+
+  store.setActiveCampaign(alice, null);
+  assert.equal(store.resolve(aliceElsewhere).get('@mod'), 1);
+});
+
+await test('campaign variables should require a campaign', () => {
+  const store = new VariableStore(join(tempDir, 'campaign.json'));
+  assert.throws(() => store.set(alice, 'mod', 1, 'campaign'), /No active campaign/);
+
+  store.set(alice, 'mod', 1, 'campaign', 'Rippers');
+  assert.equal(store.resolve(alice).has('@mod'), false);
+  store.setActiveCampaign(alice, 'Rippers');
+  assert.equal(store.resolve(alice).get('@mod'), 1);
+});
+
+await test('assign should update the most specific scope defining the variable', () => {
+  const store = new VariableStore(join(tempDir, 'assign.json'));
+  store.set(alice, 'hp', 10);
+  store.set(alice, 'ammo', 30, 'channel');
+
+  store.assign(alice, '@ammo', 29);
+  store.assign(alice, '@wounds', 1);
+
+  const scopes = Object.fromEntries(store.list(alice).map(v => [v.name, v.scope]));
+  assert.deepEqual(scopes, { hp: 'user', wounds: 'user', ammo: 'channel' });
+  assert.equal(store.resolve(aliceElsewhere).has('@ammo'), false);
+});
+
+await test('variables should survive a new store instance', () => {
+  const filePath = join(tempDir, 'persist.json');
+  const store = new VariableStore(filePath);
+  store.set(alice, 'fighting', 10);
+  store.setActiveCampaign(alice, 'Deadlands');
+
+  const reloaded = new VariableStore(filePath);
+  assert.equal(reloaded.resolve(alice).get('@fighting'), 10);
+  assert.equal(reloaded.getActiveCampaign(alice), 'Deadlands');
+});
+
+await test('delete should remove a variable from one scope only', () => {
+  const store = new VariableStore(join(tempDir, 'delete.json'));
+  store.set(alice, 'mod', 1);
+  store.set(alice, 'mod', 2, 'channel');
+
+  assert.equal(store.delete(alice, 'mod', 'channel'), true);
+  assert.equal(store.delete(alice, 'mod', 'channel'), false);
+  assert.equal(store.resolve(alice).get('@mod'), 1);
+});
+
+// ============================================================================
+// Test Suite: Variable Commands
+// ============================================================================
+
+describe('Variable Commands');
+
+const commandStore = new VariableStore(join(tempDir, 'commands.json'));
+setVariableStore(commandStore);
+
+await test('/var set should evaluate the value and store it', async () => {
+  await cmd_var_set(asUser({ name: '@fighting', value: '8' }));
+  await cmd_var_set(asUser({ name: 'mod', value: '@fighting / 4' }));
+
+  const variables = commandStore.resolve(alice);
+  assert.equal(variables.get('@fighting'), 8);
+  assert.equal(variables.get('@mod'), 2);
+});
+
+await test('/roll should use stored variables', async () => {
+  const interaction = asUser({ dice: 's@fighting+@mod' });
+  await cmd_roll(interaction);
+
+  const fields = interaction.replies[0].embeds[0].data.fields;
+  assert.ok(!JSON.stringify(fields).includes('Error'), 'Roll should not fail');
+  assert.ok(fields.some(field => field.value.includes('+2')), 'Modifier should come from @mod');
+});
+
+await test('/roll assignments should persist', async () => {
+  await cmd_roll(asUser({ dice: '@hp := 10+5' }));
+  assert.equal(new VariableStore(commandStore.filePath).resolve(alice).get('@hp'), 15);
+});
+
+await test('a Benny reroll should not store its assignments again', async () => {
+  await cmd_benny_give(asUser({ player: 'alice' }, 'gm'));
+  await cmd_roll(asUser({ dice: '@hp := 2d6+10' }));
+
+  const assigned = [];
+  const assign = commandStore.assign;
+  commandStore.assign = (...args) => assigned.push(args);
+  const interaction = asUser({ reroll: true });
+  await cmd_benny_spend(interaction);
+  commandStore.assign = assign;
+
+  assert.match(interaction.replies[0].content, /to reroll `@hp := 2d6\+10`/);
+  assert.deepEqual(assigned, []);
+});
+
+await test('/roll should divide inside functions instead of splitting roll groups', async () => {
+  const interaction = asUser({ dice: 'floor(@fighting/3)+2 / ceil(@fighting/3)' });
+  await cmd_roll(interaction);
+
+  const fields = interaction.replies[0].embeds[0].data.fields;
+  assert.equal(fields.length, 3, 'Two roll groups and the overall total');
+  assert.ok(fields[0].value.startsWith('**4** ← floor +2'));
+  assert.ok(fields[1].value.startsWith('**3** ← ceil'));
+});
+
+await test('/roll verify should replay with the logged variable values', async () => {
+  const auditLog = new RollAuditLog(join(tempDir, 'rolls.jsonl'));
+  setRollAuditLog(auditLog);
+
+  const rollInteraction = asUser({ dice: '@fighting d6 + @mod' });
+  await cmd_roll(rollInteraction);
+  const rollId = rollInteraction.replies[0].embeds[0].data.footer.text.match(/🆔 (\w+)/)[1];
+
+  await cmd_var_set(asUser({ name: 'fighting', value: '4' }));
+  const verifyInteraction = asUser({ verify: rollId });
+  await cmd_roll(verifyInteraction);
+
+  assert.match(verifyInteraction.replies[0].embeds[0].data.description, /Verified/);
+  setRollAuditLog(null);
+});
+
+await test('/var list should only show the caller\'s variables', async () => {
+  const interaction = asUser({}, 'bob');
+  await cmd_var_list(interaction);
+  assert.match(interaction.replies[0].embeds[0].data.description, /No variables yet/);
+});
+
+await test('/var use should switch campaign variables on and off', async () => {
+  await cmd_var_use(asUser({ campaign: 'Deadlands' }));
+  await cmd_var_set(asUser({ name: 'mod', value: '-1', scope: 'campaign' }));
+  assert.equal(commandStore.resolve(alice).get('@mod'), -1);
+
+  await cmd_var_use(asUser({}));
+  assert.equal(commandStore.resolve(alice).get('@mod'), 2);
+});
+
+await test('/var delete should report unknown variables', async () => {
+  const interaction = asUser({ name: 'nothing' });
+  await cmd_var_delete(interaction);
+  assert.match(interaction.replies[0].embeds[0].data.description, /No variable `@nothing`/);
+
+  await cmd_var_delete(asUser({ name: '@hp' }));
+  assert.equal(commandStore.resolve(alice).has('@hp'), false);
+});
+
+setVariableStore(null);
+rmSync(tempDir, { recursive: true, force: true });
+
+// ============================================================================
+// Run Tests and Report Results
+// ============================================================================
+
+reportResults('TEST SUMMARY - Variable Store Tests', '✨ All variable store tests passed!');